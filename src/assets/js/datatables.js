@@ -26,11 +26,65 @@ class DataTablesJS {
         this.theme = config.theme || 'uikit';
         this.footerAggregations = config.footerAggregations || {};
         this.datepickerFormatters = config.datepickerFormatters || {};
+        this.transport = config.transport || {};
+        // The CSRF token travels with the transport, so KPTSelect2 requests through this table send it too.
+        // A page rendered without one fetches it for this table before the first mutation
+        if (config.csrf) {
+            this.transport = { ...this.transport, csrf: { ...config.csrf, table: this.tableName } };
+        }
+        this.pageSizeOptions = config.pageSizeOptions || [];
+        this.includeAllOption = config.includeAllOption !== false;
+        this.filterFields = config.filterFields || [];
+        this.reorderableColumns = config.reorderableColumns || false;
+        this.resizableColumns = config.resizableColumns || false;
+        this.frozenColumns = parseInt(config.frozenColumns) || 0;
+        this.infiniteScroll = config.infiniteScroll || false;
+        this.cursorPagination = config.cursorPagination || false;
+        this.clientSide = config.clientSide || false;
+        this.importConfig = config.importConfig || null;
+        this.locale = config.locale || DataTablesJS.locale;
+        this.messages = config.messages || DataTablesJS.messages;
+
+        // Intl formatters for display formats, keyed by kind, locale and options
+        this.formatters = new Map();
+
+        // In-flight request controllers keyed by channel (data, aggregations)
+        this.inFlight = {};
+
+        // Configured state, used to keep default values out of the URL
+        this.defaultState = {
+            perPage: this.perPage,
+            sortKeys: config.defaultSortColumn
+                ? [{ column: config.defaultSortColumn, direction: config.defaultSortDirection === 'DESC' ? 'DESC' : 'ASC' }]
+                : [],
+            hiddenColumns: config.hiddenColumns || [],
+            columnOrder: Object.keys(this.columns).map(column => this.columnKey(column))
+        };
+
+        // Opt-in URL state sync; parameters are namespaced by table
+        this.urlState = config.urlState ? {
+            mode: config.urlState.mode === 'hash' ? 'hash' : 'query',
+            param: config.urlState.param || DataTablesJS.slug(this.tableName)
+        } : null;
+        this.urlStateWritten = false;
+        this.restoringUrlState = false;
+
+        // Opt-in persisted preferences (page size, sort, search, filters)
+        this.preferences = config.preferences ? {
+            storage: config.preferences.storage === 'session' ? 'session' : 'local',
+            expiry: parseInt(config.preferences.expiry) || 0
+        } : null;
 
         // State
         this.currentPage = 1;
-        this.sortColumn = config.defaultSortColumn || '';
-        this.sortDirection = config.defaultSortDirection || 'ASC';
+        // Ordered sort keys: [{ column, direction }], first key has priority
+        this.sortKeys = this.defaultState.sortKeys.map(key => ({ ...key }));
+        // Column keys (alias name for aliased columns) hidden from the column picker
+        this.hiddenColumns = new Set(this.defaultState.hiddenColumns);
+        // Column keys in display order, and user-set widths in pixels keyed by column
+        this.columnOrder = [...this.defaultState.columnOrder];
+        this.columnWidths = {};
+        this.resizing = false;
         this.search = '';
         this.deleteId = null;
         this.selectedIds = new Set();
@@ -38,23 +92,620 @@ class DataTablesJS {
         // Active filter values keyed by field name
         this.activeFilters = [];
 
+        // Row data for action callbacks, keyed by row ID
+        this.rowData = {};
+
+        // Last rendered page, so column visibility changes can re-render without a request
+        this.pageData = null;
+
+        // Infinite scroll: pageData holds every loaded row, only a window of them is in the DOM
+        this.totalRecords = 0;
+        this.loadingMore = false;
+        this.rowHeight = 0;
+        this.virtualStart = -1;
+        this.virtualEnd = -1;
+
+        // Cursor pagination: the cursor for the current page, the neighbours' from the last
+        // response, and the query the cursor belongs to (a new search or sort starts over)
+        this.cursor = '';
+        this.nextCursor = null;
+        this.prevCursor = null;
+        this.cursorQuery = null;
+
+        // Client-side mode: the full dataset, and the rows left after search, filters and sort
+        this.allRows = null;
+        this.clientRows = null;
+
+        // Clipboard: the clicked cell, the dragged cell range ({ anchor, focus } of { id, column }),
+        // and whether the last click landed in this table
+        this.cellAnchor = null;
+        this.cellRange = null;
+        this.tableActive = false;
+
+        // Keyboard grid: the focused cell as { id, row, col } (id is null in the header row),
+        // and the one cell in the tab order
+        this.gridCell = null;
+        this.gridTabStop = null;
+
+        // Live region: the pending announcement, and the last outcome ("Record deleted") with its time
+        this.announceTimer = null;
+        this.lastOutcome = null;
+
+        // CSV import wizard: the parsed file, column mapping, and per-row errors by row index
+        this.importState = null;
+
+        // Event listeners keyed by event name, seeded from config.on
+        this.listeners = {};
+        Object.entries(config.on || {}).forEach(([event, handler]) => this.on(event, handler));
+
+        // Instance scoping: DOM ID suffix and the expression inline handlers use to reach this instance,
+        // escaped for the HTML attributes it is written into
+        this.domSuffix = DataTablesJS.slug(this.tableName);
+        this.jsRef = DataTablesJS.escapeHtml(`DataTablesJS.get(${JSON.stringify(String(this.tableName))})`);
+
         // Initialize
         this.init();
     }
 
     init() {
+        // Register this instance so inline handlers can find it by table name
+        DataTablesJS.instances[this.tableName] = this;
+
+        // The first table's catalog serves the shared helpers (confirm dialogs, Select2)
+        if (Object.keys(DataTablesJS.messages).length === 0) {
+            DataTablesJS.messages = this.messages;
+            DataTablesJS.locale = this.locale;
+        }
+
+        // Keep the legacy global pointing at the first table on the page
+        if (!window.DataTables) {
+            window.DataTables = this;
+        }
+
         this.bindEvents();
+
+        // Saved preferences first, so a URL with state can override them
+        if (this.preferences) {
+            this.restorePreferences();
+        }
+
+        if (this.urlState) {
+            this.restoreUrlState();
+            window.addEventListener('popstate', () => {
+                this.restoringUrlState = true;
+                this.restoreUrlState();
+                this.loadData();
+                this.restoringUrlState = false;
+            });
+        }
+
         this.loadData();
+    }
+
+    // === INSTANCE REGISTRY ===
+    static get(tableName) {
+        return DataTablesJS.instances[tableName] || null;
+    }
+
+    static slug(tableName) {
+        return String(tableName).replace(/[^A-Za-z0-9_-]+/g, '-');
+    }
+
+    // === LOCALIZATION ===
+    t(key, params = {}) {
+        return DataTablesJS.translate(key, params, this.messages, this.locale);
+    }
+
+    /**
+     * Look up a message in a catalog passed from the PHP Translator.
+     * {name} placeholders are filled from params, with numbers formatted for
+     * the locale. A plural message holds one form per Intl.PluralRules
+     * category, picked by params.count. Unknown keys come back unchanged.
+     */
+    static translate(key, params = {}, messages = DataTablesJS.messages, locale = DataTablesJS.locale) {
+        let message = messages[key] ?? key;
+        if (message !== null && typeof message === 'object') {
+            const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+            message = message[category] ?? message.other ?? key;
+        }
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) {
+                return match;
+            }
+            return typeof params[name] === 'number' ? params[name].toLocaleString(locale) : String(params[name]);
+        });
+    }
+
+    // Whether the table is laid out right to left (set by dir="rtl" on it or a parent)
+    isRtl() {
+        const container = this.query('.datatables-container') || document.documentElement;
+        return getComputedStyle(container).direction === 'rtl';
+    }
+
+    // === FORMATTING ===
+    // Display format of a column (its normalized 'format' option), or null
+    columnFormat(column, tableSchema = this.getTableSchema()) {
+        return tableSchema[column]?.display_format || null;
+    }
+
+    /**
+     * Format a raw value with a column format, using Intl in the format's
+     * locale or the table's. Values that don't read as a number or date
+     * come back unchanged.
+     */
+    formatValue(value, format) {
+        if (!format || value === null || value === undefined || String(value).trim() === '') {
+            return String(value ?? '');
+        }
+        const locale = format.locale || this.locale;
+
+        if (['number', 'currency', 'percent'].includes(format.type)) {
+            const number = Number(value);
+            if (Number.isFinite(number) === false) {
+                return String(value);
+            }
+            return this.intlFormatter('NumberFormat', locale, DataTablesJS.numberOptions(format)).format(number);
+        }
+
+        const date = DataTablesJS.parseDate(value);
+        if (date === null) {
+            return String(value);
+        }
+        if (format.type === 'relative') {
+            return this.formatRelative(date, locale, /^\s*[\d-]{10}\s*$/.test(String(value)));
+        }
+        if (format.pattern) {
+            return this.formatDatePattern(date, format.pattern, locale);
+        }
+        const options = { dateStyle: format.style || 'medium' };
+        if (format.type === 'datetime') {
+            options.timeStyle = 'short';
+        }
+        return this.intlFormatter('DateTimeFormat', locale, options).format(date);
+    }
+
+    intlFormatter(kind, locale, options) {
+        const key = `${kind}|${locale}|${JSON.stringify(options)}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[kind](locale, options));
+        }
+        return this.formatters.get(key);
+    }
+
+    // "3 days ago" or "in 2 hours", in the largest unit that fits; dates without a time count whole days
+    formatRelative(date, locale, dateOnly = false) {
+        const now = new Date();
+        if (dateOnly) {
+            now.setHours(0, 0, 0, 0);
+        }
+        const seconds = (date.getTime() - now.getTime()) / 1000;
+        const units = dateOnly ? DataTablesJS.relativeUnits.filter(([, size]) => size >= 86400) : DataTablesJS.relativeUnits;
+        const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || units[units.length - 1];
+        return this.intlFormatter('RelativeTimeFormat', locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    }
+
+    /**
+     * Format a date with a token pattern such as 'DD.MM.YYYY HH:mm'. Month
+     * and weekday names (MMMM, MMM, dddd, ddd) and A (AM/PM) come from
+     * Intl; text in [brackets] is copied as is.
+     */
+    formatDatePattern(date, pattern, locale) {
+        const part = options => this.intlFormatter('DateTimeFormat', locale, options).format(date);
+        const pad = number => String(number).padStart(2, '0');
+        const hours12 = date.getHours() % 12 || 12;
+        const tokens = {
+            YYYY: () => String(date.getFullYear()),
+            YY: () => pad(date.getFullYear() % 100),
+            MMMM: () => part({ month: 'long' }),
+            MMM: () => part({ month: 'short' }),
+            MM: () => pad(date.getMonth() + 1),
+            M: () => String(date.getMonth() + 1),
+            DD: () => pad(date.getDate()),
+            D: () => String(date.getDate()),
+            dddd: () => part({ weekday: 'long' }),
+            ddd: () => part({ weekday: 'short' }),
+            HH: () => pad(date.getHours()),
+            H: () => String(date.getHours()),
+            hh: () => pad(hours12),
+            h: () => String(hours12),
+            mm: () => pad(date.getMinutes()),
+            ss: () => pad(date.getSeconds()),
+            A: () => this.intlFormatter('DateTimeFormat', locale, { hour: 'numeric', hour12: true })
+                .formatToParts(date).find(piece => piece.type === 'dayPeriod')?.value || ''
+        };
+        return pattern.replace(DataTablesJS.datePatternRegex, (match, literal) => literal ?? (tokens[match] ? tokens[match]() : match));
+    }
+
+    // Options for Intl.NumberFormat from a number, currency or percent format
+    static numberOptions(format) {
+        const options = {
+            style: format.type === 'number' ? 'decimal' : format.type,
+            useGrouping: format.grouping !== false
+        };
+        if (format.type === 'currency') {
+            options.currency = format.currency || 'USD';
+        }
+        if (Number.isInteger(format.decimals)) {
+            options.minimumFractionDigits = format.decimals;
+            options.maximumFractionDigits = format.decimals;
+        }
+        return options;
+    }
+
+    // Local date from a stored 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM[:SS]' value, or null
+    static parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+        if (match === null || match[1] === '0000') {
+            return null;
+        }
+        const [, y, m, d, h, i, sec] = match.map(part => Number(part || 0));
+        return new Date(y, m - 1, d, h, i, sec);
+    }
+
+    // === CELL RENDERERS ===
+    /**
+     * Register a cell renderer for columns configured with 'renderer' => name
+     * (or ['name' => name, ...options]) in PHP. It is called as
+     * renderer(value, row, options, context) and returns HTML. context holds
+     * the table, column, rowId and text: the value with its option label or
+     * display format applied. Escape anything taken from the row.
+     */
+    static registerRenderer(name, renderer) {
+        if (typeof renderer !== 'function') {
+            throw new TypeError(`Cell renderer "${name}" must be a function`);
+        }
+        DataTablesJS.renderers[name] = renderer;
+    }
+
+    // HTML from the column's renderer, or null when it has none or the renderer isn't registered
+    renderCell(column, value, row, tableSchema = this.getTableSchema()) {
+        const config = tableSchema[column]?.renderer;
+        if (!config) {
+            return null;
+        }
+
+        const renderer = DataTablesJS.renderers[config.name];
+        if (typeof renderer !== 'function') {
+            if (!DataTablesJS.missingRenderers.has(config.name)) {
+                DataTablesJS.missingRenderers.add(config.name);
+                console.warn(`No cell renderer registered as "${config.name}"`);
+            }
+            return null;
+        }
+
+        const context = { table: this, column, rowId: this.getRowId(row), text: this.getCellText(row, column, tableSchema) };
+        return String(renderer(value, row, config.options || {}, context) ?? '');
+    }
+
+    // Fill {field} placeholders from the row ({value} is the cell value); in a URL they are encoded unless the placeholder is the whole URL
+    static fillTemplate(template, row, value, url = false) {
+        const encode = url && /^\{\w+\}$/.test(template) === false;
+        return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+            const text = String((name === 'value' ? value : row[name]) ?? '');
+            return encode ? encodeURIComponent(text) : text;
+        });
+    }
+
+    // Relative, http(s), mailto and tel URLs only, so row data can't inject javascript: links.
+    // Browsers ignore tabs, newlines and leading spaces in a scheme, so they are ignored here too
+    static isSafeUrl(url) {
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(String(url).replace(/[\u0000-\u0020]/g, ''));
+        return scheme === null || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+    }
+
+    // Escape text for HTML content and quoted attributes
+    static escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Cell HTML for a value: escaped text with the column's display format,
+     * or sanitized markup in columns configured with 'html' => true.
+     */
+    cellHtml(value, column, tableSchema = this.getTableSchema()) {
+        if (tableSchema[column]?.html) {
+            return DataTablesJS.sanitizeHtml(value);
+        }
+        return DataTablesJS.escapeHtml(this.formatValue(value, this.columnFormat(column, tableSchema)));
+    }
+
+    /**
+     * Reduce markup to the DataTablesJS.sanitizer allowlist. Elements not on
+     * it are replaced by their content, or removed with it when listed in
+     * dropped (script, style and the like). Attributes not on the list are
+     * removed, as are href and src values that aren't safe URLs. The markup
+     * is parsed in an inert template, so nothing in it runs or loads.
+     */
+    static sanitizeHtml(html) {
+        const { tags, attributes, dropped } = DataTablesJS.sanitizer;
+        const template = document.createElement('template');
+        template.innerHTML = String(html ?? '');
+
+        const clean = parent => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+
+                const tag = node.localName;
+                if (tags.includes(tag) === false) {
+                    if (dropped.includes(tag)) {
+                        node.remove();
+                    } else {
+                        clean(node);
+                        node.replaceWith(...node.childNodes);
+                    }
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(attribute => {
+                    const name = attribute.name.toLowerCase();
+                    const unsafeUrl = (name === 'href' || name === 'src') && DataTablesJS.isSafeUrl(attribute.value) === false;
+                    if (attributes.includes(name) === false || unsafeUrl) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+                if (tag === 'a' && node.getAttribute('target') === '_blank') {
+                    node.setAttribute('rel', 'noopener noreferrer');
+                }
+                clean(node);
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+
+    // === DOM SCOPING ===
+
+    /**
+     * Check whether an element belongs to this instance.
+     * Elements inside a [data-table] wrapper belong to the matching table;
+     * untagged markup falls back to the first table on the page.
+     */
+    owns(element) {
+        const scope = element.closest('[data-table]');
+        if (scope) {
+            return scope.getAttribute('data-table') === this.tableName;
+        }
+        return window.DataTables === this;
+    }
+
+    queryAll(selector) {
+        return Array.from(document.querySelectorAll(selector)).filter(el => this.owns(el));
+    }
+
+    query(selector) {
+        return this.queryAll(selector)[0] || null;
+    }
+
+    // Table-scoped DOM ID, matching Renderer::getDomId()
+    domId(base) {
+        return `${base}-${this.domSuffix}`;
+    }
+
+    getTableSchema() {
+        const tableElement = this.query('.datatables-table');
+        return tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+    }
+
+    // === EVENTS ===
+
+    /**
+     * Subscribe to a table event.
+     * Handlers receive a detail object and the instance; returning false from
+     * a "before" handler cancels the operation, and mutating the detail
+     * (e.g. detail.params or detail.value) changes what is sent.
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        if (!handler) {
+            delete this.listeners[event];
+        } else if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        }
+        return this;
+    }
+
+    // Subscribe to an event on every instance, including ones created later
+    static on(event, handler) {
+        (DataTablesJS.listeners[event] = DataTablesJS.listeners[event] || []).push(handler);
+        return DataTablesJS;
+    }
+
+    static off(event, handler) {
+        if (!handler) {
+            delete DataTablesJS.listeners[event];
+        } else if (DataTablesJS.listeners[event]) {
+            DataTablesJS.listeners[event] = DataTablesJS.listeners[event].filter(h => h !== handler);
+        }
+        return DataTablesJS;
+    }
+
+    /**
+     * Run instance handlers, then global ones.
+     * Returns false if any handler returned false.
+     */
+    emit(event, detail = {}) {
+        const handlers = [
+            ...(this.listeners[event] || []),
+            ...(DataTablesJS.listeners[event] || [])
+        ];
+
+        let proceed = true;
+        handlers.forEach(handler => {
+            try {
+                if (handler.call(this, detail, this) === false) {
+                    proceed = false;
+                }
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        });
+        return proceed;
+    }
+
+    // === TRANSPORT ===
+
+    /**
+     * Send an action payload (FormData, URLSearchParams or plain object with
+     * an "action" key) and resolve with the parsed JSON response.
+     * defaultMethod applies unless the transport config overrides it.
+     */
+    request(data, defaultMethod = 'GET', signal = null) {
+        return DataTablesJS.send(data, defaultMethod, this.transport, signal);
+    }
+
+    /**
+     * Request on a channel where only the newest call matters.
+     * Any earlier request on the channel is aborted, and a response that
+     * arrives after a newer request started rejects with an AbortError.
+     */
+    requestLatest(channel, data, defaultMethod = 'GET') {
+        this.abortRequest(channel);
+        const controller = new AbortController();
+        this.inFlight[channel] = controller;
+
+        const settle = () => {
+            if (this.inFlight[channel] !== controller) {
+                throw new DOMException('Superseded by a newer request', 'AbortError');
+            }
+            this.inFlight[channel] = null;
+        };
+
+        return this.request(data, defaultMethod, controller.signal).then(
+            result => {
+                settle();
+                return result;
+            },
+            error => {
+                settle();
+                throw error;
+            }
+        );
+    }
 
-        // Expose methods globally
-        window.DataTables = this;
+    abortRequest(channel) {
+        if (this.inFlight[channel]) {
+            this.inFlight[channel].abort();
+            this.inFlight[channel] = null;
+        }
+    }
+
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * Shared request pipeline, also used by KPTSelect2.
+     * Instance transport settings are layered over DataTablesJS.transport.
+     */
+    static send(data, defaultMethod = 'GET', transport = {}, signal = null, parse = true) {
+        const config = { ...DataTablesJS.transport, ...transport };
+        const entries = (data instanceof FormData || data instanceof URLSearchParams)
+            ? Array.from(data.entries())
+            : Object.entries(data);
+        const action = (entries.find(([key]) => key === 'action') || [])[1] || '';
+        const method = ((config.methods || {})[action] || config.method || defaultMethod).toUpperCase();
+
+        // Header sets may be objects or functions of the action name
+        const resolveHeaders = headers => (typeof headers === 'function' ? headers(action) : headers) || {};
+        const headers = {
+            ...resolveHeaders(DataTablesJS.transport.headers),
+            ...resolveHeaders(transport.headers)
+        };
+
+        // Without an endpoint, GETs hit the current path and POSTs the current URL
+        let url = (config.endpoints || {})[action] || config.url || (method === 'GET' ? '' : window.location.href);
+        let body;
+        if (method === 'GET') {
+            const params = new URLSearchParams();
+            entries.forEach(([key, value]) => {
+                if (!(value instanceof Blob)) {
+                    params.append(key, value);
+                }
+            });
+            url += (url.includes('?') ? '&' : '?') + params.toString();
+        } else if (data instanceof FormData) {
+            body = data;
+        } else {
+            body = new FormData();
+            entries.forEach(([key, value]) => body.append(key, value));
+        }
+
+        // Anything that isn't a GET carries the CSRF token, as { field, token }
+        const csrf = config.csrf;
+        if (body && csrf && !csrf.token && csrf.table && !csrf.settled) {
+            return DataTablesJS.fetchCsrfToken(csrf, transport)
+                .then(() => DataTablesJS.send(data, defaultMethod, transport, signal, parse));
+        }
+        if (body && csrf && csrf.token && !body.has(csrf.field)) {
+            body.append(csrf.field, csrf.token);
+        }
+
+        const request = {
+            action,
+            url,
+            method,
+            headers,
+            credentials: config.credentials || 'same-origin',
+            body,
+            signal
+        };
+
+        // A custom request function may resolve with a Response or with parsed data
+        const pending = typeof config.request === 'function'
+            ? Promise.resolve(config.request(request))
+            : fetch(url, { method, headers, credentials: request.credentials, body, signal });
+
+        // Downloads want the raw Response
+        if (parse === false) {
+            return pending;
+        }
+        return pending.then(result => (result && typeof result.json === 'function') ? result.json() : result);
+    }
+
+    /**
+     * Ask the server for the CSRF token of a page rendered without one.
+     * Only one attempt is made; if it fails, mutations go out without a
+     * token and the server's rejection is shown as usual.
+     */
+    static fetchCsrfToken(csrf, transport) {
+        if (!csrf.pending) {
+            csrf.pending = DataTablesJS.send({ action: 'csrf_token', table: csrf.table }, 'GET', transport)
+                .then(data => {
+                    if (data && data.success && data.token) {
+                        csrf.token = data.token;
+                    } else {
+                        console.error('CSRF token unavailable:', data && data.message);
+                    }
+                })
+                .catch(error => console.error('CSRF token unavailable:', error))
+                .finally(() => {
+                    csrf.settled = true;
+                });
+        }
+        return csrf.pending;
     }
 
     // === THEME HELPERS ===
     getThemeClass(type) {
         const classes = {
             uikit: {
-                table: { shrink: 'uk-table-shrink', center: 'uk-text-center', muted: 'uk-text-muted' },
+                table: { shrink: 'uk-table-shrink', center: 'uk-text-center', muted: 'uk-text-muted', preview: 'uk-table uk-table-small uk-table-divider' },
                 checkbox: 'uk-checkbox',
                 input: 'uk-input uk-width-1-1',
                 select: 'uk-select uk-width-1-1',
@@ -65,10 +716,13 @@ class DataTablesJS {
                 flex: { right: 'uk-flex uk-flex-right', between: 'uk-flex-between' },
                 margin: { smallRight: 'uk-margin-small-right', smallBottom: 'uk-margin-small-bottom', smallTop: 'uk-margin-small-top' },
                 border: { rounded: 'uk-border-rounded' },
-                display: { block: 'uk-display-block' }
+                display: { block: 'uk-display-block' },
+                sort: { priority: 'uk-badge' },
+                progress: 'uk-progress uk-width-1-1',
+                badge: { default: 'uk-label kp-dt-label-default-uikit', primary: 'uk-label', success: 'uk-label uk-label-success', warning: 'uk-label uk-label-warning', danger: 'uk-label uk-label-danger' }
             },
             bootstrap: {
-                table: { shrink: '', center: 'text-center', muted: 'text-muted' },
+                table: { shrink: '', center: 'text-center', muted: 'text-muted', preview: 'table table-sm' },
                 checkbox: 'form-check-input',
                 input: 'form-control',
                 select: 'form-select',
@@ -79,10 +733,13 @@ class DataTablesJS {
                 flex: { right: 'd-flex justify-content-end', between: 'justify-content-between' },
                 margin: { smallRight: 'me-2', smallBottom: 'mb-2', smallTop: 'mt-2' },
                 border: { rounded: 'rounded' },
-                display: { block: 'd-block' }
+                display: { block: 'd-block' },
+                sort: { priority: 'badge rounded-pill bg-secondary' },
+                progress: 'w-100',
+                badge: { default: 'badge text-bg-secondary', primary: 'badge text-bg-primary', success: 'badge text-bg-success', warning: 'badge text-bg-warning', danger: 'badge text-bg-danger' }
             },
             plain: {
-                table: { shrink: 'kp-dt-table-shrink', center: 'kp-dt-text-center', muted: 'kp-dt-text-muted' },
+                table: { shrink: 'kp-dt-table-shrink', center: 'kp-dt-text-center', muted: 'kp-dt-text-muted', preview: 'kp-dt-table kp-dt-table-striped' },
                 checkbox: 'kp-dt-checkbox',
                 input: 'kp-dt-input kp-dt-width-1-1',
                 select: 'kp-dt-select kp-dt-width-1-1',
@@ -93,10 +750,13 @@ class DataTablesJS {
                 flex: { right: 'kp-dt-flex kp-dt-flex-right', between: 'kp-dt-flex-between' },
                 margin: { smallRight: 'kp-dt-margin-small-right', smallBottom: 'kp-dt-margin-small-bottom', smallTop: 'kp-dt-margin-small-top' },
                 border: { rounded: 'kp-dt-border-rounded' },
-                display: { block: 'kp-dt-display-block' }
+                display: { block: 'kp-dt-display-block' },
+                sort: { priority: 'kp-dt-badge' },
+                progress: 'kp-dt-width-1-1',
+                badge: { default: 'kp-dt-label', primary: 'kp-dt-label kp-dt-label-primary', success: 'kp-dt-label kp-dt-label-success', warning: 'kp-dt-label kp-dt-label-warning', danger: 'kp-dt-label kp-dt-label-danger' }
             },
             tailwind: {
-                table: { shrink: 'w-px whitespace-nowrap', center: 'text-center', muted: 'text-gray-500' },
+                table: { shrink: 'w-px whitespace-nowrap', center: 'text-center', muted: 'text-gray-500', preview: 'kp-dt-table-tailwind kp-dt-table-striped-tailwind' },
                 checkbox: 'h-4 w-4 rounded border-gray-300',
                 input: 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500',
                 select: 'block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500',
@@ -105,9 +765,12 @@ class DataTablesJS {
                 icon: { link: 'text-gray-400 hover:text-gray-600', success: 'text-green-500', danger: 'text-red-500' },
                 pagination: { disabled: 'opacity-50 cursor-not-allowed', active: 'font-bold text-blue-600' },
                 flex: { right: 'flex justify-end', between: 'justify-between' },
-                margin: { smallRight: 'mr-2', smallBottom: 'mb-2', smallTop: 'mt-2' },
+                margin: { smallRight: 'me-2', smallBottom: 'mb-2', smallTop: 'mt-2' },
                 border: { rounded: 'rounded' },
-                display: { block: 'block' }
+                display: { block: 'block' },
+                sort: { priority: 'kp-dt-badge-tailwind' },
+                progress: 'w-full',
+                badge: { default: 'inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800', primary: 'inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800', success: 'inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800', warning: 'inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800', danger: 'inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800' }
             }
         };
 
@@ -122,8 +785,13 @@ class DataTablesJS {
 
     // Theme-aware notification
     showNotification(message, status = 'success') {
+        // Bootstrap toasts are role="alert" and read out on their own
+        if (this.theme !== 'bootstrap' || typeof KPDataTablesBootstrap === 'undefined') {
+            this.announce(message, true);
+        }
+
         if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
-            UIkit.notification(message, { status: status });
+            UIkit.notification(DataTablesJS.escapeHtml(message), { status: status });
         } else if (this.theme === 'bootstrap' && typeof KPDataTablesBootstrap !== 'undefined') {
             KPDataTablesBootstrap.notification(message, status);
         } else if (typeof KPDataTablesPlain !== 'undefined') {
@@ -166,7 +834,7 @@ class DataTablesJS {
     showConfirm(message) {
         return new Promise((resolve, reject) => {
             if (this.theme === 'uikit' && typeof UIkit !== 'undefined') {
-                UIkit.modal.confirm(message).then(resolve, reject);
+                UIkit.modal.confirm(message, { i18n: { ok: this.t('modal.confirm'), cancel: this.t('modal.cancel') } }).then(resolve, reject);
             } else if (this.theme === 'bootstrap' && typeof KPDataTablesBootstrap !== 'undefined') {
                 KPDataTablesBootstrap.confirm(message).then(resolve, reject);
             } else if (typeof KPDataTablesPlain !== 'undefined') {
@@ -223,7 +891,7 @@ class DataTablesJS {
     bindEvents() {
 
         // Search input
-        document.querySelectorAll('.datatables-search').forEach(searchInput => {
+        this.queryAll('.datatables-search').forEach(searchInput => {
             let searchTimeout;
             searchInput.addEventListener('input', (e) => {
                 clearTimeout(searchTimeout);
@@ -236,7 +904,7 @@ class DataTablesJS {
         });
 
         // Filter inputs
-        document.querySelectorAll('.datatables-filter-input').forEach(input => {
+        this.queryAll('.datatables-filter-input').forEach(input => {
             let filterTimeout;
             input.addEventListener('input', () => {
                 clearTimeout(filterTimeout);
@@ -247,13 +915,13 @@ class DataTablesJS {
         });
 
         // Page size selector
-        document.querySelectorAll('.datatables-page-size').forEach(pageSizeSelect => {
+        this.queryAll('.datatables-page-size').forEach(pageSizeSelect => {
             pageSizeSelect.addEventListener('change', (e) => {
                 this.perPage = parseInt(e.target.value);
                 this.currentPage = 1;
 
                 // Sync all page size selectors to the same value
-                document.querySelectorAll('.datatables-page-size').forEach(select => {
+                this.queryAll('.datatables-page-size').forEach(select => {
                     select.value = e.target.value;
                 });
 
@@ -263,27 +931,45 @@ class DataTablesJS {
 
         // Bulk actions
         if (this.bulkActionsEnabled) {
-            document.querySelectorAll('.datatables-bulk-action').forEach(bulkSelect => {
+            this.queryAll('.datatables-bulk-action').forEach(bulkSelect => {
                 bulkSelect.addEventListener('change', (e) => {
-                    document.querySelectorAll('.datatables-bulk-execute').forEach(executeBtn => {
+                    this.queryAll('.datatables-bulk-execute').forEach(executeBtn => {
                         executeBtn.disabled = !e.target.value || this.selectedIds.size === 0;
                     });
                 });
             });
         }
 
+        // Infinite scroll re-renders the row window and fetches the next page near the bottom
+        if (this.infiniteScroll) {
+            this.bindInfiniteScroll();
+        }
+
+        // Frozen column offsets depend on header widths
+        if (this.frozenColumns > 0) {
+            window.addEventListener('resize', () => this.applyFrozenColumns());
+        }
+
+        // Column drag-to-reorder and resize
+        if (this.reorderableColumns) {
+            this.bindColumnReorder();
+        }
+        if (this.resizableColumns) {
+            this.bindColumnResize();
+        }
+
+        // Cell range selection, copy and paste
+        this.bindClipboard();
+
+        // Arrow key navigation between cells
+        this.bindGridKeys();
+
         // Sortable headers
         document.addEventListener('click', (e) => {
             if (e.target.closest('.sortable-header')) {
                 const header = e.target.closest('th[data-sort]');
-                if (header) {
-                    const column = header.getAttribute('data-sort');
-                    if (this.sortColumn === column) {
-                        this.sortDirection = this.sortDirection === 'ASC' ? 'DESC' : 'ASC';
-                    } else {
-                        this.sortColumn = column;
-                        this.sortDirection = 'ASC';
-                    }
+                if (header && this.owns(header)) {
+                    this.toggleSort(header.getAttribute('data-sort'), e.shiftKey);
                     this.currentPage = 1;
                     this.loadData();
                     this.updateSortIcons();
@@ -292,662 +978,3521 @@ class DataTablesJS {
         });
     }
 
-    // === DATA LOADING ===
-    loadData() {
-        const params = new URLSearchParams(
-            {
-                action: 'fetch_data',
-                table: this.tableName,
-                page: this.currentPage,
-                per_page: this.perPage,
-                search: this.search,
-                sort_column: this.sortColumn,
-                sort_direction: this.sortDirection,
-                filters: JSON.stringify(this.activeFilters)
+    // === URL STATE ===
+    urlParam(key) {
+        return `${this.urlState.param}.${key}`;
+    }
+
+    readUrlParams() {
+        const raw = this.urlState.mode === 'hash'
+            ? window.location.hash.replace(/^#/, '')
+            : window.location.search;
+        return new URLSearchParams(raw);
+    }
+
+    /**
+     * Apply state from the URL, falling back to configured defaults,
+     * and bring the search box, filters and page size controls in line.
+     */
+    restoreUrlState() {
+        const params = this.readUrlParams();
+        const get = key => params.get(this.urlParam(key));
+
+        // On first load a URL without state for this table keeps the current (saved or default) state
+        const hasState = Array.from(params.keys()).some(key => key.startsWith(this.urlParam('')));
+        if (!hasState && !this.urlStateWritten) {
+            return;
+        }
+
+        const page = parseInt(get('page'));
+        this.currentPage = page > 0 ? page : 1;
+        if (this.cursorPagination) {
+            // A page number means nothing without the cursor that reached it
+            this.cursor = get('cursor') || '';
+            if (this.cursor === '') {
+                this.currentPage = 1;
             }
-        );
+        }
 
-        fetch('?' + params.toString())
-            .then(response => response.json())
-            .then(
-                data => {
-                    if (data.success) {
-                        this.renderTable(data.data);
-                        this.renderPagination(data);
-                        this.renderInfo(data);
-                        this.loadAggregations();
-                    } else {
-                        console.error('Failed to load data:', data.message);
-                        this.showNotification(data.message || 'Failed to load data', 'danger');
-                    }
-                }
-            )
-            .catch(
-                error => {
-                    console.error('Error loading data:', error);
-                    this.showNotification('Error loading data', 'danger');
-                }
-            );
+        const perPage = parseInt(get('perPage'));
+        this.perPage = perPage >= 0 ? perPage : this.defaultState.perPage;
+
+        // Sort keys travel as aligned lists: sort=status,created_at&dir=ASC,DESC
+        // Links can be edited by hand, so columns that can't be sorted are dropped
+        const sortDirections = (get('dir') || '').toUpperCase().split(',');
+        const sortKeys = (get('sort') || '').split(',')
+            .map((column, i) => ({ column, direction: sortDirections[i] === 'DESC' ? 'DESC' : 'ASC' }))
+            .filter(key => key.column !== '' && this.isSortableColumn(key.column));
+        this.sortKeys = sortKeys.length > 0
+            ? sortKeys
+            : this.defaultState.sortKeys.map(key => ({ ...key }));
+
+        this.search = get('search') || '';
+
+        let filters = [];
+        try {
+            filters = JSON.parse(get('filters') || '[]');
+        } catch (e) {
+            console.error('Ignoring malformed filters in URL:', e);
+        }
+        this.activeFilters = Array.isArray(filters)
+            ? filters.filter(f => f && typeof f.field === 'string' && typeof f.operator === 'string')
+                .map(f => ({ field: f.field, operator: f.operator, value: String(f.value ?? ''), value_to: String(f.value_to ?? '') }))
+            : [];
+
+        this.cursorQuery = this.getCursorQuery();
+        this.syncStateControls();
     }
 
-    // === AGGREGATION ===
-    loadAggregations() {
-        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+    /**
+     * Write the current state to the URL. Values equal to the defaults are
+     * left out; the first write replaces the entry, later ones push.
+     */
+    writeUrlState() {
+        if (!this.urlState || this.restoringUrlState) {
             return;
         }
 
-        const params = new URLSearchParams({
-            action: 'fetch_aggregations',
-            table: this.tableName,
+        const params = this.readUrlParams();
+        const state = {
+            page: this.currentPage > 1 ? this.currentPage : '',
+            cursor: this.cursorPagination ? this.cursor : '',
+            perPage: this.perPage !== this.defaultState.perPage ? this.perPage : '',
+            sort: this.isDefaultSort() ? '' : this.sortKeys.map(key => key.column).join(','),
+            dir: this.isDefaultSort() ? '' : this.sortKeys.map(key => key.direction).join(','),
             search: this.search,
-            filters: JSON.stringify(this.activeFilters)
+            filters: this.activeFilters.length > 0 ? JSON.stringify(this.activeFilters) : ''
+        };
+
+        Object.entries(state).forEach(([key, value]) => {
+            if (value === '') {
+                params.delete(this.urlParam(key));
+            } else {
+                params.set(this.urlParam(key), value);
+            }
         });
 
-        fetch('?' + params.toString())
-            .then(response => response.json())
-            .then(data => {
-                if (data.success && data.aggregations) {
-                    this.renderAggregations(data.aggregations);
-                }
-            })
-            .catch(error => {
-                console.error('Error loading aggregations:', error);
-            });
-    }
+        const encoded = params.toString();
+        const { pathname, search, hash } = window.location;
+        const url = this.urlState.mode === 'hash'
+            ? pathname + search + (encoded ? '#' + encoded : '')
+            : pathname + (encoded ? '?' + encoded : '') + hash;
 
-    renderAggregations(serverAggregations) {
-        // Update "all" scope cells from server data
-        document.querySelectorAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(cell => {
-            const column = cell.getAttribute('data-agg-column');
-            const type = cell.getAttribute('data-agg-type');
-            if (serverAggregations[column] && serverAggregations[column][type] !== undefined) {
-                cell.textContent = this.formatAggValue(serverAggregations[column][type]);
+        if (url !== pathname + search + hash) {
+            if (this.urlStateWritten) {
+                history.pushState({ kpDataTables: true }, '', url);
+            } else {
+                history.replaceState({ kpDataTables: true }, '', url);
             }
-        });
+        }
+        this.urlStateWritten = true;
     }
 
-    calculatePageAggregations(data) {
-        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+    // === PREFERENCES ===
+    preferencesStore() {
+        try {
+            return this.preferences.storage === 'session' ? window.sessionStorage : window.localStorage;
+        } catch (e) {
+            // Storage can be blocked entirely (privacy settings, sandboxed frames)
+            return null;
+        }
+    }
+
+    preferencesKey() {
+        return `kpDataTables:${this.tableName}`;
+    }
+
+    isValidPageSize(size) {
+        return size === this.defaultState.perPage
+            || this.pageSizeOptions.includes(size)
+            || (size === 0 && this.includeAllOption);
+    }
+
+    isSortableColumn(column) {
+        return this.defaultState.sortKeys.some(key => key.column === column)
+            || this.queryAll('th[data-sort]').some(th => th.getAttribute('data-sort') === column);
+    }
+
+    /**
+     * Apply saved preferences that are unexpired and still valid
+     * against the current page size options, sortable columns and filters.
+     */
+    restorePreferences() {
+        const store = this.preferencesStore();
+        if (!store) {
             return;
         }
 
-        if (!data || data.length === 0) {
-            document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(cell => {
-                cell.textContent = '—';
-            });
+        let saved;
+        try {
+            saved = JSON.parse(store.getItem(this.preferencesKey()) || 'null');
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved || typeof saved !== 'object') {
             return;
         }
 
-        document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(cell => {
-            const column = cell.getAttribute('data-agg-column');
-            const type = cell.getAttribute('data-agg-type');
+        if (this.preferences.expiry > 0 && Date.now() - (saved.savedAt || 0) > this.preferences.expiry * 1000) {
+            store.removeItem(this.preferencesKey());
+            return;
+        }
 
-            let values = data.map(row => {
-                let val = row[column];
-                if (val === null || val === undefined || val === '') {
-                    return 0;
-                }
-                return parseFloat(val) || 0;
-            });
+        if (this.isValidPageSize(saved.perPage)) {
+            this.perPage = saved.perPage;
+        }
 
-            let result = 0;
-            if (type === 'sum') {
-                result = values.reduce((a, b) => a + b, 0);
-            } else if (type === 'avg') {
-                const sum = values.reduce((a, b) => a + b, 0);
-                result = values.length > 0 ? sum / values.length : 0;
+        if (Array.isArray(saved.sort)) {
+            const keys = saved.sort.filter(key => key && this.isSortableColumn(key.column) && ['ASC', 'DESC'].includes(key.direction));
+            if (keys.length === saved.sort.length) {
+                this.sortKeys = keys.map(key => ({ column: key.column, direction: key.direction }));
             }
+        }
 
-            cell.textContent = this.formatAggValue(result);
-        });
+        if (typeof saved.search === 'string') {
+            this.search = saved.search;
+        }
+
+        if (Array.isArray(saved.filters)) {
+            this.activeFilters = saved.filters.filter(f => f && this.filterFields.includes(f.field));
+        }
+
+        if (Array.isArray(saved.hiddenColumns)) {
+            const columnKeys = Object.keys(this.columns).map(column => this.columnKey(column));
+            this.hiddenColumns = new Set(saved.hiddenColumns.filter(key => columnKeys.includes(key)));
+        }
+
+        if (Array.isArray(saved.columnOrder)) {
+            this.columnOrder = this.normalizeColumnOrder(saved.columnOrder);
+        }
+
+        if (saved.columnWidths && typeof saved.columnWidths === 'object') {
+            this.columnWidths = this.normalizeColumnWidths(saved.columnWidths);
+        }
+
+        this.syncStateControls();
     }
 
-    formatAggValue(value) {
-        if (Number.isInteger(value)) {
-            return value.toLocaleString();
+    savePreferences() {
+        const store = this.preferencesStore();
+        if (!store) {
+            return;
         }
-        return parseFloat(value.toFixed(2)).toLocaleString(undefined, {
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 2
+
+        const isDefault = this.perPage === this.defaultState.perPage
+            && this.isDefaultSort()
+            && this.search === ''
+            && this.activeFilters.length === 0
+            && this.isDefaultLayout();
+
+        try {
+            if (isDefault) {
+                store.removeItem(this.preferencesKey());
+            } else {
+                store.setItem(this.preferencesKey(), JSON.stringify({
+                    savedAt: Date.now(),
+                    perPage: this.perPage,
+                    sort: this.sortKeys,
+                    search: this.search,
+                    filters: this.activeFilters,
+                    hiddenColumns: [...this.hiddenColumns],
+                    columnOrder: this.columnOrder,
+                    columnWidths: this.columnWidths
+                }));
+            }
+        } catch (e) {
+            console.error('Failed to save table preferences:', e);
+        }
+    }
+
+    /**
+     * Forget saved preferences and return to the configured defaults.
+     */
+    resetPreferences() {
+        if (this.preferences) {
+            const store = this.preferencesStore();
+            if (store) {
+                store.removeItem(this.preferencesKey());
+            }
+        }
+
+        this.perPage = this.defaultState.perPage;
+        this.sortKeys = this.defaultState.sortKeys.map(key => ({ ...key }));
+        this.search = '';
+        this.activeFilters = [];
+        this.hiddenColumns = new Set(this.defaultState.hiddenColumns);
+        this.columnOrder = [...this.defaultState.columnOrder];
+        this.columnWidths = {};
+        this.currentPage = 1;
+        this.syncStateControls();
+
+        this.emit('filterChange', { filters: this.activeFilters });
+        this.emit('columnVisibilityChange', { hiddenColumns: [...this.hiddenColumns] });
+        this.emit('columnLayoutChange', this.getColumnLayout());
+        this.loadData();
+    }
+
+    // Bring the search box, filter inputs, page size controls, sort icons and column layout in line with state
+    syncStateControls() {
+        this.queryAll('.datatables-search').forEach(input => {
+            input.value = this.search;
         });
+        this.syncFilterInputs();
+        this.syncPageSizeControls();
+        this.updateSortIcons();
+        this.applyColumnLayout();
     }
 
-    // === TABLE RENDERING ===
-    renderTable(data) {
-        const tbody = document.querySelector('.datatables-tbody');
-        if (!tbody) { return; }
+    // === COLUMN VISIBILITY ===
+    isColumnVisible(key) {
+        return !this.hiddenColumns.has(key);
+    }
 
-        const columnCount = this.getColumnCount();
-        const shrinkClass = this.getThemeClass('table.shrink');
-        const centerClass = this.getThemeClass('table.center');
-        const mutedClass = this.getThemeClass('table.muted');
-        const checkboxClass = this.getThemeClass('checkbox');
+    visibleColumns() {
+        return this.orderedColumns().filter(column => this.isColumnVisible(this.columnKey(column)));
+    }
 
-        if (!data || data.length === 0) {
-            tbody.innerHTML = `<tr><td colspan="${columnCount}" class="${centerClass} ${mutedClass}">No records found</td></tr>`;
+    isDefaultLayout() {
+        const defaults = this.defaultState.hiddenColumns;
+        return this.hiddenColumns.size === defaults.length && defaults.every(key => this.hiddenColumns.has(key))
+            && this.columnOrder.join(',') === this.defaultState.columnOrder.join(',')
+            && Object.keys(this.columnWidths).length === 0;
+    }
+
+    /**
+     * Show or hide a column by key (the alias name for aliased columns).
+     * Omit visible to toggle. The current page is re-rendered locally.
+     */
+    toggleColumn(key, visible) {
+        const show = visible === undefined ? this.hiddenColumns.has(key) : Boolean(visible);
+        if (show === this.isColumnVisible(key)) {
             return;
         }
 
-        // Get table schema for field type information
-        const tableElement = document.querySelector('.datatables-table');
-        const tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+        if (show) {
+            this.hiddenColumns.delete(key);
+        } else {
+            this.hiddenColumns.add(key);
+        }
 
-        let html = '';
-        data.forEach(
-            row => {
-
-                // Find the ID value regardless of key format
-                const rowId = row['s.id'] || row['id'] || row[this.primaryKey] || Object.values(row)[0];
-                const rowClass = this.getRowClass(rowId);
-                html += `<tr${rowClass ? ` class="${rowClass} row-select"` : ''} data-id="${rowId}">`;
-
-                // Bulk selection checkbox
-                if (this.bulkActionsEnabled) {
-                    html += `<td class="${shrinkClass} row-check">`;
-                    html += `<label><input type="checkbox" class="${checkboxClass} row-checkbox" value="${rowId}" onchange="DataTables.toggleRowSelection(this)"></label>`;
-                    html += '</td>';
-                }
-
-                // Action column at start
-                if (this.actionConfig.position === 'start') {
-                    html += `<td class="${shrinkClass} row-action">`;
-                    html += this.renderActionButtons(rowId, row);
-                    html += '</td>';
-                }
-
-                // Regular columns - simplified structure where key=column, value=label
-                Object.keys(this.columns).forEach(
-                    column => {
-                        // Check for CSS classes using both full column key and alias name
-                        let columnClass = this.cssClasses?.columns?.[column] || '';
-                        if (!columnClass && column.toLowerCase().includes(' as ')) {
-                            const parts = column.split(/\s+as\s+/i);
-                            if (parts.length === 2) {
-                                const aliasName = parts[1].replace(/[`'"]/g, '');
-                                columnClass = this.cssClasses?.columns?.[aliasName] || '';
-                            }
-                        }
-                        const isEditable = this.inlineEditableColumns.includes(column);
-
-                        // Handle aliases - if column contains " AS ", use the alias name to access row data
-                        let dataKey = column;
-                        if (column.toLowerCase().includes(' as ')) {
-                            const parts = column.split(/\s+as\s+/i);
-                            if (parts.length === 2) {
-                                dataKey = parts[1].replace(/[`'"]/g, ''); // Remove any quotes/backticks
-                            }
-                        }
+        this.applyColumnVisibility();
+        if (this.pageData) {
+            this.renderTable(this.pageData);
+        }
+        if (this.preferences) {
+            this.savePreferences();
+        }
+
+        this.emit('columnVisibilityChange', { hiddenColumns: [...this.hiddenColumns] });
+    }
 
-                        let cellContent = row[dataKey] ?? '';
-                        const tdClass = isEditable ? ' cell-edit' : '';
+    // Hide header, footer and aggregation cells of hidden columns and sync the picker checkboxes
+    applyColumnVisibility() {
+        this.queryAll('.datatables-table [data-column]').forEach(cell => {
+            cell.hidden = !this.isColumnVisible(cell.getAttribute('data-column'));
+        });
 
-                        // Get field type from schema
-                        const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+        // Aggregation labels span the columns before the first aggregated one
+        this.queryAll('.datatables-agg-label').forEach(cell => {
+            const leading = JSON.parse(cell.getAttribute('data-leading-columns') || '[]');
+            const fixed = parseInt(cell.getAttribute('data-leading-fixed')) || 0;
+            const span = fixed + leading.filter(key => this.isColumnVisible(key)).length;
+            cell.hidden = fixed + leading.length > 0 && span === 0;
+            cell.colSpan = Math.max(1, span);
+        });
 
-                        // Handle boolean display with icons
-                        if (fieldType === 'boolean') {
-                            const isActive = cellContent == '1' || cellContent === 'true' || cellContent === true;
-                            const iconName = isActive ? 'check' : 'close';
-                            const iconClass = isActive ? this.getThemeClass('icon.success') : this.getThemeClass('icon.danger');
+        this.queryAll('.datatables-column-toggle').forEach(checkbox => {
+            checkbox.checked = this.isColumnVisible(checkbox.value);
+        });
+    }
 
-                            // Store the raw value for form population
-                            const rawValue = cellContent; // Keep original value
+    // === COLUMN LAYOUT ===
+    orderedColumns() {
+        const columns = Object.keys(this.columns);
+        return this.columnOrder.map(key => columns.find(column => this.columnKey(column) === key));
+    }
 
-                            if (isEditable) {
-                                cellContent = `<span class="inline-editable boolean-toggle" data-field="${column}" data-id="${rowId}" data-type="boolean" data-value="${rawValue}" style="cursor: pointer;">`;
-                                cellContent += this.renderIcon(iconName, iconClass);
-                                cellContent += '</span>';
-                            } else {
-                                cellContent = `<span data-value="${rawValue}">${this.renderIcon(iconName, iconClass)}</span>`;
-                            }
+    // Keep known keys in the given order and append any columns the order does not mention
+    normalizeColumnOrder(order) {
+        const known = this.defaultState.columnOrder;
+        const kept = order.filter((key, index) => known.includes(key) && order.indexOf(key) === index);
+        return kept.concat(known.filter(key => !kept.includes(key)));
+    }
 
-                            // Handle select display with labels
-                        } else if (fieldType === 'select') {
-                            const selectOptions = tableSchema[column]?.form_options || {};
-                            // Convert cellContent to string to ensure proper key lookup
-                            const cellContentStr = String(cellContent);
-                            // Use nullish coalescing or check if key exists to handle '0' value correctly
-                            const displayLabel = cellContentStr in selectOptions ? selectOptions[cellContentStr] : cellContent;
+    normalizeColumnWidths(widths) {
+        const normalized = {};
+        Object.entries(widths).forEach(([key, width]) => {
+            if (this.defaultState.columnOrder.includes(key) && Number.isFinite(width) && width > 0) {
+                normalized[key] = Math.round(width);
+            }
+        });
+        return normalized;
+    }
 
-                            if (isEditable) {
-                                cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">${displayLabel}</span>`;
-                            } else {
-                                cellContent = displayLabel;
-                            }
+    /**
+     * Current column layout: display order, user-set widths (px) and
+     * hidden columns, all by column key. Suitable for saving per user.
+     */
+    getColumnLayout() {
+        return {
+            order: [...this.columnOrder],
+            widths: { ...this.columnWidths },
+            hidden: [...this.hiddenColumns]
+        };
+    }
 
-                            // Handle select2 display with fetched labels
-                        } else if (fieldType === 'select2') {
-                            const labelKey = dataKey + '_label';
-                            const displayValue = row[labelKey] || cellContent;
+    // Apply a layout from getColumnLayout(); any part may be omitted
+    setColumnLayout(layout = {}) {
+        if (Array.isArray(layout.order)) {
+            this.columnOrder = this.normalizeColumnOrder(layout.order);
+        }
+        if (layout.widths && typeof layout.widths === 'object') {
+            this.columnWidths = this.normalizeColumnWidths(layout.widths);
+        }
+        if (Array.isArray(layout.hidden)) {
+            this.hiddenColumns = new Set(layout.hidden.filter(key => this.defaultState.columnOrder.includes(key)));
+        }
+        this.columnLayoutChanged();
+    }
 
-                            if (isEditable) {
-                                cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">${displayValue}</span>`;
-                            } else {
-                                cellContent = displayValue;
-                            }
+    // Move a column before (or after) another one
+    moveColumn(key, targetKey, after = false) {
+        if (key === targetKey || !this.columnOrder.includes(key) || !this.columnOrder.includes(targetKey)) {
+            return;
+        }
 
-                            // Handle image display with thumbnails
-                        } else if (fieldType === 'image') {
-                            const roundedClass = this.getThemeClass('border.rounded');
-                            if (cellContent && cellContent.trim()) {
-                                const imageSrc = cellContent.startsWith('http') ? cellContent : `/uploads/${cellContent}`;
+        const order = this.columnOrder.filter(k => k !== key);
+        order.splice(order.indexOf(targetKey) + (after ? 1 : 0), 0, key);
+        this.columnOrder = order;
+        this.columnLayoutChanged();
+    }
 
-                                if (isEditable) {
-                                    cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="${cellContent}" style="cursor: pointer;">`;
-                                    cellContent += `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
-                                    cellContent += '</span>';
-                                } else {
-                                    cellContent = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
-                                }
-                            } else {
-                                cellContent = isEditable ?
-                                    `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" data-value="" style="cursor: pointer;">No image</span>` :
-                                    'No image';
-                            }
+    // Set a column width in pixels; null clears it back to automatic
+    setColumnWidth(key, width, notify = true) {
+        if (width === null) {
+            delete this.columnWidths[key];
+        } else {
+            this.columnWidths[key] = Math.max(40, Math.round(width));
+        }
 
-                        } else if (isEditable) {
+        this.applyColumnWidths();
+        this.applyFrozenColumns();
+        if (notify) {
+            this.columnLayoutChanged(false);
+        }
+    }
 
-                            // Add inline-editable class and attributes for non-boolean editable fields
-                            cellContent = `<span class="inline-editable" data-field="${column}" data-id="${rowId}" data-type="${fieldType}" style="cursor: pointer;">${cellContent}</span>`;
-                        }
+    columnLayoutChanged(rerender = true) {
+        this.applyColumnLayout();
+        if (rerender && this.pageData) {
+            this.renderTable(this.pageData);
+        }
+        if (this.preferences) {
+            this.savePreferences();
+        }
 
-                        const classNames = [columnClass, tdClass].filter(c => c).join(' ');
-                        html += `<td${classNames ? ` class="${classNames}"` : ''}>${cellContent}</td>`;
-                    }
-                );
+        this.emit('columnLayoutChange', this.getColumnLayout());
+    }
 
-                // Action column at end
-                if (this.actionConfig.position === 'end') {
-                    html += `<td class="${shrinkClass} row-action">`;
-                    html += this.renderActionButtons(rowId, row);
-                    html += '</td>';
-                }
+    // Put header and footer cells in column order, then apply widths and visibility
+    applyColumnLayout() {
+        this.queryAll('.datatables-table tr').forEach(row => {
+            if (row.classList.contains('datatables-agg-row')) {
+                this.layoutAggregationRow(row);
+                return;
+            }
 
-                html += '</tr>';
+            // Data headers are contiguous, so re-insert them before whatever follows the last one
+            const cells = Array.from(row.children).filter(cell => cell.hasAttribute('data-column'));
+            if (cells.length === 0) {
+                return;
             }
-        );
+            const anchor = cells[cells.length - 1].nextSibling;
+            this.columnOrder.forEach(key => {
+                const cell = cells.find(c => c.getAttribute('data-column') === key);
+                if (cell) {
+                    row.insertBefore(cell, anchor);
+                }
+            });
+        });
 
-        tbody.innerHTML = html;
-        this.bindTableEvents();
-        this.updateBulkActionButtons();
-        this.calculatePageAggregations(data);
+        this.applyColumnWidths();
+        this.applyColumnVisibility();
+        this.applyFrozenColumns();
     }
 
-    renderActionButtons(rowId, rowData = {}) {
-        let html = '';
-        const iconLinkClass = this.getThemeClass('icon.link');
-        const marginSmallRightClass = this.getThemeClass('margin.smallRight');
-
-        // Store row data for callback use
-        if (!window.DataTablesRowData) {
-            window.DataTablesRowData = {};
+    // Aggregation rows label everything before the first aggregated column, so re-split them
+    layoutAggregationRow(row) {
+        const label = row.querySelector('.datatables-agg-label');
+        if (!label) {
+            return;
         }
-        window.DataTablesRowData[rowId] = rowData;
 
-        // Helper function to replace all placeholders in a string
-        const replacePlaceholders = (str) => {
-            if (typeof str !== 'string') return str;
+        const cells = {};
+        row.querySelectorAll('td[data-column]').forEach(cell => {
+            cells[cell.getAttribute('data-column')] = cell;
+            cell.remove();
+        });
 
-            let result = str.replace('{id}', rowId);
-            for (const [column, value] of Object.entries(rowData)) {
-                const placeholder = '{' + column + '}';
-                result = result.replace(new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), value || '');
+        const firstAggregated = this.columnOrder.findIndex(key => this.footerAggregations[key] !== undefined);
+        const leadingCount = firstAggregated === -1 ? this.columnOrder.length : firstAggregated;
+        label.setAttribute('data-leading-columns', JSON.stringify(this.columnOrder.slice(0, leadingCount)));
+
+        this.columnOrder.slice(leadingCount).forEach(key => {
+            let cell = cells[key];
+            if (!cell) {
+                cell = document.createElement('td');
+                cell.setAttribute('data-column', key);
             }
-            return result;
-        };
+            row.appendChild(cell);
+        });
+    }
 
-        // Check if we have action groups configured
-        if (this.actionConfig.groups && this.actionConfig.groups.length > 0) {
+    applyColumnWidths() {
+        this.queryAll('.datatables-table th[data-column]').forEach(th => {
+            const width = this.columnWidths[th.getAttribute('data-column')];
+            th.style.width = width ? `${width}px` : '';
+            th.style.minWidth = width ? `${width}px` : '';
+        });
+    }
 
-            this.actionConfig.groups.forEach(group => {
+    /**
+     * Pin the bulk checkbox, a start action column and the first
+     * frozenColumns visible data columns to the left edge, and an end
+     * action column to the right. Offsets come from the header widths.
+     */
+    applyFrozenColumns() {
+        const table = this.query('.datatables-table');
+        if (table === null || this.frozenColumns <= 0) {
+            return;
+        }
 
-                if (Array.isArray(group)) {
-                    // Array of built-in actions like ['edit', 'delete']
-                    group.forEach(actionItem => {
-                        switch (actionItem) {
-                            case 'edit':
-                                if (this.theme === 'uikit') {
-                                    html += '<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>';
-                                } else {
-                                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="Edit Record">${this.renderIcon('pencil')}</a>`;
-                                }
-                                break;
-                            case 'delete':
-                                if (this.theme === 'uikit') {
-                                    html += '<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>';
-                                } else {
-                                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="Delete Record">${this.renderIcon('trash')}</a>`;
-                                }
-                                break;
-                        }
-                    });
-                } else if (typeof group === 'object' && group !== null) {
+        const headers = Array.from(table.querySelectorAll('thead tr:first-child > th')).filter(th => !th.hidden);
+        const leadingFixed = headers.findIndex(th => th.hasAttribute('data-column'));
+        const dataCount = headers.filter(th => th.hasAttribute('data-column')).length;
+        const frozenCount = Math.max(0, leadingFixed) + Math.min(this.frozenColumns, dataCount);
 
-                    // Handle all html* keys with location 'before' first
-                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
-                        const htmlConfig = group[htmlKey];
-                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
-                            if (htmlConfig.location === 'before' || htmlConfig.location === 'both') {
-                                html += replacePlaceholders(htmlConfig.content);
-                            }
-                        } else if (typeof htmlConfig === 'string') {
-                            html += replacePlaceholders(htmlConfig);
-                        }
-                    });
+        const offsets = [];
+        let left = 0;
+        headers.slice(0, frozenCount).forEach(th => {
+            offsets.push(left);
+            left += th.offsetWidth;
+        });
 
-                    // Get action keys (excluding 'html')
-                    const actionKeys = Object.keys(group).filter(key => !key.startsWith('html'));
+        const pinEnd = this.actionConfig.position === 'end';
 
-                    actionKeys.forEach(actionKey => {
-                        const actionConfig = group[actionKey];
+        Array.from(table.rows).forEach(row => {
+            const cells = Array.from(row.cells).filter(cell => !cell.hidden);
+            let column = 0;
 
-                        if (!actionConfig || typeof actionConfig !== 'object') return;
+            cells.forEach((cell, index) => {
+                cell.classList.remove('datatables-frozen', 'datatables-frozen-last', 'datatables-frozen-end');
+                cell.style.insetInlineStart = '';
+                cell.style.insetInlineEnd = '';
 
-                        // Check for action-level html before
-                        if (actionConfig.html) {
-                            if (typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
-                                if (actionConfig.html.location === 'before' || actionConfig.html.location === 'both') {
-                                    html += replacePlaceholders(actionConfig.html.content);
-                                }
-                            } else if (typeof actionConfig.html === 'string' && !actionConfig.hasCallback && actionConfig.href === undefined && actionConfig.icon === undefined) {
-                                // Only skip if this is PURELY an html entry with no action
-                                html += replacePlaceholders(actionConfig.html);
-                                return;
-                            }
-                        }
+                const start = column;
+                column += cell.colSpan;
 
-                        if (actionConfig.hasCallback) {
-                            // Handle callback action (callback was stripped but hasCallback flag remains)
-                            const icon = actionConfig.icon || 'link';
-                            const title = actionConfig.title || '';
-                            const className = actionConfig.class || 'btn-custom';
-                            const confirm = actionConfig.confirm || '';
+                // Full-width rows (loading, no records) stay where they are
+                if (cell.colSpan >= headers.length) {
+                    return;
+                }
 
-                            if (this.theme === 'uikit') {
-                                html += '<a href="#" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
-                            } else {
-                                html += '<a href="#" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
-                            }
-                            html += ' data-action="' + actionKey + '"';
-                            html += ' data-id="' + rowId + '"';
-                            html += ' data-confirm="' + confirm + '"';
-                            html += ' onclick="DataTables.executeActionCallback(\'' + actionKey + '\', ' + rowId + ', event)"';
-                            html += '>';
-                            if (this.theme !== 'uikit') {
-                                html += this.renderIcon(icon);
-                            }
-                            html += '</a>';
-                        } else if (actionConfig.href !== undefined || actionConfig.icon !== undefined) {
-                            // Handle link-based action
-                            const icon = replacePlaceholders(actionConfig.icon || 'link');
-                            const title = replacePlaceholders(actionConfig.title || '');
-                            const className = replacePlaceholders(actionConfig.class || 'btn-custom');
-                            const href = replacePlaceholders(actionConfig.href || '#');
-                            const onclick = replacePlaceholders(actionConfig.onclick || '');
-                            const attributes = actionConfig.attributes || {};
+                if (start < frozenCount) {
+                    cell.classList.add('datatables-frozen');
+                    cell.style.insetInlineStart = `${offsets[start]}px`;
+                    if (column >= frozenCount) {
+                        cell.classList.add('datatables-frozen-last');
+                    }
+                } else if (pinEnd && index === cells.length - 1
+                    && (cell.classList.contains('row-action') || (cell.tagName === 'TH' && !cell.hasAttribute('data-column')))) {
+                    cell.classList.add('datatables-frozen', 'datatables-frozen-end');
+                    cell.style.insetInlineEnd = '0px';
+                }
+            });
+        });
+    }
 
-                            if (this.theme === 'uikit') {
-                                html += '<a href="' + href + '" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
-                            } else {
-                                html += '<a href="' + href + '" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
-                            }
-                            if (onclick) {
-                                html += ' onclick="' + onclick + '"';
-                            }
+    bindColumnReorder() {
+        let draggedKey = null;
 
-                            // Add custom attributes
-                            for (const [attrName, attrValue] of Object.entries(attributes)) {
-                                const processedValue = replacePlaceholders(String(attrValue));
-                                html += ' ' + attrName + '="' + processedValue + '"';
-                            }
+        document.addEventListener('dragstart', (e) => {
+            const th = e.target.closest?.('th[data-column][draggable="true"]');
+            if (th && this.owns(th)) {
+                if (this.resizing) {
+                    e.preventDefault();
+                    return;
+                }
+                draggedKey = th.getAttribute('data-column');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedKey);
+                th.classList.add('datatables-dragging');
+            }
+        });
 
-                            html += '>';
-                            if (this.theme !== 'uikit') {
-                                html += this.renderIcon(icon);
-                            }
-                            html += '</a>';
-                        }
+        document.addEventListener('dragover', (e) => {
+            const th = draggedKey && e.target.closest?.('th[data-column]');
+            if (th && this.owns(th)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+            }
+        });
 
-                        // Check for action-level html after
-                        if (actionConfig.html && typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
-                            if (actionConfig.html.location === 'after' || actionConfig.html.location === 'both') {
-                                html += replacePlaceholders(actionConfig.html.content);
-                            }
+        document.addEventListener('drop', (e) => {
+            const th = draggedKey && e.target.closest?.('th[data-column]');
+            if (th && this.owns(th)) {
+                e.preventDefault();
+
+                // Dropping on the trailing half of a header (the right half, or the left in RTL) places the column after it
+                const rect = th.getBoundingClientRect();
+                const rightHalf = e.clientX > rect.left + rect.width / 2;
+                this.moveColumn(draggedKey, th.getAttribute('data-column'), rightHalf !== this.isRtl());
+            }
+        });
+
+        document.addEventListener('dragend', () => {
+            draggedKey = null;
+            this.queryAll('.datatables-dragging').forEach(th => th.classList.remove('datatables-dragging'));
+        });
+    }
+
+    bindColumnResize() {
+        document.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.datatables-resize-handle');
+            const th = handle ? handle.closest('th[data-column]') : null;
+            if (!th || !this.owns(th)) {
+                return;
+            }
+
+            e.preventDefault();
+            const key = th.getAttribute('data-column');
+            const startX = e.clientX;
+            const startWidth = th.offsetWidth;
+            const sign = this.isRtl() ? -1 : 1;
+            this.resizing = true;
+
+            const onMove = (moveEvent) => {
+                this.setColumnWidth(key, startWidth + sign * (moveEvent.clientX - startX), false);
+            };
+            const onUp = () => {
+                document.removeEventListener('pointermove', onMove);
+                document.removeEventListener('pointerup', onUp);
+                this.resizing = false;
+                this.columnLayoutChanged(false);
+            };
+
+            document.addEventListener('pointermove', onMove);
+            document.addEventListener('pointerup', onUp);
+        });
+    }
+
+    // === DATA LOADING ===
+    /**
+     * Fetch the current page. With infinite scroll, append adds the next
+     * page to the loaded rows; any other load starts over from page 1.
+     * In client-side mode only the first call hits the server.
+     */
+    loadData(append = false) {
+        if (this.infiniteScroll && append === false) {
+            this.currentPage = 1;
+            this.cursor = '';
+            this.loadingMore = false;
+        }
+
+        // A cursor only applies to the search, sort and filters it came from
+        if (this.cursorPagination) {
+            const query = this.getCursorQuery();
+            if (query !== this.cursorQuery) {
+                this.cursorQuery = query;
+                this.cursor = '';
+                this.currentPage = 1;
+            }
+        }
+
+        // Client-side mode fetches the full dataset once and works on it locally
+        if (this.clientSide && this.allRows !== null) {
+            if (append === false) {
+                this.writeUrlState();
+                if (this.preferences) {
+                    this.savePreferences();
+                }
+            }
+            this.renderClientData(append);
+            return;
+        }
+
+        const request = {
+            params: {
+                action: 'fetch_data',
+                table: this.tableName,
+                page: this.currentPage,
+                per_page: this.perPage,
+                search: this.search,
+                sort_column: this.sortColumn,
+                sort_direction: this.sortDirection,
+                sort: JSON.stringify(this.sortKeys),
+                filters: JSON.stringify(this.activeFilters)
+            }
+        };
+        if (this.cursorPagination) {
+            request.params.cursor = this.cursor;
+        }
+        if (this.clientSide) {
+            Object.assign(request.params, { page: 1, per_page: 0, search: '', filters: '[]' });
+        }
+
+        if (!this.emit('beforeLoad', request)) {
+            if (append) {
+                this.loadMoreFailed();
+            }
+            return;
+        }
+
+        const params = new URLSearchParams(request.params);
+
+        if (append) {
+            this.requestLatest('data', params)
+                .then(
+                    data => {
+                        this.emit('afterLoad', { params: request.params, response: data });
+                        if (data.success) {
+                            this.renderData(data, true);
+                        } else {
+                            this.loadMoreFailed();
+                            this.showNotification(data.message || this.t('data.load_failed'), 'danger');
                         }
-                    });
+                    }
+                )
+                .catch(
+                    error => {
+                        if (DataTablesJS.isAbortError(error)) {
+                            return;
+                        }
+                        console.error('Error loading data:', error);
+                        this.loadMoreFailed();
+                        this.showNotification(this.t('data.load_error'), 'danger');
+                    }
+                );
+            return;
+        }
 
-                    // Handle all html* keys with location 'after' last
-                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
-                        const htmlConfig = group[htmlKey];
-                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
-                            if (htmlConfig.location === 'after' || htmlConfig.location === 'both') {
-                                html += replacePlaceholders(htmlConfig.content);
-                            }
+        this.writeUrlState();
+        if (this.preferences) {
+            this.savePreferences();
+        }
+
+        // Totals for the previous request are stale too
+        this.abortRequest('aggregations');
+
+        this.requestLatest('data', params)
+            .then(
+                data => {
+                    this.emit('afterLoad', { params: request.params, response: data });
+                    if (data.success) {
+                        if (this.clientSide) {
+                            this.allRows = data.data || [];
+                            this.renderClientData();
+                        } else {
+                            this.renderData(data);
                         }
-                    });
+                    } else {
+                        console.error('Failed to load data:', data.message);
+                        this.showNotification(data.message || this.t('data.load_failed'), 'danger');
+                    }
+                }
+            )
+            .catch(
+                error => {
+                    if (DataTablesJS.isAbortError(error)) {
+                        return;
+                    }
+                    console.error('Error loading data:', error);
+                    this.showNotification(this.t('data.load_error'), 'danger');
+                }
+            );
+    }
+
+    /**
+     * Render a fetch_data response, or its client-side equivalent.
+     * Appended pages only extend the rows and the info text.
+     */
+    renderData(data, append = false) {
+        this.totalRecords = parseInt(data.total) || 0;
+        if (this.cursorPagination) {
+            this.nextCursor = data.next_cursor ?? null;
+            if (append === false) {
+                this.prevCursor = data.prev_cursor ?? null;
+
+                // Paging back can land on the first page before the count says so
+                if (this.prevCursor === null) {
+                    this.currentPage = 1;
+                }
+            }
+        }
+
+        if (append) {
+            this.loadingMore = false;
+            this.renderTable(this.pageData.concat(data.data || []));
+            this.renderInfo(data);
+            this.announce(this.describeResults(data));
+            return;
+        }
+
+        if (this.infiniteScroll) {
+            this.virtualStart = -1;
+            const scroller = this.getScrollContainer();
+            if (scroller) {
+                scroller.scrollTop = 0;
+            }
+        }
+        this.renderTable(data.data);
+        this.renderPagination(data);
+        this.renderInfo(data);
+        this.announce(this.describeResults(data));
+        this.loadAggregations();
+    }
+
+    /**
+     * Re-fetch from the server, keeping the search, sort, filters and page.
+     * In client-side mode this reloads the full dataset.
+     */
+    refresh() {
+        if (this.clientSide) {
+            this.allRows = null;
+        }
+        this.loadData();
+    }
+
+    // === CLIENT-SIDE DATA ===
+    renderClientData(append = false) {
+        this.clientRows = this.getClientRows();
+
+        const total = this.clientRows.length;
+        const totalPages = this.perPage > 0 ? Math.max(1, Math.ceil(total / this.perPage)) : 1;
+        this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+        const offset = (this.currentPage - 1) * this.perPage;
+
+        this.renderData({
+            success: true,
+            data: this.perPage > 0 ? this.clientRows.slice(offset, offset + this.perPage) : this.clientRows,
+            total,
+            page: this.currentPage,
+            per_page: this.perPage,
+            total_pages: totalPages
+        }, append);
+    }
+
+    /**
+     * Apply the search, filters and sort to the full dataset, matching
+     * what the server would return.
+     */
+    getClientRows() {
+        const search = this.search.toLowerCase();
+        const searchKeys = Object.keys(this.columns).map(column => this.columnKey(column));
+
+        const rows = this.allRows.filter(row => {
+            if (search !== '' && searchKeys.some(key => String(row[key] ?? '').toLowerCase().includes(search)) === false) {
+                return false;
+            }
+            return this.activeFilters.every(filter => this.matchesFilter(row, filter));
+        });
+
+        // NULLs sort first ascending, as in MySQL
+        const sortKeys = this.sortKeys.filter(key => key.column);
+        rows.sort((a, b) => {
+            for (const key of sortKeys) {
+                const valueA = this.getClientValue(a, key.column);
+                const valueB = this.getClientValue(b, key.column);
+                const nullA = valueA === null || valueA === undefined;
+                const nullB = valueB === null || valueB === undefined;
+
+                let result = 0;
+                if (nullA || nullB) {
+                    result = nullA === nullB ? 0 : (nullA ? -1 : 1);
+                } else {
+                    result = DataTablesJS.compareValues(valueA, valueB);
+                }
+                if (result !== 0) {
+                    return key.direction === 'DESC' ? -result : result;
+                }
+            }
+            return 0;
+        });
+
+        return rows;
+    }
+
+    // Row values are keyed by the configured column, its alias, or the bare field name
+    getClientValue(row, field) {
+        if (field in row) {
+            return row[field];
+        }
+        const key = this.columnKey(field);
+        if (key in row) {
+            return row[key];
+        }
+        return row[field.split('.').pop()];
+    }
+
+    /**
+     * Test a row against one filter accordion condition, with the same
+     * operators and empty-value handling as the server.
+     */
+    matchesFilter(row, filter) {
+        const value = String(filter.value ?? '');
+        const valueTo = String(filter.value_to ?? '');
+        if (value === '' && valueTo === '') {
+            return true;
+        }
+
+        // Like SQL, NULL matches no condition
+        const cell = this.getClientValue(row, filter.field);
+        if (cell === null || cell === undefined) {
+            return false;
+        }
+        const compare = target => DataTablesJS.compareValues(cell, target);
+
+        const operator = String(filter.operator).toUpperCase();
+        switch (operator) {
+            case '=':
+                return compare(value) === 0;
+            case '!=':
+                return compare(value) !== 0;
+            case '>':
+                return compare(value) > 0;
+            case '>=':
+                return compare(value) >= 0;
+            case '<':
+                return compare(value) < 0;
+            case '<=':
+                return compare(value) <= 0;
+            case 'LIKE':
+            case 'NOT LIKE': {
+                const found = DataTablesJS.likeToRegExp(value).test(String(cell));
+                return operator === 'LIKE' ? found : found === false;
+            }
+            case 'IN':
+            case 'NOT IN': {
+                const values = value.split(',').map(v => v.trim()).filter(v => v !== '');
+                if (values.length === 0) {
+                    return true;
+                }
+                const found = values.some(v => compare(v) === 0);
+                return operator === 'IN' ? found : found === false;
+            }
+            case 'BETWEEN':
+                // A single filled bound applies on its own
+                return (value === '' || compare(value) >= 0) && (valueTo === '' || compare(valueTo) <= 0);
+            case 'REGEXP':
+                try {
+                    return new RegExp(value, 'i').test(String(cell));
+                } catch (e) {
+                    return false;
+                }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Compare two values the way MySQL would for a case-insensitive column:
+     * numerically when both are numbers, otherwise as strings.
+     */
+    static compareValues(a, b) {
+        const textA = String(a).trim();
+        const textB = String(b).trim();
+        if (textA !== '' && textB !== '' && Number.isNaN(Number(textA)) === false && Number.isNaN(Number(textB)) === false) {
+            return Number(textA) - Number(textB);
+        }
+        return textA.localeCompare(textB, undefined, { sensitivity: 'base' });
+    }
+
+    // Match a filter value the way the server's LIKE '%value%' does, wildcards included
+    static likeToRegExp(value) {
+        const source = value
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/%/g, '.*')
+            .replace(/_/g, '.');
+        return new RegExp(source, 'is');
+    }
+
+    // === INFINITE SCROLL ===
+    getScrollContainer() {
+        return this.query('.datatables-table')?.parentElement || null;
+    }
+
+    bindInfiniteScroll() {
+        const scroller = this.getScrollContainer();
+        if (scroller === null) {
+            return;
+        }
+
+        let frame = null;
+        scroller.addEventListener('scroll', () => {
+            if (frame !== null) {
+                return;
+            }
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                this.renderVirtualRows();
+                this.checkInfiniteScroll();
+            });
+        });
+    }
+
+    hasMoreRows() {
+        if (this.cursorPagination) {
+            return this.nextCursor !== null;
+        }
+        return (this.pageData || []).length < this.totalRecords;
+    }
+
+    checkInfiniteScroll() {
+        const scroller = this.getScrollContainer();
+        if (scroller === null || this.loadingMore || this.hasMoreRows() === false) {
+            return;
+        }
+
+        // Within a few rows of the bottom, or the loaded rows don't fill the container yet
+        const threshold = (this.rowHeight || 40) * 5;
+        if (scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - threshold) {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * Fetch and append the next page. No-op while a page is already loading
+     * or once every row has been loaded.
+     */
+    loadMore() {
+        if (this.loadingMore || this.hasMoreRows() === false) {
+            return;
+        }
+
+        this.loadingMore = true;
+        this.currentPage++;
+        if (this.cursorPagination) {
+            this.cursor = this.nextCursor;
+        }
+
+        const tbody = this.query('.datatables-tbody');
+        if (tbody) {
+            const centerClass = this.getThemeClass('table.center');
+            const mutedClass = this.getThemeClass('table.muted');
+            tbody.insertAdjacentHTML('beforeend', `<tr class="datatables-loading-more"><td colspan="${this.getColumnCount()}" class="${centerClass} ${mutedClass}">${this.t('table.loading_more')}</td></tr>`);
+        }
+
+        this.loadData(true);
+    }
+
+    loadMoreFailed() {
+        this.loadingMore = false;
+        this.currentPage--;
+        this.queryAll('.datatables-loading-more').forEach(row => row.remove());
+    }
+
+    /**
+     * Render only the loaded rows near the scroll position, with spacer rows
+     * standing in for the rest so the scrollbar keeps its full height.
+     */
+    renderVirtualRows(force = false) {
+        const tbody = this.query('.datatables-tbody');
+        const scroller = this.getScrollContainer();
+        const rows = this.pageData || [];
+        if (!tbody || scroller === null || rows.length === 0) {
+            return;
+        }
+
+        // Replacing the rows would throw away an open inline editor
+        if (force === false && tbody.querySelector('.inline-editable input, .inline-editable select, .inline-editable textarea')) {
+            return;
+        }
+
+        const hadFocus = this.gridHasFocus();
+        const rowHeight = this.rowHeight || 40;
+        const buffer = 20;
+        const visibleCount = Math.ceil(scroller.clientHeight / rowHeight);
+
+        // Keep the window start even so striped rows don't flicker while scrolling
+        let start = Math.max(0, Math.floor(scroller.scrollTop / rowHeight) - buffer);
+        start -= start % 2;
+        const end = Math.min(rows.length, start + visibleCount + buffer * 2);
+
+        if (force === false && start === this.virtualStart && end === this.virtualEnd) {
+            return;
+        }
+        this.virtualStart = start;
+        this.virtualEnd = end;
+
+        const tableSchema = this.getTableSchema();
+        const columnCount = this.getColumnCount();
+        const spacer = height => `<tr class="datatables-spacer" aria-hidden="true" style="height: ${height}px"><td colspan="${columnCount}" style="padding: 0; border: 0"></td></tr>`;
+
+        let html = spacer(start * rowHeight);
+        html += rows.slice(start, end).map(row => this.renderRow(row, tableSchema)).join('');
+        html += spacer((rows.length - end) * rowHeight);
+        tbody.innerHTML = html;
+
+        // Measure once real rows exist; spacer heights are estimated from it
+        if (force) {
+            const rendered = tbody.querySelectorAll('tr[data-id]');
+            if (rendered.length > 0) {
+                let total = 0;
+                rendered.forEach(tr => {
+                    total += tr.offsetHeight;
+                });
+                this.rowHeight = total / rendered.length || rowHeight;
+            }
+        }
+
+        this.applyFrozenColumns();
+        this.bindTableEvents();
+        this.paintCellRange();
+        this.syncGridFocus(hadFocus);
+    }
+
+    updateLoadedRow(id, field, value, element) {
+        const row = this.rowData[id];
+        if (row) {
+            row[this.columnKey(field)] = value;
+        }
+
+        // The edited cell may have scrolled out of the window while saving
+        if (this.infiniteScroll && element.isConnected === false) {
+            this.renderVirtualRows(true);
+        }
+        this.calculatePageAggregations(this.pageData);
+        this.loadAggregations();
+    }
+
+    // === AGGREGATION ===
+    loadAggregations() {
+        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+            return;
+        }
+
+        // Client-side totals cover every row matching the search and filters
+        if (this.clientSide) {
+            this.calculateAggregations(this.clientRows || [], 'all');
+            return;
+        }
+
+        const params = new URLSearchParams({
+            action: 'fetch_aggregations',
+            table: this.tableName,
+            search: this.search,
+            filters: JSON.stringify(this.activeFilters)
+        });
+
+        this.requestLatest('aggregations', params)
+            .then(data => {
+                if (data.success && data.aggregations) {
+                    this.renderAggregations(data.aggregations);
+                }
+            })
+            .catch(error => {
+                if (DataTablesJS.isAbortError(error)) {
+                    return;
+                }
+                console.error('Error loading aggregations:', error);
+            });
+    }
+
+    renderAggregations(serverAggregations) {
+        // Update "all" scope cells from server data
+        this.queryAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(cell => {
+            const column = cell.getAttribute('data-agg-column');
+            const type = cell.getAttribute('data-agg-type');
+            if (serverAggregations[column] && serverAggregations[column][type] !== undefined) {
+                cell.textContent = this.formatAggValue(serverAggregations[column][type], column);
+            }
+        });
+    }
+
+    calculatePageAggregations(data) {
+        this.calculateAggregations(data, 'page');
+    }
+
+    calculateAggregations(data, scope) {
+        if (!this.footerAggregations || Object.keys(this.footerAggregations).length === 0) {
+            return;
+        }
+
+        if (!data || data.length === 0) {
+            this.queryAll(`.datatables-agg-cell[data-agg-scope="${scope}"]`).forEach(cell => {
+                cell.textContent = '—';
+            });
+            return;
+        }
+
+        this.queryAll(`.datatables-agg-cell[data-agg-scope="${scope}"]`).forEach(cell => {
+            const column = cell.getAttribute('data-agg-column');
+            const type = cell.getAttribute('data-agg-type');
+
+            let values = data.map(row => {
+                let val = row[column];
+                if (val === null || val === undefined || val === '') {
+                    return 0;
+                }
+                return parseFloat(val) || 0;
+            });
+
+            let result = 0;
+            if (type === 'sum') {
+                result = values.reduce((a, b) => a + b, 0);
+            } else if (type === 'avg') {
+                const sum = values.reduce((a, b) => a + b, 0);
+                result = values.length > 0 ? sum / values.length : 0;
+            }
+
+            cell.textContent = this.formatAggValue(result, column);
+        });
+    }
+
+    // Totals use the column's number, currency or percent format, otherwise up to 2 decimals
+    formatAggValue(value, column = null) {
+        const format = column === null ? null : this.columnFormat(column);
+        if (format && ['number', 'currency', 'percent'].includes(format.type)) {
+            return this.formatValue(value, format);
+        }
+        if (Number.isInteger(value)) {
+            return value.toLocaleString(this.locale);
+        }
+        return parseFloat(value.toFixed(2)).toLocaleString(this.locale, {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2
+        });
+    }
+
+    // === TABLE RENDERING ===
+    renderTable(data) {
+        const tbody = this.query('.datatables-tbody');
+        if (!tbody) { return; }
+
+        this.pageData = data || [];
+
+        const columnCount = this.getColumnCount();
+        const centerClass = this.getThemeClass('table.center');
+        const mutedClass = this.getThemeClass('table.muted');
+        const hadFocus = this.gridHasFocus();
+
+        if (!data || data.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${columnCount}" class="${centerClass} ${mutedClass}">${this.t('table.no_records')}</td></tr>`;
+            this.syncGridFocus(hadFocus);
+            return;
+        }
+
+        // Get table schema for field type information
+        const tableSchema = this.getTableSchema();
+
+        // Store row data for callbacks and row events
+        data.forEach(row => {
+            this.rowData[this.getRowId(row)] = row;
+        });
+
+        if (this.infiniteScroll) {
+            this.renderVirtualRows(true);
+            this.checkInfiniteScroll();
+        } else {
+            tbody.innerHTML = data.map(row => this.renderRow(row, tableSchema)).join('');
+            this.applyFrozenColumns();
+            this.bindTableEvents();
+            this.paintCellRange();
+            this.syncGridFocus(hadFocus);
+        }
+
+        this.updateBulkActionButtons();
+        this.calculatePageAggregations(data);
+        this.emit('afterRender', { data, tbody });
+    }
+
+    // Find the ID value regardless of key format
+    getRowId(row) {
+        return row['s.id'] || row['id'] || row[this.primaryKey] || Object.values(row)[0];
+    }
+
+    renderRow(row, tableSchema = this.getTableSchema()) {
+        const shrinkClass = this.getThemeClass('table.shrink');
+        const checkboxClass = this.getThemeClass('checkbox');
+
+        const esc = DataTablesJS.escapeHtml;
+        const rowId = this.getRowId(row);
+        const rowClass = this.getRowClass(rowId);
+
+        const selected = this.bulkActionsEnabled ? ` aria-selected="${this.selectedIds.has(String(rowId))}"` : '';
+        let html = `<tr${rowClass ? ` class="${esc(rowClass)} row-select"` : ''} data-id="${esc(rowId)}"${selected}>`;
+
+        // Bulk selection checkbox
+        if (this.bulkActionsEnabled) {
+            html += `<td class="${shrinkClass} row-check">`;
+            html += `<label><input type="checkbox" class="${checkboxClass} row-checkbox" value="${esc(rowId)}"${this.selectedIds.has(String(rowId)) ? ' checked' : ''} onchange="${this.jsRef}.toggleRowSelection(this)"></label>`;
+            html += '</td>';
+        }
+
+        // Action column at start
+        if (this.actionConfig.position === 'start') {
+            html += `<td class="${shrinkClass} row-action">`;
+            html += this.renderActionButtons(rowId, row);
+            html += '</td>';
+        }
+
+        // Regular columns - simplified structure where key=column, value=label
+        this.visibleColumns().forEach(
+            column => {
+                // Check for CSS classes using both full column key and alias name
+                let columnClass = this.cssClasses?.columns?.[column] || '';
+                if (!columnClass && column.toLowerCase().includes(' as ')) {
+                    const parts = column.split(/\s+as\s+/i);
+                    if (parts.length === 2) {
+                        const aliasName = parts[1].replace(/[`'"]/g, '');
+                        columnClass = this.cssClasses?.columns?.[aliasName] || '';
+                    }
+                }
+                const isEditable = this.inlineEditableColumns.includes(column);
+
+                // Handle aliases - if column contains " AS ", use the alias name to access row data
+                let dataKey = column;
+                if (column.toLowerCase().includes(' as ')) {
+                    const parts = column.split(/\s+as\s+/i);
+                    if (parts.length === 2) {
+                        dataKey = parts[1].replace(/[`'"]/g, ''); // Remove any quotes/backticks
+                    }
+                }
+
+                // Row values are escaped wherever they land; 'html' columns get sanitized markup instead
+                let cellContent = row[dataKey] ?? '';
+                const tdClass = isEditable ? ' cell-edit' : '';
+
+                // Get field type from schema
+                const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+                const editAttrs = `data-field="${esc(column)}" data-id="${esc(rowId)}" data-type="${esc(fieldType)}"`;
+
+                // A registered renderer replaces the type's display; editing starts from the raw data-value
+                const rendered = this.renderCell(column, cellContent, row, tableSchema);
+                if (rendered !== null) {
+                    const toggle = fieldType === 'boolean' ? ' boolean-toggle' : '';
+                    cellContent = isEditable
+                        ? `<span class="inline-editable${toggle}" ${editAttrs} data-value="${esc(cellContent)}" style="cursor: pointer;">${rendered}</span>`
+                        : rendered;
+
+                    // Handle boolean display with icons
+                } else if (fieldType === 'boolean') {
+                    const isActive = cellContent == '1' || cellContent === 'true' || cellContent === true;
+                    const iconName = isActive ? 'check' : 'close';
+                    const iconClass = isActive ? this.getThemeClass('icon.success') : this.getThemeClass('icon.danger');
+
+                    // Store the raw value for form population
+                    const rawValue = cellContent; // Keep original value
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable boolean-toggle" ${editAttrs} data-value="${esc(rawValue)}" style="cursor: pointer;">`;
+                        cellContent += this.renderIcon(iconName, iconClass);
+                        cellContent += '</span>';
+                    } else {
+                        cellContent = `<span data-value="${esc(rawValue)}">${this.renderIcon(iconName, iconClass)}</span>`;
+                    }
+
+                    // Handle select display with labels
+                } else if (fieldType === 'select') {
+                    const selectOptions = tableSchema[column]?.form_options || {};
+                    // Convert cellContent to string to ensure proper key lookup
+                    const cellContentStr = String(cellContent);
+                    // Use nullish coalescing or check if key exists to handle '0' value correctly
+                    const displayLabel = this.cellHtml(cellContentStr in selectOptions ? selectOptions[cellContentStr] : cellContent, column, tableSchema);
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable" ${editAttrs} data-value="${esc(cellContent)}" style="cursor: pointer;">${displayLabel}</span>`;
+                    } else {
+                        cellContent = displayLabel;
+                    }
+
+                    // Handle select2 display with fetched labels
+                } else if (fieldType === 'select2') {
+                    const labelKey = dataKey + '_label';
+                    const displayValue = this.cellHtml(row[labelKey] || cellContent, column, tableSchema);
+
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable" ${editAttrs} data-value="${esc(cellContent)}" style="cursor: pointer;">${displayValue}</span>`;
+                    } else {
+                        cellContent = displayValue;
+                    }
+
+                    // Handle image display with thumbnails
+                } else if (fieldType === 'image') {
+                    const roundedClass = this.getThemeClass('border.rounded');
+                    if (cellContent && String(cellContent).trim()) {
+                        cellContent = String(cellContent);
+                        const imageSrc = esc(cellContent.startsWith('http') ? cellContent : `/uploads/${cellContent}`);
+
+                        if (isEditable) {
+                            cellContent = `<span class="inline-editable" ${editAttrs} data-value="${esc(cellContent)}" style="cursor: pointer;">`;
+                            cellContent += `<img src="${imageSrc}" alt="${this.t('image.alt')}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                            cellContent += '</span>';
+                        } else {
+                            cellContent = `<img src="${imageSrc}" alt="${this.t('image.alt')}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                        }
+                    } else {
+                        cellContent = isEditable ?
+                            `<span class="inline-editable" ${editAttrs} data-value="" style="cursor: pointer;">${this.t('image.none')}</span>` :
+                            this.t('image.none');
+                    }
+
+                } else {
+
+                    // Display format or markup from the column config; editing starts from the raw data-value
+                    const raw = this.columnFormat(column, tableSchema) !== null || tableSchema[column]?.html === true;
+                    const display = this.cellHtml(cellContent, column, tableSchema);
+
+                    // Add inline-editable class and attributes for non-boolean editable fields
+                    if (isEditable) {
+                        cellContent = `<span class="inline-editable" ${editAttrs}${raw ? ` data-value="${esc(cellContent)}"` : ''} style="cursor: pointer;">${display}</span>`;
+                    } else {
+                        cellContent = display;
+                    }
+                }
+
+                const classNames = [columnClass, tdClass].filter(c => c).join(' ');
+                html += `<td${classNames ? ` class="${classNames}"` : ''} data-column="${esc(dataKey)}">${cellContent}</td>`;
+            }
+        );
+
+        // Action column at end
+        if (this.actionConfig.position === 'end') {
+            html += `<td class="${shrinkClass} row-action">`;
+            html += this.renderActionButtons(rowId, row);
+            html += '</td>';
+        }
+
+        html += '</tr>';
+
+        return html;
+    }
+
+    renderActionButtons(rowId, rowData = {}) {
+        let html = '';
+        const iconLinkClass = this.getThemeClass('icon.link');
+        const marginSmallRightClass = this.getThemeClass('margin.smallRight');
+
+        // Helper function to replace all placeholders in a string. Row values are HTML-escaped;
+        // in onclick they are also escaped as JS string content, since the browser decodes the attribute first
+        const esc = DataTablesJS.escapeHtml;
+        const jsText = value => esc(String(value).replace(/[\\'"`<>\n\r\u2028\u2029]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')));
+        const replacePlaceholders = (str, encode = esc) => {
+            if (typeof str !== 'string') return str;
+
+            let result = str.replace('{id}', () => encode(rowId));
+            for (const [column, value] of Object.entries(rowData)) {
+                const placeholder = '{' + column + '}';
+                result = result.replace(new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), () => encode(value ?? ''));
+            }
+            return result;
+        };
+
+        // Check if we have action groups configured
+        if (this.actionConfig.groups && this.actionConfig.groups.length > 0) {
+
+            this.actionConfig.groups.forEach(group => {
+
+                if (Array.isArray(group)) {
+                    // Array of built-in actions like ['edit', 'delete']
+                    group.forEach(actionItem => {
+                        switch (actionItem) {
+                            case 'edit':
+                                if (this.theme === 'uikit') {
+                                    html += `<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="${this.t('actions.edit')}" uk-tooltip="${this.t('actions.edit')}"></a>`;
+                                } else {
+                                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="${this.t('actions.edit')}">${this.renderIcon('pencil')}</a>`;
+                                }
+                                break;
+                            case 'delete':
+                                if (this.theme === 'uikit') {
+                                    html += `<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="${this.t('actions.delete')}" uk-tooltip="${this.t('actions.delete')}"></a>`;
+                                } else {
+                                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="${this.t('actions.delete')}">${this.renderIcon('trash')}</a>`;
+                                }
+                                break;
+                        }
+                    });
+                } else if (typeof group === 'object' && group !== null) {
+
+                    // Handle all html* keys with location 'before' first
+                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
+                        const htmlConfig = group[htmlKey];
+                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
+                            if (htmlConfig.location === 'before' || htmlConfig.location === 'both') {
+                                html += replacePlaceholders(htmlConfig.content);
+                            }
+                        } else if (typeof htmlConfig === 'string') {
+                            html += replacePlaceholders(htmlConfig);
+                        }
+                    });
+
+                    // Get action keys (excluding 'html')
+                    const actionKeys = Object.keys(group).filter(key => !key.startsWith('html'));
+
+                    actionKeys.forEach(actionKey => {
+                        const actionConfig = group[actionKey];
+
+                        if (!actionConfig || typeof actionConfig !== 'object') return;
+
+                        // Check for action-level html before
+                        if (actionConfig.html) {
+                            if (typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
+                                if (actionConfig.html.location === 'before' || actionConfig.html.location === 'both') {
+                                    html += replacePlaceholders(actionConfig.html.content);
+                                }
+                            } else if (typeof actionConfig.html === 'string' && !actionConfig.hasCallback && actionConfig.href === undefined && actionConfig.icon === undefined) {
+                                // Only skip if this is PURELY an html entry with no action
+                                html += replacePlaceholders(actionConfig.html);
+                                return;
+                            }
+                        }
+
+                        if (actionConfig.hasCallback) {
+                            // Handle callback action (callback was stripped but hasCallback flag remains)
+                            const icon = actionConfig.icon || 'link';
+                            const title = actionConfig.title || '';
+                            const className = actionConfig.class || 'btn-custom';
+                            const confirm = actionConfig.confirm || '';
+
+                            if (this.theme === 'uikit') {
+                                html += '<a href="#" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
+                            } else {
+                                html += '<a href="#" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
+                            }
+                            html += ' data-action="' + esc(actionKey) + '"';
+                            html += ' data-id="' + esc(rowId) + '"';
+                            html += ' data-confirm="' + esc(confirm) + '"';
+                            html += ' onclick="' + this.jsRef + '.executeActionCallback(\'' + actionKey + '\', ' + esc(JSON.stringify(String(rowId))) + ', event)"';
+                            html += '>';
+                            if (this.theme !== 'uikit') {
+                                html += this.renderIcon(icon);
+                            }
+                            html += '</a>';
+                        } else if (actionConfig.href !== undefined || actionConfig.icon !== undefined) {
+                            // Handle link-based action
+                            const icon = replacePlaceholders(actionConfig.icon || 'link');
+                            const title = replacePlaceholders(actionConfig.title || '');
+                            const className = replacePlaceholders(actionConfig.class || 'btn-custom');
+                            // A row value at the start of the URL can't make it a javascript: link
+                            const safeHref = DataTablesJS.isSafeUrl(replacePlaceholders(actionConfig.href || '#', String))
+                                || DataTablesJS.isSafeUrl(actionConfig.href || '#') === false;
+                            const href = safeHref ? replacePlaceholders(actionConfig.href || '#') : '#';
+                            const onclick = replacePlaceholders(actionConfig.onclick || '', jsText);
+                            const attributes = actionConfig.attributes || {};
+
+                            if (this.theme === 'uikit') {
+                                html += '<a href="' + href + '" class="uk-icon-link ' + className + '" uk-icon="' + icon + '" title="' + title + '" uk-tooltip="' + title + '"';
+                            } else {
+                                html += '<a href="' + href + '" class="' + iconLinkClass + ' ' + className + '" title="' + title + '"';
+                            }
+                            if (onclick) {
+                                html += ' onclick="' + onclick + '"';
+                            }
+
+                            // Add custom attributes
+                            for (const [attrName, attrValue] of Object.entries(attributes)) {
+                                const processedValue = replacePlaceholders(String(attrValue));
+                                html += ' ' + attrName + '="' + processedValue + '"';
+                            }
+
+                            html += '>';
+                            if (this.theme !== 'uikit') {
+                                html += this.renderIcon(icon);
+                            }
+                            html += '</a>';
+                        }
+
+                        // Check for action-level html after
+                        if (actionConfig.html && typeof actionConfig.html === 'object' && actionConfig.html.location && actionConfig.html.content) {
+                            if (actionConfig.html.location === 'after' || actionConfig.html.location === 'both') {
+                                html += replacePlaceholders(actionConfig.html.content);
+                            }
+                        }
+                    });
+
+                    // Handle all html* keys with location 'after' last
+                    Object.keys(group).filter(key => key.startsWith('html')).forEach(htmlKey => {
+                        const htmlConfig = group[htmlKey];
+                        if (typeof htmlConfig === 'object' && htmlConfig.location && htmlConfig.content) {
+                            if (htmlConfig.location === 'after' || htmlConfig.location === 'both') {
+                                html += replacePlaceholders(htmlConfig.content);
+                            }
+                        }
+                    });
+                }
+            });
+        } else {
+            // Fallback to default buttons if no groups configured
+            if (this.actionConfig.show_edit !== false) {
+                if (this.theme === 'uikit') {
+                    html += `<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="${this.t('actions.edit')}" uk-tooltip="${this.t('actions.edit')}"></a>`;
+                } else {
+                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="${this.t('actions.edit')}">${this.renderIcon('pencil')}</a>`;
+                }
+            }
+            if (this.actionConfig.show_delete !== false) {
+                if (this.theme === 'uikit') {
+                    html += `<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="${this.t('actions.delete')}" uk-tooltip="${this.t('actions.delete')}"></a>`;
+                } else {
+                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="${this.t('actions.delete')}">${this.renderIcon('trash')}</a>`;
+                }
+            }
+        }
+
+        return html;
+    }
+
+    // === PAGINATION ===
+    // First and last record number on screen
+    getInfoRange(data) {
+        let start = (data.page - 1) * data.per_page + 1;
+        let end = Math.min(start + data.per_page - 1, data.total);
+        if (this.infiniteScroll) {
+            start = 1;
+            end = (this.pageData || []).length;
+        } else if (this.cursorPagination) {
+            start = (this.currentPage - 1) * this.perPage + 1;
+            end = start + (data.data || []).length - 1;
+        }
+        return { start, end };
+    }
+
+    renderInfo(data) {
+        const { start, end } = this.getInfoRange(data);
+
+        // Cursor pagination only has a total when counting is switched on
+        const infoText = data.total === null
+            ? this.t('info.range', { start, end })
+            : this.t('info.range_total', { start, end, count: Number(data.total) });
+
+        this.queryAll('.datatables-info').forEach(info => {
+            info.textContent = infoText;
+        });
+    }
+
+    renderPagination(data) {
+        if (this.cursorPagination && this.infiniteScroll === false) {
+            this.renderCursorPagination();
+            return;
+        }
+
+        if (this.infiniteScroll || data.total_pages <= 1) {
+            this.queryAll('.datatables-pagination').forEach(pagination => {
+                pagination.innerHTML = '';
+            });
+            return;
+        }
+
+        let html = '';
+        const currentPage = parseInt(data.page);
+        const totalPages = parseInt(data.total_pages);
+        const disabledClass = this.getThemeClass('pagination.disabled');
+        const activeClass = this.getThemeClass('pagination.active');
+
+        if (this.theme === 'bootstrap') {
+            // Bootstrap pagination structure
+            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="${this.jsRef}.goToPage(1)"`} title="${this.t('pagination.first')}">&laquo;&laquo;</a></li>`;
+
+            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="${this.jsRef}.goToPage(${currentPage - 1})"`} title="${this.t('pagination.previous')}">&laquo;</a></li>`;
+
+            if (currentPage > 2) {
+                html += `<li class="page-item"><a class="page-link" onclick="${this.jsRef}.goToPage(1)">1</a></li>`;
+                if (currentPage > 3) {
+                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li class="page-item${i === currentPage ? ' active' : ''}">`;
+                html += `<a class="page-link" ${i === currentPage ? '' : `onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+                }
+                html += `<li class="page-item"><a class="page-link" onclick="${this.jsRef}.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="${this.jsRef}.goToPage(${currentPage + 1})"`} title="${this.t('pagination.next')}">&raquo;</a></li>`;
+
+            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
+            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="${this.jsRef}.goToPage(${totalPages})"`} title="${this.t('pagination.last')}">&raquo;&raquo;</a></li>`;
+
+        } else if (this.theme === 'uikit') {
+            // UIKit pagination structure
+            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : ` onclick="${this.jsRef}.goToPage(1)"`} title="${this.t('pagination.first')}">`;
+            html += '<span uk-icon="chevron-double-left"></span></a></li>';
+
+            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : ` onclick="${this.jsRef}.goToPage(${currentPage - 1})"`} title="${this.t('pagination.previous')}">`;
+            html += '<span uk-pagination-previous></span></a></li>';
+
+            if (currentPage > 2) {
+                html += `<li><a onclick="${this.jsRef}.goToPage(1)">1</a></li>`;
+                if (currentPage > 3) {
+                    html += '<li class="uk-disabled"><span>...</span></li>';
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li${i === currentPage ? ' class="uk-active"' : ''}>`;
+                html += `<a ${i === currentPage ? '' : ` onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += '<li class="uk-disabled"><span>...</span></li>';
+                }
+                html += `<li><a onclick="${this.jsRef}.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : ` onclick="${this.jsRef}.goToPage(${currentPage + 1})"`} title="${this.t('pagination.next')}">`;
+            html += '<span uk-pagination-next></span></a></li>';
+
+            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : ` onclick="${this.jsRef}.goToPage(${totalPages})"`} title="${this.t('pagination.last')}">`;
+            html += '<span uk-icon="chevron-double-right"></span></a></li>';
+
+        } else {
+            // Plain/Tailwind pagination structure
+            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : `onclick="${this.jsRef}.goToPage(1)"`} title="${this.t('pagination.first')}">${this.renderIcon('chevron-double-left')}</a></li>`;
+
+            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === 1 ? '' : `onclick="${this.jsRef}.goToPage(${currentPage - 1})"`} title="${this.t('pagination.previous')}">&laquo;</a></li>`;
+
+            if (currentPage > 2) {
+                html += `<li><a onclick="${this.jsRef}.goToPage(1)">1</a></li>`;
+                if (currentPage > 3) {
+                    html += `<li class="${disabledClass}"><span>...</span></li>`;
+                }
+            }
+
+            const start = Math.max(1, currentPage - 1);
+            const end = Math.min(totalPages, currentPage + 1);
+            for (let i = start; i <= end; i++) {
+                html += `<li${i === currentPage ? ` class="${activeClass}"` : ''}>`;
+                html += `<a ${i === currentPage ? '' : `onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;
+            }
+
+            if (currentPage < totalPages - 1) {
+                if (currentPage < totalPages - 2) {
+                    html += `<li class="${disabledClass}"><span>...</span></li>`;
+                }
+                html += `<li><a onclick="${this.jsRef}.goToPage(${totalPages})">${totalPages}</a></li>`;
+            }
+
+            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : `onclick="${this.jsRef}.goToPage(${currentPage + 1})"`} title="${this.t('pagination.next')}">&raquo;</a></li>`;
+
+            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
+            html += `<a ${currentPage === totalPages ? '' : `onclick="${this.jsRef}.goToPage(${totalPages})"`} title="${this.t('pagination.last')}">${this.renderIcon('chevron-double-right')}</a></li>`;
+        }
+
+        this.queryAll('.datatables-pagination').forEach(pagination => {
+            pagination.innerHTML = html;
+        });
+    }
+
+    /**
+     * Render First / Previous / Next controls from the cursors of the last
+     * response; there are no page numbers without a total.
+     */
+    renderCursorPagination() {
+        const hasPrev = this.prevCursor !== null;
+        const hasNext = this.nextCursor !== null;
+        let html = '';
+
+        if (hasPrev || hasNext) {
+            const disabledClass = this.getThemeClass('pagination.disabled');
+            const items = [
+                { enabled: hasPrev, onclick: 'goToPage(1)', title: this.t('pagination.first'), label: this.theme === 'uikit' ? '<span uk-icon="chevron-double-left"></span>' : (this.theme === 'bootstrap' ? '&laquo;&laquo;' : this.renderIcon('chevron-double-left')) },
+                { enabled: hasPrev, onclick: 'prevPage()', title: this.t('pagination.previous'), label: this.theme === 'uikit' ? `<span uk-pagination-previous></span> ${this.t('pagination.previous_label')}` : `&laquo; ${this.t('pagination.previous_label')}` },
+                { enabled: hasNext, onclick: 'nextPage()', title: this.t('pagination.next'), label: this.theme === 'uikit' ? `${this.t('pagination.next_label')} <span uk-pagination-next></span>` : `${this.t('pagination.next_label')} &raquo;` }
+            ];
+
+            items.forEach(item => {
+                const onclick = item.enabled ? ` onclick="${this.jsRef}.${item.onclick}"` : '';
+                if (this.theme === 'bootstrap') {
+                    html += `<li class="page-item${item.enabled ? '' : ' disabled'}">`;
+                    html += `<a class="page-link"${onclick} title="${item.title}">${item.label}</a></li>`;
+                } else {
+                    html += `<li${item.enabled ? '' : ` class="${disabledClass}"`}>`;
+                    html += `<a${onclick} title="${item.title}">${item.label}</a></li>`;
+                }
+            });
+        }
+
+        this.queryAll('.datatables-pagination').forEach(pagination => {
+            pagination.innerHTML = html;
+        });
+    }
+
+    /**
+     * Go to a page. With cursor pagination only the first page can be
+     * addressed by number; use nextPage() / prevPage() to move on from there.
+     */
+    goToPage(page) {
+        if (this.cursorPagination) {
+            this.cursor = '';
+            page = 1;
+        }
+        this.currentPage = page;
+        this.loadData();
+    }
+
+    nextPage() {
+        if (this.cursorPagination === false) {
+            this.goToPage(this.currentPage + 1);
+            return;
+        }
+        if (this.nextCursor === null) {
+            return;
+        }
+        this.cursor = this.nextCursor;
+        this.currentPage++;
+        this.loadData();
+    }
+
+    prevPage() {
+        if (this.cursorPagination === false) {
+            this.goToPage(Math.max(1, this.currentPage - 1));
+            return;
+        }
+        if (this.prevCursor === null) {
+            return;
+        }
+        this.cursor = this.prevCursor;
+        this.currentPage = Math.max(1, this.currentPage - 1);
+        this.loadData();
+    }
+
+    getCursorQuery() {
+        return JSON.stringify([this.search, this.sortKeys, this.activeFilters, this.perPage]);
+    }
+
+    updateSortIcons() {
+        // Only the primary sort column carries aria-sort, as ARIA expects one at a time
+        this.queryAll('.datatables-table > thead th[data-sort]').forEach(th => {
+            const primary = this.sortKeys[0]?.column === th.getAttribute('data-sort');
+            if (primary) {
+                th.setAttribute('aria-sort', this.sortKeys[0].direction === 'ASC' ? 'ascending' : 'descending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+        });
+
+        this.queryAll('.sort-icon').forEach(
+            icon => {
+                if (this.theme === 'uikit') {
+                    icon.setAttribute('uk-icon', 'triangle-up');
+                } else {
+                    icon.innerHTML = this.renderIcon('triangle-up');
+                }
+            }
+        );
+        this.queryAll('.sort-priority').forEach(badge => badge.remove());
+
+        // Priority numbers only mean something once more than one column is sorted
+        const showPriority = this.sortKeys.length > 1;
+        const priorityClass = this.getThemeClass('sort.priority');
+
+        this.sortKeys.forEach((key, index) => {
+            this.queryAll(`th[data-sort="${CSS.escape(key.column)}"] .sort-icon`).forEach(sortIcon => {
+                const iconName = key.direction === 'ASC' ? 'triangle-up' : 'triangle-down';
+                if (this.theme === 'uikit') {
+                    sortIcon.setAttribute('uk-icon', iconName);
+                } else {
+                    sortIcon.innerHTML = this.renderIcon(iconName);
+                }
+
+                if (showPriority) {
+                    const badge = document.createElement('span');
+                    badge.className = `${priorityClass} sort-priority`;
+                    badge.setAttribute('aria-hidden', 'true');
+                    badge.textContent = index + 1;
+                    sortIcon.after(badge);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sort by a column. A plain click makes it the only sort key (toggling
+     * direction if it already was); with additive set (shift-click) it is
+     * appended as the next key, or has its direction toggled if present.
+     */
+    toggleSort(column, additive = false) {
+        const existing = this.sortKeys.find(key => key.column === column);
+
+        if (additive) {
+            if (existing) {
+                existing.direction = existing.direction === 'ASC' ? 'DESC' : 'ASC';
+            } else {
+                this.sortKeys.push({ column, direction: 'ASC' });
+            }
+        } else if (existing && this.sortKeys.length === 1) {
+            existing.direction = existing.direction === 'ASC' ? 'DESC' : 'ASC';
+        } else {
+            this.sortKeys = [{ column, direction: 'ASC' }];
+        }
+    }
+
+    isDefaultSort() {
+        return JSON.stringify(this.sortKeys) === JSON.stringify(this.defaultState.sortKeys);
+    }
+
+    // Primary sort key, kept for the single-column API
+    get sortColumn() {
+        return this.sortKeys[0]?.column || '';
+    }
+
+    set sortColumn(column) {
+        this.sortKeys = column ? [{ column, direction: this.sortDirection }] : [];
+    }
+
+    get sortDirection() {
+        return this.sortKeys[0]?.direction || 'ASC';
+    }
+
+    set sortDirection(direction) {
+        if (this.sortKeys[0]) {
+            this.sortKeys[0].direction = direction === 'DESC' ? 'DESC' : 'ASC';
+        }
+    }
+
+    // === KEYBOARD NAVIGATION ===
+    /**
+     * WAI-ARIA grid pattern over the header row and the body rows. The grid is
+     * one tab stop (roving tabindex); the arrow keys, Home/End and Ctrl+Home/End
+     * move between cells. Enter or F2 edits an inline-editable cell, sorts a
+     * sortable header, or moves into the cell's controls, and Escape comes back
+     * out. Space toggles the row checkbox. While editing, Tab and Shift+Tab
+     * commit and move to the next or previous editable cell.
+     */
+    bindGridKeys() {
+        document.addEventListener('focusin', (e) => {
+            const cell = this.gridCellOf(e.target);
+            if (cell) {
+                this.tableActive = true;
+                this.setGridCell(cell);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            // The path still holds the table when an editor removed itself on this key
+            const table = this.query('.datatables-table');
+            if (table === null || !e.composedPath().includes(table) || this.gridTabStop === null) {
+                return;
+            }
+
+            if (e.target === this.gridTabStop) {
+                this.handleGridKey(e, e.target);
+                return;
+            }
+
+            // Keys inside a cell: an inline editor, or a control reached with Enter
+            const editing = e.target.matches?.('input, select, textarea') &&
+                (e.target.isConnected === false || e.target.closest('.inline-editable') !== null);
+            if (e.key === 'Escape' || (e.key === 'Enter' && editing)) {
+                this.gridTabStop.focus();
+            } else if (e.key === 'Tab' && editing) {
+                e.preventDefault();
+                this.focusNextEditable(e.shiftKey ? -1 : 1);
+            }
+        });
+    }
+
+    gridRows() {
+        return this.queryAll('.datatables-table > thead > tr, .datatables-tbody > tr[data-id]');
+    }
+
+    gridCells(row) {
+        return Array.from(row.children).filter(cell => !cell.hidden);
+    }
+
+    // The grid cell holding a node, or null outside the grid
+    gridCellOf(node) {
+        const cell = node.closest?.('td, th');
+        if (!cell || !this.owns(cell)) {
+            return null;
+        }
+        return cell.matches('.datatables-table > thead > tr > th, .datatables-tbody > tr[data-id] > td') ? cell : null;
+    }
+
+    gridHasFocus() {
+        const table = this.query('.datatables-table');
+        return table !== null && table.contains(document.activeElement);
+    }
+
+    setGridCell(cell) {
+        if (this.gridTabStop && this.gridTabStop !== cell) {
+            this.gridTabStop.tabIndex = -1;
+        }
+        cell.tabIndex = 0;
+        this.gridTabStop = cell;
+
+        const row = cell.parentElement;
+        this.gridCell = {
+            id: row.getAttribute('data-id'),
+            row: this.gridRows().indexOf(row),
+            col: this.gridCells(row).indexOf(cell)
+        };
+    }
+
+    /**
+     * After a render, take every cell and control out of the tab order except
+     * the focused cell, found again by row ID (or by position once its row is
+     * gone), and give it focus back if the grid had it. With infinite scroll
+     * focus stays put once its row scrolls out, so the view doesn't jump back.
+     */
+    syncGridFocus(focus = false) {
+        const rows = this.gridRows();
+        if (rows.length === 0) {
+            return;
+        }
+
+        rows.forEach(row => {
+            this.gridCells(row).forEach(cell => {
+                cell.tabIndex = -1;
+                cell.querySelectorAll(DataTablesJS.focusableSelector).forEach(control => {
+                    control.tabIndex = -1;
+                });
+            });
+        });
+
+        const { id, row, col } = this.gridCell || { id: null, row: rows.length > 1 ? 1 : 0, col: 0 };
+        let tr = id === null ? rows[row] : rows.find(r => r.getAttribute('data-id') === id);
+        const found = tr !== undefined;
+        tr = tr || rows[Math.min(row, rows.length - 1)];
+
+        const cells = this.gridCells(tr);
+        const cell = cells[Math.min(col, cells.length - 1)];
+        this.setGridCell(cell);
+        if (focus && (found || !this.infiniteScroll)) {
+            cell.focus();
+        }
+    }
+
+    handleGridKey(e, cell) {
+        // Leave browser shortcuts such as Alt+Left alone
+        if (e.altKey || e.metaKey) {
+            return;
+        }
+
+        const rows = this.gridRows();
+        const row = cell.parentElement;
+        let rowIndex = rows.indexOf(row);
+        let colIndex = this.gridCells(row).indexOf(cell);
+
+        // Left and right follow the screen, so they swap columns in RTL
+        const step = this.isRtl() ? -1 : 1;
+        switch (e.key) {
+            case 'ArrowRight':
+                colIndex += step;
+                break;
+            case 'ArrowLeft':
+                colIndex -= step;
+                break;
+            case 'ArrowDown':
+                rowIndex++;
+                break;
+            case 'ArrowUp':
+                rowIndex--;
+                break;
+            case 'Home':
+                colIndex = 0;
+                if (e.ctrlKey) {
+                    rowIndex = 0;
+                }
+                break;
+            case 'End':
+                colIndex = Infinity;
+                if (e.ctrlKey) {
+                    rowIndex = rows.length - 1;
+                }
+                break;
+            case 'Enter':
+            case 'F2':
+                e.preventDefault();
+                this.activateGridCell(cell);
+                return;
+            case ' ': {
+                const checkbox = row.querySelector('.row-checkbox, .datatables-select-all');
+                if (checkbox) {
+                    e.preventDefault();
+                    checkbox.click();
+                }
+                return;
+            }
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        const target = rows[Math.max(0, Math.min(rowIndex, rows.length - 1))];
+        const cells = this.gridCells(target);
+        cells[Math.max(0, Math.min(colIndex, cells.length - 1))].focus();
+    }
+
+    activateGridCell(cell) {
+        const editable = cell.querySelector('.inline-editable');
+        if (editable) {
+            if (editable.classList.contains('boolean-toggle')) {
+                this.toggleBoolean(editable);
+            } else {
+                this.startInlineEdit(editable);
+            }
+            return;
+        }
+
+        const sortable = cell.querySelector('.sortable-header');
+        if (sortable) {
+            sortable.click();
+            return;
+        }
+
+        cell.querySelector(DataTablesJS.focusableSelector)?.focus();
+    }
+
+    // Leave the open editor (its blur commits it) for the next editable cell in reading order
+    focusNextEditable(direction) {
+        const cells = this.gridRows().flatMap(row => this.gridCells(row)).filter(cell => cell.querySelector('.inline-editable'));
+        const next = cells[cells.indexOf(this.gridTabStop) + direction];
+        (next || this.gridTabStop).focus();
+    }
+
+    // === ANNOUNCEMENTS ===
+    /**
+     * Read a message out through the table's polite live region. The region is
+     * emptied first so the same message is read again. A result count that
+     * follows an outcome within two seconds (a save reloads the table) is read
+     * together with it, rather than cutting it off.
+     */
+    announce(message, outcome = false) {
+        const region = document.getElementById(this.domId('datatables-live'));
+        if (!region || !message) {
+            return;
+        }
+
+        const now = Date.now();
+        if (outcome) {
+            this.lastOutcome = { message, time: now };
+        } else if (this.lastOutcome && now - this.lastOutcome.time < 2000) {
+            message = `${this.lastOutcome.message.replace(/[.!?]?$/, '.')} ${message}`;
+            this.lastOutcome = null;
+        }
+
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    // "Showing 26–50 of 312 results, sorted by Name ascending"
+    describeResults(data) {
+        const { start, end } = this.getInfoRange(data);
+        if (end < start) {
+            return this.t('results.none');
+        }
+
+        let message = data.total === null
+            ? this.t('results.range', { start, end })
+            : this.t('results.range_total', { start, end, count: Number(data.total) });
+
+        if (this.sortKeys.length > 0) {
+            const keys = this.sortKeys.map(key => this.t(key.direction === 'ASC' ? 'results.sort_asc' : 'results.sort_desc', { column: this.columnLabel(key.column) }));
+            message += this.t('results.sorted_by', { columns: keys.join(this.t('results.sort_separator')) });
+        }
+        return message;
+    }
+
+    // === CLIPBOARD ===
+    /**
+     * Drag across body cells (or shift+click) to select a cell range. Ctrl/Cmd+C
+     * copies the range, or the selected rows with a header row, as TSV and HTML.
+     * Pasting a TSV block starting at the clicked cell previews the changes to
+     * inline-editable columns, then saves them with one inline_edit_batch request.
+     */
+    bindClipboard() {
+        let dragStart = null;
+
+        document.addEventListener('mousedown', (e) => {
+            this.tableActive = Boolean(e.target.closest?.('.datatables-table')) && this.owns(e.target);
+            const cell = this.tableActive ? e.target.closest('.datatables-tbody td[data-column]') : null;
+
+            if (cell === null) {
+                if (this.tableActive === false && this.cellRange) {
+                    this.cellRange = null;
+                    this.paintCellRange();
+                }
+                return;
+            }
+            if (e.button !== 0 || e.target.closest('input, select, textarea, button, a')) {
+                return;
+            }
+
+            const point = this.cellPoint(cell);
+            if (e.shiftKey && this.cellAnchor) {
+                e.preventDefault();
+                this.cellRange = { anchor: this.cellAnchor, focus: point };
+            } else {
+                this.cellAnchor = point;
+                this.cellRange = null;
+                dragStart = point;
+            }
+            this.paintCellRange();
+        });
+
+        document.addEventListener('mouseover', (e) => {
+            const cell = dragStart && (e.buttons & 1) ? e.target.closest?.('.datatables-tbody td[data-column]') : null;
+            if (cell === null || cell === undefined || this.owns(cell) === false) {
+                return;
+            }
+            const point = this.cellPoint(cell);
+            if (this.cellRange === null && point.id === dragStart.id && point.column === dragStart.column) {
+                return;
+            }
+            this.cellRange = { anchor: dragStart, focus: point };
+            window.getSelection()?.removeAllRanges();
+            this.paintCellRange();
+        });
+
+        document.addEventListener('mouseup', () => {
+            dragStart = null;
+        });
+
+        document.addEventListener('copy', (e) => {
+            if (this.tableActive === false || DataTablesJS.isTextField(e.target)) {
+                return;
+            }
+            // Text the user highlighted on purpose still copies normally
+            const selection = window.getSelection();
+            if (this.cellRange === null && selection && selection.isCollapsed === false) {
+                return;
+            }
+
+            const grid = this.getCopyGrid();
+            if (grid === null) {
+                return;
+            }
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', DataTablesJS.toTsv(grid));
+            e.clipboardData.setData('text/html', DataTablesJS.toHtmlTable(grid));
+        });
+
+        document.addEventListener('paste', (e) => {
+            if (this.tableActive === false || this.cellAnchor === null || DataTablesJS.isTextField(e.target)) {
+                return;
+            }
+            const text = e.clipboardData?.getData('text/plain') || '';
+            if (text === '') {
+                return;
+            }
+            e.preventDefault();
+
+            // Paste into the top-left cell of a selected range, otherwise the clicked cell
+            const bounds = this.getCellRangeBounds();
+            const anchor = bounds === null ? this.cellAnchor : {
+                id: String(this.getRowId(this.pageData[bounds.top])),
+                column: this.columnKey(this.visibleColumns()[bounds.left])
+            };
+            this.pasteCells(text, anchor);
+        });
+    }
+
+    cellPoint(cell) {
+        return { id: cell.closest('tr').getAttribute('data-id'), column: cell.getAttribute('data-column') };
+    }
+
+    // Row and column index bounds of the selected range, or null if it has none or scrolled out of the data
+    getCellRangeBounds() {
+        if (this.cellRange === null) {
+            return null;
+        }
+        const ids = (this.pageData || []).map(row => String(this.getRowId(row)));
+        const keys = this.visibleColumns().map(column => this.columnKey(column));
+        const rows = [ids.indexOf(this.cellRange.anchor.id), ids.indexOf(this.cellRange.focus.id)];
+        const cols = [keys.indexOf(this.cellRange.anchor.column), keys.indexOf(this.cellRange.focus.column)];
+        if (rows.includes(-1) || cols.includes(-1)) {
+            return null;
+        }
+        return {
+            top: Math.min(...rows),
+            bottom: Math.max(...rows),
+            left: Math.min(...cols),
+            right: Math.max(...cols)
+        };
+    }
+
+    // Highlight the cells of the selected range among the rendered rows
+    paintCellRange() {
+        this.queryAll('.datatables-cell-selected').forEach(cell => cell.classList.remove('datatables-cell-selected'));
+        this.query('.datatables-table')?.classList.toggle('datatables-range-active', this.cellRange !== null);
+
+        const bounds = this.getCellRangeBounds();
+        if (bounds === null) {
+            return;
+        }
+        const rows = (this.pageData || []).slice(bounds.top, bounds.bottom + 1).map(row => String(this.getRowId(row)));
+        const keys = this.visibleColumns().slice(bounds.left, bounds.right + 1).map(column => this.columnKey(column));
+        this.queryAll('.datatables-tbody tr[data-id]').forEach(tr => {
+            if (rows.includes(tr.getAttribute('data-id'))) {
+                tr.querySelectorAll('td[data-column]').forEach(cell => {
+                    if (keys.includes(cell.getAttribute('data-column'))) {
+                        cell.classList.add('datatables-cell-selected');
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Cell text to copy: the selected range, or else the selected rows
+     * headed by the column labels. Null when nothing is selected.
+     */
+    getCopyGrid() {
+        const tableSchema = this.getTableSchema();
+        const bounds = this.getCellRangeBounds();
+
+        // Unformatted values, so a copied block pastes back into the table as it was
+        if (bounds !== null) {
+            const columns = this.visibleColumns().slice(bounds.left, bounds.right + 1);
+            return this.pageData.slice(bounds.top, bounds.bottom + 1)
+                .map(row => columns.map(column => this.getCellText(row, column, tableSchema, false)));
+        }
+
+        if (this.selectedIds.size > 0) {
+            const columns = this.visibleColumns();
+            const rows = Array.from(this.selectedIds).map(id => this.rowData[id]).filter(row => row !== undefined);
+            return [columns.map(column => this.columns[column] ?? column)]
+                .concat(rows.map(row => columns.map(column => this.getCellText(row, column, tableSchema, false))));
+        }
+
+        return null;
+    }
+
+    // Copy the selected range or rows from a button or script, where there's no copy event
+    copySelection() {
+        const grid = this.getCopyGrid();
+        if (grid === null) {
+            this.showNotification(this.t('clipboard.nothing_selected'), 'warning');
+            return Promise.resolve(false);
+        }
+
+        const tsv = DataTablesJS.toTsv(grid);
+        const copied = typeof ClipboardItem === 'function'
+            ? navigator.clipboard.write([new ClipboardItem({
+                'text/plain': new Blob([tsv], { type: 'text/plain' }),
+                'text/html': new Blob([DataTablesJS.toHtmlTable(grid)], { type: 'text/html' })
+            })])
+            : navigator.clipboard.writeText(tsv);
+
+        return copied.then(() => true, error => {
+            console.error('Error copying to clipboard:', error);
+            this.showNotification(this.t('clipboard.copy_failed'), 'danger');
+            return false;
+        });
+    }
+
+    /**
+     * Map pasted TSV onto the rendered rows and visible columns starting at
+     * anchor, preview the changed inline-editable cells, and save them on
+     * confirmation. Cells off the table, on other columns or with values the
+     * column can't take are skipped.
+     */
+    pasteCells(text, anchor) {
+        const tableSchema = this.getTableSchema();
+        const rows = this.pageData || [];
+        const columns = this.visibleColumns();
+        const startRow = rows.findIndex(row => String(this.getRowId(row)) === String(anchor.id));
+        const startColumn = columns.findIndex(column => this.columnKey(column) === anchor.column);
+        if (startRow === -1 || startColumn === -1) {
+            return;
+        }
+
+        let skipped = 0;
+        const changes = [];
+        DataTablesJS.parseTsv(text).forEach((values, r) => {
+            values.forEach((pasted, c) => {
+                const row = rows[startRow + r];
+                const column = columns[startColumn + c];
+                const value = row && column && this.inlineEditableColumns.includes(column)
+                    ? this.pasteValue(column, pasted, tableSchema)
+                    : null;
+                if (value === null) {
+                    skipped++;
+                    return;
+                }
+                if (String(row[this.columnKey(column)] ?? '') !== value) {
+                    changes.push({ id: String(this.getRowId(row)), field: column, value });
+                }
+            });
+        });
+
+        const detail = { changes, skipped };
+        if (!this.emit('beforePaste', detail) || detail.changes.length === 0) {
+            if (detail.changes.length === 0) {
+                this.showNotification(this.t(skipped > 0 ? 'clipboard.none_editable' : 'clipboard.unchanged'), 'warning');
+            }
+            return;
+        }
+
+        const esc = DataTablesJS.xmlEscape;
+        const previewRows = detail.changes.map(change => {
+            const row = this.rowData[change.id] || {};
+            const label = this.pasteLabel(change.field, change.value, tableSchema);
+            return `<tr><td>${esc(change.id)}</td><td>${esc(this.columns[change.field] ?? change.field)}</td>`
+                + `<td>${esc(this.getCellText(row, change.field, tableSchema))}</td><td><strong>${esc(label)}</strong></td></tr>`;
+        }).join('');
+        const count = detail.changes.length;
+        const message = this.t('clipboard.confirm', { count })
+            + (skipped > 0 ? ' ' + this.t('clipboard.skipped', { count: skipped }) : '')
+            + `<div style="max-height: 50vh; overflow: auto; margin-top: 10px;"><table class="${this.getThemeClass('table.preview')}">`
+            + `<thead><tr><th>${this.t('clipboard.id')}</th><th>${this.t('clipboard.column')}</th><th>${this.t('clipboard.current')}</th><th>${this.t('clipboard.new')}</th></tr></thead><tbody>${previewRows}</tbody></table></div>`;
+
+        this.showConfirm(message)
+            .then(() => this.saveInlineEdits(detail.changes))
+            .catch(() => {
+                // User cancelled
+            });
+    }
+
+    // The value to save for a pasted cell, or null when the column can't take it
+    pasteValue(column, text, tableSchema) {
+        const value = text.replace(/\r$/, '');
+        const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+
+        if (fieldType === 'select2') {
+            return null;
+        }
+        if (fieldType === 'boolean') {
+            if (/^(1|true|yes|y|on)$/i.test(value.trim())) {
+                return '1';
+            }
+            return /^(0|false|no|n|off)?$/i.test(value.trim()) ? '0' : null;
+        }
+        if (fieldType === 'select') {
+            // Accept option values or their labels, as copied from this table
+            const options = tableSchema[column]?.form_options || {};
+            if (Object.hasOwn(options, value)) {
+                return value;
+            }
+            const match = Object.entries(options).find(([, label]) => String(label).toLowerCase() === value.trim().toLowerCase());
+            return match ? match[0] : null;
+        }
+        if (fieldType === 'number' && value.trim() !== '' && Number.isNaN(Number(value))) {
+            return null;
+        }
+        return value;
+    }
+
+    pasteLabel(column, value, tableSchema) {
+        const options = tableSchema[column]?.form_options || {};
+        return Object.hasOwn(options, value) ? String(options[value]) : value;
+    }
+
+    /**
+     * Save several inline edits in one request, then reload.
+     * Each change is { id, field, value }.
+     */
+    saveInlineEdits(changes) {
+        const formData = new FormData();
+        formData.append('action', 'inline_edit_batch');
+        formData.append('table', this.tableName);
+        formData.append('edits', JSON.stringify(changes));
+
+        return this.request(formData, 'POST')
+            .then(data => {
+                this.emit('afterPaste', { changes, response: data });
+                if (data.success) {
+                    this.showNotification(data.message || this.t('inline.batch_saved'), 'success');
+                } else {
+                    this.showNotification(data.message || this.t('inline.batch_failed'), 'danger');
+                }
+                this.refresh();
+            })
+            .catch(error => {
+                console.error('Error:', error);
+                this.showNotification(this.t('error.generic'), 'danger');
+            });
+    }
+
+    // Inputs keep their native copy and paste
+    static isTextField(element) {
+        return element instanceof Element && (element.closest('input, textarea, select, [contenteditable="true"]') !== null);
+    }
+
+    static parseTsv(text) {
+        return DataTablesJS.parseDelimited(text, '\t');
+    }
+
+    // Split delimited text (TSV, CSV) into rows of cells; quoted cells may hold delimiters, newlines and "" escapes
+    static parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const source = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+
+    static toTsv(grid) {
+        return grid.map(row => row.map(cell => {
+            const text = String(cell ?? '');
+            return /[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join('\t')).join('\r\n');
+    }
+
+    static toHtmlTable(grid) {
+        const rows = grid.map(row => `<tr>${row.map(cell => `<td>${DataTablesJS.xmlEscape(cell ?? '')}</td>`).join('')}</tr>`);
+        return `<table>${rows.join('')}</table>`;
+    }
+
+    // === EXPORT ===
+    /**
+     * Download the table as CSV. scope is 'page' (the rendered rows),
+     * 'selected' (selectedIds) or 'all' (every row matching the search,
+     * filters and sort, streamed by the server). Visible columns only,
+     * in their current order.
+     */
+    exportCsv(scope = 'page') {
+        const detail = { scope, format: 'csv', columns: this.visibleColumns() };
+        if (!this.emit('beforeExport', detail)) {
+            return;
+        }
+
+        if (scope === 'all' && this.clientSide === false) {
+            this.downloadExport('export_csv', detail.columns, `${DataTablesJS.slug(this.tableName)}.csv`);
+            return;
+        }
+
+        this.getExportRows(scope)
+            .then(rows => {
+                if (rows === null) {
+                    return;
+                }
+
+                const tableSchema = this.getTableSchema();
+                const lines = [detail.columns.map(column => this.columns[column] ?? column)];
+                rows.forEach(row => {
+                    lines.push(detail.columns.map(column => this.getCellText(row, column, tableSchema)));
+                });
+
+                const csv = lines.map(cells => cells.map(DataTablesJS.csvCell).join(',')).join('\r\n') + '\r\n';
+                DataTablesJS.downloadFile(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), `${DataTablesJS.slug(this.tableName)}.csv`);
+            })
+            .catch(error => {
+                console.error('Error exporting data:', error);
+                this.showNotification(error.message || this.t('export.failed'), 'danger');
+            });
+    }
+
+    // Rows for a client-built export, resolving to null when there is nothing to export
+    getExportRows(scope) {
+        if (scope === 'selected') {
+            if (this.selectedIds.size === 0) {
+                this.showNotification(this.t('bulk.none_selected'), 'warning');
+                return Promise.resolve(null);
+            }
+            return this.fetchSelectedRows();
+        }
+        if (scope === 'all') {
+            return Promise.resolve(this.clientRows || []);
+        }
+        return Promise.resolve(this.pageData || []);
+    }
+
+    /**
+     * Every selected row, in selection order. Selections survive paging, so
+     * rows selected on other pages come from clientRows or, server-side,
+     * from one fetch_data request filtered on the primary key.
+     */
+    fetchSelectedRows() {
+        const ids = Array.from(this.selectedIds);
+        const known = { ...this.rowData };
+        (this.clientRows || []).forEach(row => {
+            known[this.getRowId(row)] = row;
+        });
+        const collect = () => ids.map(id => known[id]).filter(row => row !== undefined);
+
+        const missing = ids.filter(id => known[id] === undefined);
+        if (missing.length === 0 || this.clientSide) {
+            return Promise.resolve(collect());
+        }
+
+        const params = new URLSearchParams({
+            action: 'fetch_data',
+            table: this.tableName,
+            page: 1,
+            per_page: 0,
+            filters: JSON.stringify([{ field: this.primaryKey, operator: 'IN', value: missing.join(',') }])
+        });
+
+        return this.request(params).then(data => {
+            if (data.success === false) {
+                throw new Error(data.message || this.t('data.load_failed'));
+            }
+            (data.data || []).forEach(row => {
+                known[this.getRowId(row)] = row;
+            });
+            return collect();
+        });
+    }
+
+    /**
+     * Plain-text cell value: select and boolean values use their configured
+     * option labels, select2 values the label fetched with the row, and
+     * other values the column's display format unless formatted is false.
+     */
+    getCellText(row, column, tableSchema = this.getTableSchema(), formatted = true) {
+        const key = this.columnKey(column);
+        const value = row[key] ?? '';
+        const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+
+        if (fieldType === 'select2') {
+            return String(row[key + '_label'] || value);
+        }
+        if (fieldType === 'select' || fieldType === 'boolean') {
+            const options = tableSchema[column]?.form_options || {};
+            const valueStr = String(value);
+            return String(valueStr in options ? options[valueStr] : value);
+        }
+
+        // Markup columns export their text
+        if (formatted && tableSchema[column]?.html) {
+            const template = document.createElement('template');
+            template.innerHTML = DataTablesJS.sanitizeHtml(value);
+            return template.content.textContent;
+        }
+
+        // Exports and prints are snapshots, so relative times are written as the date and time
+        const format = formatted && fieldType !== 'image' ? this.columnFormat(column, tableSchema) : null;
+        if (format?.type === 'relative') {
+            return this.formatValue(value, { ...format, type: 'datetime', style: 'medium', pattern: null });
+        }
+        return format ? this.formatValue(value, format) : String(value);
+    }
+
+    // Fetch a server-generated export with the current search, filters and sort
+    downloadExport(action, columns, filename) {
+        const params = {
+            action,
+            table: this.tableName,
+            search: this.search,
+            sort_column: this.sortColumn,
+            sort_direction: this.sortDirection,
+            sort: JSON.stringify(this.sortKeys),
+            filters: JSON.stringify(this.activeFilters),
+            columns: JSON.stringify(columns.map(column => this.columnKey(column)))
+        };
+
+        DataTablesJS.send(params, 'GET', this.transport, null, false)
+            .then(response => {
+                if (response && typeof response.blob === 'function' && response.ok) {
+                    return response.blob();
+                }
+                throw new Error('Unexpected export response');
+            })
+            .then(blob => DataTablesJS.downloadFile(blob, filename))
+            .catch(error => {
+                console.error('Error exporting data:', error);
+                this.showNotification(this.t('export.failed'), 'danger');
+            });
+    }
+
+    // Quote a CSV cell when needed; text that looks like a formula is prefixed with a quote
+    static csvCell(value) {
+        let text = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+            text = "'" + text;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // === XLSX EXPORT ===
+    /**
+     * Download the table as an Excel workbook, built in the browser. Same
+     * scopes as exportCsv(); 'all' fetches every matching row through
+     * fetch_data. Numbers and dates are typed cells, and footer aggregations
+     * become SUM / AVERAGE formula rows under the data.
+     */
+    exportXlsx(scope = 'page') {
+        const detail = { scope, format: 'xlsx', columns: this.visibleColumns() };
+        if (!this.emit('beforeExport', detail)) {
+            return;
+        }
+
+        const rows = scope === 'all' ? this.fetchAllRows() : this.getExportRows(scope);
+        rows
+            .then(data => {
+                if (data !== null) {
+                    const blob = this.buildXlsx(data, detail.columns);
+                    DataTablesJS.downloadFile(blob, `${DataTablesJS.slug(this.tableName)}.xlsx`);
+                }
+            })
+            .catch(error => {
+                console.error('Error exporting data:', error);
+                this.showNotification(error.message || this.t('export.failed'), 'danger');
+            });
+    }
+
+    /**
+     * Every row matching the current search, filters and sort. Client-side
+     * tables already hold them; otherwise they come from one unpaged fetch_data.
+     */
+    fetchAllRows() {
+        if (this.clientSide) {
+            return Promise.resolve(this.clientRows || []);
+        }
+
+        const params = new URLSearchParams({
+            action: 'fetch_data',
+            table: this.tableName,
+            page: 1,
+            per_page: 0,
+            search: this.search,
+            sort_column: this.sortColumn,
+            sort_direction: this.sortDirection,
+            sort: JSON.stringify(this.sortKeys),
+            filters: JSON.stringify(this.activeFilters)
+        });
+
+        return this.request(params).then(data => {
+            if (data.success === false) {
+                throw new Error(data.message || this.t('data.load_failed'));
+            }
+            return data.data || [];
+        });
+    }
+
+    /**
+     * Build a single-sheet workbook: bold frozen header row, typed cells,
+     * column widths from the table (or the content), and aggregation rows.
+     */
+    buildXlsx(rows, columns) {
+        const tableSchema = this.getTableSchema();
+        const esc = DataTablesJS.xmlEscape;
+        const ref = (col, row) => DataTablesJS.xlsxColumn(col) + row;
+
+        // Cell styles (see styles.xml): 1 bold, 2 date, 3 date and time, 4 bold number
+        const kinds = columns.map(column => {
+            const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type || 'text';
+            const formatType = this.columnFormat(column, tableSchema)?.type;
+            if (fieldType === 'number' || this.getAggregation(column) || ['number', 'currency', 'percent'].includes(formatType)) {
+                return 'number';
+            }
+            if (fieldType === 'date' || fieldType === 'datetime-local' || ['date', 'datetime', 'relative'].includes(formatType)) {
+                return fieldType === 'date' || formatType === 'date' ? 'date' : 'datetime';
+            }
+            return 'text';
+        });
+
+        // Display formats become custom number formats (ids from 164), each with a plain and a bold style after the built-in ones
+        const numFmts = [];
+        const styles = columns.map((column, i) => {
+            const code = this.xlsxNumberFormat(this.columnFormat(column, tableSchema));
+            if (code === null) {
+                return { plain: { date: 2, datetime: 3 }[kinds[i]] || 0, bold: 4 };
+            }
+            if (!numFmts.includes(code)) {
+                numFmts.push(code);
+            }
+            const index = numFmts.indexOf(code);
+            return { plain: 5 + index * 2, bold: 6 + index * 2 };
+        });
+
+        const textCell = (r, text, style = 0) => `<c r="${r}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${esc(text)}</t></is></c>`;
+        const cell = (r, row, column, i) => {
+            const kind = kinds[i];
+            const style = styles[i].plain ? ` s="${styles[i].plain}"` : '';
+            const text = this.getCellText(row, column, tableSchema, kind === 'text');
+            if (text === '') {
+                return '';
+            }
+            if (kind === 'number' && text.trim() !== '' && Number.isFinite(Number(text))) {
+                return `<c r="${r}"${style}><v>${Number(text)}</v></c>`;
+            }
+            if (kind === 'date' || kind === 'datetime') {
+                const serial = DataTablesJS.excelDate(text);
+                if (serial !== null) {
+                    return `<c r="${r}"${style}><v>${serial}</v></c>`;
+                }
+            }
+            return textCell(r, kind === 'text' ? text : this.getCellText(row, column, tableSchema));
+        };
+
+        let sheetRows = `<row r="1">${columns.map((column, i) => textCell(ref(i, 1), this.columns[column] ?? column, 1)).join('')}</row>`;
+        rows.forEach((row, index) => {
+            const r = index + 2;
+            sheetRows += `<row r="${r}">${columns.map((column, i) => cell(ref(i, r), row, column, i)).join('')}</row>`;
+        });
+
+        // One formula row per aggregation type, over the exported rows
+        if (rows.length > 0) {
+            const lastRow = rows.length + 1;
+            let r = lastRow;
+            [['sum', 'SUM', this.t('export.sum')], ['avg', 'AVERAGE', this.t('export.average')]].forEach(([type, fn, label]) => {
+                const aggregated = columns.map(column => {
+                    const aggType = this.getAggregation(column)?.type;
+                    return aggType === type || aggType === 'both';
+                });
+                if (aggregated.includes(true) === false) {
+                    return;
+                }
+                r++;
+                let cells = aggregated[0] ? '' : textCell(ref(0, r), label, 1);
+                columns.forEach((column, i) => {
+                    if (aggregated[i]) {
+                        // Cached result for viewers that don't recalculate
+                        const value = this.aggregateValue(rows, column, type);
+                        cells += `<c r="${ref(i, r)}" s="${styles[i].bold}"><f>${fn}(${ref(i, 2)}:${ref(i, lastRow)})</f><v>${value}</v></c>`;
+                    }
+                });
+                sheetRows += `<row r="${r}">${cells}</row>`;
+            });
+        }
+
+        // Widths follow resized columns, otherwise the longest of the first rows
+        const cols = columns.map((column, i) => {
+            const pixels = this.columnWidths[this.columnKey(column)];
+            let width = pixels ? Math.round(pixels / 7) : String(this.columns[column] ?? column).length;
+            if (pixels === undefined) {
+                rows.slice(0, 200).forEach(row => {
+                    width = Math.max(width, this.getCellText(row, column, tableSchema).length);
+                });
+                width = Math.min(Math.max(width + 2, kinds[i] === 'datetime' ? 18 : 8), 60);
+            }
+            return `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+        }).join('');
+
+        const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const type = 'application/vnd.openxmlformats-officedocument';
+        const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const sheetName = String(this.tableName).replace(/[\[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+
+        return DataTablesJS.zip([
+            {
+                name: '[Content_Types].xml',
+                content: xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                    + '<Default Extension="xml" ContentType="application/xml"/>'
+                    + `<Override PartName="/xl/workbook.xml" ContentType="${type}.spreadsheetml.sheet.main+xml"/>`
+                    + `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${type}.spreadsheetml.worksheet+xml"/>`
+                    + `<Override PartName="/xl/styles.xml" ContentType="${type}.spreadsheetml.styles+xml"/>`
+                    + '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>`
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xml + `<workbook xmlns="${main}" xmlns:r="${rel}"><sheets><sheet name="${esc(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                    + `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>`
+                    + `<Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/>`
+                    + '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: xml + `<styleSheet xmlns="${main}">`
+                    + (numFmts.length ? `<numFmts count="${numFmts.length}">${numFmts.map((code, i) => `<numFmt numFmtId="${164 + i}" formatCode="${esc(code)}"/>`).join('')}</numFmts>` : '')
+                    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                    + `<cellXfs count="${5 + numFmts.length * 2}">`
+                    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+                    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+                    + '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                    + '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+                    + '<xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>'
+                    + numFmts.map((code, i) => `<xf numFmtId="${164 + i}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`
+                        + `<xf numFmtId="${164 + i}" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>`).join('')
+                    + '</cellXfs>'
+                    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                    + '</styleSheet>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: xml + `<worksheet xmlns="${main}">`
+                    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+                    + `<cols>${cols}</cols><sheetData>${sheetRows}</sheetData></worksheet>`
+            }
+        ], `${type}.spreadsheetml.sheet`);
+    }
+
+    /**
+     * Excel number format code for a display format, or null to keep the
+     * defaults. Free-decimal numbers stay General; date styles keep the
+     * built-in date formats, which Excel shows in the viewer's locale.
+     */
+    xlsxNumberFormat(format) {
+        if (!format) {
+            return null;
+        }
+        if (format.type === 'date' || format.type === 'datetime') {
+            return format.pattern ? DataTablesJS.xlsxDatePattern(format.pattern) : null;
+        }
+        if (!['number', 'currency', 'percent'].includes(format.type)) {
+            return null;
+        }
+
+        const formatter = this.intlFormatter('NumberFormat', format.locale || this.locale, DataTablesJS.numberOptions(format));
+        const { minimumFractionDigits: min, maximumFractionDigits: max } = formatter.resolvedOptions();
+        if (min !== max) {
+            return null;
+        }
+        const code = (format.grouping === false ? '0' : '#,##0') + (max > 0 ? '.' + '0'.repeat(max) : '');
+        if (format.type === 'percent') {
+            return code + '%';
+        }
+        if (format.type === 'currency') {
+            const parts = formatter.formatToParts(1);
+            const currency = parts.findIndex(piece => piece.type === 'currency');
+            const symbol = `"${(parts[currency]?.value || format.currency).replace(/"/g, '')}"`;
+            return currency < parts.findIndex(piece => piece.type === 'integer') ? symbol + code : code + ' ' + symbol;
+        }
+        return code;
+    }
+
+    // Excel date format code for a token pattern; literal text is quoted
+    static xlsxDatePattern(pattern) {
+        const tokens = {
+            YYYY: 'yyyy', YY: 'yy', MMMM: 'mmmm', MMM: 'mmm', MM: 'mm', M: 'm', DD: 'dd', D: 'd', dddd: 'dddd', ddd: 'ddd',
+            HH: 'hh', H: 'h', hh: 'hh', h: 'h', mm: 'mm', ss: 'ss', A: 'AM/PM'
+        };
+        return pattern.replace(DataTablesJS.datePatternRegex, (match, literal) => {
+            const text = literal ?? (tokens[match] ? null : match);
+            return text === null ? tokens[match] : (text === '' ? '' : `"${text.replace(/"/g, '')}"`);
+        });
+    }
+
+    getAggregation(column) {
+        return this.footerAggregations[this.columnKey(column)] || this.footerAggregations[column] || null;
+    }
+
+    // Sum or average of a column over exported rows; blanks are skipped like SQL AVG and Excel AVERAGE
+    aggregateValue(rows, column, type) {
+        const values = rows.map(row => parseFloat(row[this.columnKey(column)])).filter(Number.isFinite);
+        const total = values.reduce((a, b) => a + b, 0);
+        if (type === 'sum') {
+            return total;
+        }
+        return values.length > 0 ? total / values.length : 0;
+    }
+
+    // 0 => A, 25 => Z, 26 => AA
+    static xlsxColumn(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // Excel serial number for a MySQL date or datetime string, or null if it isn't one
+    static excelDate(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text.trim());
+        if (match === null || match[1] === '0000') {
+            return null;
+        }
+        const [, y, m, d, h, i, sec] = match.map(part => Number(part || 0));
+        return (Date.UTC(y, m - 1, d, h, i, sec) - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    // Escape text for XML, dropping control characters XML can't hold
+    static xmlEscape(value) {
+        return String(value)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Pack text files into an uncompressed ZIP archive.
+     */
+    static zip(files, type) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        let directorySize = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = DataTablesJS.crc32(data);
+
+            // Local file header; flag 0x0800 marks UTF-8 names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, data);
+
+            // Central directory entry
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+            directorySize += 46 + name.length;
+        });
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type });
+    }
+
+    static crc32(bytes) {
+        if (DataTablesJS.crcTable === null) {
+            DataTablesJS.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                DataTablesJS.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = DataTablesJS.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // === PRINT ===
+    /**
+     * Print every row matching the current search, filters and sort as a
+     * paginated report: title, filter summary, table and footer totals, with
+     * page numbers in the page margin. The browser's print dialog can save it
+     * as PDF. The title defaults to the table name.
+     */
+    printReport(title = null) {
+        const detail = { scope: 'all', format: 'print', columns: this.visibleColumns() };
+        if (!this.emit('beforeExport', detail)) {
+            return;
+        }
+
+        const heading = title || String(this.tableName).replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+        this.fetchAllRows()
+            .then(rows => this.printHtml(this.buildPrintReport(rows, detail.columns, heading)))
+            .catch(error => {
+                console.error('Error printing data:', error);
+                this.showNotification(error.message || this.t('print.failed'), 'danger');
+            });
+    }
+
+    buildPrintReport(rows, columns, title) {
+        const tableSchema = this.getTableSchema();
+        const esc = DataTablesJS.xmlEscape;
+        const numeric = columns.map(column => {
+            const fieldType = tableSchema[column]?.override_type || tableSchema[column]?.type;
+            const formatType = this.columnFormat(column, tableSchema)?.type;
+            return fieldType === 'number' || this.getAggregation(column) !== null || ['number', 'currency', 'percent'].includes(formatType);
+        });
+        const cellClass = i => numeric[i] ? ' class="num"' : '';
+
+        const header = columns.map((column, i) => `<th${cellClass(i)}>${esc(this.columns[column] ?? column)}</th>`).join('');
+        const body = rows.map(row => '<tr>' + columns.map((column, i) => {
+            return `<td${cellClass(i)}>${esc(this.getCellText(row, column, tableSchema))}</td>`;
+        }).join('') + '</tr>').join('\n');
+
+        // Totals over the printed rows, labelled like the table footer
+        let footer = '';
+        if (rows.length > 0) {
+            const customLabel = Object.values(this.footerAggregations).find(config => config.label)?.label;
+            const leading = columns.findIndex(column => this.getAggregation(column) !== null);
+            const hasType = type => columns.some(column => [type, 'both'].includes(this.getAggregation(column)?.type));
+            [['sum', this.t('footer.total_sum')], ['avg', this.t('footer.total_avg')]].forEach(([type, label]) => {
+                if (hasType(type) === false) {
+                    return;
                 }
+                let cells = leading > 0 ? `<th colspan="${leading}">${esc(customLabel || label)}</th>` : '';
+                columns.slice(leading).forEach((column, offset) => {
+                    const aggType = this.getAggregation(column)?.type;
+                    const value = aggType === type || aggType === 'both'
+                        ? this.formatAggValue(this.aggregateValue(rows, column, type), column)
+                        : '';
+                    cells += `<td${cellClass(leading + offset)}>${value}</td>`;
+                });
+                footer += `<tr>${cells}</tr>`;
             });
-        } else {
-            // Fallback to default buttons if no groups configured
-            if (this.actionConfig.show_edit !== false) {
-                if (this.theme === 'uikit') {
-                    html += '<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>';
-                } else {
-                    html += `<a href="#" class="${iconLinkClass} btn-edit" title="Edit Record">${this.renderIcon('pencil')}</a>`;
-                }
-            }
-            if (this.actionConfig.show_delete !== false) {
-                if (this.theme === 'uikit') {
-                    html += '<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>';
-                } else {
-                    html += `<a href="#" class="${iconLinkClass} btn-delete" title="Delete Record">${this.renderIcon('trash')}</a>`;
-                }
-            }
         }
 
-        return html;
+        const filters = this.search ? [this.t('print.search', { search: this.search })] : [];
+        this.activeFilters.forEach(filter => {
+            const column = this.columnLabel(filter.field);
+            if (filter.operator !== 'BETWEEN') {
+                filters.push(`${column} ${filter.operator} ${filter.value}`);
+            } else if (filter.value !== '' && filter.value_to !== '') {
+                filters.push(this.t('print.filter_between', { column, from: filter.value, to: filter.value_to }));
+            } else {
+                filters.push(filter.value !== ''
+                    ? this.t('print.filter_from', { column, from: filter.value })
+                    : this.t('print.filter_to', { column, to: filter.value_to }));
+            }
+        });
+        const summary = filters.length > 0 ? this.t('print.filters', { filters: filters.join('; ') }) : this.t('print.no_filters');
+        const records = this.t('print.records', { count: rows.length, date: new Date().toLocaleString(this.locale) });
+        const pageCounter = `"${this.t('print.page').replace(/["\\]/g, '\\$&')}"`
+            .replace('{page}', '" counter(page) "')
+            .replace('{pages}', '" counter(pages) "');
+
+        return `<!DOCTYPE html>
+<html lang="${esc(this.locale)}" dir="${this.isRtl() ? 'rtl' : 'ltr'}"><head><meta charset="utf-8"><title>${esc(title)}</title>
+<style>
+@page { margin: 15mm 12mm 18mm; @bottom-center { content: ${pageCounter}; font: 9pt sans-serif; color: #555; } }
+body { margin: 0; font: 10pt/1.4 system-ui, sans-serif; color: #000; }
+h1 { margin: 0 0 4pt; font-size: 16pt; }
+p { margin: 0 0 2pt; color: #444; }
+table { width: 100%; margin-top: 10pt; border-spacing: 0; }
+thead { display: table-header-group; }
+tfoot { display: table-row-group; }
+tr { break-inside: avoid; }
+th, td { padding: 3pt 5pt; border-bottom: 1px solid #ccc; text-align: start; vertical-align: top; }
+thead th { border-bottom: 2px solid #000; }
+tfoot th, tfoot td { border-top: 2px solid #000; font-weight: bold; }
+.num { text-align: end; }
+</style></head>
+<body>
+<h1>${esc(title)}</h1>
+<p>${esc(summary)}</p>
+<p>${esc(records)}</p>
+<table><thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>${footer ? `<tfoot>${footer}</tfoot>` : ''}</table>
+</body></html>`;
     }
 
-    // === PAGINATION ===
-    renderInfo(data) {
-        const start = (data.page - 1) * data.per_page + 1;
-        const end = Math.min(start + data.per_page - 1, data.total);
-        const infoText = `Showing ${start} to ${end} of ${data.total} records`;
+    // Print an HTML document from a hidden frame, leaving the page itself untouched
+    printHtml(html) {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.onload = () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
 
-        document.querySelectorAll('.datatables-info').forEach(info => {
-            info.textContent = infoText;
+    // Display label for a column or filter field
+    columnLabel(field) {
+        const column = Object.keys(this.columns).find(column => {
+            return column === field || this.columnKey(column) === field || column.split(/\s+as\s+/i)[0] === field;
         });
+        const label = column === undefined ? field : this.columns[column];
+        return label !== null && typeof label === 'object' ? (label.label ?? field) : label;
     }
 
-    renderPagination(data) {
-        if (data.total_pages <= 1) {
-            document.querySelectorAll('.datatables-pagination').forEach(pagination => {
-                pagination.innerHTML = '';
-            });
-            return;
+    // === IMPORT ===
+    /**
+     * CSV import wizard: pick a file, map its columns to add form fields,
+     * validate every row on the server (import_records with dry_run), preview
+     * the errors, then insert the valid rows chunk by chunk.
+     */
+    showImportModal(event) {
+        if (event) {
+            event.preventDefault();
         }
+        this.importState = null;
+        this.renderImportFile();
+        this.showModal(this.domId('import-modal'));
+    }
 
-        let html = '';
-        const currentPage = parseInt(data.page);
-        const totalPages = parseInt(data.total_pages);
-        const disabledClass = this.getThemeClass('pagination.disabled');
-        const activeClass = this.getThemeClass('pagination.active');
-
-        if (this.theme === 'bootstrap') {
-            // Bootstrap pagination structure
-            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
-            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(1)"`} title="First Page">&laquo;&laquo;</a></li>`;
+    importBody() {
+        return document.getElementById(this.domId('import-body'));
+    }
 
-            html += `<li class="page-item${currentPage === 1 ? ' disabled' : ''}">`;
-            html += `<a class="page-link" ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">&laquo;</a></li>`;
+    importButton(label, call, primary = false, disabled = false) {
+        const buttonClass = this.getThemeClass(primary ? 'button.primary' : 'button.default');
+        return `<button type="button" class="${buttonClass} ${this.getThemeClass('margin.smallRight')}" onclick="${this.jsRef}.${call}"${disabled ? ' disabled' : ''}>${label}</button>`;
+    }
 
-            if (currentPage > 2) {
-                html += '<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(1)">1</a></li>';
-                if (currentPage > 3) {
-                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
-                }
-            }
+    renderImportFile() {
+        this.importBody().innerHTML = `<p>${this.t('import.choose_file')}</p>`
+            + `<input type="file" accept=".csv,text/csv" class="${this.getThemeClass('input')}" onchange="${this.jsRef}.readImportFile(this.files[0])">`
+            + `<div class="${this.getThemeClass('flex.right')} ${this.getThemeClass('margin.smallTop')}">${this.importButton(this.t('modal.cancel'), 'closeImport()')}</div>`;
+    }
 
-            const start = Math.max(1, currentPage - 1);
-            const end = Math.min(totalPages, currentPage + 1);
-            for (let i = start; i <= end; i++) {
-                html += `<li class="page-item${i === currentPage ? ' active' : ''}">`;
-                html += `<a class="page-link" ${i === currentPage ? '' : `onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
-            }
+    readImportFile(file) {
+        if (!file) {
+            return;
+        }
 
-            if (currentPage < totalPages - 1) {
-                if (currentPage < totalPages - 2) {
-                    html += '<li class="page-item disabled"><span class="page-link">...</span></li>';
-                }
-                html += `<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const grid = DataTablesJS.parseDelimited(String(reader.result).replace(/^\ufeff/, ''), ',')
+                .filter(row => row.some(cell => cell.trim() !== ''));
+            if (grid.length < 2) {
+                this.showNotification(this.t('import.no_rows'), 'warning');
+                return;
             }
 
-            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
-            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">&raquo;</a></li>`;
-
-            html += `<li class="page-item${currentPage === totalPages ? ' disabled' : ''}">`;
-            html += `<a class="page-link" ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">&raquo;&raquo;</a></li>`;
+            // Match columns to fields by name or label
+            const fields = this.importConfig.fields;
+            const mapping = [];
+            grid[0].forEach(header => {
+                const name = header.trim().toLowerCase();
+                const field = fields.find(f => (f.name.toLowerCase() === name || String(f.label).toLowerCase() === name) && !mapping.includes(f.name));
+                mapping.push(field ? field.name : '');
+            });
 
-        } else if (this.theme === 'uikit') {
-            // UIKit pagination structure
-            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
-            html += `<a ${currentPage === 1 ? '' : ` onclick="DataTables.goToPage(1)"`} title="First Page">`;
-            html += '<span uk-icon="chevron-double-left"></span></a></li>';
+            this.importState = { fileName: file.name, headers: grid[0], rows: grid.slice(1), mapping, errors: {}, imported: 0 };
+            this.renderImportMapping();
+        };
+        reader.onerror = () => this.showNotification(this.t('import.read_failed'), 'danger');
+        reader.readAsText(file);
+    }
 
-            html += `<li${currentPage === 1 ? ' class="uk-disabled"' : ''}>`;
-            html += `<a ${currentPage === 1 ? '' : ` onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">`;
-            html += '<span uk-pagination-previous></span></a></li>';
+    renderImportMapping() {
+        const state = this.importState;
+        const esc = DataTablesJS.xmlEscape;
+        const selectClass = this.getThemeClass('select');
+        const fields = this.importConfig.fields;
+
+        const rows = state.headers.map((header, i) => {
+            const options = fields.map(field => {
+                return `<option value="${esc(field.name)}"${state.mapping[i] === field.name ? ' selected' : ''}>${esc(field.label)}${field.required ? ' *' : ''}</option>`;
+            }).join('');
+            return `<tr><td>${esc(header)}</td><td class="${this.getThemeClass('table.muted')}">${esc(state.rows[0][i] ?? '')}</td>`
+                + `<td><select class="${selectClass}" onchange="${this.jsRef}.setImportMapping(${i}, this.value)"><option value="">${this.t('import.skip')}</option>${options}</select></td></tr>`;
+        }).join('');
+
+        const missing = fields.filter(field => field.required && !state.mapping.includes(field.name)).map(field => field.label);
+        const count = state.rows.length;
+
+        this.importBody().innerHTML = `<p>${esc(this.t('import.mapping_intro', { count, file: state.fileName }))}</p>`
+            + `<table class="${this.getThemeClass('table.preview')}"><thead><tr><th>${this.t('import.column')}</th><th>${this.t('import.first_row')}</th><th>${this.t('import.field')}</th></tr></thead><tbody>${rows}</tbody></table>`
+            + (missing.length > 0 ? `<p class="${this.getThemeClass('icon.danger')}">${esc(this.t('import.unmapped', { fields: missing.join(', ') }))}</p>` : '')
+            + `<div class="${this.getThemeClass('flex.right')} ${this.getThemeClass('margin.smallTop')}">`
+            + this.importButton(this.t('import.back'), 'renderImportFile()')
+            + this.importButton(this.t('import.validate'), 'validateImport()', true, state.mapping.every(field => field === ''))
+            + '</div>';
+    }
 
-            if (currentPage > 2) {
-                html += '<li><a onclick="DataTables.goToPage(1)">1</a></li>';
-                if (currentPage > 3) {
-                    html += '<li class="uk-disabled"><span>...</span></li>';
+    // Map a CSV column to a field; a field can only be filled from one column
+    setImportMapping(index, field) {
+        const mapping = this.importState.mapping;
+        if (field !== '') {
+            mapping.forEach((mapped, i) => {
+                if (mapped === field) {
+                    mapping[i] = '';
                 }
-            }
-
-            const start = Math.max(1, currentPage - 1);
-            const end = Math.min(totalPages, currentPage + 1);
-            for (let i = start; i <= end; i++) {
-                html += `<li${i === currentPage ? ' class="uk-active"' : ''}>`;
-                html += `<a ${i === currentPage ? '' : ` onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
-            }
+            });
+        }
+        mapping[index] = field;
+        this.renderImportMapping();
+    }
 
-            if (currentPage < totalPages - 1) {
-                if (currentPage < totalPages - 2) {
-                    html += '<li class="uk-disabled"><span>...</span></li>';
+    // Rows as { field: value } objects, following the column mapping
+    getImportRecords() {
+        const { rows, mapping } = this.importState;
+        return rows.map(cells => {
+            const record = {};
+            mapping.forEach((field, i) => {
+                if (field !== '') {
+                    record[field] = cells[i] ?? '';
                 }
-                html += `<li><a onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
-            }
+            });
+            return record;
+        });
+    }
 
-            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
-            html += `<a ${currentPage === totalPages ? '' : ` onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">`;
-            html += '<span uk-pagination-next></span></a></li>';
+    validateImport() {
+        const state = this.importState;
+        state.errors = {};
+        const indexes = state.rows.map((row, i) => i);
 
-            html += `<li${currentPage === totalPages ? ' class="uk-disabled"' : ''}>`;
-            html += `<a ${currentPage === totalPages ? '' : ` onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">`;
-            html += '<span uk-icon="chevron-double-right"></span></a></li>';
+        this.runImportChunks(indexes, true)
+            .then(() => this.renderImportPreview())
+            .catch(error => this.renderImportDone(error.message || this.t('import.validation_failed')));
+    }
 
-        } else {
-            // Plain/Tailwind pagination structure
-            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
-            html += `<a ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(1)"`} title="First Page">${this.renderIcon('chevron-double-left')}</a></li>`;
+    startImport() {
+        const state = this.importState;
+        state.imported = 0;
+        const indexes = state.rows.map((row, i) => i).filter(i => state.errors[i] === undefined);
 
-            html += `<li${currentPage === 1 ? ` class="${disabledClass}"` : ''}>`;
-            html += `<a ${currentPage === 1 ? '' : `onclick="DataTables.goToPage(${currentPage - 1})"`} title="Previous Page">&laquo;</a></li>`;
+        this.runImportChunks(indexes, false)
+            .then(() => this.renderImportDone())
+            .catch(error => this.renderImportDone(error.message || this.t('import.failed')))
+            .finally(() => this.refresh());
+    }
 
-            if (currentPage > 2) {
-                html += '<li><a onclick="DataTables.goToPage(1)">1</a></li>';
-                if (currentPage > 3) {
-                    html += `<li class="${disabledClass}"><span>...</span></li>`;
-                }
+    /**
+     * Send rows (by index) to import_records one chunk at a time, recording
+     * errors against their row index and updating the progress bar.
+     */
+    runImportChunks(indexes, dryRun) {
+        const state = this.importState;
+        const progressKey = dryRun ? 'import.validating' : 'import.importing';
+        const records = this.getImportRecords();
+        const size = this.importConfig.chunkSize || 100;
+
+        const next = start => {
+            this.renderImportProgress(progressKey, start, indexes.length);
+            if (start >= indexes.length) {
+                return Promise.resolve();
             }
 
-            const start = Math.max(1, currentPage - 1);
-            const end = Math.min(totalPages, currentPage + 1);
-            for (let i = start; i <= end; i++) {
-                html += `<li${i === currentPage ? ` class="${activeClass}"` : ''}>`;
-                html += `<a ${i === currentPage ? '' : `onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;
-            }
+            const chunk = indexes.slice(start, start + size);
+            const formData = new FormData();
+            formData.append('action', 'import_records');
+            formData.append('table', this.tableName);
+            formData.append('rows', JSON.stringify(chunk.map(i => records[i])));
+            formData.append('dry_run', dryRun ? '1' : '0');
 
-            if (currentPage < totalPages - 1) {
-                if (currentPage < totalPages - 2) {
-                    html += `<li class="${disabledClass}"><span>...</span></li>`;
+            return this.request(formData, 'POST').then(data => {
+                if (data.success === false) {
+                    throw new Error(data.message || this.t(dryRun ? 'import.validation_failed' : 'import.failed'));
                 }
-                html += `<li><a onclick="DataTables.goToPage(${totalPages})">${totalPages}</a></li>`;
-            }
+                (data.errors || []).forEach(error => {
+                    state.errors[chunk[error.row]] = error.errors;
+                });
+                state.imported += data.imported || 0;
+                return next(start + chunk.length);
+            });
+        };
 
-            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
-            html += `<a ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${currentPage + 1})"`} title="Next Page">&raquo;</a></li>`;
+        return next(0);
+    }
 
-            html += `<li${currentPage === totalPages ? ` class="${disabledClass}"` : ''}>`;
-            html += `<a ${currentPage === totalPages ? '' : `onclick="DataTables.goToPage(${totalPages})"`} title="Last Page">${this.renderIcon('chevron-double-right')}</a></li>`;
-        }
+    renderImportProgress(key, done, total) {
+        this.importBody().innerHTML = `<p>${this.t(key, { done, count: total })}</p>`
+            + `<progress class="${this.getThemeClass('progress')}" value="${done}" max="${total || 1}"></progress>`;
+    }
 
-        document.querySelectorAll('.datatables-pagination').forEach(pagination => {
-            pagination.innerHTML = html;
-        });
+    // Validation results: rows with errors first, then valid rows, up to 50
+    renderImportPreview() {
+        const state = this.importState;
+        const esc = DataTablesJS.xmlEscape;
+        const fields = this.importConfig.fields.filter(field => state.mapping.includes(field.name));
+        const records = this.getImportRecords();
+        const dangerClass = this.getThemeClass('icon.danger');
+
+        const invalid = Object.keys(state.errors).map(Number).sort((a, b) => a - b);
+        const valid = state.rows.length - invalid.length;
+        const shown = invalid.concat(state.rows.map((row, i) => i).filter(i => state.errors[i] === undefined)).slice(0, 50);
+
+        const rows = shown.map(i => {
+            const errors = state.errors[i] || {};
+            const cells = fields.map(field => {
+                const error = errors[field.name];
+                return error
+                    ? `<td class="${dangerClass}" title="${esc(error)}">${esc(records[i][field.name] ?? '')} ⚠</td>`
+                    : `<td>${esc(records[i][field.name] ?? '')}</td>`;
+            }).join('');
+            const messages = Object.values(errors).join('; ');
+            return `<tr><td>${i + 2}</td>${cells}<td class="${dangerClass}">${esc(messages)}</td></tr>`;
+        }).join('');
+
+        const summary = invalid.length > 0
+            ? `${this.t('import.valid_some', { valid, count: state.rows.length })} ${this.t('import.invalid', { count: invalid.length })}`
+            : this.t('import.valid_all', { count: state.rows.length });
+
+        this.importBody().innerHTML = `<p>${summary}</p>`
+            + `<div style="max-height: 50vh; overflow: auto;"><table class="${this.getThemeClass('table.preview')}">`
+            + `<thead><tr><th>${this.t('import.row')}</th>${fields.map(field => `<th>${esc(field.label)}</th>`).join('')}<th>${this.t('import.errors')}</th></tr></thead><tbody>${rows}</tbody></table></div>`
+            + (state.rows.length > shown.length ? `<p class="${this.getThemeClass('table.muted')}">${this.t('import.preview_limit', { shown: shown.length, count: state.rows.length })}</p>` : '')
+            + `<div class="${this.getThemeClass('flex.right')} ${this.getThemeClass('margin.smallTop')}">`
+            + this.importButton(this.t('import.back'), 'renderImportMapping()')
+            + (invalid.length > 0 ? this.importButton(this.t('import.error_report'), 'downloadImportErrors()') : '')
+            + this.importButton(this.t('import.submit', { count: valid }), 'startImport()', true, valid === 0)
+            + '</div>';
     }
 
-    goToPage(page) {
-        this.currentPage = page;
-        this.loadData();
+    renderImportDone(failure = null) {
+        const state = this.importState;
+        const failed = Object.keys(state.errors).length;
+        this.emit('afterImport', { imported: state.imported, failed, errors: state.errors });
+
+        let message = failure ? `<p class="${this.getThemeClass('icon.danger')}">${DataTablesJS.xmlEscape(failure)}</p>` : '';
+        message += `<p>${this.t('import.done', { count: state.imported })}`
+            + (failed > 0 ? ' ' + this.t('import.not_imported', { count: failed }) : '') + '</p>';
+
+        this.importBody().innerHTML = message
+            + `<div class="${this.getThemeClass('flex.right')} ${this.getThemeClass('margin.smallTop')}">`
+            + (failed > 0 ? this.importButton(this.t('import.error_report'), 'downloadImportErrors()') : '')
+            + this.importButton(this.t('import.close'), 'closeImport()', true)
+            + '</div>';
     }
 
-    updateSortIcons() {
-        document.querySelectorAll('.sort-icon').forEach(
-            icon => {
-                if (this.theme === 'uikit') {
-                    icon.setAttribute('uk-icon', 'triangle-up');
-                } else {
-                    icon.innerHTML = this.renderIcon('triangle-up');
-                }
-            }
-        );
+    // The rejected rows as they were in the file, with their row number and errors
+    downloadImportErrors() {
+        const state = this.importState;
+        const labels = Object.fromEntries(this.importConfig.fields.map(field => [field.name, field.label]));
+        const lines = [[this.t('import.row'), ...state.headers, this.t('import.errors')]];
 
-        const currentSortHeaders = document.querySelectorAll(`th[data-sort="${this.sortColumn}"] .sort-icon`);
-        currentSortHeaders.forEach(sortIcon => {
-            if (sortIcon) {
-                const iconName = this.sortDirection === 'ASC' ? 'triangle-up' : 'triangle-down';
-                if (this.theme === 'uikit') {
-                    sortIcon.setAttribute('uk-icon', iconName);
-                } else {
-                    sortIcon.innerHTML = this.renderIcon(iconName);
-                }
-            }
+        Object.keys(state.errors).map(Number).sort((a, b) => a - b).forEach(i => {
+            const messages = Object.entries(state.errors[i]).map(([field, message]) => {
+                return field === '_row' ? message : `${labels[field] ?? field}: ${message}`;
+            });
+            lines.push([i + 2, ...state.headers.map((header, c) => state.rows[i][c] ?? ''), messages.join('; ')]);
         });
+
+        const csv = lines.map(cells => cells.map(DataTablesJS.csvCell).join(',')).join('\r\n') + '\r\n';
+        const name = state.fileName.replace(/\.csv$/i, '');
+        DataTablesJS.downloadFile(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), `${DataTablesJS.slug(name)}-errors.csv`);
+    }
+
+    closeImport() {
+        this.importState = null;
+        this.hideModal(this.domId('import-modal'));
     }
 
     // === BULK ACTIONS ===
     toggleSelectAll(checkbox) {
-        const rowCheckboxes = document.querySelectorAll('.row-checkbox');
+        // Only a window of the loaded rows is in the DOM, so select by row data
+        if (this.infiniteScroll) {
+            (this.pageData || []).forEach(row => {
+                const rowId = String(this.getRowId(row));
+                if (checkbox.checked) {
+                    this.selectedIds.add(rowId);
+                } else {
+                    this.selectedIds.delete(rowId);
+                }
+            });
+            this.queryAll('.row-checkbox').forEach(cb => {
+                cb.checked = checkbox.checked;
+                cb.closest('tr').setAttribute('aria-selected', String(cb.checked));
+            });
+            this.updateBulkActionButtons();
+            this.emitSelectionChange();
+            return;
+        }
+
+        const rowCheckboxes = this.queryAll('.row-checkbox');
         rowCheckboxes.forEach(
             cb => {
                 cb.checked = checkbox.checked;
-                this.toggleRowSelection(cb);
+                this.toggleRowSelection(cb, true);
             }
         );
+        this.emitSelectionChange();
     }
 
-    toggleRowSelection(checkbox) {
+    toggleRowSelection(checkbox, silent = false) {
         const rowId = checkbox.value;
+        checkbox.closest('tr')?.setAttribute('aria-selected', String(checkbox.checked));
         if (checkbox.checked) {
             this.selectedIds.add(rowId);
         } else {
             this.selectedIds.delete(rowId);
             // Uncheck "select all" if not all rows are selected
-            const selectAllCheckbox = document.querySelector('.datatables-select-all');
+            const selectAllCheckbox = this.query('.datatables-select-all');
             if (selectAllCheckbox) {
                 selectAllCheckbox.checked = false;
             }
         }
         this.updateBulkActionButtons();
+        if (!silent) {
+            this.emitSelectionChange();
+        }
+    }
+
+    emitSelectionChange() {
+        this.emit('selectionChange', { selectedIds: Array.from(this.selectedIds) });
     }
 
     updateBulkActionButtons() {
         const hasSelection = this.selectedIds.size > 0;
 
         // Update all bulk action buttons
-        document.querySelectorAll('.datatables-bulk-action-btn').forEach(btn => {
+        this.queryAll('.datatables-bulk-action-btn').forEach(btn => {
             btn.disabled = !hasSelection;
         });
     }
@@ -961,12 +4506,12 @@ class DataTablesJS {
         const selectedIds = Array.from(this.selectedIds);
 
         if (selectedIds.length === 0) {
-            this.showNotification('No records selected', 'warning');
+            this.showNotification(this.t('bulk.none_selected'), 'warning');
             return;
         }
 
         // Check if action requires confirmation
-        const actionButton = document.querySelector(`[data-action="${action}"]`);
+        const actionButton = this.query(`[data-action="${action}"]`);
         const confirmMessage = actionButton ? actionButton.getAttribute('data-confirm') : '';
 
         if (confirmMessage) {
@@ -989,7 +4534,7 @@ class DataTablesJS {
         }
 
         // Get row data
-        const rowData = window.DataTablesRowData ? window.DataTablesRowData[rowId] : {};
+        const rowData = this.rowData[rowId] || {};
 
         // Find the action configuration
         let actionConfig = null;
@@ -1026,31 +4571,26 @@ class DataTablesJS {
     performActionCallback(action, rowId, rowData, actionConfig) {
         const formData = new FormData();
         formData.append('action', 'action_callback');
+        formData.append('table', this.tableName);
         formData.append('action_name', action);
         formData.append('row_id', rowId);
         formData.append('row_data', JSON.stringify(rowData));
 
-        fetch(
-            window.location.href, {
-            method: 'POST',
-            body: formData
-        }
-        )
-            .then(response => response.json())
+        this.request(formData, 'POST')
             .then(
                 data => {
                     if (data.success) {
-                        this.loadData();
-                        this.showNotification(data.message || actionConfig.success_message || 'Action completed', 'success');
+                        this.refresh();
+                        this.showNotification(data.message || actionConfig.success_message || this.t('action.success'), 'success');
                     } else {
-                        this.showNotification(data.message || actionConfig.error_message || 'Action failed', 'danger');
+                        this.showNotification(data.message || actionConfig.error_message || this.t('action.failed'), 'danger');
                     }
                 }
             )
             .catch(
                 error => {
                     console.error('Error:', error);
-                    this.showNotification('An error occurred', 'danger');
+                    this.showNotification(this.t('error.generic'), 'danger');
                 }
             );
     }
@@ -1060,14 +4600,14 @@ class DataTablesJS {
      */
     resetSearch() {
         // Clear search input
-        document.querySelectorAll('.datatables-search').forEach(searchInput => {
+        this.queryAll('.datatables-search').forEach(searchInput => {
             searchInput.value = '';
         });
 
         // Reset search state and reload data
         this.search = '';
         this.currentPage = 1;
-        this.loadData();
+        this.refresh();
     }
 
     /**
@@ -1078,7 +4618,7 @@ class DataTablesJS {
         this.activeFilters = [];
         const seen = {};
 
-        document.querySelectorAll('.datatables-filter-input').forEach(input => {
+        this.queryAll('.datatables-filter-input').forEach(input => {
             const field    = input.getAttribute('data-filter-field');
             const operator = input.getAttribute('data-filter-operator');
 
@@ -1104,12 +4644,9 @@ class DataTablesJS {
         // Strip BETWEEN entries where both bounds are empty after pairing
         this.activeFilters = this.activeFilters.filter(f => f.value !== '' || f.value_to !== '');
 
-        const count     = this.activeFilters.length;
-        const indicator = document.querySelector('.datatables-filter-count');
-        if (indicator) {
-            indicator.textContent = count > 0 ? count : '';
-            indicator.style.display = count > 0 ? 'inline' : 'none';
-        }
+        this.updateFilterIndicator();
+
+        this.emit('filterChange', { filters: this.activeFilters });
 
         this.currentPage = 1;
         this.loadData();
@@ -1119,24 +4656,47 @@ class DataTablesJS {
      * Clear all active filters and reload data.
      */
     resetFilters() {
-        document.querySelectorAll('.datatables-filter-input').forEach(input => {
+        this.queryAll('.datatables-filter-input').forEach(input => {
             input.value = '';
         });
 
         this.activeFilters = [];
+        this.updateFilterIndicator();
 
-        const indicator = document.querySelector('.datatables-filter-count');
-        if (indicator) {
-            indicator.textContent = '';
-            indicator.style.display = 'none';
-        }
+        this.emit('filterChange', { filters: this.activeFilters });
 
         this.currentPage = 1;
         this.loadData();
     }
 
+    updateFilterIndicator() {
+        const count     = this.activeFilters.length;
+        const indicator = this.query('.datatables-filter-count');
+        if (indicator) {
+            indicator.textContent = count > 0 ? count : '';
+            indicator.style.display = count > 0 ? 'inline' : 'none';
+        }
+    }
+
+    /**
+     * Populate the filter inputs from activeFilters.
+     */
+    syncFilterInputs() {
+        this.queryAll('.datatables-filter-input').forEach(input => {
+            const filter = this.activeFilters.find(f => f.field === input.getAttribute('data-filter-field'));
+            if (filter === undefined) {
+                input.value = '';
+            } else if (input.classList.contains('datatables-filter-between-to')) {
+                input.value = filter.value_to || '';
+            } else {
+                input.value = filter.value || '';
+            }
+        });
+        this.updateFilterIndicator();
+    }
+
     executeBulkAction() {
-        const bulkSelect = document.querySelector('.datatables-bulk-action');
+        const bulkSelect = this.query('.datatables-bulk-action');
         if (!bulkSelect || !bulkSelect.value) {
             return;
         }
@@ -1145,7 +4705,7 @@ class DataTablesJS {
         const selectedIds = Array.from(this.selectedIds);
 
         if (selectedIds.length === 0) {
-            this.showNotification('No records selected', 'warning');
+            this.showNotification(this.t('bulk.none_selected'), 'warning');
             return;
         }
 
@@ -1168,44 +4728,40 @@ class DataTablesJS {
     performBulkAction(action, selectedIds) {
         const formData = new FormData();
         formData.append('action', 'bulk_action');
+        formData.append('table', this.tableName);
         formData.append('bulk_action', action);
         formData.append('selected_ids', JSON.stringify(selectedIds));
 
-        fetch(
-            window.location.href, {
-            method: 'POST',
-            body: formData
-        }
-        )
-            .then(response => response.json())
+        this.request(formData, 'POST')
             .then(
                 data => {
                     if (data.success) {
                         this.selectedIds.clear();
-                        this.loadData();
-                        this.showNotification(data.message || 'Bulk action completed', 'success');
+                        this.emitSelectionChange();
+                        this.refresh();
+                        this.showNotification(data.message || this.t('bulk.success'), 'success');
 
                         // Reset bulk action controls
-                        const bulkSelect = document.querySelector('.datatables-bulk-action');
+                        const bulkSelect = this.query('.datatables-bulk-action');
                         if (bulkSelect) {
                             bulkSelect.value = '';
                         }
 
-                        const selectAll = document.querySelector('.datatables-select-all');
+                        const selectAll = this.query('.datatables-select-all');
                         if (selectAll) {
                             selectAll.checked = false;
                         }
 
                         this.updateBulkActionButtons();
                     } else {
-                        this.showNotification(data.message || 'Bulk action failed', 'danger');
+                        this.showNotification(data.message || this.t('bulk.failed'), 'danger');
                     }
                 }
             )
             .catch(
                 error => {
                     console.error('Error:', error);
-                    this.showNotification('An error occurred', 'danger');
+                    this.showNotification(this.t('error.generic'), 'danger');
                 }
             );
     }
@@ -1215,39 +4771,39 @@ class DataTablesJS {
         if (event) {
             event.preventDefault();
         }
-        this.showModal('add-modal');
+        this.showModal(this.domId('add-modal'));
     }
 
     showEditModal(id) {
         this.loadRecordForEdit(id);
-        this.showModal('edit-modal');
+        this.showModal(this.domId('edit-modal'));
     }
 
     showDeleteModal(id) {
         this.deleteId = id;
-        this.showModal('delete-modal');
+        this.showModal(this.domId('delete-modal'));
     }
 
     loadRecordForEdit(id) {
         // Fetch complete record data via AJAX instead of parsing table cells
         const params = new URLSearchParams({
             action: 'fetch_record',
+            table: this.tableName,
             id: id
         });
 
-        fetch('?' + params.toString())
-            .then(response => response.json())
+        this.request(params)
             .then(data => {
                 if (data.success && data.data) {
                     this.populateEditForm(data.data, data.field_overrides || {});
                 } else {
                     console.error('Failed to fetch record:', data.message);
-                    this.showNotification(data.message || 'Failed to fetch record data', 'danger');
+                    this.showNotification(data.message || this.t('record.fetch_failed'), 'danger');
                 }
             })
             .catch(error => {
                 console.error('Error fetching record:', error);
-                this.showNotification('Error fetching record data', 'danger');
+                this.showNotification(this.t('record.fetch_error'), 'danger');
             });
     }
 
@@ -1261,13 +4817,13 @@ class DataTablesJS {
         // Set the primary key field - try both qualified and unqualified
         let pkValue = recordData[this.primaryKey] || recordData[unqualifiedPK] || recordData['s.id'] || recordData['id'] || '';
 
-        const pkField = document.getElementById(`edit-${unqualifiedPK}`);
+        const pkField = document.getElementById(`${this.domId('edit')}-${unqualifiedPK}`);
         if (pkField) {
             pkField.value = pkValue;
         }
 
         // Get all form fields in the edit form
-        const editForm = document.getElementById('edit-form');
+        const editForm = document.getElementById(this.domId('edit-form'));
         if (!editForm) return;
 
         // Find all form inputs, selects, and textareas
@@ -1290,7 +4846,7 @@ class DataTablesJS {
                 } else {
                     // For select2 fields, add the option before setting value
                     if (element.hasAttribute('data-select2')) {
-                        element.innerHTML = `<option value="${value}" selected>${value}</option>`;
+                        element.replaceChildren(new Option(value, value, true, true));
                     }
                     element.value = value;
 
@@ -1380,7 +4936,7 @@ class DataTablesJS {
         const formData = new FormData(form);
         formData.append('action', 'add_record');
 
-        this.submitForm(formData, form, 'add-modal', 'Record added successfully');
+        this.submitForm(formData, form, this.domId('add-modal'), this.t('record.added'));
         return false;
     }
 
@@ -1390,20 +4946,14 @@ class DataTablesJS {
         const formData = new FormData(form);
         formData.append('action', 'edit_record');
 
-        this.submitForm(formData, null, 'edit-modal', 'Record updated successfully');
+        this.submitForm(formData, null, this.domId('edit-modal'), this.t('record.updated'));
         return false;
     }
 
     submitForm(formData, form, modalId, successMessage) {
         formData.append('table', this.tableName);
 
-        fetch(
-            window.location.href, {
-            method: 'POST',
-            body: formData
-        }
-        )
-            .then(response => response.json())
+        this.request(formData, 'POST')
             .then(
                 data => {
                     if (data.success) {
@@ -1411,17 +4961,17 @@ class DataTablesJS {
                         if (form) {
                             form.reset();
                         }
-                        this.loadData();
+                        this.refresh();
                         this.showNotification(successMessage, 'success');
                     } else {
-                        this.showNotification(data.message || 'Operation failed', 'danger');
+                        this.showNotification(data.message || this.t('error.operation_failed'), 'danger');
                     }
                 }
             )
             .catch(
                 error => {
                     console.error('Error:', error);
-                    this.showNotification('An error occurred', 'danger');
+                    this.showNotification(this.t('error.generic'), 'danger');
                 }
             );
     }
@@ -1431,32 +4981,33 @@ class DataTablesJS {
             return;
         }
 
+        if (!this.emit('beforeDelete', { id: this.deleteId })) {
+            this.hideModal(this.domId('delete-modal'));
+            this.deleteId = null;
+            return;
+        }
+
         const formData = new FormData();
         formData.append('action', 'delete_record');
+        formData.append('table', this.tableName);
         formData.append('id', this.deleteId);
 
-        fetch(
-            window.location.href, {
-            method: 'POST',
-            body: formData
-        }
-        )
-            .then(response => response.json())
+        this.request(formData, 'POST')
             .then(
                 data => {
                     if (data.success) {
-                        this.hideModal('delete-modal');
-                        this.loadData();
-                        this.showNotification('Record deleted successfully', 'success');
+                        this.hideModal(this.domId('delete-modal'));
+                        this.refresh();
+                        this.showNotification(data.message || this.t('record.deleted'), 'success');
                     } else {
-                        this.showNotification(data.message || 'Failed to delete record', 'danger');
+                        this.showNotification(data.message || this.t('record.delete_failed'), 'danger');
                     }
                 }
             )
             .catch(
                 error => {
                     console.error('Error:', error);
-                    this.showNotification('An error occurred', 'danger');
+                    this.showNotification(this.t('error.generic'), 'danger');
                 }
             );
 
@@ -1465,7 +5016,7 @@ class DataTablesJS {
 
     bindTableEvents() {
         // Edit buttons
-        document.querySelectorAll('.btn-edit').forEach(
+        this.queryAll('.btn-edit').forEach(
             btn => {
                 btn.addEventListener(
                     'click', (e) => {
@@ -1478,7 +5029,7 @@ class DataTablesJS {
         );
 
         // Delete buttons
-        document.querySelectorAll('.btn-delete').forEach(
+        this.queryAll('.btn-delete').forEach(
             btn => {
                 btn.addEventListener(
                     'click', (e) => {
@@ -1491,12 +5042,16 @@ class DataTablesJS {
         );
 
         // Inline edit for regular fields - improved selector
-        document.querySelectorAll('td .inline-editable:not(.boolean-toggle)').forEach(
+        this.queryAll('td .inline-editable:not(.boolean-toggle)').forEach(
             span => {
                 span.addEventListener(
                     'click', (e) => {
                         e.preventDefault();
                         e.stopPropagation();
+                        // Shift+click extends the cell range instead of editing
+                        if (e.shiftKey) {
+                            return;
+                        }
                         // For image fields, the target might be the img element, so use closest span
                         const editableElement = e.target.closest('.inline-editable');
                         this.startInlineEdit(editableElement);
@@ -1506,7 +5061,7 @@ class DataTablesJS {
         );
 
         // Boolean toggle for boolean fields - improved selector
-        document.querySelectorAll('td .boolean-toggle').forEach(
+        this.queryAll('td .boolean-toggle').forEach(
             span => {
                 span.addEventListener(
                     'click', (e) => {
@@ -1518,11 +5073,21 @@ class DataTablesJS {
             }
         );
 
+        // Row click event for every rendered row
+        this.queryAll('.datatables-tbody tr[data-id]').forEach(row => {
+            row.addEventListener('click', (e) => {
+                const id = row.getAttribute('data-id');
+                if (!this.emit('rowClick', { id, row, rowData: this.rowData[id] || null, event: e })) {
+                    e.stopImmediatePropagation();
+                }
+            });
+        });
+
         // Clickable rows
-        document.querySelectorAll('tr.row-select').forEach(row => {
+        this.queryAll('tr.row-select').forEach(row => {
             row.addEventListener('click', (e) => {
                 const clickedTd = e.target.closest('td');
-                if (clickedTd && !clickedTd.classList.contains('row-check') &&
+                if (clickedTd && !e.shiftKey && !clickedTd.classList.contains('row-check') &&
                     !clickedTd.classList.contains('row-action') &&
                     !clickedTd.classList.contains('cell-edit')) {
 
@@ -1565,8 +5130,7 @@ class DataTablesJS {
         const displayBlockClass = this.getThemeClass('display.block');
 
         // Get schema information for options
-        const tableElement = document.querySelector('.datatables-table');
-        const tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+        const tableSchema = this.getTableSchema();
 
 
         let inputElement;
@@ -1607,11 +5171,11 @@ class DataTablesJS {
                 selectEl.className = selectClass;
                 selectEl.setAttribute('data-select2', 'true');
                 selectEl.setAttribute('data-query', query);
-                selectEl.setAttribute('data-placeholder', 'Select...');
+                selectEl.setAttribute('data-placeholder', this.t('select.placeholder'));
                 selectEl.setAttribute('data-min-search-chars', minChars);
                 selectEl.setAttribute('data-max-results', maxResults);
                 selectEl.setAttribute('data-theme', this.theme);
-                selectEl.innerHTML = `<option value="${currentValue}" selected>Loading...</option>`;
+                selectEl.replaceChildren(new Option(this.t('table.loading'), currentValue, true, true));
                 selectEl.value = currentValue;
 
                 element.innerHTML = '';
@@ -1621,7 +5185,7 @@ class DataTablesJS {
 
                     if (typeof window.KPTSelect2 === 'function') {
                         const config = {
-                            placeholder: selectEl.getAttribute('data-placeholder') || 'Select...',
+                            placeholder: selectEl.getAttribute('data-placeholder') || this.t('select.placeholder'),
                             query: selectEl.getAttribute('data-query') || '',
                             minSearchChars: selectEl.getAttribute('data-min-search-chars') || 0,
                             maxResults: selectEl.getAttribute('data-max-results') || 50,
@@ -1730,7 +5294,7 @@ class DataTablesJS {
                 const urlInput = document.createElement('input');
                 urlInput.type = 'url';
                 urlInput.className = `${inputClass} ${marginSmallBottomClass}`;
-                urlInput.placeholder = 'Enter image URL or upload file';
+                urlInput.placeholder = this.t('image.inline_placeholder');
                 urlInput.value = currentValue.startsWith('http') ? currentValue : '';
 
                 // File input container
@@ -1748,12 +5312,12 @@ class DataTablesJS {
 
                 const saveBtn = document.createElement('button');
                 saveBtn.className = `${buttonPrimaryClass} ${buttonSmallClass} ${marginSmallRightClass}`;
-                saveBtn.textContent = 'Save';
+                saveBtn.textContent = this.t('inline.save');
                 saveBtn.type = 'button';
 
                 const cancelBtn = document.createElement('button');
                 cancelBtn.className = `${buttonDefaultClass} ${buttonSmallClass}`;
-                cancelBtn.textContent = 'Cancel';
+                cancelBtn.textContent = this.t('modal.cancel');
                 cancelBtn.type = 'button';
 
                 fileContainer.appendChild(fileInput);
@@ -1773,25 +5337,22 @@ class DataTablesJS {
                         // Upload file
                         const formData = new FormData();
                         formData.append('action', 'upload_file');
+                        formData.append('table', this.tableName);
                         formData.append('file', fileValue);
                         formData.append('prepend', element.getAttribute('data-prepend') || '');
 
-                        fetch(window.location.href, {
-                            method: 'POST',
-                            body: formData
-                        })
-                            .then(response => response.json())
+                        this.request(formData, 'POST')
                             .then(data => {
                                 if (data.success) {
                                     this.saveInlineEdit(id, field, data.file_name, element);
                                 } else {
                                     cancelImageEdit();
-                                    this.showNotification(data.message || 'Upload failed', 'danger');
+                                    this.showNotification(data.message || this.t('upload.failed'), 'danger');
                                 }
                             })
                             .catch(error => {
                                 cancelImageEdit();
-                                this.showNotification('Upload error', 'danger');
+                                this.showNotification(this.t('upload.error'), 'danger');
                             });
                     } else if (urlValue !== currentValue) {
                         this.saveInlineEdit(id, field, urlValue, element);
@@ -1802,10 +5363,10 @@ class DataTablesJS {
 
                 const cancelImageEdit = () => {
                     if (currentValue && currentValue.trim()) {
-                        const imageSrc = currentValue.startsWith('http') ? currentValue : `/uploads/${currentValue}`;
-                        element.innerHTML = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                        const imageSrc = DataTablesJS.escapeHtml(currentValue.startsWith('http') ? currentValue : `/uploads/${currentValue}`);
+                        element.innerHTML = `<img src="${imageSrc}" alt="${this.t('image.alt')}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
                     } else {
-                        element.innerHTML = 'No image';
+                        element.innerHTML = this.t('image.none');
                     }
                 };
 
@@ -1872,20 +5433,43 @@ class DataTablesJS {
                 inputElement.value = currentValue;
         }
 
+        const restoreDisplay = () => {
+            const rendered = this.renderCell(field, currentValue, this.rowData[id] || {}, tableSchema);
+            element.innerHTML = rendered !== null ? rendered : this.cellHtml(currentValue, field, tableSchema);
+        };
+
+        // Enter saves and then moves focus back to the cell, which blurs the input
+        let finished = false;
         const saveEdit = () => {
+            if (finished) {
+                return;
+            }
+            finished = true;
             const newValue = inputElement.value;
             if (newValue !== currentValue) {
                 this.saveInlineEdit(id, field, newValue, element);
             } else {
-                element.textContent = currentValue;
+                restoreDisplay();
             }
         };
 
         const cancelEdit = () => {
-            element.textContent = currentValue;
+            finished = true;
+            restoreDisplay();
         };
 
         inputElement.addEventListener('blur', saveEdit);
+
+        // A pasted block of cells becomes a batch paste starting at this cell
+        inputElement.addEventListener('paste', (e) => {
+            const text = e.clipboardData?.getData('text/plain') || '';
+            if (/[\t\n]/.test(text.replace(/\r?\n$/, ''))) {
+                e.preventDefault();
+                inputElement.removeEventListener('blur', saveEdit);
+                cancelEdit();
+                this.pasteCells(text, { id, column: this.columnKey(field) });
+            }
+        });
         inputElement.addEventListener(
             'keydown', (e) => {
                 if (e.key === 'Enter') {
@@ -1919,8 +5503,21 @@ class DataTablesJS {
     }
 
     saveInlineEdit(id, field, value, element) {
+        const detail = { id, field, value, element };
+        if (!this.emit('beforeInlineSave', detail)) {
+            // Re-render to restore the original cell content
+            if (this.infiniteScroll) {
+                this.renderVirtualRows(true);
+            } else {
+                this.loadData();
+            }
+            return;
+        }
+        value = detail.value;
+
         const formData = new FormData();
         formData.append('action', 'inline_edit');
+        formData.append('table', this.tableName);
         formData.append('id', id);
         formData.append('field', field);
         formData.append('value', value);
@@ -1929,28 +5526,35 @@ class DataTablesJS {
         const successClass = this.getThemeClass('icon.success');
         const dangerClass = this.getThemeClass('icon.danger');
 
-        fetch(
-            window.location.href, {
-            method: 'POST',
-            body: formData
-        }
-        )
-            .then(response => response.json())
+        this.request(formData, 'POST')
             .then(
                 data => {
+                    this.emit('afterInlineSave', { id, field, value, response: data });
                     if (data.success) {
 
-                        // reload the table data
-                        this.loadData();
+                        // reload the table data; infinite scroll patches the loaded row instead
+                        // so the scroll position and appended pages survive
+                        if (this.infiniteScroll || this.clientSide) {
+                            this.updateLoadedRow(id, field, value, element);
+                        }
+                        if (this.infiniteScroll === false) {
+                            this.loadData();
+                        }
+
+                        // Columns with a renderer redraw from the saved row
+                        const rendered = this.renderCell(field, value, { ...(this.rowData[id] || {}), [this.columnKey(field)]: value });
+                        if (rendered !== null) {
+                            element.innerHTML = rendered;
+                            element.setAttribute('data-value', value);
 
-                        // Handle image fields differently
-                        if (element.getAttribute('data-type') === 'image') {
+                            // Handle image fields differently
+                        } else if (element.getAttribute('data-type') === 'image') {
                             if (value && value.trim()) {
-                                const imageSrc = value.startsWith('http') ? value : `/uploads/${value}`;
-                                element.innerHTML = `<img src="${imageSrc}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
+                                const imageSrc = DataTablesJS.escapeHtml(value.startsWith('http') ? value : `/uploads/${value}`);
+                                element.innerHTML = `<img src="${imageSrc}" alt="${this.t('image.alt')}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${roundedClass}">`;
                                 element.setAttribute('data-value', value);
                             } else {
-                                element.innerHTML = 'No image';
+                                element.innerHTML = this.t('image.none');
                                 element.setAttribute('data-value', '');
                             }
                         } else if (element.classList.contains('boolean-toggle')) {
@@ -1962,8 +5566,7 @@ class DataTablesJS {
                         } else if (element.getAttribute('data-type') === 'select') {
 
                             // Handle select fields - show label but store value
-                            const tableElement = document.querySelector('.datatables-table');
-                            const tableSchema = tableElement ? JSON.parse(tableElement.dataset.columns || '{}') : {};
+                            const tableSchema = this.getTableSchema();
                             const field = element.getAttribute('data-field');
                             const selectOptions = tableSchema[field]?.form_options || {};
                             const valueStr = String(value);
@@ -1973,11 +5576,15 @@ class DataTablesJS {
                             element.setAttribute('data-value', value);
                             element.textContent = displayLabel;
                         } else {
-                            element.textContent = value;
+                            const tableSchema = this.getTableSchema();
+                            if (this.columnFormat(field, tableSchema) !== null || tableSchema[field]?.html === true) {
+                                element.setAttribute('data-value', value);
+                            }
+                            element.innerHTML = this.cellHtml(value, field, tableSchema);
                         }
 
                         // Update edit form if it's open and has this field
-                        const editForm = document.getElementById(`edit-${field}`);
+                        const editForm = document.getElementById(`${this.domId('edit')}-${field}`);
                         if (editForm) {
                             if (editForm.type === 'checkbox') {
                                 editForm.checked = value === '1' || value === 'true' || value === true;
@@ -1986,10 +5593,10 @@ class DataTablesJS {
                             }
                         }
 
-                        this.showNotification('Field updated successfully', 'success');
+                        this.showNotification(data.message || this.t('inline.updated'), 'success');
                     } else {
                         element.textContent = element.getAttribute('data-original') || '';
-                        this.showNotification(data.message || 'Failed to update field', 'danger');
+                        this.showNotification(data.message || this.t('inline.update_failed'), 'danger');
                     }
                 }
             )
@@ -1997,15 +5604,15 @@ class DataTablesJS {
                 error => {
                     console.error('Error:', error);
                     element.textContent = element.getAttribute('data-original') || '';
-                    this.showNotification('An error occurred', 'danger');
+                    this.showNotification(this.t('error.generic'), 'danger');
                 }
             );
     }
 
     // === UTILITY METHODS ===
     getColumnCount() {
-        // Calculate total columns including actions and bulk selection
-        let count = Object.keys(this.columns).length || 1;
+        // Calculate total visible columns including actions and bulk selection
+        let count = this.visibleColumns().length || 1;
         count++; // Actions column
         if (this.bulkActionsEnabled) {
             count++; // Bulk selection column
@@ -2013,6 +5620,12 @@ class DataTablesJS {
         return count;
     }
 
+    // Row data key for a column: the alias name for "expr AS alias" columns
+    columnKey(column) {
+        const parts = column.split(/\s+as\s+/i);
+        return parts.length === 2 ? parts[1].replace(/[`'"]/g, '') : column;
+    }
+
     changePageSize(newSize, event) {
 
         if (event) {
@@ -2021,12 +5634,16 @@ class DataTablesJS {
 
         this.perPage = parseInt(newSize);
         this.currentPage = 1;
+        this.syncPageSizeControls();
+        this.loadData();
+    }
 
+    syncPageSizeControls() {
         const primaryClass = this.getThemeClass('button.primary');
         const defaultClass = this.getThemeClass('button.default');
 
         // Update button group active states
-        document.querySelectorAll('.datatables-page-size-btn').forEach(btn => {
+        this.queryAll('.datatables-page-size-btn').forEach(btn => {
             const btnSize = parseInt(btn.getAttribute('data-size'));
             if (btnSize === this.perPage) {
                 btn.className = btn.className.replace(defaultClass, primaryClass);
@@ -2036,11 +5653,9 @@ class DataTablesJS {
         });
 
         // Also sync select dropdowns if present
-        document.querySelectorAll('.datatables-page-size').forEach(select => {
-            select.value = newSize;
+        this.queryAll('.datatables-page-size').forEach(select => {
+            select.value = this.perPage;
         });
-
-        this.loadData();
     }
 
     getRowClass(rowId) {
@@ -2066,5 +5681,124 @@ document.addEventListener('click', function (e) {
     try { native.showPicker(); } catch (err) { }
 });
 
+// Instances on the page, keyed by table name
+DataTablesJS.instances = {};
+
+// Global event listeners applied to every instance
+DataTablesJS.listeners = {};
+
+// Default transport settings, overridden per instance by config.transport
+DataTablesJS.transport = {};
+
+// CRC-32 lookup table for XLSX packaging, built on first use
+DataTablesJS.crcTable = null;
+
+// Message catalog and locale for code outside an instance, taken from the first table
+DataTablesJS.messages = {};
+DataTablesJS.locale = 'en';
+
+// Markup kept by DataTablesJS.sanitizeHtml() in columns configured with 'html' => true; extend the lists to allow more
+DataTablesJS.sanitizer = {
+    tags: ['a', 'abbr', 'b', 'br', 'code', 'del', 'div', 'em', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'],
+    attributes: ['alt', 'class', 'dir', 'height', 'href', 'lang', 'rel', 'src', 'target', 'title', 'width'],
+    dropped: ['embed', 'iframe', 'math', 'noembed', 'noframes', 'noscript', 'object', 'plaintext', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title', 'xmp']
+};
+
+// Names of cell renderers already reported as missing
+DataTablesJS.missingRenderers = new Set();
+
+/**
+ * Built-in cell renderers, by the name a column's 'renderer' config uses.
+ * Add your own with DataTablesJS.registerRenderer().
+ */
+DataTablesJS.renderers = {
+    // Label colored by value: options.colors maps values to default, primary, success, warning or danger
+    badge(value, row, options, context) {
+        if (String(value) === '') {
+            return '';
+        }
+        const color = options.colors?.[String(value)] || options.color || 'default';
+        const className = context.table.getThemeClass(`badge.${color}`) || context.table.getThemeClass('badge.default');
+        return `<span class="${className}">${DataTablesJS.escapeHtml(context.text)}</span>`;
+    },
+
+    // Link to options.url, a template filled from the row (e.g. '/users/{id}'); options.text and options.target are optional
+    link(value, row, options, context) {
+        const href = DataTablesJS.fillTemplate(options.url || '{value}', row, value, true);
+        const text = options.text ? DataTablesJS.fillTemplate(options.text, row, value) : context.text;
+        if (href.trim() === '' || DataTablesJS.isSafeUrl(href) === false) {
+            return DataTablesJS.escapeHtml(text);
+        }
+        const target = options.target
+            ? ` target="${DataTablesJS.escapeHtml(options.target)}"${options.target === '_blank' ? ' rel="noopener noreferrer"' : ''}`
+            : '';
+        return `<a href="${DataTablesJS.escapeHtml(href)}"${target}>${DataTablesJS.escapeHtml(text)}</a>`;
+    },
+
+    // Progress bar of the value out of options.max (default 100), with the percentage unless options.label is false
+    progress(value, row, options, context) {
+        const number = Number(value);
+        if (String(value).trim() === '' || Number.isFinite(number) === false) {
+            return DataTablesJS.escapeHtml(context.text);
+        }
+        const max = Number(options.max) || 100;
+        const clamped = Math.min(Math.max(number, 0), max);
+        const percent = context.table.formatValue(clamped / max, { type: 'percent' });
+        const label = options.label === false ? '' : `<span style="min-width: 3.5em; text-align: end;">${percent}</span>`;
+        return `<span style="display: flex; align-items: center; gap: 8px;">`
+            + `<progress class="${context.table.getThemeClass('progress')}" value="${clamped}" max="${max}" aria-label="${percent}" style="margin: 0;"></progress>${label}</span>`;
+    },
+
+    // mailto: link for an email address
+    email(value, row, options, context) {
+        const address = String(value).trim();
+        if (address === '') {
+            return '';
+        }
+        return `<a href="mailto:${DataTablesJS.escapeHtml(encodeURI(address))}">${DataTablesJS.escapeHtml(context.text)}</a>`;
+    },
+
+    // Round picture beside the name; options.image is the field holding the picture (or a URL template),
+    // options.name a template for the name, options.size the picture size in pixels. Initials stand in for a missing picture
+    avatar(value, row, options, context) {
+        const esc = DataTablesJS.escapeHtml;
+        const size = Number(options.size) || 32;
+        const image = options.image || 'avatar';
+        let src = /\{\w+\}/.test(image) ? DataTablesJS.fillTemplate(image, row, value, true) : String(row[image] ?? '').trim();
+        if (src && /^([a-z][a-z0-9+.-]*:|\/)/i.test(src) === false) {
+            src = `/uploads/${src}`;
+        }
+        const name = options.name ? DataTablesJS.fillTemplate(options.name, row, value) : context.text;
+        const initials = name.trim().split(/\s+/).slice(0, 2).map(word => Array.from(word)[0] || '').join('').toUpperCase();
+
+        const style = `width: ${size}px; height: ${size}px; border-radius: 50%; flex: none;`;
+        const picture = src && DataTablesJS.isSafeUrl(src)
+            ? `<img src="${esc(src)}" alt="" style="${style} object-fit: cover;">`
+            : `<span aria-hidden="true" style="${style} display: inline-flex; align-items: center; justify-content: center; background: #e5e5e5; color: #666; font-size: ${Math.round(size * 0.4)}px;">${esc(initials)}</span>`;
+        return `<span style="display: inline-flex; align-items: center; gap: 8px;">${picture}<span>${esc(name)}</span></span>`;
+    },
+
+    // Text cut to options.length characters (default 50), with the full text as a tooltip
+    truncate(value, row, options, context) {
+        const length = Number(options.length) || 50;
+        const characters = Array.from(context.text);
+        if (characters.length <= length) {
+            return DataTablesJS.escapeHtml(context.text);
+        }
+        return `<span title="${DataTablesJS.escapeHtml(context.text)}">${DataTablesJS.escapeHtml(characters.slice(0, length).join('').trimEnd())}…</span>`;
+    }
+};
+
+// Date pattern pieces: [literal text], a token (longest first) or any other character
+DataTablesJS.datePatternRegex = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|./gs;
+
+// Units for relative times, largest first, with their length in seconds
+DataTablesJS.relativeUnits = [
+    ['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]
+];
+
+// Controls inside grid cells, taken out of the tab order and reached with Enter
+DataTablesJS.focusableSelector = 'a[href], button, input, select, textarea, [tabindex]:not(td):not(th)';
+
 // Make DataTables available globally
 window.DataTablesJS = DataTablesJS;
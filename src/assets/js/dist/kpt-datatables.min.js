@@ -1,2 +1,2 @@
 /*! KPT DataTables | MIT License | Kevin Pirnie */
-const KPDataTablesPlain={showModal:function(t){const e=document.getElementById(t);e&&(e.classList.add("kp-dt-open"),e.classList.add("kp-dt-open-tailwind"),document.body.style.overflow="hidden")},hideModal:function(t){const e=document.getElementById(t);e&&(e.classList.remove("kp-dt-open"),e.classList.remove("kp-dt-open-tailwind"),document.body.style.overflow="")},notification:function(t,e="success"){const a=document.querySelector(".kp-dt-notification-container")||this.createNotificationContainer(),i=document.createElement("div");i.className=`kp-dt-notification kp-dt-notification-${e} kp-dt-notification-tailwind kp-dt-notification-${e}-tailwind`,i.textContent=t,a.appendChild(i),setTimeout(()=>{i.style.opacity="0",i.style.transform="translateY(-10px)",setTimeout(()=>i.remove(),300)},3e3)},createNotificationContainer:function(){const t=document.createElement("div");return t.className="kp-dt-notification-container",t.style.cssText="position: fixed; top: 20px; right: 20px; z-index: 1040; display: flex; flex-direction: column; gap: 10px;",document.body.appendChild(t),t},confirm:function(t){return new Promise((e,a)=>{const i=document.createElement("div");i.className="kp-dt-modal kp-dt-modal-tailwind kp-dt-open kp-dt-open-tailwind",i.style.cssText="position: fixed; inset: 0; background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; z-index: 1050;";const o=document.createElement("div");o.className="kp-dt-modal-dialog kp-dt-modal-dialog-tailwind",o.style.cssText="background: white; padding: 30px; border-radius: 4px; max-width: 400px; text-align: center;",o.innerHTML=`\n                <p style="margin-bottom: 20px;">${t}</p>\n                <div style="display: flex; gap: 10px; justify-content: center;">\n                    <button class="kp-dt-button kp-dt-button-tailwind kp-dt-confirm-cancel" style="padding: 8px 24px;">Cancel</button>\n                    <button class="kp-dt-button kp-dt-button-primary kp-dt-button-tailwind kp-dt-button-primary-tailwind kp-dt-confirm-ok" style="padding: 8px 24px;">Confirm</button>\n                </div>\n            `,i.appendChild(o),document.body.appendChild(i),o.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{i.remove(),e()}),o.querySelector(".kp-dt-confirm-cancel").addEventListener("click",()=>{i.remove(),a()}),i.addEventListener("click",t=>{t.target===i&&(i.remove(),a())})})}},KPDataTablesBootstrap={notification:function(t,e="success"){let a=document.querySelector(".kp-dt-toast-container-bootstrap");a||(a=document.createElement("div"),a.className="kp-dt-toast-container-bootstrap toast-container position-fixed top-0 end-0 p-3",document.body.appendChild(a));const i="success"===e?"bg-success":"danger"===e?"bg-danger":"bg-warning",o=document.createElement("div");o.className=`toast align-items-center text-white ${i} border-0`,o.setAttribute("role","alert"),o.innerHTML=`\n            <div class="d-flex">\n                <div class="toast-body">${t}</div>\n                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>\n            </div>\n        `,a.appendChild(o),new bootstrap.Toast(o,{delay:3e3}).show(),o.addEventListener("hidden.bs.toast",()=>o.remove())},confirm:function(t){return new Promise((e,a)=>{const i="kp-dt-confirm-modal-"+Date.now(),o=`\n                <div class="modal fade" id="${i}" tabindex="-1">\n                    <div class="modal-dialog modal-dialog-centered">\n                        <div class="modal-content">\n                            <div class="modal-body text-center py-4">\n                                <p class="mb-4">${t}</p>\n                                <div class="d-flex gap-2 justify-content-center">\n                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>\n                                    <button type="button" class="btn btn-primary kp-dt-confirm-ok">Confirm</button>\n                                </div>\n                            </div>\n                        </div>\n                    </div>\n                </div>\n            `;document.body.insertAdjacentHTML("beforeend",o);const s=document.getElementById(i),n=new bootstrap.Modal(s);s.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{n.hide(),e()}),s.addEventListener("hidden.bs.modal",()=>{s.remove(),a()}),n.show()})}};KPDataTablesPlain.switchTab=function(t,e){const a=t.closest(".kp-dt-tabs, .kp-dt-tabs-tailwind");if(!a)return;a.querySelectorAll(".kp-dt-tab-btn, .kp-dt-tab-btn-tailwind").forEach(t=>{t.classList.remove("kp-dt-tab-active","kp-dt-tab-active-tailwind")}),t.classList.add("kp-dt-tab-active"),t.classList.contains("kp-dt-tab-btn-tailwind")&&t.classList.add("kp-dt-tab-active-tailwind"),a.querySelectorAll(".kp-dt-tab-panel, .kp-dt-tab-panel-tailwind").forEach(t=>{t.style.display="none"});const i=document.getElementById(e);i&&(i.style.display="block")},window.KPDataTablesPlain=KPDataTablesPlain,window.KPDataTablesBootstrap=KPDataTablesBootstrap;const KPDataTablesDatepicker={format:function(t,e){if(!t)return"";const a=t.split("-");if(3!==a.length)return t;const i=a[0],o=a[1],s=a[2];return e.replace("YYYY",i).replace("YY",i.slice(-2)).replace("MM",o).replace("M",parseInt(o,10).toString()).replace("DD",s).replace("D",parseInt(s,10).toString())},parseToISO:function(t,e){if(!t)return"";let a=e.replace("YYYY","(?<y>\\d{4})").replace("YY","(?<y2>\\d{2})").replace("MM","(?<m>\\d{1,2})").replace("M","(?<m>\\d{1,2})").replace("DD","(?<d>\\d{1,2})").replace("D","(?<d>\\d{1,2})");a=a.replace(/([\/\.\-])/g,"\\$1");try{const e=new RegExp("^"+a+"$").exec(t);if(!e||!e.groups)return"";const i=e.groups.y||"20"+(e.groups.y2||"00");return`${i}-${(e.groups.m||"1").padStart(2,"0")}-${(e.groups.d||"1").padStart(2,"0")}`}catch(t){return""}},applyDate:function(t){const e=t.getAttribute("data-target"),a=t.getAttribute("data-formatter")||"YYYY-MM-DD",i=document.getElementById(e);i&&(i.value=this.format(t.value,a))}};window.KPDataTablesDatepicker=KPDataTablesDatepicker;class DataTablesJS{constructor(t={}){this.tableName=t.tableName||"",this.primaryKey=t.primaryKey||"id",this.inlineEditableColumns=t.inlineEditableColumns||[],this.perPage=t.perPage||25,this.bulkActionsEnabled=t.bulkActionsEnabled||!1,this.bulkActions=t.bulkActions||{},this.actionConfig=t.actionConfig||{},this.columns=t.columns||{},this.cssClasses=t.cssClasses||{},this.theme=t.theme||"uikit",this.footerAggregations=t.footerAggregations||{},this.datepickerFormatters=t.datepickerFormatters||{},this.currentPage=1,this.sortColumn=t.defaultSortColumn||"",this.sortDirection=t.defaultSortDirection||"ASC",this.search="",this.deleteId=null,this.selectedIds=new Set,this.activeFilters=[],this.init()}init(){this.bindEvents(),this.loadData(),window.DataTables=this}getThemeClass(t){const e={uikit:{table:{shrink:"uk-table-shrink",center:"uk-text-center",muted:"uk-text-muted"},checkbox:"uk-checkbox",input:"uk-input uk-width-1-1",select:"uk-select uk-width-1-1",textarea:"uk-textarea uk-width-1-1",button:{default:"uk-button uk-button-default",primary:"uk-button uk-button-primary",small:"uk-button-small"},icon:{link:"uk-icon-link",success:"uk-text-success",danger:"uk-text-danger"},pagination:{disabled:"uk-disabled",active:"uk-active"},flex:{right:"uk-flex uk-flex-right",between:"uk-flex-between"},margin:{smallRight:"uk-margin-small-right",smallBottom:"uk-margin-small-bottom",smallTop:"uk-margin-small-top"},border:{rounded:"uk-border-rounded"},display:{block:"uk-display-block"}},bootstrap:{table:{shrink:"",center:"text-center",muted:"text-muted"},checkbox:"form-check-input",input:"form-control",select:"form-select",textarea:"form-control",button:{default:"btn btn-secondary",primary:"btn btn-primary",small:"btn-sm"},icon:{link:"",success:"text-success",danger:"text-danger"},pagination:{disabled:"disabled",active:"active"},flex:{right:"d-flex justify-content-end",between:"justify-content-between"},margin:{smallRight:"me-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"d-block"}},plain:{table:{shrink:"kp-dt-table-shrink",center:"kp-dt-text-center",muted:"kp-dt-text-muted"},checkbox:"kp-dt-checkbox",input:"kp-dt-input kp-dt-width-1-1",select:"kp-dt-select kp-dt-width-1-1",textarea:"kp-dt-textarea kp-dt-width-1-1",button:{default:"kp-dt-button",primary:"kp-dt-button kp-dt-button-primary",small:"kp-dt-button-small"},icon:{link:"kp-dt-icon-link",success:"kp-dt-text-success",danger:"kp-dt-text-danger"},pagination:{disabled:"kp-dt-disabled",active:"kp-dt-active"},flex:{right:"kp-dt-flex kp-dt-flex-right",between:"kp-dt-flex-between"},margin:{smallRight:"kp-dt-margin-small-right",smallBottom:"kp-dt-margin-small-bottom",smallTop:"kp-dt-margin-small-top"},border:{rounded:"kp-dt-border-rounded"},display:{block:"kp-dt-display-block"}},tailwind:{table:{shrink:"w-px whitespace-nowrap",center:"text-center",muted:"text-gray-500"},checkbox:"h-4 w-4 rounded border-gray-300",input:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",select:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",textarea:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",button:{default:"inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50",primary:"inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700",small:"px-2 py-1 text-xs"},icon:{link:"text-gray-400 hover:text-gray-600",success:"text-green-500",danger:"text-red-500"},pagination:{disabled:"opacity-50 cursor-not-allowed",active:"font-bold text-blue-600"},flex:{right:"flex justify-end",between:"justify-between"},margin:{smallRight:"mr-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"block"}}},a=e[this.theme]||e.uikit,i=t.split(".");let o=a;for(const t of i)o=o?.[t];return o||""}showNotification(t,e="success"){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.notification(t,{status:e}):"bootstrap"===this.theme?KPDataTablesBootstrap.notification(t,e):void 0!==KPDataTablesPlain?KPDataTablesPlain.notification(t,e):alert(t)}showModal(t){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal(`#${t}`).show():"bootstrap"===this.theme&&"undefined"!=typeof bootstrap?new bootstrap.Modal(document.getElementById(t)).show():void 0!==KPDataTablesPlain&&KPDataTablesPlain.showModal(t)}hideModal(t){if("uikit"===this.theme&&"undefined"!=typeof UIkit)UIkit.modal(`#${t}`).hide();else if("bootstrap"===this.theme&&"undefined"!=typeof bootstrap){const e=document.getElementById(t),a=bootstrap.Modal.getInstance(e);a&&a.hide()}else void 0!==KPDataTablesPlain&&KPDataTablesPlain.hideModal(t);document.querySelectorAll(".kp-select2-dropdown").forEach(t=>{t.style.display="none"})}showConfirm(t){return new Promise((e,a)=>{"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal.confirm(t).then(e,a):"bootstrap"===this.theme?KPDataTablesBootstrap.confirm(t).then(e,a):void 0!==KPDataTablesPlain?KPDataTablesPlain.confirm(t).then(e,a):confirm(t)?e():a()})}renderIcon(t,e=""){return"uikit"===this.theme?`<span uk-icon="${t}" class="${e}"></span>`:"bootstrap"===this.theme?`<i class="bi ${{check:"bi-check-lg",close:"bi-x-lg",pencil:"bi-pencil",trash:"bi-trash",plus:"bi-plus",search:"bi-search",refresh:"bi-arrow-clockwise","triangle-up":"bi-caret-up-fill","triangle-down":"bi-caret-down-fill","chevron-double-left":"bi-chevron-double-left","chevron-double-right":"bi-chevron-double-right"}[t]||"bi-link"} ${e}"></i>`:`<span class="${e}">${{check:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.1" points="4,10 8,15 17,4"></polyline></svg>',close:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" stroke-width="1.4" x1="1" y1="1" x2="19" y2="19"></line><line fill="none" stroke="currentColor" stroke-width="1.4" x1="19" y1="1" x2="1" y2="19"></line></svg>',pencil:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" d="M17.25,6.01 L7.12,16.1 L3.82,17.2 L5.02,13.9 L15.12,3.88 C15.71,3.29 16.66,3.29 17.25,3.88 C17.84,4.47 17.84,5.42 17.25,6.01"></path></svg>',trash:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" points="6.5 3 6.5 1.5 13.5 1.5 13.5 3"></polyline><polyline fill="none" stroke="currentColor" points="3.5 4 16.5 4 15.5 18.5 4.5 18.5 3.5 4"></polyline></svg>',plus:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" x1="10" y1="1" x2="10" y2="19"></line><line fill="none" stroke="currentColor" x1="1" y1="10" x2="19" y2="10"></line></svg>',search:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><circle fill="none" stroke="currentColor" stroke-width="1.1" cx="9" cy="9" r="7"></circle><path fill="none" stroke="currentColor" stroke-width="1.1" d="M14,14 L18,18 L14,14 Z"></path></svg>',refresh:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" stroke-width="1.1" d="M17.08,11.15 C17.09,11.31 17.1,11.47 17.1,11.64 C17.1,15.53 13.94,18.69 10.05,18.69 C6.16,18.68 3,15.53 3,11.63 C3,7.74 6.16,4.58 10.05,4.58 C10.9,4.58 11.71,4.73 12.46,5"></path><polyline fill="none" stroke="currentColor" points="9.9 2 12.79 4.89 9.79 7.9"></polyline></svg>',"triangle-up":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,5 15,14 5,14"></polygon></svg>',"triangle-down":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,15 15,6 5,6"></polygon></svg>',"chevron-double-left":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 6,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="14,14 10,10 14,6"></polyline></svg>',"chevron-double-right":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 14,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="6,14 10,10 6,6"></polyline></svg>'}[t]||""}</span>`}bindEvents(){document.querySelectorAll(".datatables-search").forEach(t=>{let e;t.addEventListener("input",t=>{clearTimeout(e),e=setTimeout(()=>{this.search=t.target.value,this.currentPage=1,this.loadData()},300)})}),document.querySelectorAll(".datatables-filter-input").forEach(t=>{let e;t.addEventListener("input",()=>{clearTimeout(e),e=setTimeout(()=>{this.applyFilters()},300)})}),document.querySelectorAll(".datatables-page-size").forEach(t=>{t.addEventListener("change",t=>{this.perPage=parseInt(t.target.value),this.currentPage=1,document.querySelectorAll(".datatables-page-size").forEach(e=>{e.value=t.target.value}),this.loadData()})}),this.bulkActionsEnabled&&document.querySelectorAll(".datatables-bulk-action").forEach(t=>{t.addEventListener("change",t=>{document.querySelectorAll(".datatables-bulk-execute").forEach(e=>{e.disabled=!t.target.value||0===this.selectedIds.size})})}),document.addEventListener("click",t=>{if(t.target.closest(".sortable-header")){const e=t.target.closest("th[data-sort]");if(e){const t=e.getAttribute("data-sort");this.sortColumn===t?this.sortDirection="ASC"===this.sortDirection?"DESC":"ASC":(this.sortColumn=t,this.sortDirection="ASC"),this.currentPage=1,this.loadData(),this.updateSortIcons()}}})}loadData(){const t=new URLSearchParams({action:"fetch_data",table:this.tableName,page:this.currentPage,per_page:this.perPage,search:this.search,sort_column:this.sortColumn,sort_direction:this.sortDirection,filters:JSON.stringify(this.activeFilters)});fetch("?"+t.toString()).then(t=>t.json()).then(t=>{t.success?(this.renderTable(t.data),this.renderPagination(t),this.renderInfo(t),this.loadAggregations()):(console.error("Failed to load data:",t.message),this.showNotification(t.message||"Failed to load data","danger"))}).catch(t=>{console.error("Error loading data:",t),this.showNotification("Error loading data","danger")})}loadAggregations(){if(!this.footerAggregations||0===Object.keys(this.footerAggregations).length)return;const t=new URLSearchParams({action:"fetch_aggregations",table:this.tableName,search:this.search,filters:JSON.stringify(this.activeFilters)});fetch("?"+t.toString()).then(t=>t.json()).then(t=>{t.success&&t.aggregations&&this.renderAggregations(t.aggregations)}).catch(t=>{console.error("Error loading aggregations:",t)})}renderAggregations(t){document.querySelectorAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(e=>{const a=e.getAttribute("data-agg-column"),i=e.getAttribute("data-agg-type");t[a]&&void 0!==t[a][i]&&(e.textContent=this.formatAggValue(t[a][i]))})}calculatePageAggregations(t){this.footerAggregations&&0!==Object.keys(this.footerAggregations).length&&(t&&0!==t.length?document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(e=>{const a=e.getAttribute("data-agg-column"),i=e.getAttribute("data-agg-type");let o=t.map(t=>{let e=t[a];return null==e||""===e?0:parseFloat(e)||0}),s=0;if("sum"===i)s=o.reduce((t,e)=>t+e,0);else if("avg"===i){const t=o.reduce((t,e)=>t+e,0);s=o.length>0?t/o.length:0}e.textContent=this.formatAggValue(s)}):document.querySelectorAll('.datatables-agg-cell[data-agg-scope="page"]').forEach(t=>{t.textContent="—"}))}formatAggValue(t){return Number.isInteger(t)?t.toLocaleString():parseFloat(t.toFixed(2)).toLocaleString(void 0,{minimumFractionDigits:0,maximumFractionDigits:2})}renderTable(t){const e=document.querySelector(".datatables-tbody");if(!e)return;const a=this.getColumnCount(),i=this.getThemeClass("table.shrink"),o=this.getThemeClass("table.center"),s=this.getThemeClass("table.muted"),n=this.getThemeClass("checkbox");if(!t||0===t.length)return void(e.innerHTML=`<tr><td colspan="${a}" class="${o} ${s}">No records found</td></tr>`);const l=document.querySelector(".datatables-table"),r=l?JSON.parse(l.dataset.columns||"{}"):{};let c="";t.forEach(t=>{const e=t["s.id"]||t.id||t[this.primaryKey]||Object.values(t)[0],a=this.getRowClass(e);c+=`<tr${a?` class="${a} row-select"`:""} data-id="${e}">`,this.bulkActionsEnabled&&(c+=`<td class="${i} row-check">`,c+=`<label><input type="checkbox" class="${n} row-checkbox" value="${e}" onchange="DataTables.toggleRowSelection(this)"></label>`,c+="</td>"),"start"===this.actionConfig.position&&(c+=`<td class="${i} row-action">`,c+=this.renderActionButtons(e,t),c+="</td>"),Object.keys(this.columns).forEach(a=>{let i=this.cssClasses?.columns?.[a]||"";if(!i&&a.toLowerCase().includes(" as ")){const t=a.split(/\s+as\s+/i);if(2===t.length){const e=t[1].replace(/[`'"]/g,"");i=this.cssClasses?.columns?.[e]||""}}const o=this.inlineEditableColumns.includes(a);let s=a;if(a.toLowerCase().includes(" as ")){const t=a.split(/\s+as\s+/i);2===t.length&&(s=t[1].replace(/[`'"]/g,""))}let n=t[s]??"";const l=o?" cell-edit":"",d=r[a]?.override_type||r[a]?.type||"text";if("boolean"===d){const t="1"==n||"true"===n||!0===n,i=t?"check":"close",s=t?this.getThemeClass("icon.success"):this.getThemeClass("icon.danger"),l=n;o?(n=`<span class="inline-editable boolean-toggle" data-field="${a}" data-id="${e}" data-type="boolean" data-value="${l}" style="cursor: pointer;">`,n+=this.renderIcon(i,s),n+="</span>"):n=`<span data-value="${l}">${this.renderIcon(i,s)}</span>`}else if("select"===d){const t=r[a]?.form_options||{},i=String(n),s=i in t?t[i]:n;n=o?`<span class="inline-editable" data-field="${a}" data-id="${e}" data-type="${d}" data-value="${n}" style="cursor: pointer;">${s}</span>`:s}else if("select2"===d){const i=t[s+"_label"]||n;n=o?`<span class="inline-editable" data-field="${a}" data-id="${e}" data-type="${d}" data-value="${n}" style="cursor: pointer;">${i}</span>`:i}else if("image"===d){const t=this.getThemeClass("border.rounded");if(n&&n.trim()){const i=n.startsWith("http")?n:`/uploads/${n}`;o?(n=`<span class="inline-editable" data-field="${a}" data-id="${e}" data-type="${d}" data-value="${n}" style="cursor: pointer;">`,n+=`<img src="${i}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`,n+="</span>"):n=`<img src="${i}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`}else n=o?`<span class="inline-editable" data-field="${a}" data-id="${e}" data-type="${d}" data-value="" style="cursor: pointer;">No image</span>`:"No image"}else o&&(n=`<span class="inline-editable" data-field="${a}" data-id="${e}" data-type="${d}" style="cursor: pointer;">${n}</span>`);const u=[i,l].filter(t=>t).join(" ");c+=`<td${u?` class="${u}"`:""}>${n}</td>`}),"end"===this.actionConfig.position&&(c+=`<td class="${i} row-action">`,c+=this.renderActionButtons(e,t),c+="</td>"),c+="</tr>"}),e.innerHTML=c,this.bindTableEvents(),this.updateBulkActionButtons(),this.calculatePageAggregations(t)}renderActionButtons(t,e={}){let a="";const i=this.getThemeClass("icon.link");this.getThemeClass("margin.smallRight"),window.DataTablesRowData||(window.DataTablesRowData={}),window.DataTablesRowData[t]=e;const o=a=>{if("string"!=typeof a)return a;let i=a.replace("{id}",t);for(const[t,a]of Object.entries(e)){const e="{"+t+"}";i=i.replace(new RegExp(e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"g"),a||"")}return i};return this.actionConfig.groups&&this.actionConfig.groups.length>0?this.actionConfig.groups.forEach(e=>{Array.isArray(e)?e.forEach(t=>{switch(t){case"edit":"uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>':a+=`<a href="#" class="${i} btn-edit" title="Edit Record">${this.renderIcon("pencil")}</a>`;break;case"delete":"uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>':a+=`<a href="#" class="${i} btn-delete" title="Delete Record">${this.renderIcon("trash")}</a>`}}):"object"==typeof e&&null!==e&&(Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const i=e[t];"object"==typeof i&&i.location&&i.content?"before"!==i.location&&"both"!==i.location||(a+=o(i.content)):"string"==typeof i&&(a+=o(i))}),Object.keys(e).filter(t=>!t.startsWith("html")).forEach(s=>{const n=e[s];if(n&&"object"==typeof n){if(n.html)if("object"==typeof n.html&&n.html.location&&n.html.content)"before"!==n.html.location&&"both"!==n.html.location||(a+=o(n.html.content));else if("string"==typeof n.html&&!n.hasCallback&&void 0===n.href&&void 0===n.icon)return void(a+=o(n.html));if(n.hasCallback){const e=n.icon||"link",o=n.title||"",l=n.class||"btn-custom",r=n.confirm||"";"uikit"===this.theme?a+='<a href="#" class="uk-icon-link '+l+'" uk-icon="'+e+'" title="'+o+'" uk-tooltip="'+o+'"':a+='<a href="#" class="'+i+" "+l+'" title="'+o+'"',a+=' data-action="'+s+'"',a+=' data-id="'+t+'"',a+=' data-confirm="'+r+'"',a+=" onclick=\"DataTables.executeActionCallback('"+s+"', "+t+', event)"',a+=">","uikit"!==this.theme&&(a+=this.renderIcon(e)),a+="</a>"}else if(void 0!==n.href||void 0!==n.icon){const t=o(n.icon||"link"),e=o(n.title||""),s=o(n.class||"btn-custom"),l=o(n.href||"#"),r=o(n.onclick||""),c=n.attributes||{};"uikit"===this.theme?a+='<a href="'+l+'" class="uk-icon-link '+s+'" uk-icon="'+t+'" title="'+e+'" uk-tooltip="'+e+'"':a+='<a href="'+l+'" class="'+i+" "+s+'" title="'+e+'"',r&&(a+=' onclick="'+r+'"');for(const[t,e]of Object.entries(c)){const i=o(String(e));a+=" "+t+'="'+i+'"'}a+=">","uikit"!==this.theme&&(a+=this.renderIcon(t)),a+="</a>"}n.html&&"object"==typeof n.html&&n.html.location&&n.html.content&&("after"!==n.html.location&&"both"!==n.html.location||(a+=o(n.html.content)))}}),Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const i=e[t];"object"==typeof i&&i.location&&i.content&&("after"!==i.location&&"both"!==i.location||(a+=o(i.content)))}))}):(!1!==this.actionConfig.show_edit&&("uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="Edit Record" uk-tooltip="Edit Record"></a>':a+=`<a href="#" class="${i} btn-edit" title="Edit Record">${this.renderIcon("pencil")}</a>`),!1!==this.actionConfig.show_delete&&("uikit"===this.theme?a+='<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="Delete Record" uk-tooltip="Delete Record"></a>':a+=`<a href="#" class="${i} btn-delete" title="Delete Record">${this.renderIcon("trash")}</a>`)),a}renderInfo(t){const e=(t.page-1)*t.per_page+1,a=`Showing ${e} to ${Math.min(e+t.per_page-1,t.total)} of ${t.total} records`;document.querySelectorAll(".datatables-info").forEach(t=>{t.textContent=a})}renderPagination(t){if(t.total_pages<=1)return void document.querySelectorAll(".datatables-pagination").forEach(t=>{t.innerHTML=""});let e="";const a=parseInt(t.page),i=parseInt(t.total_pages),o=this.getThemeClass("pagination.disabled"),s=this.getThemeClass("pagination.active");if("bootstrap"===this.theme){e+=`<li class="page-item${1===a?" disabled":""}">`,e+=`<a class="page-link" ${1===a?"":'onclick="DataTables.goToPage(1)"'} title="First Page">&laquo;&laquo;</a></li>`,e+=`<li class="page-item${1===a?" disabled":""}">`,e+=`<a class="page-link" ${1===a?"":`onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">&laquo;</a></li>`,a>2&&(e+='<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'));const t=Math.max(1,a-1),o=Math.min(i,a+1);for(let i=t;i<=o;i++)e+=`<li class="page-item${i===a?" active":""}">`,e+=`<a class="page-link" ${i===a?"":`onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;a<i-1&&(a<i-2&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'),e+=`<li class="page-item"><a class="page-link" onclick="DataTables.goToPage(${i})">${i}</a></li>`),e+=`<li class="page-item${a===i?" disabled":""}">`,e+=`<a class="page-link" ${a===i?"":`onclick="DataTables.goToPage(${a+1})"`} title="Next Page">&raquo;</a></li>`,e+=`<li class="page-item${a===i?" disabled":""}">`,e+=`<a class="page-link" ${a===i?"":`onclick="DataTables.goToPage(${i})"`} title="Last Page">&raquo;&raquo;</a></li>`}else if("uikit"===this.theme){e+=`<li${1===a?' class="uk-disabled"':""}>`,e+=`<a ${1===a?"":' onclick="DataTables.goToPage(1)"'} title="First Page">`,e+='<span uk-icon="chevron-double-left"></span></a></li>',e+=`<li${1===a?' class="uk-disabled"':""}>`,e+=`<a ${1===a?"":` onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">`,e+="<span uk-pagination-previous></span></a></li>",a>2&&(e+='<li><a onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+='<li class="uk-disabled"><span>...</span></li>'));const t=Math.max(1,a-1),o=Math.min(i,a+1);for(let i=t;i<=o;i++)e+=`<li${i===a?' class="uk-active"':""}>`,e+=`<a ${i===a?"":` onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;a<i-1&&(a<i-2&&(e+='<li class="uk-disabled"><span>...</span></li>'),e+=`<li><a onclick="DataTables.goToPage(${i})">${i}</a></li>`),e+=`<li${a===i?' class="uk-disabled"':""}>`,e+=`<a ${a===i?"":` onclick="DataTables.goToPage(${a+1})"`} title="Next Page">`,e+="<span uk-pagination-next></span></a></li>",e+=`<li${a===i?' class="uk-disabled"':""}>`,e+=`<a ${a===i?"":` onclick="DataTables.goToPage(${i})"`} title="Last Page">`,e+='<span uk-icon="chevron-double-right"></span></a></li>'}else{e+=`<li${1===a?` class="${o}"`:""}>`,e+=`<a ${1===a?"":'onclick="DataTables.goToPage(1)"'} title="First Page">${this.renderIcon("chevron-double-left")}</a></li>`,e+=`<li${1===a?` class="${o}"`:""}>`,e+=`<a ${1===a?"":`onclick="DataTables.goToPage(${a-1})"`} title="Previous Page">&laquo;</a></li>`,a>2&&(e+='<li><a onclick="DataTables.goToPage(1)">1</a></li>',a>3&&(e+=`<li class="${o}"><span>...</span></li>`));const t=Math.max(1,a-1),n=Math.min(i,a+1);for(let i=t;i<=n;i++)e+=`<li${i===a?` class="${s}"`:""}>`,e+=`<a ${i===a?"":`onclick="DataTables.goToPage(${i})"`}>${i}</a></li>`;a<i-1&&(a<i-2&&(e+=`<li class="${o}"><span>...</span></li>`),e+=`<li><a onclick="DataTables.goToPage(${i})">${i}</a></li>`),e+=`<li${a===i?` class="${o}"`:""}>`,e+=`<a ${a===i?"":`onclick="DataTables.goToPage(${a+1})"`} title="Next Page">&raquo;</a></li>`,e+=`<li${a===i?` class="${o}"`:""}>`,e+=`<a ${a===i?"":`onclick="DataTables.goToPage(${i})"`} title="Last Page">${this.renderIcon("chevron-double-right")}</a></li>`}document.querySelectorAll(".datatables-pagination").forEach(t=>{t.innerHTML=e})}goToPage(t){this.currentPage=t,this.loadData()}updateSortIcons(){document.querySelectorAll(".sort-icon").forEach(t=>{"uikit"===this.theme?t.setAttribute("uk-icon","triangle-up"):t.innerHTML=this.renderIcon("triangle-up")}),document.querySelectorAll(`th[data-sort="${this.sortColumn}"] .sort-icon`).forEach(t=>{if(t){const e="ASC"===this.sortDirection?"triangle-up":"triangle-down";"uikit"===this.theme?t.setAttribute("uk-icon",e):t.innerHTML=this.renderIcon(e)}})}toggleSelectAll(t){document.querySelectorAll(".row-checkbox").forEach(e=>{e.checked=t.checked,this.toggleRowSelection(e)})}toggleRowSelection(t){const e=t.value;if(t.checked)this.selectedIds.add(e);else{this.selectedIds.delete(e);const t=document.querySelector(".datatables-select-all");t&&(t.checked=!1)}this.updateBulkActionButtons()}updateBulkActionButtons(){const t=this.selectedIds.size>0;document.querySelectorAll(".datatables-bulk-action-btn").forEach(e=>{e.disabled=!t})}executeBulkActionDirect(t,e){e&&e.preventDefault();const a=Array.from(this.selectedIds);if(0===a.length)return void this.showNotification("No records selected","warning");const i=document.querySelector(`[data-action="${t}"]`),o=i?i.getAttribute("data-confirm"):"";o?this.showConfirm(o).then(()=>{this.performBulkAction(t,a)},()=>{}):this.performBulkAction(t,a)}executeActionCallback(t,e,a){a&&a.preventDefault();const i=window.DataTablesRowData?window.DataTablesRowData[e]:{};let o=null;if(this.actionConfig.groups)for(const e of this.actionConfig.groups)if("object"==typeof e&&!Array.isArray(e)&&e[t]&&e[t].hasCallback){o=e[t];break}o&&(o.confirm?this.showConfirm(o.confirm).then(()=>{this.performActionCallback(t,e,i,o)},()=>{}):this.performActionCallback(t,e,i,o))}performActionCallback(t,e,a,i){const o=new FormData;o.append("action","action_callback"),o.append("action_name",t),o.append("row_id",e),o.append("row_data",JSON.stringify(a)),fetch(window.location.href,{method:"POST",body:o}).then(t=>t.json()).then(t=>{t.success?(this.loadData(),this.showNotification(t.message||i.success_message||"Action completed","success")):this.showNotification(t.message||i.error_message||"Action failed","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}resetSearch(){document.querySelectorAll(".datatables-search").forEach(t=>{t.value=""}),this.search="",this.currentPage=1,this.loadData()}applyFilters(){this.activeFilters=[];const t={};document.querySelectorAll(".datatables-filter-input").forEach(e=>{const a=e.getAttribute("data-filter-field"),i=e.getAttribute("data-filter-operator");if(""!==e.value)return"BETWEEN"===i?(t[a]||(t[a]={field:a,operator:"BETWEEN",value:"",value_to:""},this.activeFilters.push(t[a])),void(e.classList.contains("datatables-filter-between-from")?t[a].value=e.value:t[a].value_to=e.value)):void this.activeFilters.push({field:a,operator:i,value:e.value,value_to:""})}),this.activeFilters=this.activeFilters.filter(t=>""!==t.value||""!==t.value_to);const e=this.activeFilters.length,a=document.querySelector(".datatables-filter-count");a&&(a.textContent=e>0?e:"",a.style.display=e>0?"inline":"none"),this.currentPage=1,this.loadData()}resetFilters(){document.querySelectorAll(".datatables-filter-input").forEach(t=>{t.value=""}),this.activeFilters=[];const t=document.querySelector(".datatables-filter-count");t&&(t.textContent="",t.style.display="none"),this.currentPage=1,this.loadData()}executeBulkAction(){const t=document.querySelector(".datatables-bulk-action");if(!t||!t.value)return;const e=t.value,a=Array.from(this.selectedIds);if(0===a.length)return void this.showNotification("No records selected","warning");const i=this.bulkActions[e];i&&i.confirm?this.showConfirm(i.confirm).then(()=>{this.performBulkAction(e,a)},()=>{}):this.performBulkAction(e,a)}performBulkAction(t,e){const a=new FormData;a.append("action","bulk_action"),a.append("bulk_action",t),a.append("selected_ids",JSON.stringify(e)),fetch(window.location.href,{method:"POST",body:a}).then(t=>t.json()).then(t=>{if(t.success){this.selectedIds.clear(),this.loadData(),this.showNotification(t.message||"Bulk action completed","success");const e=document.querySelector(".datatables-bulk-action");e&&(e.value="");const a=document.querySelector(".datatables-select-all");a&&(a.checked=!1),this.updateBulkActionButtons()}else this.showNotification(t.message||"Bulk action failed","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}showAddModal(t){t&&t.preventDefault(),this.showModal("add-modal")}showEditModal(t){this.loadRecordForEdit(t),this.showModal("edit-modal")}showDeleteModal(t){this.deleteId=t,this.showModal("delete-modal")}loadRecordForEdit(t){const e=new URLSearchParams({action:"fetch_record",id:t});fetch("?"+e.toString()).then(t=>t.json()).then(t=>{t.success&&t.data?this.populateEditForm(t.data,t.field_overrides||{}):(console.error("Failed to fetch record:",t.message),this.showNotification(t.message||"Failed to fetch record data","danger"))}).catch(t=>{console.error("Error fetching record:",t),this.showNotification("Error fetching record data","danger")})}populateEditForm(t,e={}){let a=this.primaryKey;this.primaryKey.includes(".")&&(a=this.primaryKey.split(".")[1]);let i=t[this.primaryKey]||t[a]||t["s.id"]||t.id||"";const o=document.getElementById(`edit-${a}`);o&&(o.value=i);const s=document.getElementById("edit-form");if(!s)return;s.querySelectorAll("input, select, textarea").forEach(e=>{const i=e.name;if(!i||i===a)return;const o=t[i];if(null!=o){if("checkbox"===e.type)e.checked="1"==o||"true"===o||!0===o;else if("radio"===e.type)e.checked=e.value===String(o);else if(e.hasAttribute("data-select2")&&(e.innerHTML=`<option value="${o}" selected>${o}</option>`),e.value=o,e.classList.contains("kp-dt-datepicker-native")){var s=e.closest(".kp-dt-datepicker-wrap");if(s){var n=s.querySelector(".kp-dt-datepicker");if(n){var l=n.getAttribute("data-formatter")||"YYYY-MM-DD";n.value=KPDataTablesDatepicker.format(o,l)}}}}else"checkbox"===e.type||"radio"===e.type?e.checked=!1:e.value=""}),s.querySelectorAll(".datatables-static-field").forEach(e=>{const a=e.getAttribute("data-display-field");a&&void 0!==t[a]&&null!==t[a]&&(e.textContent=t[a])});const n=s.querySelectorAll("select[data-select2]");if(n.length>0){const e=JSON.stringify(t);n.forEach(a=>{a.setAttribute("data-record-data",e);const i=a.kptSelect2Instance;i&&a.value&&(i.config.recordData=t,i.selectedValue=a.value,i.loadInitialValue())})}Object.entries(e).forEach(([t,e])=>{const a=s.querySelector(`[name="${t}"]`);a&&(Object.prototype.hasOwnProperty.call(e,"set_value")&&("checkbox"===a.type?a.checked="1"==e.set_value||!0===e.set_value:a.value=e.set_value??""),e.set_attributes&&Object.entries(e.set_attributes).forEach(([t,e])=>{null===e||!1===e?a.removeAttribute(t):a.setAttribute(t,e)}),e.set_classes&&Array.isArray(e.set_classes)&&e.set_classes.forEach(t=>a.classList.add(t)))})}submitAddForm(t){t.preventDefault();const e=t.target,a=new FormData(e);return a.append("action","add_record"),this.submitForm(a,e,"add-modal","Record added successfully"),!1}submitEditForm(t){t.preventDefault();const e=t.target,a=new FormData(e);return a.append("action","edit_record"),this.submitForm(a,null,"edit-modal","Record updated successfully"),!1}submitForm(t,e,a,i){t.append("table",this.tableName),fetch(window.location.href,{method:"POST",body:t}).then(t=>t.json()).then(t=>{t.success?(this.hideModal(a),e&&e.reset(),this.loadData(),this.showNotification(i,"success")):this.showNotification(t.message||"Operation failed","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")})}confirmDelete(){if(!this.deleteId)return;const t=new FormData;t.append("action","delete_record"),t.append("id",this.deleteId),fetch(window.location.href,{method:"POST",body:t}).then(t=>t.json()).then(t=>{t.success?(this.hideModal("delete-modal"),this.loadData(),this.showNotification("Record deleted successfully","success")):this.showNotification(t.message||"Failed to delete record","danger")}).catch(t=>{console.error("Error:",t),this.showNotification("An error occurred","danger")}),this.deleteId=null}bindTableEvents(){document.querySelectorAll(".btn-edit").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault();const e=t.target.closest("tr").getAttribute("data-id");this.showEditModal(e)})}),document.querySelectorAll(".btn-delete").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault();const e=t.target.closest("tr").getAttribute("data-id");this.showDeleteModal(e)})}),document.querySelectorAll("td .inline-editable:not(.boolean-toggle)").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault(),t.stopPropagation();const e=t.target.closest(".inline-editable");this.startInlineEdit(e)})}),document.querySelectorAll("td .boolean-toggle").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault(),t.stopPropagation(),this.toggleBoolean(t.target.closest(".boolean-toggle"))})}),document.querySelectorAll("tr.row-select").forEach(t=>{t.addEventListener("click",e=>{const a=e.target.closest("td");if(a&&!a.classList.contains("row-check")&&!a.classList.contains("row-action")&&!a.classList.contains("cell-edit")){const e=t.querySelector(".row-checkbox");e&&(e.checked=!e.checked,this.toggleRowSelection(e))}})})}startInlineEdit(t){if(t.querySelector("input, select, textarea"))return;const e=t.getAttribute("data-field"),a=t.getAttribute("data-id"),i=t.getAttribute("data-type")||"text",o=t.getAttribute("data-value")||t.textContent;if(!this.inlineEditableColumns.includes(e))return;const s=this.getThemeClass("input"),n=this.getThemeClass("select"),l=this.getThemeClass("textarea"),r=this.getThemeClass("button.primary"),c=this.getThemeClass("button.default"),d=this.getThemeClass("button.small"),u=this.getThemeClass("flex.right"),h=this.getThemeClass("margin.smallTop"),p=this.getThemeClass("margin.smallRight"),g=this.getThemeClass("margin.smallBottom"),m=this.getThemeClass("border.rounded"),b=this.getThemeClass("display.block"),f=document.querySelector(".datatables-table"),k=f?JSON.parse(f.dataset.columns||"{}"):{};let y;switch(i){case"select":const f=k[e]?.form_options||{};y=document.createElement("select"),y.className=n;for(const[t,e]of Object.entries(f)){const a=document.createElement("option");a.value=t,a.textContent=e,t===o&&(a.selected=!0),y.appendChild(a)}break;case"select2":const v=k[e]?.select2_query||"",w=0,x=k[e]?.select2_max_results||50;let C=o;if(!v)return console.error("No query configured for select2 field:",e),void(t.textContent=o);const $=document.createElement("select");return $.className=n,$.setAttribute("data-select2","true"),$.setAttribute("data-query",v),$.setAttribute("data-placeholder","Select..."),$.setAttribute("data-min-search-chars",w),$.setAttribute("data-max-results",x),$.setAttribute("data-theme",this.theme),$.innerHTML=`<option value="${o}" selected>Loading...</option>`,$.value=o,t.innerHTML="",t.appendChild($),void setTimeout(()=>{if("function"==typeof window.KPTSelect2){const i={placeholder:$.getAttribute("data-placeholder")||"Select...",query:$.getAttribute("data-query")||"",minSearchChars:$.getAttribute("data-min-search-chars")||0,maxResults:$.getAttribute("data-max-results")||50,theme:$.getAttribute("data-theme")||"uikit",recordData:{}};new KPTSelect2($,i),$.addEventListener("change",()=>{const i=$.value;i!==o?this.saveInlineEdit(a,e,i,t):$.kptSelect2Instance?t.textContent=$.kptSelect2Instance.selectedLabel||o:t.textContent=o});const s=$.kptSelect2Instance,n=s.close.bind(s);s.close=function(){const e=$.value!==o;n(),e||(t.textContent=C)}}else console.error("KPTSelect2 class not found!");setTimeout(()=>{$.kptSelect2Instance?($.kptSelect2Instance.selectedValue=o,$.kptSelect2Instance.loadInitialValue(),setTimeout(()=>{C=$.kptSelect2Instance.selectedLabel||o},25),setTimeout(()=>{$.kptSelect2Instance.open()},50)):console.error("NO INSTANCE CREATED")},100)},150);case"textarea":y=document.createElement("textarea"),y.className=l,y.value=o;break;case"number":y=document.createElement("input"),y.type="number",y.className=s,y.value=o;break;case"date":y=document.createElement("input"),y.type="date",y.className=s,y.value=o;break;case"datetime-local":y=document.createElement("input"),y.type="datetime-local",y.className=s,y.value=o;break;case"image":const E=document.createElement("div");if(E.style.minWidth="200px",o&&o.trim()){const t=o.startsWith("http")?o:`/uploads/${o}`,e=document.createElement("img");e.src=t,e.style.maxWidth="100px",e.style.maxHeight="100px",e.style.objectFit="cover",e.className=`${m} ${g} ${b}`,E.appendChild(e)}const T=document.createElement("input");T.type="url",T.className=`${s} ${g}`,T.placeholder="Enter image URL or upload file",T.value=o.startsWith("http")?o:"";const A=document.createElement("div");A.className=g;const D=document.createElement("input");D.type="file",D.className=s,D.accept="image/*";const S=document.createElement("div");S.className=`${u} ${h}`;const P=document.createElement("button");P.className=`${r} ${d} ${p}`,P.textContent="Save",P.type="button";const I=document.createElement("button");I.className=`${c} ${d}`,I.textContent="Cancel",I.type="button",A.appendChild(D),S.appendChild(P),S.appendChild(I),E.appendChild(T),E.appendChild(A),E.appendChild(S);const N=()=>{const i=T.value.trim(),s=D.files[0];if(s){const i=new FormData;i.append("action","upload_file"),i.append("file",s),i.append("prepend",t.getAttribute("data-prepend")||""),fetch(window.location.href,{method:"POST",body:i}).then(t=>t.json()).then(i=>{i.success?this.saveInlineEdit(a,e,i.file_name,t):(L(),this.showNotification(i.message||"Upload failed","danger"))}).catch(t=>{L(),this.showNotification("Upload error","danger")})}else i!==o?this.saveInlineEdit(a,e,i,t):L()},L=()=>{if(o&&o.trim()){const e=o.startsWith("http")?o:`/uploads/${o}`;t.innerHTML=`<img src="${e}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${m}">`}else t.innerHTML="No image"};return P.addEventListener("click",N),I.addEventListener("click",L),T.addEventListener("keydown",t=>{"Enter"===t.key?(t.preventDefault(),N()):"Escape"===t.key&&(t.preventDefault(),L())}),t.innerHTML="",t.appendChild(E),void T.focus();case"datepicker":const q=this.datepickerFormatters[e]||"YYYY-MM-DD",M=document.createElement("div");M.className="kp-dt-datepicker-wrap";const B=document.createElement("input");B.type="text",B.className=s+" kp-dt-datepicker",B.value=o,B.readOnly=!0,B.setAttribute("data-formatter",q);const _=document.createElement("input");_.type="date",_.className="kp-dt-datepicker-native",_.setAttribute("data-formatter",q);const F=KPDataTablesDatepicker.parseToISO(o,q);return F&&(_.value=F),_.addEventListener("change",()=>{const i=KPDataTablesDatepicker.format(_.value,q);B.value=i,this.saveInlineEdit(a,e,i,t)}),M.appendChild(B),M.appendChild(_),t.textContent="",t.appendChild(M),void(_.showPicker?_.showPicker():_.click());default:y=document.createElement("input"),y.type="email"===i?"email":"text",y.className=s,y.value=o}const v=()=>{const i=y.value;i!==o?this.saveInlineEdit(a,e,i,t):t.textContent=o};y.addEventListener("blur",v),y.addEventListener("keydown",e=>{"Enter"===e.key?(e.preventDefault(),v()):"Escape"===e.key&&(e.preventDefault(),t.textContent=o)}),t.textContent="",t.appendChild(y),y.focus(),y.select&&y.select()}toggleBoolean(t){const e=t.getAttribute("data-field"),a=t.getAttribute("data-id"),i=t.getAttribute("data-value"),o="1"==i||"true"===i||!0===i?"0":"1";this.saveInlineEdit(a,e,o,t)}saveInlineEdit(t,e,a,i){const o=new FormData;o.append("action","inline_edit"),o.append("id",t),o.append("field",e),o.append("value",a);const s=this.getThemeClass("border.rounded"),n=this.getThemeClass("icon.success"),l=this.getThemeClass("icon.danger");fetch(window.location.href,{method:"POST",body:o}).then(t=>t.json()).then(t=>{if(t.success){if(this.loadData(),"image"===i.getAttribute("data-type"))if(a&&a.trim()){const t=a.startsWith("http")?a:`/uploads/${a}`;i.innerHTML=`<img src="${t}" alt="Image" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${s}">`,i.setAttribute("data-value",a)}else i.innerHTML="No image",i.setAttribute("data-value","");else if(i.classList.contains("boolean-toggle")){const t="1"==a||"true"===a||!0===a,e=t?n:l;i.innerHTML=this.renderIcon(t?"check":"close",e),i.setAttribute("data-value",a)}else if("select"===i.getAttribute("data-type")){const t=document.querySelector(".datatables-table"),e=t?JSON.parse(t.dataset.columns||"{}"):{},o=i.getAttribute("data-field"),s=e[o]?.form_options||{},n=String(a),l=n in s?s[n]:a;i.setAttribute("data-value",a),i.textContent=l}else i.textContent=a;const t=document.getElementById(`edit-${e}`);t&&("checkbox"===t.type?t.checked="1"===a||"true"===a||!0===a:t.value=a),this.showNotification("Field updated successfully","success")}else i.textContent=i.getAttribute("data-original")||"",this.showNotification(t.message||"Failed to update field","danger")}).catch(t=>{console.error("Error:",t),i.textContent=i.getAttribute("data-original")||"",this.showNotification("An error occurred","danger")})}getColumnCount(){let t=Object.keys(this.columns).length||1;return t++,this.bulkActionsEnabled&&t++,t}changePageSize(t,e){e&&e.preventDefault(),this.perPage=parseInt(t),this.currentPage=1;const a=this.getThemeClass("button.primary"),i=this.getThemeClass("button.default");document.querySelectorAll(".datatables-page-size-btn").forEach(t=>{parseInt(t.getAttribute("data-size"))===this.perPage?t.className=t.className.replace(i,a):t.className=t.className.replace(a,i)}),document.querySelectorAll(".datatables-page-size").forEach(e=>{e.value=t}),this.loadData()}getRowClass(t){const e=this.cssClasses?.tr||"datatables-row";return e?`${e}-${t}`:""}}document.addEventListener("click",function(t){var e=t.target.closest(".kp-dt-datepicker-wrap");if(e){var a=e.querySelector(".kp-dt-datepicker"),i=e.querySelector(".kp-dt-datepicker-native");if(a&&i){i.style.display="block",i.style.position="static",i.style.opacity="1",i.style.width="100%",i.style.height="auto",a.style.display="none",i.focus();try{i.showPicker()}catch(t){}}}}),window.DataTablesJS=DataTablesJS;
\ No newline at end of file
+const KPDataTablesPlain={text:function(t,e){return void 0!==DataTablesJS&&t in DataTablesJS.messages?DataTablesJS.translate(t):e},showModal:function(t){const e=document.getElementById(t);e&&(e.classList.add("kp-dt-open"),e.classList.add("kp-dt-open-tailwind"),document.body.style.overflow="hidden")},hideModal:function(t){const e=document.getElementById(t);e&&(e.classList.remove("kp-dt-open"),e.classList.remove("kp-dt-open-tailwind"),document.body.style.overflow="")},notification:function(t,e="success"){const s=document.querySelector(".kp-dt-notification-container")||this.createNotificationContainer(),i=document.createElement("div");i.className=`kp-dt-notification kp-dt-notification-${e} kp-dt-notification-tailwind kp-dt-notification-${e}-tailwind`,i.textContent=t,s.appendChild(i),setTimeout(()=>{i.style.opacity="0",i.style.transform="translateY(-10px)",setTimeout(()=>i.remove(),300)},3e3)},createNotificationContainer:function(){const t=document.createElement("div");return t.className="kp-dt-notification-container",t.style.cssText="position: fixed; top: 20px; inset-inline-end: 20px; z-index: 1040; display: flex; flex-direction: column; gap: 10px;",document.body.appendChild(t),t},confirm:function(t){return new Promise((e,s)=>{const i=document.createElement("div");i.className="kp-dt-modal kp-dt-modal-tailwind kp-dt-open kp-dt-open-tailwind",i.style.cssText="position: fixed; inset: 0; background: rgba(0,0,0,0.6); display: flex; align-items: center; justify-content: center; z-index: 1050;";const a=document.createElement("div");a.className="kp-dt-modal-dialog kp-dt-modal-dialog-tailwind",a.style.cssText="background: white; padding: 30px; border-radius: 4px; max-width: 400px; text-align: center;",a.innerHTML=`\n                <p style="margin-bottom: 20px;">${t}</p>\n                <div style="display: flex; gap: 10px; justify-content: center;">\n                    <button class="kp-dt-button kp-dt-button-tailwind kp-dt-confirm-cancel" style="padding: 8px 24px;">${KPDataTablesPlain.text("modal.cancel","Cancel")}</button>\n                    <button class="kp-dt-button kp-dt-button-primary kp-dt-button-tailwind kp-dt-button-primary-tailwind kp-dt-confirm-ok" style="padding: 8px 24px;">${KPDataTablesPlain.text("modal.confirm","Confirm")}</button>\n                </div>\n            `,i.appendChild(a),document.body.appendChild(i),a.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{i.remove(),e()}),a.querySelector(".kp-dt-confirm-cancel").addEventListener("click",()=>{i.remove(),s()}),i.addEventListener("click",t=>{t.target===i&&(i.remove(),s())})})}},KPDataTablesBootstrap={notification:function(t,e="success"){let s=document.querySelector(".kp-dt-toast-container-bootstrap");s||(s=document.createElement("div"),s.className="kp-dt-toast-container-bootstrap toast-container position-fixed top-0 end-0 p-3",document.body.appendChild(s));const i="success"===e?"bg-success":"danger"===e?"bg-danger":"bg-warning",a=document.createElement("div");a.className=`toast align-items-center text-white ${i} border-0`,a.setAttribute("role","alert"),a.innerHTML='\n            <div class="d-flex">\n                <div class="toast-body"></div>\n                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>\n            </div>\n        ',a.querySelector(".toast-body").textContent=t,s.appendChild(a),new bootstrap.Toast(a,{delay:3e3}).show(),a.addEventListener("hidden.bs.toast",()=>a.remove())},confirm:function(t){return new Promise((e,s)=>{const i="kp-dt-confirm-modal-"+Date.now(),a=`\n                <div class="modal fade" id="${i}" tabindex="-1">\n                    <div class="modal-dialog modal-dialog-centered">\n                        <div class="modal-content">\n                            <div class="modal-body text-center py-4">\n                                <p class="mb-4">${t}</p>\n                                <div class="d-flex gap-2 justify-content-center">\n                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${KPDataTablesPlain.text("modal.cancel","Cancel")}</button>\n                                    <button type="button" class="btn btn-primary kp-dt-confirm-ok">${KPDataTablesPlain.text("modal.confirm","Confirm")}</button>\n                                </div>\n                            </div>\n                        </div>\n                    </div>\n                </div>\n            `;document.body.insertAdjacentHTML("beforeend",a);const r=document.getElementById(i),n=new bootstrap.Modal(r);r.querySelector(".kp-dt-confirm-ok").addEventListener("click",()=>{n.hide(),e()}),r.addEventListener("hidden.bs.modal",()=>{r.remove(),s()}),n.show()})}};KPDataTablesPlain.switchTab=function(t,e){const s=t.closest(".kp-dt-tabs, .kp-dt-tabs-tailwind");if(!s)return;s.querySelectorAll(".kp-dt-tab-btn, .kp-dt-tab-btn-tailwind").forEach(t=>{t.classList.remove("kp-dt-tab-active","kp-dt-tab-active-tailwind")}),t.classList.add("kp-dt-tab-active"),t.classList.contains("kp-dt-tab-btn-tailwind")&&t.classList.add("kp-dt-tab-active-tailwind"),s.querySelectorAll(".kp-dt-tab-panel, .kp-dt-tab-panel-tailwind").forEach(t=>{t.style.display="none"});const i=document.getElementById(e);i&&(i.style.display="block")},window.KPDataTablesPlain=KPDataTablesPlain,window.KPDataTablesBootstrap=KPDataTablesBootstrap;const KPDataTablesDatepicker={format:function(t,e){if(!t)return"";const s=t.split("-");if(3!==s.length)return t;const i=s[0],a=s[1],r=s[2];return e.replace("YYYY",i).replace("YY",i.slice(-2)).replace("MM",a).replace("M",parseInt(a,10).toString()).replace("DD",r).replace("D",parseInt(r,10).toString())},parseToISO:function(t,e){if(!t)return"";let s=e.replace("YYYY","(?<y>\\d{4})").replace("YY","(?<y2>\\d{2})").replace("MM","(?<m>\\d{1,2})").replace("M","(?<m>\\d{1,2})").replace("DD","(?<d>\\d{1,2})").replace("D","(?<d>\\d{1,2})");s=s.replace(/([\/\.\-])/g,"\\$1");try{const e=new RegExp("^"+s+"$").exec(t);if(!e||!e.groups)return"";const i=e.groups.y||"20"+(e.groups.y2||"00");return`${i}-${(e.groups.m||"1").padStart(2,"0")}-${(e.groups.d||"1").padStart(2,"0")}`}catch(t){return""}},applyDate:function(t){const e=t.getAttribute("data-target"),s=t.getAttribute("data-formatter")||"YYYY-MM-DD",i=document.getElementById(e);i&&(i.value=this.format(t.value,s))}};window.KPDataTablesDatepicker=KPDataTablesDatepicker;class DataTablesJS{constructor(t={}){this.tableName=t.tableName||"",this.primaryKey=t.primaryKey||"id",this.inlineEditableColumns=t.inlineEditableColumns||[],this.perPage=t.perPage||25,this.bulkActionsEnabled=t.bulkActionsEnabled||!1,this.bulkActions=t.bulkActions||{},this.actionConfig=t.actionConfig||{},this.columns=t.columns||{},this.cssClasses=t.cssClasses||{},this.theme=t.theme||"uikit",this.footerAggregations=t.footerAggregations||{},this.datepickerFormatters=t.datepickerFormatters||{},this.transport=t.transport||{},t.csrf&&(this.transport={...this.transport,csrf:{...t.csrf,table:this.tableName}}),this.pageSizeOptions=t.pageSizeOptions||[],this.includeAllOption=!1!==t.includeAllOption,this.filterFields=t.filterFields||[],this.reorderableColumns=t.reorderableColumns||!1,this.resizableColumns=t.resizableColumns||!1,this.frozenColumns=parseInt(t.frozenColumns)||0,this.infiniteScroll=t.infiniteScroll||!1,this.cursorPagination=t.cursorPagination||!1,this.clientSide=t.clientSide||!1,this.importConfig=t.importConfig||null,this.locale=t.locale||DataTablesJS.locale,this.messages=t.messages||DataTablesJS.messages,this.formatters=new Map,this.inFlight={},this.defaultState={perPage:this.perPage,sortKeys:t.defaultSortColumn?[{column:t.defaultSortColumn,direction:"DESC"===t.defaultSortDirection?"DESC":"ASC"}]:[],hiddenColumns:t.hiddenColumns||[],columnOrder:Object.keys(this.columns).map(t=>this.columnKey(t))},this.urlState=t.urlState?{mode:"hash"===t.urlState.mode?"hash":"query",param:t.urlState.param||DataTablesJS.slug(this.tableName)}:null,this.urlStateWritten=!1,this.restoringUrlState=!1,this.preferences=t.preferences?{storage:"session"===t.preferences.storage?"session":"local",expiry:parseInt(t.preferences.expiry)||0}:null,this.currentPage=1,this.sortKeys=this.defaultState.sortKeys.map(t=>({...t})),this.hiddenColumns=new Set(this.defaultState.hiddenColumns),this.columnOrder=[...this.defaultState.columnOrder],this.columnWidths={},this.resizing=!1,this.search="",this.deleteId=null,this.selectedIds=new Set,this.activeFilters=[],this.rowData={},this.pageData=null,this.totalRecords=0,this.loadingMore=!1,this.rowHeight=0,this.virtualStart=-1,this.virtualEnd=-1,this.cursor="",this.nextCursor=null,this.prevCursor=null,this.cursorQuery=null,this.allRows=null,this.clientRows=null,this.cellAnchor=null,this.cellRange=null,this.tableActive=!1,this.gridCell=null,this.gridTabStop=null,this.announceTimer=null,this.lastOutcome=null,this.importState=null,this.listeners={},Object.entries(t.on||{}).forEach(([t,e])=>this.on(t,e)),this.domSuffix=DataTablesJS.slug(this.tableName),this.jsRef=DataTablesJS.escapeHtml(`DataTablesJS.get(${JSON.stringify(String(this.tableName))})`),this.init()}init(){DataTablesJS.instances[this.tableName]=this,0===Object.keys(DataTablesJS.messages).length&&(DataTablesJS.messages=this.messages,DataTablesJS.locale=this.locale),window.DataTables||(window.DataTables=this),this.bindEvents(),this.preferences&&this.restorePreferences(),this.urlState&&(this.restoreUrlState(),window.addEventListener("popstate",()=>{this.restoringUrlState=!0,this.restoreUrlState(),this.loadData(),this.restoringUrlState=!1})),this.loadData()}static get(t){return DataTablesJS.instances[t]||null}static slug(t){return String(t).replace(/[^A-Za-z0-9_-]+/g,"-")}t(t,e={}){return DataTablesJS.translate(t,e,this.messages,this.locale)}static translate(t,e={},s=DataTablesJS.messages,i=DataTablesJS.locale){let a=s[t]??t;return null!==a&&"object"==typeof a&&(a=a[new Intl.PluralRules(i).select(Number(e.count)||0)]??a.other??t),String(a).replace(/\{(\w+)\}/g,(t,s)=>s in e?"number"==typeof e[s]?e[s].toLocaleString(i):String(e[s]):t)}isRtl(){const t=this.query(".datatables-container")||document.documentElement;return"rtl"===getComputedStyle(t).direction}columnFormat(t,e=this.getTableSchema()){return e[t]?.display_format||null}formatValue(t,e){if(!e||null==t||""===String(t).trim())return String(t??"");const s=e.locale||this.locale;if(["number","currency","percent"].includes(e.type)){const i=Number(t);return!1===Number.isFinite(i)?String(t):this.intlFormatter("NumberFormat",s,DataTablesJS.numberOptions(e)).format(i)}const i=DataTablesJS.parseDate(t);if(null===i)return String(t);if("relative"===e.type)return this.formatRelative(i,s,/^\s*[\d-]{10}\s*$/.test(String(t)));if(e.pattern)return this.formatDatePattern(i,e.pattern,s);const a={dateStyle:e.style||"medium"};return"datetime"===e.type&&(a.timeStyle="short"),this.intlFormatter("DateTimeFormat",s,a).format(i)}intlFormatter(t,e,s){const i=`${t}|${e}|${JSON.stringify(s)}`;return this.formatters.has(i)||this.formatters.set(i,new Intl[t](e,s)),this.formatters.get(i)}formatRelative(t,e,s=!1){const i=new Date;s&&i.setHours(0,0,0,0);const a=(t.getTime()-i.getTime())/1e3,r=s?DataTablesJS.relativeUnits.filter(([,t])=>t>=86400):DataTablesJS.relativeUnits,[n,l]=r.find(([,t])=>Math.abs(a)>=t)||r[r.length-1];return this.intlFormatter("RelativeTimeFormat",e,{numeric:"auto"}).format(Math.round(a/l),n)}formatDatePattern(t,e,s){const i=e=>this.intlFormatter("DateTimeFormat",s,e).format(t),a=t=>String(t).padStart(2,"0"),r=t.getHours()%12||12,n={YYYY:()=>String(t.getFullYear()),YY:()=>a(t.getFullYear()%100),MMMM:()=>i({month:"long"}),MMM:()=>i({month:"short"}),MM:()=>a(t.getMonth()+1),M:()=>String(t.getMonth()+1),DD:()=>a(t.getDate()),D:()=>String(t.getDate()),dddd:()=>i({weekday:"long"}),ddd:()=>i({weekday:"short"}),HH:()=>a(t.getHours()),H:()=>String(t.getHours()),hh:()=>a(r),h:()=>String(r),mm:()=>a(t.getMinutes()),ss:()=>a(t.getSeconds()),A:()=>this.intlFormatter("DateTimeFormat",s,{hour:"numeric",hour12:!0}).formatToParts(t).find(t=>"dayPeriod"===t.type)?.value||""};return e.replace(DataTablesJS.datePatternRegex,(t,e)=>e??(n[t]?n[t]():t))}static numberOptions(t){const e={style:"number"===t.type?"decimal":t.type,useGrouping:!1!==t.grouping};return"currency"===t.type&&(e.currency=t.currency||"USD"),Number.isInteger(t.decimals)&&(e.minimumFractionDigits=t.decimals,e.maximumFractionDigits=t.decimals),e}static parseDate(t){const e=/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(t).trim());if(null===e||"0000"===e[1])return null;const[,s,i,a,r,n,l]=e.map(t=>Number(t||0));return new Date(s,i-1,a,r,n,l)}static registerRenderer(t,e){if("function"!=typeof e)throw new TypeError(`Cell renderer "${t}" must be a function`);DataTablesJS.renderers[t]=e}renderCell(t,e,s,i=this.getTableSchema()){const a=i[t]?.renderer;if(!a)return null;const r=DataTablesJS.renderers[a.name];if("function"!=typeof r)return DataTablesJS.missingRenderers.has(a.name)||(DataTablesJS.missingRenderers.add(a.name),console.warn(`No cell renderer registered as "${a.name}"`)),null;const n={table:this,column:t,rowId:this.getRowId(s),text:this.getCellText(s,t,i)};return String(r(e,s,a.options||{},n)??"")}static fillTemplate(t,e,s,i=!1){const a=i&&!1===/^\{\w+\}$/.test(t);return String(t).replace(/\{(\w+)\}/g,(t,i)=>{const r=String(("value"===i?s:e[i])??"");return a?encodeURIComponent(r):r})}static isSafeUrl(t){const e=/^([a-z][a-z0-9+.-]*):/i.exec(String(t).replace(/[\u0000-\u0020]/g,""));return null===e||["http","https","mailto","tel"].includes(e[1].toLowerCase())}static escapeHtml(t){return String(t??"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}cellHtml(t,e,s=this.getTableSchema()){return s[e]?.html?DataTablesJS.sanitizeHtml(t):DataTablesJS.escapeHtml(this.formatValue(t,this.columnFormat(e,s)))}static sanitizeHtml(t){const{tags:e,attributes:s,dropped:i}=DataTablesJS.sanitizer,a=document.createElement("template");a.innerHTML=String(t??"");const r=t=>{Array.from(t.childNodes).forEach(t=>{if(t.nodeType===Node.COMMENT_NODE)return void t.remove();if(t.nodeType!==Node.ELEMENT_NODE)return;const a=t.localName;!1!==e.includes(a)?(Array.from(t.attributes).forEach(e=>{const i=e.name.toLowerCase(),a=("href"===i||"src"===i)&&!1===DataTablesJS.isSafeUrl(e.value);(!1===s.includes(i)||a)&&t.removeAttribute(e.name)}),"a"===a&&"_blank"===t.getAttribute("target")&&t.setAttribute("rel","noopener noreferrer"),r(t)):i.includes(a)?t.remove():(r(t),t.replaceWith(...t.childNodes))})};return r(a.content),a.innerHTML}owns(t){const e=t.closest("[data-table]");return e?e.getAttribute("data-table")===this.tableName:window.DataTables===this}queryAll(t){return Array.from(document.querySelectorAll(t)).filter(t=>this.owns(t))}query(t){return this.queryAll(t)[0]||null}domId(t){return`${t}-${this.domSuffix}`}getTableSchema(){const t=this.query(".datatables-table");return t?JSON.parse(t.dataset.columns||"{}"):{}}on(t,e){return(this.listeners[t]=this.listeners[t]||[]).push(e),this}off(t,e){return e?this.listeners[t]&&(this.listeners[t]=this.listeners[t].filter(t=>t!==e)):delete this.listeners[t],this}static on(t,e){return(DataTablesJS.listeners[t]=DataTablesJS.listeners[t]||[]).push(e),DataTablesJS}static off(t,e){return e?DataTablesJS.listeners[t]&&(DataTablesJS.listeners[t]=DataTablesJS.listeners[t].filter(t=>t!==e)):delete DataTablesJS.listeners[t],DataTablesJS}emit(t,e={}){const s=[...this.listeners[t]||[],...DataTablesJS.listeners[t]||[]];let i=!0;return s.forEach(s=>{try{!1===s.call(this,e,this)&&(i=!1)}catch(e){console.error(`Error in "${t}" handler:`,e)}}),i}request(t,e="GET",s=null){return DataTablesJS.send(t,e,this.transport,s)}requestLatest(t,e,s="GET"){this.abortRequest(t);const i=new AbortController;this.inFlight[t]=i;const a=()=>{if(this.inFlight[t]!==i)throw new DOMException("Superseded by a newer request","AbortError");this.inFlight[t]=null};return this.request(e,s,i.signal).then(t=>(a(),t),t=>{throw a(),t})}abortRequest(t){this.inFlight[t]&&(this.inFlight[t].abort(),this.inFlight[t]=null)}static isAbortError(t){return!!t&&"AbortError"===t.name}static send(t,e="GET",s={},i=null,a=!0){const r={...DataTablesJS.transport,...s},n=t instanceof FormData||t instanceof URLSearchParams?Array.from(t.entries()):Object.entries(t),l=(n.find(([t])=>"action"===t)||[])[1]||"",o=((r.methods||{})[l]||r.method||e).toUpperCase(),c=t=>("function"==typeof t?t(l):t)||{},h={...c(DataTablesJS.transport.headers),...c(s.headers)};let d,u=(r.endpoints||{})[l]||r.url||("GET"===o?"":window.location.href);if("GET"===o){const t=new URLSearchParams;n.forEach(([e,s])=>{s instanceof Blob||t.append(e,s)}),u+=(u.includes("?")?"&":"?")+t.toString()}else t instanceof FormData?d=t:(d=new FormData,n.forEach(([t,e])=>d.append(t,e)));const m=r.csrf;if(d&&m&&!m.token&&m.table&&!m.settled)return DataTablesJS.fetchCsrfToken(m,s).then(()=>DataTablesJS.send(t,e,s,i,a));d&&m&&m.token&&!d.has(m.field)&&d.append(m.field,m.token);const p={action:l,url:u,method:o,headers:h,credentials:r.credentials||"same-origin",body:d,signal:i},g="function"==typeof r.request?Promise.resolve(r.request(p)):fetch(u,{method:o,headers:h,credentials:p.credentials,body:d,signal:i});return!1===a?g:g.then(t=>t&&"function"==typeof t.json?t.json():t)}static fetchCsrfToken(t,e){return t.pending||(t.pending=DataTablesJS.send({action:"csrf_token",table:t.table},"GET",e).then(e=>{e&&e.success&&e.token?t.token=e.token:console.error("CSRF token unavailable:",e&&e.message)}).catch(t=>console.error("CSRF token unavailable:",t)).finally(()=>{t.settled=!0})),t.pending}getThemeClass(t){const e={uikit:{table:{shrink:"uk-table-shrink",center:"uk-text-center",muted:"uk-text-muted",preview:"uk-table uk-table-small uk-table-divider"},checkbox:"uk-checkbox",input:"uk-input uk-width-1-1",select:"uk-select uk-width-1-1",textarea:"uk-textarea uk-width-1-1",button:{default:"uk-button uk-button-default",primary:"uk-button uk-button-primary",small:"uk-button-small"},icon:{link:"uk-icon-link",success:"uk-text-success",danger:"uk-text-danger"},pagination:{disabled:"uk-disabled",active:"uk-active"},flex:{right:"uk-flex uk-flex-right",between:"uk-flex-between"},margin:{smallRight:"uk-margin-small-right",smallBottom:"uk-margin-small-bottom",smallTop:"uk-margin-small-top"},border:{rounded:"uk-border-rounded"},display:{block:"uk-display-block"},sort:{priority:"uk-badge"},progress:"uk-progress uk-width-1-1",badge:{default:"uk-label kp-dt-label-default-uikit",primary:"uk-label",success:"uk-label uk-label-success",warning:"uk-label uk-label-warning",danger:"uk-label uk-label-danger"}},bootstrap:{table:{shrink:"",center:"text-center",muted:"text-muted",preview:"table table-sm"},checkbox:"form-check-input",input:"form-control",select:"form-select",textarea:"form-control",button:{default:"btn btn-secondary",primary:"btn btn-primary",small:"btn-sm"},icon:{link:"",success:"text-success",danger:"text-danger"},pagination:{disabled:"disabled",active:"active"},flex:{right:"d-flex justify-content-end",between:"justify-content-between"},margin:{smallRight:"me-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"d-block"},sort:{priority:"badge rounded-pill bg-secondary"},progress:"w-100",badge:{default:"badge text-bg-secondary",primary:"badge text-bg-primary",success:"badge text-bg-success",warning:"badge text-bg-warning",danger:"badge text-bg-danger"}},plain:{table:{shrink:"kp-dt-table-shrink",center:"kp-dt-text-center",muted:"kp-dt-text-muted",preview:"kp-dt-table kp-dt-table-striped"},checkbox:"kp-dt-checkbox",input:"kp-dt-input kp-dt-width-1-1",select:"kp-dt-select kp-dt-width-1-1",textarea:"kp-dt-textarea kp-dt-width-1-1",button:{default:"kp-dt-button",primary:"kp-dt-button kp-dt-button-primary",small:"kp-dt-button-small"},icon:{link:"kp-dt-icon-link",success:"kp-dt-text-success",danger:"kp-dt-text-danger"},pagination:{disabled:"kp-dt-disabled",active:"kp-dt-active"},flex:{right:"kp-dt-flex kp-dt-flex-right",between:"kp-dt-flex-between"},margin:{smallRight:"kp-dt-margin-small-right",smallBottom:"kp-dt-margin-small-bottom",smallTop:"kp-dt-margin-small-top"},border:{rounded:"kp-dt-border-rounded"},display:{block:"kp-dt-display-block"},sort:{priority:"kp-dt-badge"},progress:"kp-dt-width-1-1",badge:{default:"kp-dt-label",primary:"kp-dt-label kp-dt-label-primary",success:"kp-dt-label kp-dt-label-success",warning:"kp-dt-label kp-dt-label-warning",danger:"kp-dt-label kp-dt-label-danger"}},tailwind:{table:{shrink:"w-px whitespace-nowrap",center:"text-center",muted:"text-gray-500",preview:"kp-dt-table-tailwind kp-dt-table-striped-tailwind"},checkbox:"h-4 w-4 rounded border-gray-300",input:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",select:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",textarea:"block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500",button:{default:"inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50",primary:"inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700",small:"px-2 py-1 text-xs"},icon:{link:"text-gray-400 hover:text-gray-600",success:"text-green-500",danger:"text-red-500"},pagination:{disabled:"opacity-50 cursor-not-allowed",active:"font-bold text-blue-600"},flex:{right:"flex justify-end",between:"justify-between"},margin:{smallRight:"me-2",smallBottom:"mb-2",smallTop:"mt-2"},border:{rounded:"rounded"},display:{block:"block"},sort:{priority:"kp-dt-badge-tailwind"},progress:"w-full",badge:{default:"inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800",primary:"inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800",success:"inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800",warning:"inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800",danger:"inline-block px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"}}},s=e[this.theme]||e.uikit,i=t.split(".");let a=s;for(const t of i)a=a?.[t];return a||""}showNotification(t,e="success"){"bootstrap"!==this.theme&&this.announce(t,!0),"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.notification(DataTablesJS.escapeHtml(t),{status:e}):"bootstrap"===this.theme?KPDataTablesBootstrap.notification(t,e):void 0!==KPDataTablesPlain?KPDataTablesPlain.notification(t,e):alert(t)}showModal(t){"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal(`#${t}`).show():"bootstrap"===this.theme&&"undefined"!=typeof bootstrap?new bootstrap.Modal(document.getElementById(t)).show():void 0!==KPDataTablesPlain&&KPDataTablesPlain.showModal(t)}hideModal(t){if("uikit"===this.theme&&"undefined"!=typeof UIkit)UIkit.modal(`#${t}`).hide();else if("bootstrap"===this.theme&&"undefined"!=typeof bootstrap){const e=document.getElementById(t),s=bootstrap.Modal.getInstance(e);s&&s.hide()}else void 0!==KPDataTablesPlain&&KPDataTablesPlain.hideModal(t);document.querySelectorAll(".kp-select2-dropdown").forEach(t=>{t.style.display="none"})}showConfirm(t){return new Promise((e,s)=>{"uikit"===this.theme&&"undefined"!=typeof UIkit?UIkit.modal.confirm(t,{i18n:{ok:this.t("modal.confirm"),cancel:this.t("modal.cancel")}}).then(e,s):"bootstrap"===this.theme?KPDataTablesBootstrap.confirm(t).then(e,s):void 0!==KPDataTablesPlain?KPDataTablesPlain.confirm(t).then(e,s):confirm(t)?e():s()})}renderIcon(t,e=""){return"uikit"===this.theme?`<span uk-icon="${t}" class="${e}"></span>`:"bootstrap"===this.theme?`<i class="bi ${{check:"bi-check-lg",close:"bi-x-lg",pencil:"bi-pencil",trash:"bi-trash",plus:"bi-plus",search:"bi-search",refresh:"bi-arrow-clockwise","triangle-up":"bi-caret-up-fill","triangle-down":"bi-caret-down-fill","chevron-double-left":"bi-chevron-double-left","chevron-double-right":"bi-chevron-double-right"}[t]||"bi-link"} ${e}"></i>`:`<span class="${e}">${{check:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.1" points="4,10 8,15 17,4"></polyline></svg>',close:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" stroke-width="1.4" x1="1" y1="1" x2="19" y2="19"></line><line fill="none" stroke="currentColor" stroke-width="1.4" x1="19" y1="1" x2="1" y2="19"></line></svg>',pencil:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" d="M17.25,6.01 L7.12,16.1 L3.82,17.2 L5.02,13.9 L15.12,3.88 C15.71,3.29 16.66,3.29 17.25,3.88 C17.84,4.47 17.84,5.42 17.25,6.01"></path></svg>',trash:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" points="6.5 3 6.5 1.5 13.5 1.5 13.5 3"></polyline><polyline fill="none" stroke="currentColor" points="3.5 4 16.5 4 15.5 18.5 4.5 18.5 3.5 4"></polyline></svg>',plus:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><line fill="none" stroke="currentColor" x1="10" y1="1" x2="10" y2="19"></line><line fill="none" stroke="currentColor" x1="1" y1="10" x2="19" y2="10"></line></svg>',search:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><circle fill="none" stroke="currentColor" stroke-width="1.1" cx="9" cy="9" r="7"></circle><path fill="none" stroke="currentColor" stroke-width="1.1" d="M14,14 L18,18 L14,14 Z"></path></svg>',refresh:'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><path fill="none" stroke="currentColor" stroke-width="1.1" d="M17.08,11.15 C17.09,11.31 17.1,11.47 17.1,11.64 C17.1,15.53 13.94,18.69 10.05,18.69 C6.16,18.68 3,15.53 3,11.63 C3,7.74 6.16,4.58 10.05,4.58 C10.9,4.58 11.71,4.73 12.46,5"></path><polyline fill="none" stroke="currentColor" points="9.9 2 12.79 4.89 9.79 7.9"></polyline></svg>',"triangle-up":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,5 15,14 5,14"></polygon></svg>',"triangle-down":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polygon points="10,15 15,6 5,6"></polygon></svg>',"chevron-double-left":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 6,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="14,14 10,10 14,6"></polyline></svg>',"chevron-double-right":'<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20" fill="currentColor"><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="10,14 14,10 10,6"></polyline><polyline fill="none" stroke="currentColor" stroke-width="1.2" points="6,14 10,10 6,6"></polyline></svg>'}[t]||""}</span>`}bindEvents(){this.queryAll(".datatables-search").forEach(t=>{let e;t.addEventListener("input",t=>{clearTimeout(e),e=setTimeout(()=>{this.search=t.target.value,this.currentPage=1,this.loadData()},300)})}),this.queryAll(".datatables-filter-input").forEach(t=>{let e;t.addEventListener("input",()=>{clearTimeout(e),e=setTimeout(()=>{this.applyFilters()},300)})}),this.queryAll(".datatables-page-size").forEach(t=>{t.addEventListener("change",t=>{this.perPage=parseInt(t.target.value),this.currentPage=1,this.queryAll(".datatables-page-size").forEach(e=>{e.value=t.target.value}),this.loadData()})}),this.bulkActionsEnabled&&this.queryAll(".datatables-bulk-action").forEach(t=>{t.addEventListener("change",t=>{this.queryAll(".datatables-bulk-execute").forEach(e=>{e.disabled=!t.target.value||0===this.selectedIds.size})})}),this.infiniteScroll&&this.bindInfiniteScroll(),this.frozenColumns>0&&window.addEventListener("resize",()=>this.applyFrozenColumns()),this.reorderableColumns&&this.bindColumnReorder(),this.resizableColumns&&this.bindColumnResize(),this.bindClipboard(),this.bindGridKeys(),document.addEventListener("click",t=>{if(t.target.closest(".sortable-header")){const e=t.target.closest("th[data-sort]");e&&this.owns(e)&&(this.toggleSort(e.getAttribute("data-sort"),t.shiftKey),this.currentPage=1,this.loadData(),this.updateSortIcons())}})}urlParam(t){return`${this.urlState.param}.${t}`}readUrlParams(){const t="hash"===this.urlState.mode?window.location.hash.replace(/^#/,""):window.location.search;return new URLSearchParams(t)}restoreUrlState(){const t=this.readUrlParams(),e=e=>t.get(this.urlParam(e));if(!Array.from(t.keys()).some(t=>t.startsWith(this.urlParam("")))&&!this.urlStateWritten)return;const s=parseInt(e("page"));this.currentPage=s>0?s:1,this.cursorPagination&&(this.cursor=e("cursor")||"",""===this.cursor&&(this.currentPage=1));const i=parseInt(e("perPage"));this.perPage=i>=0?i:this.defaultState.perPage;const a=(e("dir")||"").toUpperCase().split(","),r=(e("sort")||"").split(",").map((t,e)=>({column:t,direction:"DESC"===a[e]?"DESC":"ASC"})).filter(t=>""!==t.column&&this.isSortableColumn(t.column));this.sortKeys=r.length>0?r:this.defaultState.sortKeys.map(t=>({...t})),this.search=e("search")||"";let n=[];try{n=JSON.parse(e("filters")||"[]")}catch(t){console.error("Ignoring malformed filters in URL:",t)}this.activeFilters=Array.isArray(n)?n.filter(t=>t&&"string"==typeof t.field&&"string"==typeof t.operator).map(t=>({field:t.field,operator:t.operator,value:String(t.value??""),value_to:String(t.value_to??"")})):[],this.cursorQuery=this.getCursorQuery(),this.syncStateControls()}writeUrlState(){if(!this.urlState||this.restoringUrlState)return;const t=this.readUrlParams(),e={page:this.currentPage>1?this.currentPage:"",cursor:this.cursorPagination?this.cursor:"",perPage:this.perPage!==this.defaultState.perPage?this.perPage:"",sort:this.isDefaultSort()?"":this.sortKeys.map(t=>t.column).join(","),dir:this.isDefaultSort()?"":this.sortKeys.map(t=>t.direction).join(","),search:this.search,filters:this.activeFilters.length>0?JSON.stringify(this.activeFilters):""};Object.entries(e).forEach(([e,s])=>{""===s?t.delete(this.urlParam(e)):t.set(this.urlParam(e),s)});const s=t.toString(),{pathname:i,search:a,hash:r}=window.location,n="hash"===this.urlState.mode?i+a+(s?"#"+s:""):i+(s?"?"+s:"")+r;n!==i+a+r&&(this.urlStateWritten?history.pushState({kpDataTables:!0},"",n):history.replaceState({kpDataTables:!0},"",n)),this.urlStateWritten=!0}preferencesStore(){try{return"session"===this.preferences.storage?window.sessionStorage:window.localStorage}catch(t){return null}}preferencesKey(){return`kpDataTables:${this.tableName}`}isValidPageSize(t){return t===this.defaultState.perPage||this.pageSizeOptions.includes(t)||0===t&&this.includeAllOption}isSortableColumn(t){return this.defaultState.sortKeys.some(e=>e.column===t)||this.queryAll("th[data-sort]").some(e=>e.getAttribute("data-sort")===t)}restorePreferences(){const t=this.preferencesStore();if(!t)return;let e;try{e=JSON.parse(t.getItem(this.preferencesKey())||"null")}catch(t){e=null}if(e&&"object"==typeof e)if(this.preferences.expiry>0&&Date.now()-(e.savedAt||0)>1e3*this.preferences.expiry)t.removeItem(this.preferencesKey());else{if(this.isValidPageSize(e.perPage)&&(this.perPage=e.perPage),Array.isArray(e.sort)){const t=e.sort.filter(t=>t&&this.isSortableColumn(t.column)&&["ASC","DESC"].includes(t.direction));t.length===e.sort.length&&(this.sortKeys=t.map(t=>({column:t.column,direction:t.direction})))}if("string"==typeof e.search&&(this.search=e.search),Array.isArray(e.filters)&&(this.activeFilters=e.filters.filter(t=>t&&this.filterFields.includes(t.field))),Array.isArray(e.hiddenColumns)){const t=Object.keys(this.columns).map(t=>this.columnKey(t));this.hiddenColumns=new Set(e.hiddenColumns.filter(e=>t.includes(e)))}Array.isArray(e.columnOrder)&&(this.columnOrder=this.normalizeColumnOrder(e.columnOrder)),e.columnWidths&&"object"==typeof e.columnWidths&&(this.columnWidths=this.normalizeColumnWidths(e.columnWidths)),this.syncStateControls()}}savePreferences(){const t=this.preferencesStore();if(!t)return;const e=this.perPage===this.defaultState.perPage&&this.isDefaultSort()&&""===this.search&&0===this.activeFilters.length&&this.isDefaultLayout();try{e?t.removeItem(this.preferencesKey()):t.setItem(this.preferencesKey(),JSON.stringify({savedAt:Date.now(),perPage:this.perPage,sort:this.sortKeys,search:this.search,filters:this.activeFilters,hiddenColumns:[...this.hiddenColumns],columnOrder:this.columnOrder,columnWidths:this.columnWidths}))}catch(t){console.error("Failed to save table preferences:",t)}}resetPreferences(){if(this.preferences){const t=this.preferencesStore();t&&t.removeItem(this.preferencesKey())}this.perPage=this.defaultState.perPage,this.sortKeys=this.defaultState.sortKeys.map(t=>({...t})),this.search="",this.activeFilters=[],this.hiddenColumns=new Set(this.defaultState.hiddenColumns),this.columnOrder=[...this.defaultState.columnOrder],this.columnWidths={},this.currentPage=1,this.syncStateControls(),this.emit("filterChange",{filters:this.activeFilters}),this.emit("columnVisibilityChange",{hiddenColumns:[...this.hiddenColumns]}),this.emit("columnLayoutChange",this.getColumnLayout()),this.loadData()}syncStateControls(){this.queryAll(".datatables-search").forEach(t=>{t.value=this.search}),this.syncFilterInputs(),this.syncPageSizeControls(),this.updateSortIcons(),this.applyColumnLayout()}isColumnVisible(t){return!this.hiddenColumns.has(t)}visibleColumns(){return this.orderedColumns().filter(t=>this.isColumnVisible(this.columnKey(t)))}isDefaultLayout(){const t=this.defaultState.hiddenColumns;return this.hiddenColumns.size===t.length&&t.every(t=>this.hiddenColumns.has(t))&&this.columnOrder.join(",")===this.defaultState.columnOrder.join(",")&&0===Object.keys(this.columnWidths).length}toggleColumn(t,e){const s=void 0===e?this.hiddenColumns.has(t):Boolean(e);s!==this.isColumnVisible(t)&&(s?this.hiddenColumns.delete(t):this.hiddenColumns.add(t),this.applyColumnVisibility(),this.pageData&&this.renderTable(this.pageData),this.preferences&&this.savePreferences(),this.emit("columnVisibilityChange",{hiddenColumns:[...this.hiddenColumns]}))}applyColumnVisibility(){this.queryAll(".datatables-table [data-column]").forEach(t=>{t.hidden=!this.isColumnVisible(t.getAttribute("data-column"))}),this.queryAll(".datatables-agg-label").forEach(t=>{const e=JSON.parse(t.getAttribute("data-leading-columns")||"[]"),s=parseInt(t.getAttribute("data-leading-fixed"))||0,i=s+e.filter(t=>this.isColumnVisible(t)).length;t.hidden=s+e.length>0&&0===i,t.colSpan=Math.max(1,i)}),this.queryAll(".datatables-column-toggle").forEach(t=>{t.checked=this.isColumnVisible(t.value)})}orderedColumns(){const t=Object.keys(this.columns);return this.columnOrder.map(e=>t.find(t=>this.columnKey(t)===e))}normalizeColumnOrder(t){const e=this.defaultState.columnOrder,s=t.filter((s,i)=>e.includes(s)&&t.indexOf(s)===i);return s.concat(e.filter(t=>!s.includes(t)))}normalizeColumnWidths(t){const e={};return Object.entries(t).forEach(([t,s])=>{this.defaultState.columnOrder.includes(t)&&Number.isFinite(s)&&s>0&&(e[t]=Math.round(s))}),e}getColumnLayout(){return{order:[...this.columnOrder],widths:{...this.columnWidths},hidden:[...this.hiddenColumns]}}setColumnLayout(t={}){Array.isArray(t.order)&&(this.columnOrder=this.normalizeColumnOrder(t.order)),t.widths&&"object"==typeof t.widths&&(this.columnWidths=this.normalizeColumnWidths(t.widths)),Array.isArray(t.hidden)&&(this.hiddenColumns=new Set(t.hidden.filter(t=>this.defaultState.columnOrder.includes(t)))),this.columnLayoutChanged()}moveColumn(t,e,s=!1){if(t===e||!this.columnOrder.includes(t)||!this.columnOrder.includes(e))return;const i=this.columnOrder.filter(e=>e!==t);i.splice(i.indexOf(e)+(s?1:0),0,t),this.columnOrder=i,this.columnLayoutChanged()}setColumnWidth(t,e,s=!0){null===e?delete this.columnWidths[t]:this.columnWidths[t]=Math.max(40,Math.round(e)),this.applyColumnWidths(),this.applyFrozenColumns(),s&&this.columnLayoutChanged(!1)}columnLayoutChanged(t=!0){this.applyColumnLayout(),t&&this.pageData&&this.renderTable(this.pageData),this.preferences&&this.savePreferences(),this.emit("columnLayoutChange",this.getColumnLayout())}applyColumnLayout(){this.queryAll(".datatables-table tr").forEach(t=>{if(t.classList.contains("datatables-agg-row"))return void this.layoutAggregationRow(t);const e=Array.from(t.children).filter(t=>t.hasAttribute("data-column"));if(0===e.length)return;const s=e[e.length-1].nextSibling;this.columnOrder.forEach(i=>{const a=e.find(t=>t.getAttribute("data-column")===i);a&&t.insertBefore(a,s)})}),this.applyColumnWidths(),this.applyColumnVisibility(),this.applyFrozenColumns()}layoutAggregationRow(t){const e=t.querySelector(".datatables-agg-label");if(!e)return;const s={};t.querySelectorAll("td[data-column]").forEach(t=>{s[t.getAttribute("data-column")]=t,t.remove()});const i=this.columnOrder.findIndex(t=>void 0!==this.footerAggregations[t]),a=-1===i?this.columnOrder.length:i;e.setAttribute("data-leading-columns",JSON.stringify(this.columnOrder.slice(0,a))),this.columnOrder.slice(a).forEach(e=>{let i=s[e];i||(i=document.createElement("td"),i.setAttribute("data-column",e)),t.appendChild(i)})}applyColumnWidths(){this.queryAll(".datatables-table th[data-column]").forEach(t=>{const e=this.columnWidths[t.getAttribute("data-column")];t.style.width=e?`${e}px`:"",t.style.minWidth=e?`${e}px`:""})}applyFrozenColumns(){const t=this.query(".datatables-table");if(null===t||this.frozenColumns<=0)return;const e=Array.from(t.querySelectorAll("thead tr:first-child > th")).filter(t=>!t.hidden),s=e.findIndex(t=>t.hasAttribute("data-column")),i=e.filter(t=>t.hasAttribute("data-column")).length,a=Math.max(0,s)+Math.min(this.frozenColumns,i),r=[];let n=0;e.slice(0,a).forEach(t=>{r.push(n),n+=t.offsetWidth});const l="end"===this.actionConfig.position;Array.from(t.rows).forEach(t=>{const s=Array.from(t.cells).filter(t=>!t.hidden);let i=0;s.forEach((t,n)=>{t.classList.remove("datatables-frozen","datatables-frozen-last","datatables-frozen-end"),t.style.insetInlineStart="",t.style.insetInlineEnd="";const o=i;i+=t.colSpan,t.colSpan>=e.length||(o<a?(t.classList.add("datatables-frozen"),t.style.insetInlineStart=`${r[o]}px`,i>=a&&t.classList.add("datatables-frozen-last")):l&&n===s.length-1&&(t.classList.contains("row-action")||"TH"===t.tagName&&!t.hasAttribute("data-column"))&&(t.classList.add("datatables-frozen","datatables-frozen-end"),t.style.insetInlineEnd="0px"))})})}bindColumnReorder(){let t=null;document.addEventListener("dragstart",e=>{const s=e.target.closest?.('th[data-column][draggable="true"]');if(s&&this.owns(s)){if(this.resizing)return void e.preventDefault();t=s.getAttribute("data-column"),e.dataTransfer.effectAllowed="move",e.dataTransfer.setData("text/plain",t),s.classList.add("datatables-dragging")}}),document.addEventListener("dragover",e=>{const s=t&&e.target.closest?.("th[data-column]");s&&this.owns(s)&&(e.preventDefault(),e.dataTransfer.dropEffect="move")}),document.addEventListener("drop",e=>{const s=t&&e.target.closest?.("th[data-column]");if(s&&this.owns(s)){e.preventDefault();const i=s.getBoundingClientRect(),a=e.clientX>i.left+i.width/2;this.moveColumn(t,s.getAttribute("data-column"),a!==this.isRtl())}}),document.addEventListener("dragend",()=>{t=null,this.queryAll(".datatables-dragging").forEach(t=>t.classList.remove("datatables-dragging"))})}bindColumnResize(){document.addEventListener("pointerdown",t=>{const e=t.target.closest(".datatables-resize-handle"),s=e?e.closest("th[data-column]"):null;if(!s||!this.owns(s))return;t.preventDefault();const i=s.getAttribute("data-column"),a=t.clientX,r=s.offsetWidth,n=this.isRtl()?-1:1;this.resizing=!0;const l=t=>{this.setColumnWidth(i,r+n*(t.clientX-a),!1)},o=()=>{document.removeEventListener("pointermove",l),document.removeEventListener("pointerup",o),this.resizing=!1,this.columnLayoutChanged(!1)};document.addEventListener("pointermove",l),document.addEventListener("pointerup",o)})}loadData(t=!1){if(this.infiniteScroll&&!1===t&&(this.currentPage=1,this.cursor="",this.loadingMore=!1),this.cursorPagination){const t=this.getCursorQuery();t!==this.cursorQuery&&(this.cursorQuery=t,this.cursor="",this.currentPage=1)}if(this.clientSide&&null!==this.allRows)return!1===t&&(this.writeUrlState(),this.preferences&&this.savePreferences()),void this.renderClientData(t);const e={params:{action:"fetch_data",table:this.tableName,page:this.currentPage,per_page:this.perPage,search:this.search,sort_column:this.sortColumn,sort_direction:this.sortDirection,sort:JSON.stringify(this.sortKeys),filters:JSON.stringify(this.activeFilters)}};if(this.cursorPagination&&(e.params.cursor=this.cursor),this.clientSide&&Object.assign(e.params,{page:1,per_page:0,search:"",filters:"[]"}),!this.emit("beforeLoad",e))return void(t&&this.loadMoreFailed());const s=new URLSearchParams(e.params);t?this.requestLatest("data",s).then(t=>{this.emit("afterLoad",{params:e.params,response:t}),t.success?this.renderData(t,!0):(this.loadMoreFailed(),this.showNotification(t.message||this.t("data.load_failed"),"danger"))}).catch(t=>{DataTablesJS.isAbortError(t)||(console.error("Error loading data:",t),this.loadMoreFailed(),this.showNotification(this.t("data.load_error"),"danger"))}):(this.writeUrlState(),this.preferences&&this.savePreferences(),this.abortRequest("aggregations"),this.requestLatest("data",s).then(t=>{this.emit("afterLoad",{params:e.params,response:t}),t.success?this.clientSide?(this.allRows=t.data||[],this.renderClientData()):this.renderData(t):(console.error("Failed to load data:",t.message),this.showNotification(t.message||this.t("data.load_failed"),"danger"))}).catch(t=>{DataTablesJS.isAbortError(t)||(console.error("Error loading data:",t),this.showNotification(this.t("data.load_error"),"danger"))}))}renderData(t,e=!1){if(this.totalRecords=parseInt(t.total)||0,this.cursorPagination&&(this.nextCursor=t.next_cursor??null,!1===e&&(this.prevCursor=t.prev_cursor??null,null===this.prevCursor&&(this.currentPage=1))),e)return this.loadingMore=!1,this.renderTable(this.pageData.concat(t.data||[])),this.renderInfo(t),void this.announce(this.describeResults(t));if(this.infiniteScroll){this.virtualStart=-1;const t=this.getScrollContainer();t&&(t.scrollTop=0)}this.renderTable(t.data),this.renderPagination(t),this.renderInfo(t),this.announce(this.describeResults(t)),this.loadAggregations()}refresh(){this.clientSide&&(this.allRows=null),this.loadData()}renderClientData(t=!1){this.clientRows=this.getClientRows();const e=this.clientRows.length,s=this.perPage>0?Math.max(1,Math.ceil(e/this.perPage)):1;this.currentPage=Math.min(Math.max(1,this.currentPage),s);const i=(this.currentPage-1)*this.perPage;this.renderData({success:!0,data:this.perPage>0?this.clientRows.slice(i,i+this.perPage):this.clientRows,total:e,page:this.currentPage,per_page:this.perPage,total_pages:s},t)}getClientRows(){const t=this.search.toLowerCase(),e=Object.keys(this.columns).map(t=>this.columnKey(t)),s=this.allRows.filter(s=>(""===t||!1!==e.some(e=>String(s[e]??"").toLowerCase().includes(t)))&&this.activeFilters.every(t=>this.matchesFilter(s,t))),i=this.sortKeys.filter(t=>t.column);return s.sort((t,e)=>{for(const s of i){const i=this.getClientValue(t,s.column),a=this.getClientValue(e,s.column),r=null==i,n=null==a;let l=0;if(l=r||n?r===n?0:r?-1:1:DataTablesJS.compareValues(i,a),0!==l)return"DESC"===s.direction?-l:l}return 0}),s}getClientValue(t,e){if(e in t)return t[e];const s=this.columnKey(e);return s in t?t[s]:t[e.split(".").pop()]}matchesFilter(t,e){const s=String(e.value??""),i=String(e.value_to??"");if(""===s&&""===i)return!0;const a=this.getClientValue(t,e.field);if(null==a)return!1;const r=t=>DataTablesJS.compareValues(a,t),n=String(e.operator).toUpperCase();switch(n){case"=":return 0===r(s);case"!=":return 0!==r(s);case">":return r(s)>0;case">=":return r(s)>=0;case"<":return r(s)<0;case"<=":return r(s)<=0;case"LIKE":case"NOT LIKE":{const t=DataTablesJS.likeToRegExp(s).test(String(a));return"LIKE"===n?t:!1===t}case"IN":case"NOT IN":{const t=s.split(",").map(t=>t.trim()).filter(t=>""!==t);if(0===t.length)return!0;const e=t.some(t=>0===r(t));return"IN"===n?e:!1===e}case"BETWEEN":return(""===s||r(s)>=0)&&(""===i||r(i)<=0);case"REGEXP":try{return new RegExp(s,"i").test(String(a))}catch(t){return!1}default:return!0}}static compareValues(t,e){const s=String(t).trim(),i=String(e).trim();return""!==s&&""!==i&&!1===Number.isNaN(Number(s))&&!1===Number.isNaN(Number(i))?Number(s)-Number(i):s.localeCompare(i,void 0,{sensitivity:"base"})}static likeToRegExp(t){const e=t.replace(/[.*+?^${}()|[\]\\]/g,"\\$&").replace(/%/g,".*").replace(/_/g,".");return new RegExp(e,"is")}getScrollContainer(){return this.query(".datatables-table")?.parentElement||null}bindInfiniteScroll(){const t=this.getScrollContainer();if(null===t)return;let e=null;t.addEventListener("scroll",()=>{null===e&&(e=requestAnimationFrame(()=>{e=null,this.renderVirtualRows(),this.checkInfiniteScroll()}))})}hasMoreRows(){return this.cursorPagination?null!==this.nextCursor:(this.pageData||[]).length<this.totalRecords}checkInfiniteScroll(){const t=this.getScrollContainer();if(null===t||this.loadingMore||!1===this.hasMoreRows())return;const e=5*(this.rowHeight||40);t.scrollTop+t.clientHeight>=t.scrollHeight-e&&this.loadMore()}loadMore(){if(this.loadingMore||!1===this.hasMoreRows())return;this.loadingMore=!0,this.currentPage++,this.cursorPagination&&(this.cursor=this.nextCursor);const t=this.query(".datatables-tbody");if(t){const e=this.getThemeClass("table.center"),s=this.getThemeClass("table.muted");t.insertAdjacentHTML("beforeend",`<tr class="datatables-loading-more"><td colspan="${this.getColumnCount()}" class="${e} ${s}">${this.t("table.loading_more")}</td></tr>`)}this.loadData(!0)}loadMoreFailed(){this.loadingMore=!1,this.currentPage--,this.queryAll(".datatables-loading-more").forEach(t=>t.remove())}renderVirtualRows(t=!1){const e=this.query(".datatables-tbody"),s=this.getScrollContainer(),i=this.pageData||[];if(!e||null===s||0===i.length)return;if(!1===t&&e.querySelector(".inline-editable input, .inline-editable select, .inline-editable textarea"))return;const a=this.gridHasFocus(),r=this.rowHeight||40,n=Math.ceil(s.clientHeight/r);let l=Math.max(0,Math.floor(s.scrollTop/r)-20);l-=l%2;const o=Math.min(i.length,l+n+40);if(!1===t&&l===this.virtualStart&&o===this.virtualEnd)return;this.virtualStart=l,this.virtualEnd=o;const c=this.getTableSchema(),h=this.getColumnCount(),d=t=>`<tr class="datatables-spacer" aria-hidden="true" style="height: ${t}px"><td colspan="${h}" style="padding: 0; border: 0"></td></tr>`;let u=d(l*r);if(u+=i.slice(l,o).map(t=>this.renderRow(t,c)).join(""),u+=d((i.length-o)*r),e.innerHTML=u,t){const t=e.querySelectorAll("tr[data-id]");if(t.length>0){let e=0;t.forEach(t=>{e+=t.offsetHeight}),this.rowHeight=e/t.length||r}}this.applyFrozenColumns(),this.bindTableEvents(),this.paintCellRange(),this.syncGridFocus(a)}updateLoadedRow(t,e,s,i){const a=this.rowData[t];a&&(a[this.columnKey(e)]=s),this.infiniteScroll&&!1===i.isConnected&&this.renderVirtualRows(!0),this.calculatePageAggregations(this.pageData),this.loadAggregations()}loadAggregations(){if(!this.footerAggregations||0===Object.keys(this.footerAggregations).length)return;if(this.clientSide)return void this.calculateAggregations(this.clientRows||[],"all");const t=new URLSearchParams({action:"fetch_aggregations",table:this.tableName,search:this.search,filters:JSON.stringify(this.activeFilters)});this.requestLatest("aggregations",t).then(t=>{t.success&&t.aggregations&&this.renderAggregations(t.aggregations)}).catch(t=>{DataTablesJS.isAbortError(t)||console.error("Error loading aggregations:",t)})}renderAggregations(t){this.queryAll('.datatables-agg-cell[data-agg-scope="all"]').forEach(e=>{const s=e.getAttribute("data-agg-column"),i=e.getAttribute("data-agg-type");t[s]&&void 0!==t[s][i]&&(e.textContent=this.formatAggValue(t[s][i],s))})}calculatePageAggregations(t){this.calculateAggregations(t,"page")}calculateAggregations(t,e){this.footerAggregations&&0!==Object.keys(this.footerAggregations).length&&(t&&0!==t.length?this.queryAll(`.datatables-agg-cell[data-agg-scope="${e}"]`).forEach(e=>{const s=e.getAttribute("data-agg-column"),i=e.getAttribute("data-agg-type");let a=t.map(t=>{let e=t[s];return null==e||""===e?0:parseFloat(e)||0}),r=0;if("sum"===i)r=a.reduce((t,e)=>t+e,0);else if("avg"===i){const t=a.reduce((t,e)=>t+e,0);r=a.length>0?t/a.length:0}e.textContent=this.formatAggValue(r,s)}):this.queryAll(`.datatables-agg-cell[data-agg-scope="${e}"]`).forEach(t=>{t.textContent="—"}))}formatAggValue(t,e=null){const s=null===e?null:this.columnFormat(e);return s&&["number","currency","percent"].includes(s.type)?this.formatValue(t,s):Number.isInteger(t)?t.toLocaleString(this.locale):parseFloat(t.toFixed(2)).toLocaleString(this.locale,{minimumFractionDigits:0,maximumFractionDigits:2})}renderTable(t){const e=this.query(".datatables-tbody");if(!e)return;this.pageData=t||[];const s=this.getColumnCount(),i=this.getThemeClass("table.center"),a=this.getThemeClass("table.muted"),r=this.gridHasFocus();if(!t||0===t.length)return e.innerHTML=`<tr><td colspan="${s}" class="${i} ${a}">${this.t("table.no_records")}</td></tr>`,void this.syncGridFocus(r);const n=this.getTableSchema();t.forEach(t=>{this.rowData[this.getRowId(t)]=t}),this.infiniteScroll?(this.renderVirtualRows(!0),this.checkInfiniteScroll()):(e.innerHTML=t.map(t=>this.renderRow(t,n)).join(""),this.applyFrozenColumns(),this.bindTableEvents(),this.paintCellRange(),this.syncGridFocus(r)),this.updateBulkActionButtons(),this.calculatePageAggregations(t),this.emit("afterRender",{data:t,tbody:e})}getRowId(t){return t["s.id"]||t.id||t[this.primaryKey]||Object.values(t)[0]}renderRow(t,e=this.getTableSchema()){const s=this.getThemeClass("table.shrink"),i=this.getThemeClass("checkbox"),a=DataTablesJS.escapeHtml,r=this.getRowId(t),n=this.getRowClass(r),l=this.bulkActionsEnabled?` aria-selected="${this.selectedIds.has(String(r))}"`:"";let o=`<tr${n?` class="${a(n)} row-select"`:""} data-id="${a(r)}"${l}>`;return this.bulkActionsEnabled&&(o+=`<td class="${s} row-check">`,o+=`<label><input type="checkbox" class="${i} row-checkbox" value="${a(r)}"${this.selectedIds.has(String(r))?" checked":""} onchange="${this.jsRef}.toggleRowSelection(this)"></label>`,o+="</td>"),"start"===this.actionConfig.position&&(o+=`<td class="${s} row-action">`,o+=this.renderActionButtons(r,t),o+="</td>"),this.visibleColumns().forEach(s=>{let i=this.cssClasses?.columns?.[s]||"";if(!i&&s.toLowerCase().includes(" as ")){const t=s.split(/\s+as\s+/i);if(2===t.length){const e=t[1].replace(/[`'"]/g,"");i=this.cssClasses?.columns?.[e]||""}}const n=this.inlineEditableColumns.includes(s);let l=s;if(s.toLowerCase().includes(" as ")){const t=s.split(/\s+as\s+/i);2===t.length&&(l=t[1].replace(/[`'"]/g,""))}let c=t[l]??"";const h=n?" cell-edit":"",d=e[s]?.override_type||e[s]?.type||"text",u=`data-field="${a(s)}" data-id="${a(r)}" data-type="${a(d)}"`,m=this.renderCell(s,c,t,e);if(null!==m)c=n?`<span class="inline-editable${"boolean"===d?" boolean-toggle":""}" ${u} data-value="${a(c)}" style="cursor: pointer;">${m}</span>`:m;else if("boolean"===d){const t="1"==c||"true"===c||!0===c,e=t?"check":"close",s=t?this.getThemeClass("icon.success"):this.getThemeClass("icon.danger"),i=c;n?(c=`<span class="inline-editable boolean-toggle" ${u} data-value="${a(i)}" style="cursor: pointer;">`,c+=this.renderIcon(e,s),c+="</span>"):c=`<span data-value="${a(i)}">${this.renderIcon(e,s)}</span>`}else if("select"===d){const t=e[s]?.form_options||{},i=String(c),r=this.cellHtml(i in t?t[i]:c,s,e);c=n?`<span class="inline-editable" ${u} data-value="${a(c)}" style="cursor: pointer;">${r}</span>`:r}else if("select2"===d){const i=l+"_label",r=this.cellHtml(t[i]||c,s,e);c=n?`<span class="inline-editable" ${u} data-value="${a(c)}" style="cursor: pointer;">${r}</span>`:r}else if("image"===d){const t=this.getThemeClass("border.rounded");if(c&&String(c).trim()){c=String(c);const e=a(c.startsWith("http")?c:`/uploads/${c}`);n?(c=`<span class="inline-editable" ${u} data-value="${a(c)}" style="cursor: pointer;">`,c+=`<img src="${e}" alt="${this.t("image.alt")}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`,c+="</span>"):c=`<img src="${e}" alt="${this.t("image.alt")}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${t}">`}else c=n?`<span class="inline-editable" ${u} data-value="" style="cursor: pointer;">${this.t("image.none")}</span>`:this.t("image.none")}else{const t=null!==this.columnFormat(s,e)||!0===e[s]?.html,i=this.cellHtml(c,s,e);c=n?`<span class="inline-editable" ${u}${t?` data-value="${a(c)}"`:""} style="cursor: pointer;">${i}</span>`:i}const p=[i,h].filter(t=>t).join(" ");o+=`<td${p?` class="${p}"`:""} data-column="${a(l)}">${c}</td>`}),"end"===this.actionConfig.position&&(o+=`<td class="${s} row-action">`,o+=this.renderActionButtons(r,t),o+="</td>"),o+="</tr>",o}renderActionButtons(t,e={}){let s="";const i=this.getThemeClass("icon.link"),a=(this.getThemeClass("margin.smallRight"),DataTablesJS.escapeHtml),r=t=>a(String(t).replace(/[\\'"`<>\n\r\u2028\u2029]/g,t=>"\\u"+t.charCodeAt(0).toString(16).padStart(4,"0"))),n=(s,i=a)=>{if("string"!=typeof s)return s;let r=s.replace("{id}",()=>i(t));for(const[t,s]of Object.entries(e)){const e="{"+t+"}";r=r.replace(new RegExp(e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&"),"g"),()=>i(s??""))}return r};return this.actionConfig.groups&&this.actionConfig.groups.length>0?this.actionConfig.groups.forEach(e=>{Array.isArray(e)?e.forEach(t=>{switch(t){case"edit":"uikit"===this.theme?s+=`<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="${this.t("actions.edit")}" uk-tooltip="${this.t("actions.edit")}"></a>`:s+=`<a href="#" class="${i} btn-edit" title="${this.t("actions.edit")}">${this.renderIcon("pencil")}</a>`;break;case"delete":"uikit"===this.theme?s+=`<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="${this.t("actions.delete")}" uk-tooltip="${this.t("actions.delete")}"></a>`:s+=`<a href="#" class="${i} btn-delete" title="${this.t("actions.delete")}">${this.renderIcon("trash")}</a>`}}):"object"==typeof e&&null!==e&&(Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const i=e[t];"object"==typeof i&&i.location&&i.content?"before"!==i.location&&"both"!==i.location||(s+=n(i.content)):"string"==typeof i&&(s+=n(i))}),Object.keys(e).filter(t=>!t.startsWith("html")).forEach(l=>{const o=e[l];if(o&&"object"==typeof o){if(o.html)if("object"==typeof o.html&&o.html.location&&o.html.content)"before"!==o.html.location&&"both"!==o.html.location||(s+=n(o.html.content));else if("string"==typeof o.html&&!o.hasCallback&&void 0===o.href&&void 0===o.icon)return void(s+=n(o.html));if(o.hasCallback){const e=o.icon||"link",r=o.title||"",n=o.class||"btn-custom",c=o.confirm||"";"uikit"===this.theme?s+='<a href="#" class="uk-icon-link '+n+'" uk-icon="'+e+'" title="'+r+'" uk-tooltip="'+r+'"':s+='<a href="#" class="'+i+" "+n+'" title="'+r+'"',s+=' data-action="'+a(l)+'"',s+=' data-id="'+a(t)+'"',s+=' data-confirm="'+a(c)+'"',s+=' onclick="'+this.jsRef+".executeActionCallback('"+l+"', "+a(JSON.stringify(String(t)))+', event)"',s+=">","uikit"!==this.theme&&(s+=this.renderIcon(e)),s+="</a>"}else if(void 0!==o.href||void 0!==o.icon){const t=n(o.icon||"link"),e=n(o.title||""),a=n(o.class||"btn-custom"),l=DataTablesJS.isSafeUrl(n(o.href||"#",String))||!1===DataTablesJS.isSafeUrl(o.href||"#")?n(o.href||"#"):"#",c=n(o.onclick||"",r),h=o.attributes||{};"uikit"===this.theme?s+='<a href="'+l+'" class="uk-icon-link '+a+'" uk-icon="'+t+'" title="'+e+'" uk-tooltip="'+e+'"':s+='<a href="'+l+'" class="'+i+" "+a+'" title="'+e+'"',c&&(s+=' onclick="'+c+'"');for(const[t,e]of Object.entries(h)){const i=n(String(e));s+=" "+t+'="'+i+'"'}s+=">","uikit"!==this.theme&&(s+=this.renderIcon(t)),s+="</a>"}o.html&&"object"==typeof o.html&&o.html.location&&o.html.content&&("after"!==o.html.location&&"both"!==o.html.location||(s+=n(o.html.content)))}}),Object.keys(e).filter(t=>t.startsWith("html")).forEach(t=>{const i=e[t];"object"==typeof i&&i.location&&i.content&&("after"!==i.location&&"both"!==i.location||(s+=n(i.content)))}))}):(!1!==this.actionConfig.show_edit&&("uikit"===this.theme?s+=`<a href="#" class="uk-icon-link btn-edit uk-margin-tiny-full" uk-icon="pencil" title="${this.t("actions.edit")}" uk-tooltip="${this.t("actions.edit")}"></a>`:s+=`<a href="#" class="${i} btn-edit" title="${this.t("actions.edit")}">${this.renderIcon("pencil")}</a>`),!1!==this.actionConfig.show_delete&&("uikit"===this.theme?s+=`<a href="#" class="uk-icon-link btn-delete uk-margin-tiny-full" uk-icon="trash" title="${this.t("actions.delete")}" uk-tooltip="${this.t("actions.delete")}"></a>`:s+=`<a href="#" class="${i} btn-delete" title="${this.t("actions.delete")}">${this.renderIcon("trash")}</a>`)),s}getInfoRange(t){let e=(t.page-1)*t.per_page+1,s=Math.min(e+t.per_page-1,t.total);return this.infiniteScroll?(e=1,s=(this.pageData||[]).length):this.cursorPagination&&(e=(this.currentPage-1)*this.perPage+1,s=e+(t.data||[]).length-1),{start:e,end:s}}renderInfo(t){const{start:e,end:s}=this.getInfoRange(t),i=null===t.total?this.t("info.range",{start:e,end:s}):this.t("info.range_total",{start:e,end:s,count:Number(t.total)});this.queryAll(".datatables-info").forEach(t=>{t.textContent=i})}renderPagination(t){if(this.cursorPagination&&!1===this.infiniteScroll)return void this.renderCursorPagination();if(this.infiniteScroll||t.total_pages<=1)return void this.queryAll(".datatables-pagination").forEach(t=>{t.innerHTML=""});let e="";const s=parseInt(t.page),i=parseInt(t.total_pages),a=this.getThemeClass("pagination.disabled"),r=this.getThemeClass("pagination.active");if("bootstrap"===this.theme){e+=`<li class="page-item${1===s?" disabled":""}">`,e+=`<a class="page-link" ${1===s?"":`onclick="${this.jsRef}.goToPage(1)"`} title="${this.t("pagination.first")}">&laquo;&laquo;</a></li>`,e+=`<li class="page-item${1===s?" disabled":""}">`,e+=`<a class="page-link" ${1===s?"":`onclick="${this.jsRef}.goToPage(${s-1})"`} title="${this.t("pagination.previous")}">&laquo;</a></li>`,s>2&&(e+=`<li class="page-item"><a class="page-link" onclick="${this.jsRef}.goToPage(1)">1</a></li>`,s>3&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'));const t=Math.max(1,s-1),a=Math.min(i,s+1);for(let i=t;i<=a;i++)e+=`<li class="page-item${i===s?" active":""}">`,e+=`<a class="page-link" ${i===s?"":`onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;s<i-1&&(s<i-2&&(e+='<li class="page-item disabled"><span class="page-link">...</span></li>'),e+=`<li class="page-item"><a class="page-link" onclick="${this.jsRef}.goToPage(${i})">${i}</a></li>`),e+=`<li class="page-item${s===i?" disabled":""}">`,e+=`<a class="page-link" ${s===i?"":`onclick="${this.jsRef}.goToPage(${s+1})"`} title="${this.t("pagination.next")}">&raquo;</a></li>`,e+=`<li class="page-item${s===i?" disabled":""}">`,e+=`<a class="page-link" ${s===i?"":`onclick="${this.jsRef}.goToPage(${i})"`} title="${this.t("pagination.last")}">&raquo;&raquo;</a></li>`}else if("uikit"===this.theme){e+=`<li${1===s?' class="uk-disabled"':""}>`,e+=`<a ${1===s?"":` onclick="${this.jsRef}.goToPage(1)"`} title="${this.t("pagination.first")}">`,e+='<span uk-icon="chevron-double-left"></span></a></li>',e+=`<li${1===s?' class="uk-disabled"':""}>`,e+=`<a ${1===s?"":` onclick="${this.jsRef}.goToPage(${s-1})"`} title="${this.t("pagination.previous")}">`,e+="<span uk-pagination-previous></span></a></li>",s>2&&(e+=`<li><a onclick="${this.jsRef}.goToPage(1)">1</a></li>`,s>3&&(e+='<li class="uk-disabled"><span>...</span></li>'));const t=Math.max(1,s-1),a=Math.min(i,s+1);for(let i=t;i<=a;i++)e+=`<li${i===s?' class="uk-active"':""}>`,e+=`<a ${i===s?"":` onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;s<i-1&&(s<i-2&&(e+='<li class="uk-disabled"><span>...</span></li>'),e+=`<li><a onclick="${this.jsRef}.goToPage(${i})">${i}</a></li>`),e+=`<li${s===i?' class="uk-disabled"':""}>`,e+=`<a ${s===i?"":` onclick="${this.jsRef}.goToPage(${s+1})"`} title="${this.t("pagination.next")}">`,e+="<span uk-pagination-next></span></a></li>",e+=`<li${s===i?' class="uk-disabled"':""}>`,e+=`<a ${s===i?"":` onclick="${this.jsRef}.goToPage(${i})"`} title="${this.t("pagination.last")}">`,e+='<span uk-icon="chevron-double-right"></span></a></li>'}else{e+=`<li${1===s?` class="${a}"`:""}>`,e+=`<a ${1===s?"":`onclick="${this.jsRef}.goToPage(1)"`} title="${this.t("pagination.first")}">${this.renderIcon("chevron-double-left")}</a></li>`,e+=`<li${1===s?` class="${a}"`:""}>`,e+=`<a ${1===s?"":`onclick="${this.jsRef}.goToPage(${s-1})"`} title="${this.t("pagination.previous")}">&laquo;</a></li>`,s>2&&(e+=`<li><a onclick="${this.jsRef}.goToPage(1)">1</a></li>`,s>3&&(e+=`<li class="${a}"><span>...</span></li>`));const t=Math.max(1,s-1),n=Math.min(i,s+1);for(let i=t;i<=n;i++)e+=`<li${i===s?` class="${r}"`:""}>`,e+=`<a ${i===s?"":`onclick="${this.jsRef}.goToPage(${i})"`}>${i}</a></li>`;s<i-1&&(s<i-2&&(e+=`<li class="${a}"><span>...</span></li>`),e+=`<li><a onclick="${this.jsRef}.goToPage(${i})">${i}</a></li>`),e+=`<li${s===i?` class="${a}"`:""}>`,e+=`<a ${s===i?"":`onclick="${this.jsRef}.goToPage(${s+1})"`} title="${this.t("pagination.next")}">&raquo;</a></li>`,e+=`<li${s===i?` class="${a}"`:""}>`,e+=`<a ${s===i?"":`onclick="${this.jsRef}.goToPage(${i})"`} title="${this.t("pagination.last")}">${this.renderIcon("chevron-double-right")}</a></li>`}this.queryAll(".datatables-pagination").forEach(t=>{t.innerHTML=e})}renderCursorPagination(){const t=null!==this.prevCursor,e=null!==this.nextCursor;let s="";if(t||e){const i=this.getThemeClass("pagination.disabled");[{enabled:t,onclick:"goToPage(1)",title:this.t("pagination.first"),label:"uikit"===this.theme?'<span uk-icon="chevron-double-left"></span>':"bootstrap"===this.theme?"&laquo;&laquo;":this.renderIcon("chevron-double-left")},{enabled:t,onclick:"prevPage()",title:this.t("pagination.previous"),label:"uikit"===this.theme?`<span uk-pagination-previous></span> ${this.t("pagination.previous_label")}`:`&laquo; ${this.t("pagination.previous_label")}`},{enabled:e,onclick:"nextPage()",title:this.t("pagination.next"),label:"uikit"===this.theme?`${this.t("pagination.next_label")} <span uk-pagination-next></span>`:`${this.t("pagination.next_label")} &raquo;`}].forEach(t=>{const e=t.enabled?` onclick="${this.jsRef}.${t.onclick}"`:"";"bootstrap"===this.theme?(s+=`<li class="page-item${t.enabled?"":" disabled"}">`,s+=`<a class="page-link"${e} title="${t.title}">${t.label}</a></li>`):(s+=`<li${t.enabled?"":` class="${i}"`}>`,s+=`<a${e} title="${t.title}">${t.label}</a></li>`)})}this.queryAll(".datatables-pagination").forEach(t=>{t.innerHTML=s})}goToPage(t){this.cursorPagination&&(this.cursor="",t=1),this.currentPage=t,this.loadData()}nextPage(){!1!==this.cursorPagination?null!==this.nextCursor&&(this.cursor=this.nextCursor,this.currentPage++,this.loadData()):this.goToPage(this.currentPage+1)}prevPage(){!1!==this.cursorPagination?null!==this.prevCursor&&(this.cursor=this.prevCursor,this.currentPage=Math.max(1,this.currentPage-1),this.loadData()):this.goToPage(Math.max(1,this.currentPage-1))}getCursorQuery(){return JSON.stringify([this.search,this.sortKeys,this.activeFilters,this.perPage])}updateSortIcons(){this.queryAll(".datatables-table > thead th[data-sort]").forEach(t=>{this.sortKeys[0]?.column===t.getAttribute("data-sort")?t.setAttribute("aria-sort","ASC"===this.sortKeys[0].direction?"ascending":"descending"):t.removeAttribute("aria-sort")}),this.queryAll(".sort-icon").forEach(t=>{"uikit"===this.theme?t.setAttribute("uk-icon","triangle-up"):t.innerHTML=this.renderIcon("triangle-up")}),this.queryAll(".sort-priority").forEach(t=>t.remove());const t=this.sortKeys.length>1,e=this.getThemeClass("sort.priority");this.sortKeys.forEach((s,i)=>{this.queryAll(`th[data-sort="${CSS.escape(s.column)}"] .sort-icon`).forEach(a=>{const r="ASC"===s.direction?"triangle-up":"triangle-down";if("uikit"===this.theme?a.setAttribute("uk-icon",r):a.innerHTML=this.renderIcon(r),t){const t=document.createElement("span");t.className=`${e} sort-priority`,t.setAttribute("aria-hidden","true"),t.textContent=i+1,a.after(t)}})})}toggleSort(t,e=!1){const s=this.sortKeys.find(e=>e.column===t);e?s?s.direction="ASC"===s.direction?"DESC":"ASC":this.sortKeys.push({column:t,direction:"ASC"}):s&&1===this.sortKeys.length?s.direction="ASC"===s.direction?"DESC":"ASC":this.sortKeys=[{column:t,direction:"ASC"}]}isDefaultSort(){return JSON.stringify(this.sortKeys)===JSON.stringify(this.defaultState.sortKeys)}get sortColumn(){return this.sortKeys[0]?.column||""}set sortColumn(t){this.sortKeys=t?[{column:t,direction:this.sortDirection}]:[]}get sortDirection(){return this.sortKeys[0]?.direction||"ASC"}set sortDirection(t){this.sortKeys[0]&&(this.sortKeys[0].direction="DESC"===t?"DESC":"ASC")}bindGridKeys(){document.addEventListener("focusin",t=>{const e=this.gridCellOf(t.target);e&&(this.tableActive=!0,this.setGridCell(e))}),document.addEventListener("keydown",t=>{const e=this.query(".datatables-table");if(null===e||!t.composedPath().includes(e)||null===this.gridTabStop)return;if(t.target===this.gridTabStop)return void this.handleGridKey(t,t.target);const s=t.target.matches?.("input, select, textarea")&&(!1===t.target.isConnected||null!==t.target.closest(".inline-editable"));"Escape"===t.key||"Enter"===t.key&&s?this.gridTabStop.focus():"Tab"===t.key&&s&&(t.preventDefault(),this.focusNextEditable(t.shiftKey?-1:1))})}gridRows(){return this.queryAll(".datatables-table > thead > tr, .datatables-tbody > tr[data-id]")}gridCells(t){return Array.from(t.children).filter(t=>!t.hidden)}gridCellOf(t){const e=t.closest?.("td, th");return e&&this.owns(e)&&e.matches(".datatables-table > thead > tr > th, .datatables-tbody > tr[data-id] > td")?e:null}gridHasFocus(){const t=this.query(".datatables-table");return null!==t&&t.contains(document.activeElement)}setGridCell(t){this.gridTabStop&&this.gridTabStop!==t&&(this.gridTabStop.tabIndex=-1),t.tabIndex=0,this.gridTabStop=t;const e=t.parentElement;this.gridCell={id:e.getAttribute("data-id"),row:this.gridRows().indexOf(e),col:this.gridCells(e).indexOf(t)}}syncGridFocus(t=!1){const e=this.gridRows();if(0===e.length)return;e.forEach(t=>{this.gridCells(t).forEach(t=>{t.tabIndex=-1,t.querySelectorAll(DataTablesJS.focusableSelector).forEach(t=>{t.tabIndex=-1})})});const{id:s,row:i,col:a}=this.gridCell||{id:null,row:e.length>1?1:0,col:0};let r=null===s?e[i]:e.find(t=>t.getAttribute("data-id")===s);const n=void 0!==r;r=r||e[Math.min(i,e.length-1)];const l=this.gridCells(r),o=l[Math.min(a,l.length-1)];this.setGridCell(o),!t||!n&&this.infiniteScroll||o.focus()}handleGridKey(t,e){if(t.altKey||t.metaKey)return;const s=this.gridRows(),i=e.parentElement;let a=s.indexOf(i),r=this.gridCells(i).indexOf(e);const n=this.isRtl()?-1:1;switch(t.key){case"ArrowRight":r+=n;break;case"ArrowLeft":r-=n;break;case"ArrowDown":a++;break;case"ArrowUp":a--;break;case"Home":r=0,t.ctrlKey&&(a=0);break;case"End":r=1/0,t.ctrlKey&&(a=s.length-1);break;case"Enter":case"F2":return t.preventDefault(),void this.activateGridCell(e);case" ":{const e=i.querySelector(".row-checkbox, .datatables-select-all");return void(e&&(t.preventDefault(),e.click()))}default:return}t.preventDefault();const l=s[Math.max(0,Math.min(a,s.length-1))],o=this.gridCells(l);o[Math.max(0,Math.min(r,o.length-1))].focus()}activateGridCell(t){const e=t.querySelector(".inline-editable");if(e)return void(e.classList.contains("boolean-toggle")?this.toggleBoolean(e):this.startInlineEdit(e));const s=t.querySelector(".sortable-header");s?s.click():t.querySelector(DataTablesJS.focusableSelector)?.focus()}focusNextEditable(t){const e=this.gridRows().flatMap(t=>this.gridCells(t)).filter(t=>t.querySelector(".inline-editable"));(e[e.indexOf(this.gridTabStop)+t]||this.gridTabStop).focus()}announce(t,e=!1){const s=document.getElementById(this.domId("datatables-live"));if(!s||!t)return;const i=Date.now();e?this.lastOutcome={message:t,time:i}:this.lastOutcome&&i-this.lastOutcome.time<2e3&&(t=`${this.lastOutcome.message.replace(/[.!?]?$/,".")} ${t}`,this.lastOutcome=null),s.textContent="",clearTimeout(this.announceTimer),this.announceTimer=setTimeout(()=>{s.textContent=t},100)}describeResults(t){const{start:e,end:s}=this.getInfoRange(t);if(s<e)return this.t("results.none");let i=null===t.total?this.t("results.range",{start:e,end:s}):this.t("results.range_total",{start:e,end:s,count:Number(t.total)});if(this.sortKeys.length>0){const t=this.sortKeys.map(t=>this.t("ASC"===t.direction?"results.sort_asc":"results.sort_desc",{column:this.columnLabel(t.column)}));i+=this.t("results.sorted_by",{columns:t.join(this.t("results.sort_separator"))})}return i}bindClipboard(){let t=null;document.addEventListener("mousedown",e=>{this.tableActive=Boolean(e.target.closest?.(".datatables-table"))&&this.owns(e.target);const s=this.tableActive?e.target.closest(".datatables-tbody td[data-column]"):null;if(null===s)return void(!1===this.tableActive&&this.cellRange&&(this.cellRange=null,this.paintCellRange()));if(0!==e.button||e.target.closest("input, select, textarea, button, a"))return;const i=this.cellPoint(s);e.shiftKey&&this.cellAnchor?(e.preventDefault(),this.cellRange={anchor:this.cellAnchor,focus:i}):(this.cellAnchor=i,this.cellRange=null,t=i),this.paintCellRange()}),document.addEventListener("mouseover",e=>{const s=t&&1&e.buttons?e.target.closest?.(".datatables-tbody td[data-column]"):null;if(null==s||!1===this.owns(s))return;const i=this.cellPoint(s);null===this.cellRange&&i.id===t.id&&i.column===t.column||(this.cellRange={anchor:t,focus:i},window.getSelection()?.removeAllRanges(),this.paintCellRange())}),document.addEventListener("mouseup",()=>{t=null}),document.addEventListener("copy",t=>{if(!1===this.tableActive||DataTablesJS.isTextField(t.target))return;const e=window.getSelection();if(null===this.cellRange&&e&&!1===e.isCollapsed)return;const s=this.getCopyGrid();null!==s&&(t.preventDefault(),t.clipboardData.setData("text/plain",DataTablesJS.toTsv(s)),t.clipboardData.setData("text/html",DataTablesJS.toHtmlTable(s)))}),document.addEventListener("paste",t=>{if(!1===this.tableActive||null===this.cellAnchor||DataTablesJS.isTextField(t.target))return;const e=t.clipboardData?.getData("text/plain")||"";if(""===e)return;t.preventDefault();const s=this.getCellRangeBounds(),i=null===s?this.cellAnchor:{id:String(this.getRowId(this.pageData[s.top])),column:this.columnKey(this.visibleColumns()[s.left])};this.pasteCells(e,i)})}cellPoint(t){return{id:t.closest("tr").getAttribute("data-id"),column:t.getAttribute("data-column")}}getCellRangeBounds(){if(null===this.cellRange)return null;const t=(this.pageData||[]).map(t=>String(this.getRowId(t))),e=this.visibleColumns().map(t=>this.columnKey(t)),s=[t.indexOf(this.cellRange.anchor.id),t.indexOf(this.cellRange.focus.id)],i=[e.indexOf(this.cellRange.anchor.column),e.indexOf(this.cellRange.focus.column)];return s.includes(-1)||i.includes(-1)?null:{top:Math.min(...s),bottom:Math.max(...s),left:Math.min(...i),right:Math.max(...i)}}paintCellRange(){this.queryAll(".datatables-cell-selected").forEach(t=>t.classList.remove("datatables-cell-selected")),this.query(".datatables-table")?.classList.toggle("datatables-range-active",null!==this.cellRange);const t=this.getCellRangeBounds();if(null===t)return;const e=(this.pageData||[]).slice(t.top,t.bottom+1).map(t=>String(this.getRowId(t))),s=this.visibleColumns().slice(t.left,t.right+1).map(t=>this.columnKey(t));this.queryAll(".datatables-tbody tr[data-id]").forEach(t=>{e.includes(t.getAttribute("data-id"))&&t.querySelectorAll("td[data-column]").forEach(t=>{s.includes(t.getAttribute("data-column"))&&t.classList.add("datatables-cell-selected")})})}getCopyGrid(){const t=this.getTableSchema(),e=this.getCellRangeBounds();if(null!==e){const s=this.visibleColumns().slice(e.left,e.right+1);return this.pageData.slice(e.top,e.bottom+1).map(e=>s.map(s=>this.getCellText(e,s,t,!1)))}if(this.selectedIds.size>0){const e=this.visibleColumns(),s=Array.from(this.selectedIds).map(t=>this.rowData[t]).filter(t=>void 0!==t);return[e.map(t=>this.columns[t]??t)].concat(s.map(s=>e.map(e=>this.getCellText(s,e,t,!1))))}return null}copySelection(){const t=this.getCopyGrid();if(null===t)return this.showNotification(this.t("clipboard.nothing_selected"),"warning"),Promise.resolve(!1);const e=DataTablesJS.toTsv(t);return("function"==typeof ClipboardItem?navigator.clipboard.write([new ClipboardItem({"text/plain":new Blob([e],{type:"text/plain"}),"text/html":new Blob([DataTablesJS.toHtmlTable(t)],{type:"text/html"})})]):navigator.clipboard.writeText(e)).then(()=>!0,t=>(console.error("Error copying to clipboard:",t),this.showNotification(this.t("clipboard.copy_failed"),"danger"),!1))}pasteCells(t,e){const s=this.getTableSchema(),i=this.pageData||[],a=this.visibleColumns(),r=i.findIndex(t=>String(this.getRowId(t))===String(e.id)),n=a.findIndex(t=>this.columnKey(t)===e.column);if(-1===r||-1===n)return;let l=0;const o=[];DataTablesJS.parseTsv(t).forEach((t,e)=>{t.forEach((t,c)=>{const h=i[r+e],d=a[n+c],u=h&&d&&this.inlineEditableColumns.includes(d)?this.pasteValue(d,t,s):null;null!==u?String(h[this.columnKey(d)]??"")!==u&&o.push({id:String(this.getRowId(h)),field:d,value:u}):l++})});const c={changes:o,skipped:l};if(!this.emit("beforePaste",c)||0===c.changes.length)return void(0===c.changes.length&&this.showNotification(this.t(l>0?"clipboard.none_editable":"clipboard.unchanged"),"warning"));const h=DataTablesJS.xmlEscape,d=c.changes.map(t=>{const e=this.rowData[t.id]||{},i=this.pasteLabel(t.field,t.value,s);return`<tr><td>${h(t.id)}</td><td>${h(this.columns[t.field]??t.field)}</td><td>${h(this.getCellText(e,t.field,s))}</td><td><strong>${h(i)}</strong></td></tr>`}).join(""),u=c.changes.length,m=this.t("clipboard.confirm",{count:u})+(l>0?" "+this.t("clipboard.skipped",{count:l}):"")+`<div style="max-height: 50vh; overflow: auto; margin-top: 10px;"><table class="${this.getThemeClass("table.preview")}">`+`<thead><tr><th>${this.t("clipboard.id")}</th><th>${this.t("clipboard.column")}</th><th>${this.t("clipboard.current")}</th><th>${this.t("clipboard.new")}</th></tr></thead><tbody>${d}</tbody></table></div>`;this.showConfirm(m).then(()=>this.saveInlineEdits(c.changes)).catch(()=>{})}pasteValue(t,e,s){const i=e.replace(/\r$/,""),a=s[t]?.override_type||s[t]?.type||"text";if("select2"===a)return null;if("boolean"===a)return/^(1|true|yes|y|on)$/i.test(i.trim())?"1":/^(0|false|no|n|off)?$/i.test(i.trim())?"0":null;if("select"===a){const e=s[t]?.form_options||{};if(Object.hasOwn(e,i))return i;const a=Object.entries(e).find(([,t])=>String(t).toLowerCase()===i.trim().toLowerCase());return a?a[0]:null}return"number"===a&&""!==i.trim()&&Number.isNaN(Number(i))?null:i}pasteLabel(t,e,s){const i=s[t]?.form_options||{};return Object.hasOwn(i,e)?String(i[e]):e}saveInlineEdits(t){const e=new FormData;return e.append("action","inline_edit_batch"),e.append("table",this.tableName),e.append("edits",JSON.stringify(t)),this.request(e,"POST").then(e=>{this.emit("afterPaste",{changes:t,response:e}),e.success?this.showNotification(e.message||this.t("inline.batch_saved"),"success"):this.showNotification(e.message||this.t("inline.batch_failed"),"danger"),this.refresh()}).catch(t=>{console.error("Error:",t),this.showNotification(this.t("error.generic"),"danger")})}static isTextField(t){return t instanceof Element&&null!==t.closest('input, textarea, select, [contenteditable="true"]')}static parseTsv(t){return DataTablesJS.parseDelimited(t,"\t")}static parseDelimited(t,e){const s=[];let i=[],a="",r=!1;const n=t.replace(/\r\n?/g,"\n").replace(/\n$/,"");for(let t=0;t<n.length;t++){const l=n[t];r?'"'===l&&'"'===n[t+1]?(a+='"',t++):'"'===l?r=!1:a+=l:'"'===l&&""===a?r=!0:l===e?(i.push(a),a=""):"\n"===l?(i.push(a),s.push(i),i=[],a=""):a+=l}return i.push(a),s.push(i),s}static toTsv(t){return t.map(t=>t.map(t=>{const e=String(t??"");return/[\t\n\r"]/.test(e)?`"${e.replace(/"/g,'""')}"`:e}).join("\t")).join("\r\n")}static toHtmlTable(t){return`<table>${t.map(t=>`<tr>${t.map(t=>`<td>${DataTablesJS.xmlEscape(t??"")}</td>`).join("")}</tr>`).join("")}</table>`}exportCsv(t="page"){const e={scope:t,format:"csv",columns:this.visibleColumns()};this.emit("beforeExport",e)&&("all"!==t||!1!==this.clientSide?this.getExportRows(t).then(t=>{if(null===t)return;const s=this.getTableSchema(),i=[e.columns.map(t=>this.columns[t]??t)];t.forEach(t=>{i.push(e.columns.map(e=>this.getCellText(t,e,s)))});const a=i.map(t=>t.map(DataTablesJS.csvCell).join(",")).join("\r\n")+"\r\n";DataTablesJS.downloadFile(new Blob(["\ufeff"+a],{type:"text/csv;charset=utf-8"}),`${DataTablesJS.slug(this.tableName)}.csv`)}).catch(t=>{console.error("Error exporting data:",t),this.showNotification(t.message||this.t("export.failed"),"danger")}):this.downloadExport("export_csv",e.columns,`${DataTablesJS.slug(this.tableName)}.csv`))}getExportRows(t){return"selected"===t?0===this.selectedIds.size?(this.showNotification(this.t("bulk.none_selected"),"warning"),Promise.resolve(null)):this.fetchSelectedRows():"all"===t?Promise.resolve(this.clientRows||[]):Promise.resolve(this.pageData||[])}fetchSelectedRows(){const t=Array.from(this.selectedIds),e={...this.rowData};(this.clientRows||[]).forEach(t=>{e[this.getRowId(t)]=t});const s=()=>t.map(t=>e[t]).filter(t=>void 0!==t),i=t.filter(t=>void 0===e[t]);if(0===i.length||this.clientSide)return Promise.resolve(s());const a=new URLSearchParams({action:"fetch_data",table:this.tableName,page:1,per_page:0,filters:JSON.stringify([{field:this.primaryKey,operator:"IN",value:i.join(",")}])});return this.request(a).then(t=>{if(!1===t.success)throw new Error(t.message||this.t("data.load_failed"));return(t.data||[]).forEach(t=>{e[this.getRowId(t)]=t}),s()})}getCellText(t,e,s=this.getTableSchema(),i=!0){const a=this.columnKey(e),r=t[a]??"",n=s[e]?.override_type||s[e]?.type||"text";if("select2"===n)return String(t[a+"_label"]||r);if("select"===n||"boolean"===n){const t=s[e]?.form_options||{},i=String(r);return String(i in t?t[i]:r)}if(i&&s[e]?.html){const t=document.createElement("template");return t.innerHTML=DataTablesJS.sanitizeHtml(r),t.content.textContent}const l=i&&"image"!==n?this.columnFormat(e,s):null;return"relative"===l?.type?this.formatValue(r,{...l,type:"datetime",style:"medium",pattern:null}):l?this.formatValue(r,l):String(r)}downloadExport(t,e,s){const i={action:t,table:this.tableName,search:this.search,sort_column:this.sortColumn,sort_direction:this.sortDirection,sort:JSON.stringify(this.sortKeys),filters:JSON.stringify(this.activeFilters),columns:JSON.stringify(e.map(t=>this.columnKey(t)))};DataTablesJS.send(i,"GET",this.transport,null,!1).then(t=>{if(t&&"function"==typeof t.blob&&t.ok)return t.blob();throw new Error("Unexpected export response")}).then(t=>DataTablesJS.downloadFile(t,s)).catch(t=>{console.error("Error exporting data:",t),this.showNotification(this.t("export.failed"),"danger")})}static csvCell(t){let e=String(t??"");return/^[=+\-@\t\r]/.test(e)&&Number.isNaN(Number(e))&&(e="'"+e),/[",\r\n]/.test(e)?`"${e.replace(/"/g,'""')}"`:e}static downloadFile(t,e){const s=URL.createObjectURL(t),i=document.createElement("a");i.href=s,i.download=e,document.body.appendChild(i),i.click(),i.remove(),setTimeout(()=>URL.revokeObjectURL(s),1e3)}exportXlsx(t="page"){const e={scope:t,format:"xlsx",columns:this.visibleColumns()};this.emit("beforeExport",e)&&("all"===t?this.fetchAllRows():this.getExportRows(t)).then(t=>{if(null!==t){const s=this.buildXlsx(t,e.columns);DataTablesJS.downloadFile(s,`${DataTablesJS.slug(this.tableName)}.xlsx`)}}).catch(t=>{console.error("Error exporting data:",t),this.showNotification(t.message||this.t("export.failed"),"danger")})}fetchAllRows(){if(this.clientSide)return Promise.resolve(this.clientRows||[]);const t=new URLSearchParams({action:"fetch_data",table:this.tableName,page:1,per_page:0,search:this.search,sort_column:this.sortColumn,sort_direction:this.sortDirection,sort:JSON.stringify(this.sortKeys),filters:JSON.stringify(this.activeFilters)});return this.request(t).then(t=>{if(!1===t.success)throw new Error(t.message||this.t("data.load_failed"));return t.data||[]})}buildXlsx(t,e){const s=this.getTableSchema(),i=DataTablesJS.xmlEscape,a=(t,e)=>DataTablesJS.xlsxColumn(t)+e,r=e.map(t=>{const e=s[t]?.override_type||s[t]?.type||"text",i=this.columnFormat(t,s)?.type;return"number"===e||this.getAggregation(t)||["number","currency","percent"].includes(i)?"number":"date"===e||"datetime-local"===e||["date","datetime","relative"].includes(i)?"date"===e||"date"===i?"date":"datetime":"text"}),n=[],l=e.map((t,e)=>{const i=this.xlsxNumberFormat(this.columnFormat(t,s));if(null===i)return{plain:{date:2,datetime:3}[r[e]]||0,bold:4};n.includes(i)||n.push(i);const a=n.indexOf(i);return{plain:5+2*a,bold:6+2*a}}),o=(t,e,s=0)=>`<c r="${t}" t="inlineStr"${s?` s="${s}"`:""}><is><t xml:space="preserve">${i(e)}</t></is></c>`,c=(t,e,i,a)=>{const n=r[a],c=l[a].plain?` s="${l[a].plain}"`:"",h=this.getCellText(e,i,s,"text"===n);if(""===h)return"";if("number"===n&&""!==h.trim()&&Number.isFinite(Number(h)))return`<c r="${t}"${c}><v>${Number(h)}</v></c>`;if("date"===n||"datetime"===n){const e=DataTablesJS.excelDate(h);if(null!==e)return`<c r="${t}"${c}><v>${e}</v></c>`}return o(t,"text"===n?h:this.getCellText(e,i,s))};let h=`<row r="1">${e.map((t,e)=>o(a(e,1),this.columns[t]??t,1)).join("")}</row>`;if(t.forEach((t,s)=>{const i=s+2;h+=`<row r="${i}">${e.map((e,s)=>c(a(s,i),t,e,s)).join("")}</row>`}),t.length>0){const s=t.length+1;let i=s;[["sum","SUM",this.t("export.sum")],["avg","AVERAGE",this.t("export.average")]].forEach(([r,n,c])=>{const d=e.map(t=>{const e=this.getAggregation(t)?.type;return e===r||"both"===e});if(!1===d.includes(!0))return;i++;let u=d[0]?"":o(a(0,i),c,1);e.forEach((e,o)=>{if(d[o]){const c=this.aggregateValue(t,e,r);u+=`<c r="${a(o,i)}" s="${l[o].bold}"><f>${n}(${a(o,2)}:${a(o,s)})</f><v>${c}</v></c>`}}),h+=`<row r="${i}">${u}</row>`})}const d=e.map((e,i)=>{const a=this.columnWidths[this.columnKey(e)];let n=a?Math.round(a/7):String(this.columns[e]??e).length;return void 0===a&&(t.slice(0,200).forEach(t=>{n=Math.max(n,this.getCellText(t,e,s).length)}),n=Math.min(Math.max(n+2,"datetime"===r[i]?18:8),60)),`<col min="${i+1}" max="${i+1}" width="${n}" customWidth="1"/>`}).join(""),u="http://schemas.openxmlformats.org/spreadsheetml/2006/main",m="http://schemas.openxmlformats.org/officeDocument/2006/relationships",p="application/vnd.openxmlformats-officedocument",g='<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n',f=String(this.tableName).replace(/[\[\]:*?/\\]/g," ").slice(0,31)||"Sheet1";return DataTablesJS.zip([{name:"[Content_Types].xml",content:g+'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'+`<Override PartName="/xl/workbook.xml" ContentType="${p}.spreadsheetml.sheet.main+xml"/>`+`<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${p}.spreadsheetml.worksheet+xml"/>`+`<Override PartName="/xl/styles.xml" ContentType="${p}.spreadsheetml.styles+xml"/></Types>`},{name:"_rels/.rels",content:g+'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'+`<Relationship Id="rId1" Type="${m}/officeDocument" Target="xl/workbook.xml"/></Relationships>`},{name:"xl/workbook.xml",content:g+`<workbook xmlns="${u}" xmlns:r="${m}"><sheets><sheet name="${i(f)}" sheetId="1" r:id="rId1"/></sheets></workbook>`},{name:"xl/_rels/workbook.xml.rels",content:g+'<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'+`<Relationship Id="rId1" Type="${m}/worksheet" Target="worksheets/sheet1.xml"/>`+`<Relationship Id="rId2" Type="${m}/styles" Target="styles.xml"/></Relationships>`},{name:"xl/styles.xml",content:g+`<styleSheet xmlns="${u}">`+(n.length?`<numFmts count="${n.length}">${n.map((t,e)=>`<numFmt numFmtId="${164+e}" formatCode="${i(t)}"/>`).join("")}</numFmts>`:"")+'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'+`<cellXfs count="${5+2*n.length}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>`+n.map((t,e)=>`<xf numFmtId="${164+e}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="${164+e}" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>`).join("")+'</cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>'},{name:"xl/worksheets/sheet1.xml",content:g+`<worksheet xmlns="${u}"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`+`<cols>${d}</cols><sheetData>${h}</sheetData></worksheet>`}],`${p}.spreadsheetml.sheet`)}xlsxNumberFormat(t){if(!t)return null;if("date"===t.type||"datetime"===t.type)return t.pattern?DataTablesJS.xlsxDatePattern(t.pattern):null;if(!["number","currency","percent"].includes(t.type))return null;const e=this.intlFormatter("NumberFormat",t.locale||this.locale,DataTablesJS.numberOptions(t)),{minimumFractionDigits:s,maximumFractionDigits:i}=e.resolvedOptions();if(s!==i)return null;const a=(!1===t.grouping?"0":"#,##0")+(i>0?"."+"0".repeat(i):"");if("percent"===t.type)return a+"%";if("currency"===t.type){const s=e.formatToParts(1),i=s.findIndex(t=>"currency"===t.type),r=`"${(s[i]?.value||t.currency).replace(/"/g,"")}"`;return i<s.findIndex(t=>"integer"===t.type)?r+a:a+" "+r}return a}static xlsxDatePattern(t){const e={YYYY:"yyyy",YY:"yy",MMMM:"mmmm",MMM:"mmm",MM:"mm",M:"m",DD:"dd",D:"d",dddd:"dddd",ddd:"ddd",HH:"hh",H:"h",hh:"hh",h:"h",mm:"mm",ss:"ss",A:"AM/PM"};return t.replace(DataTablesJS.datePatternRegex,(t,s)=>{const i=s??(e[t]?null:t);return null===i?e[t]:""===i?"":`"${i.replace(/"/g,"")}"`})}getAggregation(t){return this.footerAggregations[this.columnKey(t)]||this.footerAggregations[t]||null}aggregateValue(t,e,s){const i=t.map(t=>parseFloat(t[this.columnKey(e)])).filter(Number.isFinite),a=i.reduce((t,e)=>t+e,0);return"sum"===s?a:i.length>0?a/i.length:0}static xlsxColumn(t){let e="";for(let s=t+1;s>0;s=Math.floor((s-1)/26))e=String.fromCharCode(65+(s-1)%26)+e;return e}static excelDate(t){const e=/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(t.trim());if(null===e||"0000"===e[1])return null;const[,s,i,a,r,n,l]=e.map(t=>Number(t||0));return(Date.UTC(s,i-1,a,r,n,l)-Date.UTC(1899,11,30))/864e5}static xmlEscape(t){return String(t).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g,"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;")}static zip(t,e){const s=new TextEncoder,i=new Date,a=i.getHours()<<11|i.getMinutes()<<5|i.getSeconds()>>1,r=i.getFullYear()-1980<<9|i.getMonth()+1<<5|i.getDate(),n=[],l=[];let o=0,c=0;t.forEach(t=>{const e=s.encode(t.name),i=s.encode(t.content),h=DataTablesJS.crc32(i),d=new DataView(new ArrayBuffer(30));d.setUint32(0,67324752,!0),d.setUint16(4,20,!0),d.setUint16(6,2048,!0),d.setUint16(10,a,!0),d.setUint16(12,r,!0),d.setUint32(14,h,!0),d.setUint32(18,i.length,!0),d.setUint32(22,i.length,!0),d.setUint16(26,e.length,!0),n.push(d,e,i);const u=new DataView(new ArrayBuffer(46));u.setUint32(0,33639248,!0),u.setUint16(4,20,!0),u.setUint16(6,20,!0),u.setUint16(8,2048,!0),u.setUint16(12,a,!0),u.setUint16(14,r,!0),u.setUint32(16,h,!0),u.setUint32(20,i.length,!0),u.setUint32(24,i.length,!0),u.setUint16(28,e.length,!0),u.setUint32(42,o,!0),l.push(u,e),o+=30+e.length+i.length,c+=46+e.length});const h=new DataView(new ArrayBuffer(22));return h.setUint32(0,101010256,!0),h.setUint16(8,t.length,!0),h.setUint16(10,t.length,!0),h.setUint32(12,c,!0),h.setUint32(16,o,!0),new Blob([...n,...l,h],{type:e})}static crc32(t){if(null===DataTablesJS.crcTable){DataTablesJS.crcTable=new Uint32Array(256);for(let t=0;t<256;t++){let e=t;for(let t=0;t<8;t++)e=1&e?3988292384^e>>>1:e>>>1;DataTablesJS.crcTable[t]=e}}let e=4294967295;for(let s=0;s<t.length;s++)e=DataTablesJS.crcTable[255&(e^t[s])]^e>>>8;return(4294967295^e)>>>0}printReport(t=null){const e={scope:"all",format:"print",columns:this.visibleColumns()};if(!this.emit("beforeExport",e))return;const s=t||String(this.tableName).replace(/[_-]+/g," ").replace(/\b\w/g,t=>t.toUpperCase());this.fetchAllRows().then(t=>this.printHtml(this.buildPrintReport(t,e.columns,s))).catch(t=>{console.error("Error printing data:",t),this.showNotification(t.message||this.t("print.failed"),"danger")})}buildPrintReport(t,e,s){const i=this.getTableSchema(),a=DataTablesJS.xmlEscape,r=e.map(t=>{const e=i[t]?.override_type||i[t]?.type,s=this.columnFormat(t,i)?.type;return"number"===e||null!==this.getAggregation(t)||["number","currency","percent"].includes(s)}),n=t=>r[t]?' class="num"':"",l=e.map((t,e)=>`<th${n(e)}>${a(this.columns[t]??t)}</th>`).join(""),o=t.map(t=>"<tr>"+e.map((e,s)=>`<td${n(s)}>${a(this.getCellText(t,e,i))}</td>`).join("")+"</tr>").join("\n");let c="";if(t.length>0){const s=Object.values(this.footerAggregations).find(t=>t.label)?.label,i=e.findIndex(t=>null!==this.getAggregation(t)),r=t=>e.some(e=>[t,"both"].includes(this.getAggregation(e)?.type));[["sum",this.t("footer.total_sum")],["avg",this.t("footer.total_avg")]].forEach(([l,o])=>{if(!1===r(l))return;let h=i>0?`<th colspan="${i}">${a(s||o)}</th>`:"";e.slice(i).forEach((e,s)=>{const a=this.getAggregation(e)?.type,r=a===l||"both"===a?this.formatAggValue(this.aggregateValue(t,e,l),e):"";h+=`<td${n(i+s)}>${r}</td>`}),c+=`<tr>${h}</tr>`})}const h=this.search?[this.t("print.search",{search:this.search})]:[];this.activeFilters.forEach(t=>{const e=this.columnLabel(t.field);"BETWEEN"!==t.operator?h.push(`${e} ${t.operator} ${t.value}`):""!==t.value&&""!==t.value_to?h.push(this.t("print.filter_between",{column:e,from:t.value,to:t.value_to})):h.push(""!==t.value?this.t("print.filter_from",{column:e,from:t.value}):this.t("print.filter_to",{column:e,to:t.value_to}))});const d=h.length>0?this.t("print.filters",{filters:h.join("; ")}):this.t("print.no_filters"),u=this.t("print.records",{count:t.length,date:(new Date).toLocaleString(this.locale)}),m=`"${this.t("print.page").replace(/["\\]/g,"\\$&")}"`.replace("{page}",'" counter(page) "').replace("{pages}",'" counter(pages) "');return`<!DOCTYPE html>\n<html lang="${a(this.locale)}" dir="${this.isRtl()?"rtl":"ltr"}"><head><meta charset="utf-8"><title>${a(s)}</title>\n<style>\n@page { margin: 15mm 12mm 18mm; @bottom-center { content: ${m}; font: 9pt sans-serif; color: #555; } }\nbody { margin: 0; font: 10pt/1.4 system-ui, sans-serif; color: #000; }\nh1 { margin: 0 0 4pt; font-size: 16pt; }\np { margin: 0 0 2pt; color: #444; }\ntable { width: 100%; margin-top: 10pt; border-spacing: 0; }\nthead { display: table-header-group; }\ntfoot { display: table-row-group; }\ntr { break-inside: avoid; }\nth, td { padding: 3pt 5pt; border-bottom: 1px solid #ccc; text-align: start; vertical-align: top; }\nthead th { border-bottom: 2px solid #000; }\ntfoot th, tfoot td { border-top: 2px solid #000; font-weight: bold; }\n.num { text-align: end; }\n</style></head>\n<body>\n<h1>${a(s)}</h1>\n<p>${a(d)}</p>\n<p>${a(u)}</p>\n<table><thead><tr>${l}</tr></thead>\n<tbody>\n${o}\n</tbody>${c?`<tfoot>${c}</tfoot>`:""}</table>\n</body></html>`}printHtml(t){const e=document.createElement("iframe");e.setAttribute("aria-hidden","true"),e.style.cssText="position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;",e.onload=()=>{e.contentWindow.addEventListener("afterprint",()=>e.remove()),e.contentWindow.focus(),e.contentWindow.print()},e.srcdoc=t,document.body.appendChild(e)}columnLabel(t){const e=Object.keys(this.columns).find(e=>e===t||this.columnKey(e)===t||e.split(/\s+as\s+/i)[0]===t),s=void 0===e?t:this.columns[e];return null!==s&&"object"==typeof s?s.label??t:s}showImportModal(t){t&&t.preventDefault(),this.importState=null,this.renderImportFile(),this.showModal(this.domId("import-modal"))}importBody(){return document.getElementById(this.domId("import-body"))}importButton(t,e,s=!1,i=!1){return`<button type="button" class="${this.getThemeClass(s?"button.primary":"button.default")} ${this.getThemeClass("margin.smallRight")}" onclick="${this.jsRef}.${e}"${i?" disabled":""}>${t}</button>`}renderImportFile(){this.importBody().innerHTML=`<p>${this.t("import.choose_file")}</p><input type="file" accept=".csv,text/csv" class="${this.getThemeClass("input")}" onchange="${this.jsRef}.readImportFile(this.files[0])"><div class="${this.getThemeClass("flex.right")} ${this.getThemeClass("margin.smallTop")}">${this.importButton(this.t("modal.cancel"),"closeImport()")}</div>`}readImportFile(t){if(!t)return;const e=new FileReader;e.onload=()=>{const s=DataTablesJS.parseDelimited(String(e.result).replace(/^\ufeff/,""),",").filter(t=>t.some(t=>""!==t.trim()));if(s.length<2)return void this.showNotification(this.t("import.no_rows"),"warning");const i=this.importConfig.fields,a=[];s[0].forEach(t=>{const e=t.trim().toLowerCase(),s=i.find(t=>(t.name.toLowerCase()===e||String(t.label).toLowerCase()===e)&&!a.includes(t.name));a.push(s?s.name:"")}),this.importState={fileName:t.name,headers:s[0],rows:s.slice(1),mapping:a,errors:{},imported:0},this.renderImportMapping()},e.onerror=()=>this.showNotification(this.t("import.read_failed"),"danger"),e.readAsText(t)}renderImportMapping(){const t=this.importState,e=DataTablesJS.xmlEscape,s=this.getThemeClass("select"),i=this.importConfig.fields,a=t.headers.map((a,r)=>{const n=i.map(s=>`<option value="${e(s.name)}"${t.mapping[r]===s.name?" selected":""}>${e(s.label)}${s.required?" *":""}</option>`).join("");return`<tr><td>${e(a)}</td><td class="${this.getThemeClass("table.muted")}">${e(t.rows[0][r]??"")}</td><td><select class="${s}" onchange="${this.jsRef}.setImportMapping(${r}, this.value)"><option value="">${this.t("import.skip")}</option>${n}</select></td></tr>`}).join(""),r=i.filter(e=>e.required&&!t.mapping.includes(e.name)).map(t=>t.label),n=t.rows.length;this.importBody().innerHTML=`<p>${e(this.t("import.mapping_intro",{count:n,file:t.fileName}))}</p><table class="${this.getThemeClass("table.preview")}"><thead><tr><th>${this.t("import.column")}</th><th>${this.t("import.first_row")}</th><th>${this.t("import.field")}</th></tr></thead><tbody>${a}</tbody></table>`+(r.length>0?`<p class="${this.getThemeClass("icon.danger")}">${e(this.t("import.unmapped",{fields:r.join(", ")}))}</p>`:"")+`<div class="${this.getThemeClass("flex.right")} ${this.getThemeClass("margin.smallTop")}">`+this.importButton(this.t("import.back"),"renderImportFile()")+this.importButton(this.t("import.validate"),"validateImport()",!0,t.mapping.every(t=>""===t))+"</div>"}setImportMapping(t,e){const s=this.importState.mapping;""!==e&&s.forEach((t,i)=>{t===e&&(s[i]="")}),s[t]=e,this.renderImportMapping()}getImportRecords(){const{rows:t,mapping:e}=this.importState;return t.map(t=>{const s={};return e.forEach((e,i)=>{""!==e&&(s[e]=t[i]??"")}),s})}validateImport(){const t=this.importState;t.errors={};const e=t.rows.map((t,e)=>e);this.runImportChunks(e,!0).then(()=>this.renderImportPreview()).catch(t=>this.renderImportDone(t.message||this.t("import.validation_failed")))}startImport(){const t=this.importState;t.imported=0;const e=t.rows.map((t,e)=>e).filter(e=>void 0===t.errors[e]);this.runImportChunks(e,!1).then(()=>this.renderImportDone()).catch(t=>this.renderImportDone(t.message||this.t("import.failed"))).finally(()=>this.refresh())}runImportChunks(t,e){const s=this.importState,i=e?"import.validating":"import.importing",a=this.getImportRecords(),r=this.importConfig.chunkSize||100,n=l=>{if(this.renderImportProgress(i,l,t.length),l>=t.length)return Promise.resolve();const o=t.slice(l,l+r),c=new FormData;return c.append("action","import_records"),c.append("table",this.tableName),c.append("rows",JSON.stringify(o.map(t=>a[t]))),c.append("dry_run",e?"1":"0"),this.request(c,"POST").then(t=>{if(!1===t.success)throw new Error(t.message||this.t(e?"import.validation_failed":"import.failed"));return(t.errors||[]).forEach(t=>{s.errors[o[t.row]]=t.errors}),s.imported+=t.imported||0,n(l+o.length)})};return n(0)}renderImportProgress(t,e,s){this.importBody().innerHTML=`<p>${this.t(t,{done:e,count:s})}</p><progress class="${this.getThemeClass("progress")}" value="${e}" max="${s||1}"></progress>`}renderImportPreview(){const t=this.importState,e=DataTablesJS.xmlEscape,s=this.importConfig.fields.filter(e=>t.mapping.includes(e.name)),i=this.getImportRecords(),a=this.getThemeClass("icon.danger"),r=Object.keys(t.errors).map(Number).sort((t,e)=>t-e),n=t.rows.length-r.length,l=r.concat(t.rows.map((t,e)=>e).filter(e=>void 0===t.errors[e])).slice(0,50),o=l.map(r=>{const n=t.errors[r]||{},l=s.map(t=>{const s=n[t.name];return s?`<td class="${a}" title="${e(s)}">${e(i[r][t.name]??"")} ⚠</td>`:`<td>${e(i[r][t.name]??"")}</td>`}).join(""),o=Object.values(n).join("; ");return`<tr><td>${r+2}</td>${l}<td class="${a}">${e(o)}</td></tr>`}).join(""),c=r.length>0?`${this.t("import.valid_some",{valid:n,count:t.rows.length})} ${this.t("import.invalid",{count:r.length})}`:this.t("import.valid_all",{count:t.rows.length});this.importBody().innerHTML=`<p>${c}</p><div style="max-height: 50vh; overflow: auto;"><table class="${this.getThemeClass("table.preview")}"><thead><tr><th>${this.t("import.row")}</th>${s.map(t=>`<th>${e(t.label)}</th>`).join("")}<th>${this.t("import.errors")}</th></tr></thead><tbody>${o}</tbody></table></div>`+(t.rows.length>l.length?`<p class="${this.getThemeClass("table.muted")}">${this.t("import.preview_limit",{shown:l.length,count:t.rows.length})}</p>`:"")+`<div class="${this.getThemeClass("flex.right")} ${this.getThemeClass("margin.smallTop")}">`+this.importButton(this.t("import.back"),"renderImportMapping()")+(r.length>0?this.importButton(this.t("import.error_report"),"downloadImportErrors()"):"")+this.importButton(this.t("import.submit",{count:n}),"startImport()",!0,0===n)+"</div>"}renderImportDone(t=null){const e=this.importState,s=Object.keys(e.errors).length;this.emit("afterImport",{imported:e.imported,failed:s,errors:e.errors});let i=t?`<p class="${this.getThemeClass("icon.danger")}">${DataTablesJS.xmlEscape(t)}</p>`:"";i+=`<p>${this.t("import.done",{count:e.imported})}`+(s>0?" "+this.t("import.not_imported",{count:s}):"")+"</p>",this.importBody().innerHTML=i+`<div class="${this.getThemeClass("flex.right")} ${this.getThemeClass("margin.smallTop")}">`+(s>0?this.importButton(this.t("import.error_report"),"downloadImportErrors()"):"")+this.importButton(this.t("import.close"),"closeImport()",!0)+"</div>"}downloadImportErrors(){const t=this.importState,e=Object.fromEntries(this.importConfig.fields.map(t=>[t.name,t.label])),s=[[this.t("import.row"),...t.headers,this.t("import.errors")]];Object.keys(t.errors).map(Number).sort((t,e)=>t-e).forEach(i=>{const a=Object.entries(t.errors[i]).map(([t,s])=>"_row"===t?s:`${e[t]??t}: ${s}`);s.push([i+2,...t.headers.map((e,s)=>t.rows[i][s]??""),a.join("; ")])});const i=s.map(t=>t.map(DataTablesJS.csvCell).join(",")).join("\r\n")+"\r\n",a=t.fileName.replace(/\.csv$/i,"");DataTablesJS.downloadFile(new Blob(["\ufeff"+i],{type:"text/csv;charset=utf-8"}),`${DataTablesJS.slug(a)}-errors.csv`)}closeImport(){this.importState=null,this.hideModal(this.domId("import-modal"))}toggleSelectAll(t){if(this.infiniteScroll)return(this.pageData||[]).forEach(e=>{const s=String(this.getRowId(e));t.checked?this.selectedIds.add(s):this.selectedIds.delete(s)}),this.queryAll(".row-checkbox").forEach(e=>{e.checked=t.checked,e.closest("tr").setAttribute("aria-selected",String(e.checked))}),this.updateBulkActionButtons(),void this.emitSelectionChange();this.queryAll(".row-checkbox").forEach(e=>{e.checked=t.checked,this.toggleRowSelection(e,!0)}),this.emitSelectionChange()}toggleRowSelection(t,e=!1){const s=t.value;if(t.closest("tr")?.setAttribute("aria-selected",String(t.checked)),t.checked)this.selectedIds.add(s);else{this.selectedIds.delete(s);const t=this.query(".datatables-select-all");t&&(t.checked=!1)}this.updateBulkActionButtons(),e||this.emitSelectionChange()}emitSelectionChange(){this.emit("selectionChange",{selectedIds:Array.from(this.selectedIds)})}updateBulkActionButtons(){const t=this.selectedIds.size>0;this.queryAll(".datatables-bulk-action-btn").forEach(e=>{e.disabled=!t})}executeBulkActionDirect(t,e){e&&e.preventDefault();const s=Array.from(this.selectedIds);if(0===s.length)return void this.showNotification(this.t("bulk.none_selected"),"warning");const i=this.query(`[data-action="${t}"]`),a=i?i.getAttribute("data-confirm"):"";a?this.showConfirm(a).then(()=>{this.performBulkAction(t,s)},()=>{}):this.performBulkAction(t,s)}executeActionCallback(t,e,s){s&&s.preventDefault();const i=this.rowData[e]||{};let a=null;if(this.actionConfig.groups)for(const e of this.actionConfig.groups)if("object"==typeof e&&!Array.isArray(e)&&e[t]&&e[t].hasCallback){a=e[t];break}a&&(a.confirm?this.showConfirm(a.confirm).then(()=>{this.performActionCallback(t,e,i,a)},()=>{}):this.performActionCallback(t,e,i,a))}performActionCallback(t,e,s,i){const a=new FormData;a.append("action","action_callback"),a.append("table",this.tableName),a.append("action_name",t),a.append("row_id",e),a.append("row_data",JSON.stringify(s)),this.request(a,"POST").then(t=>{t.success?(this.refresh(),this.showNotification(t.message||i.success_message||this.t("action.success"),"success")):this.showNotification(t.message||i.error_message||this.t("action.failed"),"danger")}).catch(t=>{console.error("Error:",t),this.showNotification(this.t("error.generic"),"danger")})}resetSearch(){this.queryAll(".datatables-search").forEach(t=>{t.value=""}),this.search="",this.currentPage=1,this.refresh()}applyFilters(){this.activeFilters=[];const t={};this.queryAll(".datatables-filter-input").forEach(e=>{const s=e.getAttribute("data-filter-field"),i=e.getAttribute("data-filter-operator");if(""!==e.value)return"BETWEEN"===i?(t[s]||(t[s]={field:s,operator:"BETWEEN",value:"",value_to:""},this.activeFilters.push(t[s])),void(e.classList.contains("datatables-filter-between-from")?t[s].value=e.value:t[s].value_to=e.value)):void this.activeFilters.push({field:s,operator:i,value:e.value,value_to:""})}),this.activeFilters=this.activeFilters.filter(t=>""!==t.value||""!==t.value_to),this.updateFilterIndicator(),this.emit("filterChange",{filters:this.activeFilters}),this.currentPage=1,this.loadData()}resetFilters(){this.queryAll(".datatables-filter-input").forEach(t=>{t.value=""}),this.activeFilters=[],this.updateFilterIndicator(),this.emit("filterChange",{filters:this.activeFilters}),this.currentPage=1,this.loadData()}updateFilterIndicator(){const t=this.activeFilters.length,e=this.query(".datatables-filter-count");e&&(e.textContent=t>0?t:"",e.style.display=t>0?"inline":"none")}syncFilterInputs(){this.queryAll(".datatables-filter-input").forEach(t=>{const e=this.activeFilters.find(e=>e.field===t.getAttribute("data-filter-field"));void 0===e?t.value="":t.classList.contains("datatables-filter-between-to")?t.value=e.value_to||"":t.value=e.value||""}),this.updateFilterIndicator()}executeBulkAction(){const t=this.query(".datatables-bulk-action");if(!t||!t.value)return;const e=t.value,s=Array.from(this.selectedIds);if(0===s.length)return void this.showNotification(this.t("bulk.none_selected"),"warning");const i=this.bulkActions[e];i&&i.confirm?this.showConfirm(i.confirm).then(()=>{this.performBulkAction(e,s)},()=>{}):this.performBulkAction(e,s)}performBulkAction(t,e){const s=new FormData;s.append("action","bulk_action"),s.append("table",this.tableName),s.append("bulk_action",t),s.append("selected_ids",JSON.stringify(e)),this.request(s,"POST").then(t=>{if(t.success){this.selectedIds.clear(),this.emitSelectionChange(),this.refresh(),this.showNotification(t.message||this.t("bulk.success"),"success");const e=this.query(".datatables-bulk-action");e&&(e.value="");const s=this.query(".datatables-select-all");s&&(s.checked=!1),this.updateBulkActionButtons()}else this.showNotification(t.message||this.t("bulk.failed"),"danger")}).catch(t=>{console.error("Error:",t),this.showNotification(this.t("error.generic"),"danger")})}showAddModal(t){t&&t.preventDefault(),this.showModal(this.domId("add-modal"))}showEditModal(t){this.loadRecordForEdit(t),this.showModal(this.domId("edit-modal"))}showDeleteModal(t){this.deleteId=t,this.showModal(this.domId("delete-modal"))}loadRecordForEdit(t){const e=new URLSearchParams({action:"fetch_record",table:this.tableName,id:t});this.request(e).then(t=>{t.success&&t.data?this.populateEditForm(t.data,t.field_overrides||{}):(console.error("Failed to fetch record:",t.message),this.showNotification(t.message||this.t("record.fetch_failed"),"danger"))}).catch(t=>{console.error("Error fetching record:",t),this.showNotification(this.t("record.fetch_error"),"danger")})}populateEditForm(t,e={}){let s=this.primaryKey;this.primaryKey.includes(".")&&(s=this.primaryKey.split(".")[1]);let i=t[this.primaryKey]||t[s]||t["s.id"]||t.id||"";const a=document.getElementById(`${this.domId("edit")}-${s}`);a&&(a.value=i);const r=document.getElementById(this.domId("edit-form"));if(!r)return;r.querySelectorAll("input, select, textarea").forEach(e=>{const i=e.name;if(!i||i===s)return;const a=t[i];if(null!=a){if("checkbox"===e.type)e.checked="1"==a||"true"===a||!0===a;else if("radio"===e.type)e.checked=e.value===String(a);else if(e.hasAttribute("data-select2")&&e.replaceChildren(new Option(a,a,!0,!0)),e.value=a,e.classList.contains("kp-dt-datepicker-native")){var r=e.closest(".kp-dt-datepicker-wrap");if(r){var n=r.querySelector(".kp-dt-datepicker");if(n){var l=n.getAttribute("data-formatter")||"YYYY-MM-DD";n.value=KPDataTablesDatepicker.format(a,l)}}}}else"checkbox"===e.type||"radio"===e.type?e.checked=!1:e.value=""}),r.querySelectorAll(".datatables-static-field").forEach(e=>{const s=e.getAttribute("data-display-field");s&&void 0!==t[s]&&null!==t[s]&&(e.textContent=t[s])});const n=r.querySelectorAll("select[data-select2]");if(n.length>0){const e=JSON.stringify(t);n.forEach(s=>{s.setAttribute("data-record-data",e);const i=s.kptSelect2Instance;i&&s.value&&(i.config.recordData=t,i.selectedValue=s.value,i.loadInitialValue())})}Object.entries(e).forEach(([t,e])=>{const s=r.querySelector(`[name="${t}"]`);s&&(Object.prototype.hasOwnProperty.call(e,"set_value")&&("checkbox"===s.type?s.checked="1"==e.set_value||!0===e.set_value:s.value=e.set_value??""),e.set_attributes&&Object.entries(e.set_attributes).forEach(([t,e])=>{null===e||!1===e?s.removeAttribute(t):s.setAttribute(t,e)}),e.set_classes&&Array.isArray(e.set_classes)&&e.set_classes.forEach(t=>s.classList.add(t)))})}submitAddForm(t){t.preventDefault();const e=t.target,s=new FormData(e);return s.append("action","add_record"),this.submitForm(s,e,this.domId("add-modal"),this.t("record.added")),!1}submitEditForm(t){t.preventDefault();const e=t.target,s=new FormData(e);return s.append("action","edit_record"),this.submitForm(s,null,this.domId("edit-modal"),this.t("record.updated")),!1}submitForm(t,e,s,i){t.append("table",this.tableName),this.request(t,"POST").then(t=>{t.success?(this.hideModal(s),e&&e.reset(),this.refresh(),this.showNotification(i,"success")):this.showNotification(t.message||this.t("error.operation_failed"),"danger")}).catch(t=>{console.error("Error:",t),this.showNotification(this.t("error.generic"),"danger")})}confirmDelete(){if(!this.deleteId)return;if(!this.emit("beforeDelete",{id:this.deleteId}))return this.hideModal(this.domId("delete-modal")),void(this.deleteId=null);const t=new FormData;t.append("action","delete_record"),t.append("table",this.tableName),t.append("id",this.deleteId),this.request(t,"POST").then(t=>{t.success?(this.hideModal(this.domId("delete-modal")),this.refresh(),this.showNotification(t.message||this.t("record.deleted"),"success")):this.showNotification(t.message||this.t("record.delete_failed"),"danger")}).catch(t=>{console.error("Error:",t),this.showNotification(this.t("error.generic"),"danger")}),this.deleteId=null}bindTableEvents(){this.queryAll(".btn-edit").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault();const e=t.target.closest("tr").getAttribute("data-id");this.showEditModal(e)})}),this.queryAll(".btn-delete").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault();const e=t.target.closest("tr").getAttribute("data-id");this.showDeleteModal(e)})}),this.queryAll("td .inline-editable:not(.boolean-toggle)").forEach(t=>{t.addEventListener("click",t=>{if(t.preventDefault(),t.stopPropagation(),t.shiftKey)return;const e=t.target.closest(".inline-editable");this.startInlineEdit(e)})}),this.queryAll("td .boolean-toggle").forEach(t=>{t.addEventListener("click",t=>{t.preventDefault(),t.stopPropagation(),this.toggleBoolean(t.target.closest(".boolean-toggle"))})}),this.queryAll(".datatables-tbody tr[data-id]").forEach(t=>{t.addEventListener("click",e=>{const s=t.getAttribute("data-id");this.emit("rowClick",{id:s,row:t,rowData:this.rowData[s]||null,event:e})||e.stopImmediatePropagation()})}),this.queryAll("tr.row-select").forEach(t=>{t.addEventListener("click",e=>{const s=e.target.closest("td");if(s&&!e.shiftKey&&!s.classList.contains("row-check")&&!s.classList.contains("row-action")&&!s.classList.contains("cell-edit")){const e=t.querySelector(".row-checkbox");e&&(e.checked=!e.checked,this.toggleRowSelection(e))}})})}startInlineEdit(t){if(t.querySelector("input, select, textarea"))return;const e=t.getAttribute("data-field"),s=t.getAttribute("data-id"),i=t.getAttribute("data-type")||"text",a=t.getAttribute("data-value")||t.textContent;if(!this.inlineEditableColumns.includes(e))return;const r=this.getThemeClass("input"),n=this.getThemeClass("select"),l=this.getThemeClass("textarea"),o=this.getThemeClass("button.primary"),c=this.getThemeClass("button.default"),h=this.getThemeClass("button.small"),d=this.getThemeClass("flex.right"),u=this.getThemeClass("margin.smallTop"),m=this.getThemeClass("margin.smallRight"),p=this.getThemeClass("margin.smallBottom"),g=this.getThemeClass("border.rounded"),f=this.getThemeClass("display.block"),b=this.getTableSchema();let y;switch(i){case"select":const v=b[e]?.form_options||{};y=document.createElement("select"),y.className=n;for(const[t,e]of Object.entries(v)){const s=document.createElement("option");s.value=t,s.textContent=e,t===a&&(s.selected=!0),y.appendChild(s)}break;case"select2":const w=b[e]?.select2_query||"",k=0,S=b[e]?.select2_max_results||50;let x=a;if(!w)return console.error("No query configured for select2 field:",e),void(t.textContent=a);const C=document.createElement("select");return C.className=n,C.setAttribute("data-select2","true"),C.setAttribute("data-query",w),C.setAttribute("data-placeholder",this.t("select.placeholder")),C.setAttribute("data-min-search-chars",k),C.setAttribute("data-max-results",S),C.setAttribute("data-theme",this.theme),C.replaceChildren(new Option(this.t("table.loading"),a,!0,!0)),C.value=a,t.innerHTML="",t.appendChild(C),void setTimeout(()=>{if("function"==typeof window.KPTSelect2){const i={placeholder:C.getAttribute("data-placeholder")||this.t("select.placeholder"),query:C.getAttribute("data-query")||"",minSearchChars:C.getAttribute("data-min-search-chars")||0,maxResults:C.getAttribute("data-max-results")||50,theme:C.getAttribute("data-theme")||"uikit",recordData:{}};new KPTSelect2(C,i),C.addEventListener("change",()=>{const i=C.value;i!==a?this.saveInlineEdit(s,e,i,t):C.kptSelect2Instance?t.textContent=C.kptSelect2Instance.selectedLabel||a:t.textContent=a});const r=C.kptSelect2Instance,n=r.close.bind(r);r.close=function(){const e=C.value!==a;n(),e||(t.textContent=x)}}else console.error("KPTSelect2 class not found!");setTimeout(()=>{C.kptSelect2Instance?(C.kptSelect2Instance.selectedValue=a,C.kptSelect2Instance.loadInitialValue(),setTimeout(()=>{x=C.kptSelect2Instance.selectedLabel||a},25),setTimeout(()=>{C.kptSelect2Instance.open()},50)):console.error("NO INSTANCE CREATED")},100)},150);case"textarea":y=document.createElement("textarea"),y.className=l,y.value=a;break;case"number":y=document.createElement("input"),y.type="number",y.className=r,y.value=a;break;case"date":y=document.createElement("input"),y.type="date",y.className=r,y.value=a;break;case"datetime-local":y=document.createElement("input"),y.type="datetime-local",y.className=r,y.value=a;break;case"image":const $=document.createElement("div");if($.style.minWidth="200px",a&&a.trim()){const t=a.startsWith("http")?a:`/uploads/${a}`,e=document.createElement("img");e.src=t,e.style.maxWidth="100px",e.style.maxHeight="100px",e.style.objectFit="cover",e.className=`${g} ${p} ${f}`,$.appendChild(e)}const T=document.createElement("input");T.type="url",T.className=`${r} ${p}`,T.placeholder=this.t("image.inline_placeholder"),T.value=a.startsWith("http")?a:"";const D=document.createElement("div");D.className=p;const E=document.createElement("input");E.type="file",E.className=r,E.accept="image/*";const A=document.createElement("div");A.className=`${d} ${u}`;const I=document.createElement("button");I.className=`${o} ${h} ${m}`,I.textContent=this.t("inline.save"),I.type="button";const P=document.createElement("button");P.className=`${c} ${h}`,P.textContent=this.t("modal.cancel"),P.type="button",D.appendChild(E),A.appendChild(I),A.appendChild(P),$.appendChild(T),$.appendChild(D),$.appendChild(A);const N=()=>{const i=T.value.trim(),r=E.files[0];if(r){const i=new FormData;i.append("action","upload_file"),i.append("table",this.tableName),i.append("file",r),i.append("prepend",t.getAttribute("data-prepend")||""),this.request(i,"POST").then(i=>{i.success?this.saveInlineEdit(s,e,i.file_name,t):(R(),this.showNotification(i.message||this.t("upload.failed"),"danger"))}).catch(t=>{R(),this.showNotification(this.t("upload.error"),"danger")})}else i!==a?this.saveInlineEdit(s,e,i,t):R()},R=()=>{if(a&&a.trim()){const e=DataTablesJS.escapeHtml(a.startsWith("http")?a:`/uploads/${a}`);t.innerHTML=`<img src="${e}" alt="${this.t("image.alt")}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${g}">`}else t.innerHTML=this.t("image.none")};return I.addEventListener("click",N),P.addEventListener("click",R),T.addEventListener("keydown",t=>{"Enter"===t.key?(t.preventDefault(),N()):"Escape"===t.key&&(t.preventDefault(),R())}),t.innerHTML="",t.appendChild($),void T.focus();case"datepicker":const L=this.datepickerFormatters[e]||"YYYY-MM-DD",M=document.createElement("div");M.className="kp-dt-datepicker-wrap";const F=document.createElement("input");F.type="text",F.className=r+" kp-dt-datepicker",F.value=a,F.readOnly=!0,F.setAttribute("data-formatter",L);const J=document.createElement("input");J.type="date",J.className="kp-dt-datepicker-native",J.setAttribute("data-formatter",L);const O=KPDataTablesDatepicker.parseToISO(a,L);return O&&(J.value=O),J.addEventListener("change",()=>{const i=KPDataTablesDatepicker.format(J.value,L);F.value=i,this.saveInlineEdit(s,e,i,t)}),M.appendChild(F),M.appendChild(J),t.textContent="",t.appendChild(M),void(J.showPicker?J.showPicker():J.click());default:y=document.createElement("input"),y.type="email"===i?"email":"text",y.className=r,y.value=a}const v=()=>{const i=this.renderCell(e,a,this.rowData[s]||{},b);t.innerHTML=null!==i?i:this.cellHtml(a,e,b)};let w=!1;const k=()=>{if(w)return;w=!0;const i=y.value;i!==a?this.saveInlineEdit(s,e,i,t):v()},S=()=>{w=!0,v()};y.addEventListener("blur",k),y.addEventListener("paste",t=>{const i=t.clipboardData?.getData("text/plain")||"";/[\t\n]/.test(i.replace(/\r?\n$/,""))&&(t.preventDefault(),y.removeEventListener("blur",k),S(),this.pasteCells(i,{id:s,column:this.columnKey(e)}))}),y.addEventListener("keydown",t=>{"Enter"===t.key?(t.preventDefault(),k()):"Escape"===t.key&&(t.preventDefault(),S())}),t.textContent="",t.appendChild(y),y.focus(),y.select&&y.select()}toggleBoolean(t){const e=t.getAttribute("data-field"),s=t.getAttribute("data-id"),i=t.getAttribute("data-value"),a="1"==i||"true"===i||!0===i?"0":"1";this.saveInlineEdit(s,e,a,t)}saveInlineEdit(t,e,s,i){const a={id:t,field:e,value:s,element:i};if(!this.emit("beforeInlineSave",a))return void(this.infiniteScroll?this.renderVirtualRows(!0):this.loadData());s=a.value;const r=new FormData;r.append("action","inline_edit"),r.append("table",this.tableName),r.append("id",t),r.append("field",e),r.append("value",s);const n=this.getThemeClass("border.rounded"),l=this.getThemeClass("icon.success"),o=this.getThemeClass("icon.danger");this.request(r,"POST").then(a=>{if(this.emit("afterInlineSave",{id:t,field:e,value:s,response:a}),a.success){(this.infiniteScroll||this.clientSide)&&this.updateLoadedRow(t,e,s,i),!1===this.infiniteScroll&&this.loadData();const r=this.renderCell(e,s,{...this.rowData[t]||{},[this.columnKey(e)]:s});if(null!==r)i.innerHTML=r,i.setAttribute("data-value",s);else if("image"===i.getAttribute("data-type"))if(s&&s.trim()){const t=DataTablesJS.escapeHtml(s.startsWith("http")?s:`/uploads/${s}`);i.innerHTML=`<img src="${t}" alt="${this.t("image.alt")}" style="max-width: 50px; max-height: 50px; object-fit: cover;" class="${n}">`,i.setAttribute("data-value",s)}else i.innerHTML=this.t("image.none"),i.setAttribute("data-value","");else if(i.classList.contains("boolean-toggle")){const t="1"==s||"true"===s||!0===s,e=t?l:o;i.innerHTML=this.renderIcon(t?"check":"close",e),i.setAttribute("data-value",s)}else if("select"===i.getAttribute("data-type")){const t=this.getTableSchema(),e=i.getAttribute("data-field"),a=t[e]?.form_options||{},r=String(s),n=r in a?a[r]:s;i.setAttribute("data-value",s),i.textContent=n}else{const t=this.getTableSchema();null===this.columnFormat(e,t)&&!0!==t[e]?.html||i.setAttribute("data-value",s),i.innerHTML=this.cellHtml(s,e,t)}const c=document.getElementById(`${this.domId("edit")}-${e}`);c&&("checkbox"===c.type?c.checked="1"===s||"true"===s||!0===s:c.value=s),this.showNotification(a.message||this.t("inline.updated"),"success")}else i.textContent=i.getAttribute("data-original")||"",this.showNotification(a.message||this.t("inline.update_failed"),"danger")}).catch(t=>{console.error("Error:",t),i.textContent=i.getAttribute("data-original")||"",this.showNotification(this.t("error.generic"),"danger")})}getColumnCount(){let t=this.visibleColumns().length||1;return t++,this.bulkActionsEnabled&&t++,t}columnKey(t){const e=t.split(/\s+as\s+/i);return 2===e.length?e[1].replace(/[`'"]/g,""):t}changePageSize(t,e){e&&e.preventDefault(),this.perPage=parseInt(t),this.currentPage=1,this.syncPageSizeControls(),this.loadData()}syncPageSizeControls(){const t=this.getThemeClass("button.primary"),e=this.getThemeClass("button.default");this.queryAll(".datatables-page-size-btn").forEach(s=>{parseInt(s.getAttribute("data-size"))===this.perPage?s.className=s.className.replace(e,t):s.className=s.className.replace(t,e)}),this.queryAll(".datatables-page-size").forEach(t=>{t.value=this.perPage})}getRowClass(t){const e=this.cssClasses?.tr||"datatables-row";return e?`${e}-${t}`:""}}document.addEventListener("click",function(t){var e=t.target.closest(".kp-dt-datepicker-wrap");if(e){var s=e.querySelector(".kp-dt-datepicker"),i=e.querySelector(".kp-dt-datepicker-native");if(s&&i){i.style.display="block",i.style.position="static",i.style.opacity="1",i.style.width="100%",i.style.height="auto",s.style.display="none",i.focus();try{i.showPicker()}catch(t){}}}}),DataTablesJS.instances={},DataTablesJS.listeners={},DataTablesJS.transport={},DataTablesJS.crcTable=null,DataTablesJS.messages={},DataTablesJS.locale="en",DataTablesJS.sanitizer={tags:["a","abbr","b","br","code","del","div","em","hr","i","img","ins","kbd","li","mark","ol","p","pre","q","s","small","span","strong","sub","sup","u","ul"],attributes:["alt","class","dir","height","href","lang","rel","src","target","title","width"],dropped:["embed","iframe","math","noembed","noframes","noscript","object","plaintext","script","select","style","svg","template","textarea","title","xmp"]},DataTablesJS.missingRenderers=new Set,DataTablesJS.renderers={badge(t,e,s,i){if(""===String(t))return"";const a=s.colors?.[String(t)]||s.color||"default";return`<span class="${i.table.getThemeClass(`badge.${a}`)||i.table.getThemeClass("badge.default")}">${DataTablesJS.escapeHtml(i.text)}</span>`},link(t,e,s,i){const a=DataTablesJS.fillTemplate(s.url||"{value}",e,t,!0),r=s.text?DataTablesJS.fillTemplate(s.text,e,t):i.text;if(""===a.trim()||!1===DataTablesJS.isSafeUrl(a))return DataTablesJS.escapeHtml(r);const n=s.target?` target="${DataTablesJS.escapeHtml(s.target)}"${"_blank"===s.target?' rel="noopener noreferrer"':""}`:"";return`<a href="${DataTablesJS.escapeHtml(a)}"${n}>${DataTablesJS.escapeHtml(r)}</a>`},progress(t,e,s,i){const a=Number(t);if(""===String(t).trim()||!1===Number.isFinite(a))return DataTablesJS.escapeHtml(i.text);const r=Number(s.max)||100,n=Math.min(Math.max(a,0),r),l=i.table.formatValue(n/r,{type:"percent"}),o=!1===s.label?"":`<span style="min-width: 3.5em; text-align: end;">${l}</span>`;return`<span style="display: flex; align-items: center; gap: 8px;"><progress class="${i.table.getThemeClass("progress")}" value="${n}" max="${r}" aria-label="${l}" style="margin: 0;"></progress>${o}</span>`},email(t,e,s,i){const a=String(t).trim();return""===a?"":`<a href="mailto:${DataTablesJS.escapeHtml(encodeURI(a))}">${DataTablesJS.escapeHtml(i.text)}</a>`},avatar(t,e,s,i){const a=DataTablesJS.escapeHtml,r=Number(s.size)||32,n=s.image||"avatar";let l=/\{\w+\}/.test(n)?DataTablesJS.fillTemplate(n,e,t,!0):String(e[n]??"").trim();l&&!1===/^([a-z][a-z0-9+.-]*:|\/)/i.test(l)&&(l=`/uploads/${l}`);const o=s.name?DataTablesJS.fillTemplate(s.name,e,t):i.text,c=o.trim().split(/\s+/).slice(0,2).map(t=>Array.from(t)[0]||"").join("").toUpperCase(),h=`width: ${r}px; height: ${r}px; border-radius: 50%; flex: none;`;return`<span style="display: inline-flex; align-items: center; gap: 8px;">${l&&DataTablesJS.isSafeUrl(l)?`<img src="${a(l)}" alt="" style="${h} object-fit: cover;">`:`<span aria-hidden="true" style="${h} display: inline-flex; align-items: center; justify-content: center; background: #e5e5e5; color: #666; font-size: ${Math.round(.4*r)}px;">${a(c)}</span>`}<span>${a(o)}</span></span>`},truncate(t,e,s,i){const a=Number(s.length)||50,r=Array.from(i.text);return r.length<=a?DataTablesJS.escapeHtml(i.text):`<span title="${DataTablesJS.escapeHtml(i.text)}">${DataTablesJS.escapeHtml(r.slice(0,a).join("").trimEnd())}…</span>`}},DataTablesJS.datePatternRegex=/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|./gs,DataTablesJS.relativeUnits=[["year",31536e3],["month",2592e3],["week",604800],["day",86400],["hour",3600],["minute",60],["second",1]],DataTablesJS.focusableSelector="a[href], button, input, select, textarea, [tabindex]:not(td):not(th)",window.DataTablesJS=DataTablesJS;
\ No newline at end of file
@@ -13,7 +13,7 @@ class KPTSelect2 {
     constructor(element, config = {}) {
         this.element = element;
         this.config = {
-            placeholder: config.placeholder || 'Select...',
+            placeholder: config.placeholder || KPTSelect2.text('select.placeholder', 'Select...'),
             query: config.query || '',
             minSearchChars: parseInt(config.minSearchChars) || 0,
             maxResults: parseInt(config.maxResults) || 50,
@@ -28,6 +28,9 @@ class KPTSelect2 {
         this.searchTimeout = null;
         this.debounceDelay = 300;
 
+        // Controller for the in-flight results request
+        this.resultsController = null;
+
         this.init();
     }
 
@@ -78,7 +81,7 @@ class KPTSelect2 {
         this.searchInput = document.createElement('input');
         this.searchInput.type = 'text';
         this.searchInput.className = this.getSearchInputClass();
-        this.searchInput.placeholder = 'Search...';
+        this.searchInput.placeholder = KPTSelect2.text('search.placeholder', 'Search...');
         this.searchInput.setAttribute('autocomplete', 'off');
         this.searchInput.setAttribute('autocorrect', 'off');
         this.searchInput.setAttribute('autocapitalize', 'off');
@@ -198,7 +201,8 @@ class KPTSelect2 {
             this.dropdown.style.top = `${rect.bottom - parentRect.top}px`;
             this.dropdown.style.left = `${rect.left - parentRect.left}px`;
         } else {
-            // Fixed positioning to body
+            // Fixed positioning to body, keeping the direction of the field
+            this.dropdown.dir = getComputedStyle(this.container).direction;
             this.dropdown.style.position = 'fixed';
             this.dropdown.style.top = `${rect.bottom}px`;
             this.dropdown.style.left = `${rect.left}px`;
@@ -243,7 +247,7 @@ class KPTSelect2 {
 
         // Check minimum characters only if search term is not empty
         if (searchTerm.length > 0 && searchTerm.length < this.config.minSearchChars) {
-            this.resultsContainer.innerHTML = `<div class="${this.getNoResultsClass()}">Type ${this.config.minSearchChars} or more characters...</div>`;
+            this.showMessage(this.getNoResultsClass(), KPTSelect2.text('select.min_chars', `Type ${this.config.minSearchChars} or more characters...`, { count: this.config.minSearchChars }));
             return;
         }
 
@@ -263,30 +267,66 @@ class KPTSelect2 {
         // Add record data for query parameter substitution
         formData.append('record_data', JSON.stringify(this.config.recordData));
 
+        // Only the newest search may render; abort the one still in flight
+        if (this.resultsController) {
+            this.resultsController.abort();
+        }
+        const controller = new AbortController();
+        this.resultsController = controller;
+
         // Show loading state
-        this.resultsContainer.innerHTML = `<div class="${this.getLoadingClass()}">Loading...</div>`;
+        this.showMessage(this.getLoadingClass(), KPTSelect2.text('table.loading', 'Loading...'));
 
-        fetch(window.location.href, {
-            method: 'POST',
-            body: formData
-        })
-            .then(response => response.json())
+        this.request(formData, controller.signal)
             .then(data => {
+                if (this.resultsController !== controller) {
+                    return;
+                }
+                this.resultsController = null;
                 if (data.success) {
                     this.renderResults(data.results);
                 } else {
-                    this.resultsContainer.innerHTML = `<div class="${this.getErrorClass()}">${data.message || 'Error loading results'}</div>`;
+                    this.showMessage(this.getErrorClass(), data.message || KPTSelect2.text('select.error', 'Error loading results'));
                 }
             })
             .catch(error => {
+                if (error.name === 'AbortError' || this.resultsController !== controller) {
+                    return;
+                }
+                this.resultsController = null;
                 console.error('Select2 error:', error);
-                this.resultsContainer.innerHTML = `<div class="${this.getErrorClass()}">Error loading results</div>`;
+                this.showMessage(this.getErrorClass(), KPTSelect2.text('select.error', 'Error loading results'));
             });
     }
 
+    /**
+     * POST through the owning table's transport when DataTablesJS is loaded,
+     * otherwise fall back to a plain fetch of the current URL.
+     */
+    request(formData, signal = null) {
+        const scope = this.element.closest('[data-table]');
+        const tableName = scope ? scope.getAttribute('data-table') : '';
+
+        if (tableName) {
+            formData.append('table', tableName);
+        }
+
+        if (window.DataTablesJS) {
+            const table = tableName ? DataTablesJS.get(tableName) : null;
+            const transport = { ...(table ? table.transport : {}), ...(this.config.transport || {}) };
+            return DataTablesJS.send(formData, 'POST', transport, signal);
+        }
+
+        return fetch(window.location.href, {
+            method: 'POST',
+            body: formData,
+            signal
+        }).then(response => response.json());
+    }
+
     renderResults(results) {
         if (!results || results.length === 0) {
-            this.resultsContainer.innerHTML = `<div class="${this.getNoResultsClass()}">No results found</div>`;
+            this.showMessage(this.getNoResultsClass(), KPTSelect2.text('results.none', 'No results found'));
             return;
         }
 
@@ -311,12 +351,20 @@ class KPTSelect2 {
         });
     }
 
+    // Status line in the results panel, set as text since server messages can echo the search
+    showMessage(className, text) {
+        const message = document.createElement('div');
+        message.className = className;
+        message.textContent = text;
+        this.resultsContainer.replaceChildren(message);
+    }
+
     selectItem(value, label) {
         this.selectedValue = value;
         this.selectedLabel = label;
 
         // Clear existing options and add the selected one
-        this.element.innerHTML = `<option value="${value}" selected>${label}</option>`;
+        this.element.replaceChildren(new Option(label, value, true, true));
         this.element.value = value;
 
         // Remove required validation error
@@ -344,11 +392,7 @@ class KPTSelect2 {
         formData.append('value_filter', this.selectedValue);
         formData.append('record_data', JSON.stringify(this.config.recordData));
 
-        fetch(window.location.href, {
-            method: 'POST',
-            body: formData
-        })
-            .then(response => response.json())
+        this.request(formData)
             .then(data => {
                 if (data.success && data.results.length > 0) {
                     this.selectedLabel = data.results[0].Label;
@@ -362,6 +406,17 @@ class KPTSelect2 {
     }
 
     // Theme-specific class getters
+    /**
+     * Translate with the DataTablesJS catalog, or fall back to the English text
+     * when the component is used without a table
+     */
+    static text(key, fallback, params = {}) {
+        if (typeof DataTablesJS !== 'undefined' && key in DataTablesJS.messages) {
+            return DataTablesJS.translate(key, params);
+        }
+        return fallback;
+    }
+
     getContainerClass() {
         const base = 'kp-select2-container';
         return `${base} ${base}-${this.config.theme}`;
@@ -439,7 +494,7 @@ document.addEventListener('DOMContentLoaded', function () {
         }
 
         const config = {
-            placeholder: element.getAttribute('data-placeholder') || 'Select...',
+            placeholder: element.getAttribute('data-placeholder') || KPTSelect2.text('select.placeholder', 'Select...'),
             query: element.getAttribute('data-query') || '',
             minSearchChars: element.getAttribute('data-min-search-chars') || 0,
             maxResults: element.getAttribute('data-max-results') || 50,
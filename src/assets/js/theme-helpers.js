@@ -10,6 +10,19 @@
  */
 
 const KPDataTablesPlain = {
+    /**
+     * Translate a message with the DataTablesJS catalog
+     * @param {string} key - Message key
+     * @param {string} fallback - English text, used when no catalog is loaded
+     * @returns {string} The translated message
+     */
+    text: function (key, fallback) {
+        if (typeof DataTablesJS !== 'undefined' && key in DataTablesJS.messages) {
+            return DataTablesJS.translate(key);
+        }
+        return fallback;
+    },
+
     /**
      * Show a modal
      * @param {string} modalId - The modal element ID
@@ -65,7 +78,7 @@ const KPDataTablesPlain = {
     createNotificationContainer: function () {
         const container = document.createElement('div');
         container.className = 'kp-dt-notification-container';
-        container.style.cssText = 'position: fixed; top: 20px; right: 20px; z-index: 1040; display: flex; flex-direction: column; gap: 10px;';
+        container.style.cssText = 'position: fixed; top: 20px; inset-inline-end: 20px; z-index: 1040; display: flex; flex-direction: column; gap: 10px;';
         document.body.appendChild(container);
         return container;
     },
@@ -90,8 +103,8 @@ const KPDataTablesPlain = {
             dialog.innerHTML = `
                 <p style="margin-bottom: 20px;">${message}</p>
                 <div style="display: flex; gap: 10px; justify-content: center;">
-                    <button class="kp-dt-button kp-dt-button-tailwind kp-dt-confirm-cancel" style="padding: 8px 24px;">Cancel</button>
-                    <button class="kp-dt-button kp-dt-button-primary kp-dt-button-tailwind kp-dt-button-primary-tailwind kp-dt-confirm-ok" style="padding: 8px 24px;">Confirm</button>
+                    <button class="kp-dt-button kp-dt-button-tailwind kp-dt-confirm-cancel" style="padding: 8px 24px;">${KPDataTablesPlain.text('modal.cancel', 'Cancel')}</button>
+                    <button class="kp-dt-button kp-dt-button-primary kp-dt-button-tailwind kp-dt-button-primary-tailwind kp-dt-confirm-ok" style="padding: 8px 24px;">${KPDataTablesPlain.text('modal.confirm', 'Confirm')}</button>
                 </div>
             `;
 
@@ -142,10 +155,11 @@ const KPDataTablesBootstrap = {
         toast.setAttribute('role', 'alert');
         toast.innerHTML = `
             <div class="d-flex">
-                <div class="toast-body">${message}</div>
+                <div class="toast-body"></div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
             </div>
         `;
+        toast.querySelector('.toast-body').textContent = message;
 
         container.appendChild(toast);
         const bsToast = new bootstrap.Toast(toast, { delay: 3000 });
@@ -170,8 +184,8 @@ const KPDataTablesBootstrap = {
                             <div class="modal-body text-center py-4">
                                 <p class="mb-4">${message}</p>
                                 <div class="d-flex gap-2 justify-content-center">
-                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                                    <button type="button" class="btn btn-primary kp-dt-confirm-ok">Confirm</button>
+                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${KPDataTablesPlain.text('modal.cancel', 'Cancel')}</button>
+                                    <button type="button" class="btn btn-primary kp-dt-confirm-ok">${KPDataTablesPlain.text('modal.confirm', 'Confirm')}</button>
                                 </div>
                             </div>
                         </div>
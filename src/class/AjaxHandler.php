@@ -7,6 +7,7 @@ namespace KPT;
 use KPT\Logger;
 use Exception;
 use InvalidArgumentException;
+use RuntimeException;
 
 // Check if class already exists before declaring it
 if (! class_exists('KPT\AjaxHandler', false)) {
@@ -32,6 +33,21 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private DataTables $dataTable;
 
+        /**
+         * Actions that change data; they must be POSTed and need a valid CSRF token
+         */
+        public const MUTATING_ACTIONS = [
+            'add_record',
+            'edit_record',
+            'delete_record',
+            'bulk_action',
+            'inline_edit',
+            'inline_edit_batch',
+            'upload_file',
+            'action_callback',
+            'import_records',
+        ];
+
         /**
          * Constructor - Initialize the AJAX handler
          *
@@ -51,7 +67,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          *
          * @param  string $action The action to perform (fetch_data, add_record, edit_record, etc.)
          * @return void
-         * @throws InvalidArgumentException If the action is unknown or invalid
+         * @throws InvalidArgumentException If the action is unknown or invalid, or a mutating action isn't a POST
          */
         public function handle(string $action): void
         {
@@ -63,17 +79,40 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 'delete_record',
                 'bulk_action',
                 'inline_edit',
+                'inline_edit_batch',
                 'upload_file',
                 'fetch_record',
                 'action_callback',
                 'fetch_aggregations',
                 'fetch_select2_options',
+                'export_csv',
+                'import_records',
+                'csrf_token',
             ];
 
             if (!in_array($action, $allowedActions)) {
                 throw new InvalidArgumentException("Invalid action: {$action}");
             }
 
+            // Mutations are POST-only, whatever transport() is configured with
+            $mutating = in_array($action, self::MUTATING_ACTIONS, true);
+            if ($mutating && ($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+                throw new InvalidArgumentException("Action {$action} requires a POST request");
+            }
+
+            // Mutations must carry the page's CSRF token
+            if ($mutating && !$this->dataTable->verifyCsrfToken($this->getRequestCsrfToken())) {
+                Logger::error("DataTables CSRF token mismatch", ['action' => $action]);
+                http_response_code(403);
+                header('Content-Type: application/json');
+                echo json_encode([
+                    'success' => false,
+                    'error' => 'csrf',
+                    'message' => $this->dataTable->translate('error.csrf')
+                ]);
+                exit;
+            }
+
             // Route the request to the appropriate handler method
             switch ($action) {
                 case 'fetch_data':
@@ -104,6 +143,10 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                     // Handle inline field editing
                     $this->handleInlineEdit();
                     break;
+                case 'inline_edit_batch':
+                    // Handle several inline edits at once, e.g. pasted cells
+                    $this->handleInlineEditBatch();
+                    break;
                 case 'upload_file':
                     // Handle standalone file uploads
                     $this->handleFileUpload();
@@ -120,9 +163,83 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                     // Handle Select2 options fetch
                     $this->handleFetchSelect2Options();
                     break;
+                case 'export_csv':
+                    // Stream the full filtered result set as CSV
+                    $this->handleExportCsv();
+                    break;
+                case 'import_records':
+                    // Validate or insert a chunk of imported rows
+                    $this->handleImportRecords();
+                    break;
+                case 'csrf_token':
+                    // Issue the CSRF token to a page rendered without one
+                    $this->handleCsrfToken();
+                    break;
             }
         }
 
+        /**
+         * Get a request parameter from the POST body or the query string
+         *
+         * transport() can switch read actions between GET and POST, so their
+         * parameters are read from either. Mutating actions only get this far
+         * as POSTs (see handle()), so theirs come from the body.
+         *
+         * @param  string $key     Parameter name
+         * @param  mixed  $default Value when the parameter is missing
+         * @return mixed Parameter value
+         * @since  1.3.0
+         */
+        private function input(string $key, mixed $default = null): mixed
+        {
+            return $_POST[$key] ?? $_GET[$key] ?? $default;
+        }
+
+        /**
+         * Get the CSRF token sent with the request
+         *
+         * Reads the configured POST field, then the X-CSRF-Token header.
+         *
+         * @return string Token, or an empty string if none was sent
+         * @since  1.3.0
+         */
+        private function getRequestCsrfToken(): string
+        {
+            $token = $_POST[$this->dataTable->getCsrfConfig()['field']] ?? $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+            return is_string($token) ? $token : '';
+        }
+
+        /**
+         * Handle CSRF token requests
+         *
+         * A table rendered after output has started can't open the session
+         * that holds its token, so DataTablesJS asks for it here, before the
+         * first mutating request. AJAX requests run before any output, so the
+         * session can always be opened at this point. Other sites can't read
+         * the response, so handing the token out this way is safe.
+         *
+         * @return void Outputs JSON response and exits
+         * @throws RuntimeException If protection is on and no session can be started
+         * @since  1.3.0
+         */
+        private function handleCsrfToken(): void
+        {
+            $config = $this->dataTable->getCsrfConfig();
+            $token = $this->dataTable->getCsrfToken();
+            if ($config['enabled'] && $token === null) {
+                throw new RuntimeException('CSRF token unavailable: PHP sessions could not be started');
+            }
+
+            header('Content-Type: application/json');
+            header('Cache-Control: no-store');
+            echo json_encode([
+                'success' => true,
+                'field' => $config['field'],
+                'token' => $token
+            ]);
+            exit;
+        }
+
         /**
          * Handle standalone file upload requests
          *
@@ -198,7 +315,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             if ($file['size'] > $config['max_file_size']) {
                 return [
                     'success' => false,
-                    'message' => 'File size exceeds maximum allowed size'
+                    'message' => $this->dataTable->translate('upload.too_large')
                 ];
             }
 
@@ -207,7 +324,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             if (!in_array($extension, $config['allowed_extensions'])) {
                 return [
                     'success' => false,
-                    'message' => 'File type not allowed'
+                    'message' => $this->dataTable->translate('upload.type_not_allowed')
                 ];
             }
 
@@ -218,7 +335,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             }
 
             // Generate unique filename with optional prepend
-            $prepend = $_POST['prepend'] ?? '';
+            $prepend = $this->input('prepend', '');
             $fileName = $prepend ? $prepend . '_' . uniqid() . '_' . basename($file['name']) : uniqid() . '_' . basename($file['name']);
             $filePath = $config['upload_path'] . $fileName;
 
@@ -228,12 +345,12 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                     'success' => true,
                     'file_path' => $filePath,
                     'file_name' => $fileName,
-                    'message' => 'File uploaded successfully'
+                    'message' => $this->dataTable->translate('upload.success')
                 ];
             } else {
                 return [
                     'success' => false,
-                    'message' => 'Failed to move uploaded file'
+                    'message' => $this->dataTable->translate('upload.failed')
                 ];
             }
         }
@@ -247,13 +364,12 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          *
          * @param  string $search        Search term to filter results
          * @param  string $searchColumn  Specific column to search (or 'all' for global search)
-         * @param  string $sortColumn    Column to sort by
-         * @param  string $sortDirection Sort direction (ASC or DESC)
+         * @param  array  $sort          Ordered sort keys: [['column' => ..., 'direction' => 'ASC|DESC'], ...]
          * @param  int    $page          Page number for pagination
          * @param  int    $perPage       Number of records per page (0 for all records)
          * @return array Array with 'sql' query string and 'params' array
          */
-        private function buildSelectQuery(string $search = '', string $searchColumn = '', string $sortColumn = '', string $sortDirection = 'ASC', int $page = 1, int $perPage = 25): array
+        private function buildSelectQuery(string $search = '', string $searchColumn = '', array $sort = [], int $page = 1, int $perPage = 25): array
         {
             // Build SELECT field list from column configuration
             $selectFields = [];
@@ -298,11 +414,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             }
 
             // Add ORDER BY clause for sorting
-            if (!empty($sortColumn) && in_array($sortColumn, $this->dataTable->getSortableColumns())) {
-                // Validate and normalize sort direction
-                $direction = strtoupper($sortDirection) === 'DESC' ? 'DESC' : 'ASC';
-                $sql .= " ORDER BY `{$sortColumn}` {$direction}";
-            }
+            $sql .= $this->buildOrderByClause($sort);
 
             // Add LIMIT clause for pagination
             if ($perPage > 0) {
@@ -375,49 +487,32 @@ if (! class_exists('KPT\AjaxHandler', false)) {
         private function handleFetchData(): void
         {
             // Extract and validate pagination parameters with bounds checking
-            $page = $this->validateInteger($_GET['page'] ?? 1, 1);
-            $perPage = $this->validateInteger($_GET['per_page'] ?? $this->dataTable->getRecordsPerPage(), 0, 1000);
+            $page = $this->validateInteger($this->input('page', 1), 1);
+            $perPage = $this->validateInteger($this->input('per_page', $this->dataTable->getRecordsPerPage()), 0, 1000);
 
             // Sanitize search inputs with proper escaping
-            $search = $this->sanitizeSearchInput($_GET['search'] ?? '');
-            $searchColumn = $this->sanitizeColumnName($_GET['search_column'] ?? '');
-
-            // Sanitize and validate sort inputs
-            $sortColumn = $this->sanitizeColumnName($_GET['sort_column'] ?? '');
-            $sortDirection = $this->sanitizeSortDirection($_GET['sort_direction'] ?? 'ASC');
-
-            // Validate sort column exists in configuration
-            if (!empty($sortColumn)) {
-                $validColumns = array_keys($this->dataTable->getColumns());
-                $sortColumnValid = in_array($sortColumn, $validColumns);
-
-                // If not found, check if it matches an alias
-                if (!$sortColumnValid) {
-                    foreach ($validColumns as $column) {
-                        if (stripos($column, ' AS ') !== false) {
-                            $parts = explode(' AS ', $column);
-                            if (count($parts) === 2) {
-                                $aliasName = trim($parts[1], '`\'" ');
-                                if ($aliasName === $sortColumn) {
-                                    $sortColumn = $column; // Use full expression for SQL
-                                    $sortColumnValid = true;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                }
+            $search = $this->sanitizeSearchInput($this->input('search', ''));
+            $searchColumn = $this->sanitizeColumnName($this->input('search_column', ''));
 
-                if (!$sortColumnValid) {
-                    $sortColumn = ''; // Reset invalid column
-                }
+            // Sanitize and validate sort inputs: an ordered 'sort' list, or the single-column pair
+            $sort = $this->parseSortInput($this->input('sort', ''));
+            if (empty($sort)) {
+                $sort = $this->parseSortInput([[
+                    'column' => $this->input('sort_column', ''),
+                    'direction' => $this->input('sort_direction', 'ASC'),
+                ]]);
             }
 
             // Sanitize and validate raw filter JSON from request
-            $filtersJson = $this->sanitizeJsonInput($_GET['filters'] ?? '[]');
+            $filtersJson = $this->sanitizeJsonInput($this->input('filters', '[]'));
+
+            // Client-side mode takes precedence: it loads every row with one offset query
+            if ($this->dataTable->getCursorPaginationConfig()['enabled'] && !$this->dataTable->isClientSideEnabled()) {
+                $this->handleFetchCursorPage($search, $searchColumn, $sort, $perPage, $filtersJson);
+            }
 
             // Execute data query using fluent interface
-            $data  = $this->executeDataQuery($search, $searchColumn, $sortColumn, $sortDirection, $page, $perPage, $filtersJson);
+            $data  = $this->executeDataQuery($search, $searchColumn, $sort, $page, $perPage, $filtersJson);
 
             // Execute count query using fluent interface
             $total = $this->executeCountQuery($search, $searchColumn, $filtersJson);
@@ -443,6 +538,239 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             exit;
         }
 
+        /**
+         * Handle a data fetch in cursor (keyset) pagination mode
+         *
+         * Seeks past the row encoded in the request cursor instead of skipping
+         * rows with an OFFSET. The primary key is added to the sort as a
+         * tie-breaker so every row has a unique position, and one extra row is
+         * fetched to tell whether another page follows. Paging backwards runs
+         * the sort in reverse and flips the rows back.
+         *
+         * @param  string $search       Sanitized search term
+         * @param  string $searchColumn Sanitized search column
+         * @param  array  $sort         Sort keys from parseSortInput()
+         * @param  int    $perPage      Records per page (0 for all records)
+         * @param  string $filtersJson  Sanitized filter JSON
+         * @return void (outputs JSON and exits)
+         * @since  1.3.0
+         */
+        private function handleFetchCursorPage(string $search, string $searchColumn, array $sort, int $perPage, string $filtersJson): void
+        {
+            $keys = $this->getKeysetSortKeys($sort);
+            $cursor = $this->decodeCursor($this->input('cursor', ''), count($keys));
+            $before = $cursor !== null && $cursor['direction'] === 'before';
+
+            $querySort = $keys;
+            if ($before) {
+                $querySort = array_map(fn($key) => [
+                    'column' => $key['column'],
+                    'direction' => $key['direction'] === 'DESC' ? 'ASC' : 'DESC',
+                ], $keys);
+            }
+
+            $limit = $perPage > 0 ? $perPage + 1 : 0;
+            $data = $this->executeDataQuery($search, $searchColumn, $querySort, 1, $limit, $filtersJson, $cursor['values'] ?? []) ?: [];
+
+            $hasMore = $perPage > 0 && count($data) > $perPage;
+            if ($hasMore) {
+                $data = array_slice($data, 0, $perPage);
+            }
+            if ($before) {
+                $data = array_reverse($data);
+            }
+
+            // Cursors point at the first and last rows of the page; an empty page
+            // past the end still leads back to where it came from
+            $nextCursor = null;
+            $prevCursor = null;
+            if (!empty($data)) {
+                if ($before || $hasMore) {
+                    $nextCursor = $this->encodeCursor('after', $this->getKeysetValues(end($data), $keys));
+                }
+                if ($before ? $hasMore : $cursor !== null) {
+                    $prevCursor = $this->encodeCursor('before', $this->getKeysetValues(reset($data), $keys));
+                }
+            } elseif ($cursor !== null) {
+                if ($before) {
+                    $nextCursor = $this->encodeCursor('after', $cursor['values']);
+                } else {
+                    $prevCursor = $this->encodeCursor('before', $cursor['values']);
+                }
+            }
+
+            $total = null;
+            if ($this->dataTable->getCursorPaginationConfig()['count']) {
+                $count = $this->executeCountQuery($search, $searchColumn, $filtersJson);
+                $total = $count ? $count->total : 0;
+            }
+
+            header('Content-Type: application/json');
+            echo json_encode([
+                'success' => true,
+                'data' => $data,
+                'total' => $total,
+                'per_page' => $perPage,
+                'next_cursor' => $nextCursor,
+                'prev_cursor' => $prevCursor,
+            ]);
+            exit;
+        }
+
+        /**
+         * Stream the full filtered result set as a CSV download
+         *
+         * Applies the same search, filters and sort as fetch_data, but writes
+         * rows straight to the output in chunks so the export is neither paged
+         * nor held in memory. Only the requested columns are written, in the
+         * requested order, with display labels for select, select2 and boolean
+         * values where configured.
+         *
+         * @return void (outputs CSV and exits)
+         * @since  1.3.0
+         */
+        private function handleExportCsv(): void
+        {
+            $search = $this->sanitizeSearchInput($this->input('search', ''));
+            $searchColumn = $this->sanitizeColumnName($this->input('search_column', ''));
+            $sort = $this->parseSortInput($this->input('sort', ''));
+            if (empty($sort)) {
+                $sort = $this->parseSortInput([[
+                    'column' => $this->input('sort_column', ''),
+                    'direction' => $this->input('sort_direction', 'ASC'),
+                ]]);
+            }
+            // Chunks are paged with OFFSET, so rows that tie on the sort need a fixed order
+            $sort = $this->getKeysetSortKeys($sort);
+            $filtersJson = $this->sanitizeJsonInput($this->input('filters', '[]'));
+            $columns = $this->resolveExportColumns($this->input('columns', ''));
+
+            $filename = preg_replace('/[^A-Za-z0-9_-]+/', '-', $this->dataTable->getTableName()) . '.csv';
+            header('Content-Type: text/csv; charset=utf-8');
+            header("Content-Disposition: attachment; filename=\"{$filename}\"");
+            header('Cache-Control: no-store');
+
+            $output = fopen('php://output', 'w');
+
+            // Byte order mark so spreadsheet apps read the file as UTF-8
+            fwrite($output, "\xEF\xBB\xBF");
+            fputcsv($output, array_map(fn($label) => $this->sanitizeCsvCell($label), array_values($columns)), ',', '"', '');
+
+            $chunkSize = 1000;
+            $page = 1;
+            do {
+                $rows = $this->executeDataQuery($search, $searchColumn, $sort, $page, $chunkSize, $filtersJson) ?: [];
+                foreach ($rows as $row) {
+                    fputcsv($output, $this->getExportValues($row, array_keys($columns)), ',', '"', '');
+                }
+                flush();
+                $page++;
+            } while (count($rows) === $chunkSize);
+
+            fclose($output);
+            exit;
+        }
+
+        /**
+         * Resolve the columns requested for an export
+         *
+         * @param  mixed $input JSON list of column keys (alias names for aliased columns)
+         * @return array Configured columns to export in order, as [column => label]; all visible columns when none are valid
+         * @since  1.3.0
+         */
+        private function resolveExportColumns(mixed $input): array
+        {
+            $configured = $this->dataTable->getColumns();
+
+            // Look columns up by their client key as well as the configured name
+            $byKey = [];
+            $keyOf = [];
+            foreach (array_keys($configured) as $column) {
+                $keyOf[$column] = stripos($column, ' AS ') !== false ? trim(explode(' AS ', $column)[1], '`\'" ') : $column;
+                $byKey[$column] = $column;
+                $byKey[$keyOf[$column]] = $column;
+            }
+
+            $requested = is_string($input) && strlen($input) <= 10000 ? json_decode($input, true) : null;
+            $columns = [];
+            foreach (is_array($requested) ? $requested : [] as $key) {
+                if (is_string($key) && isset($byKey[$key])) {
+                    $columns[$byKey[$key]] = $configured[$byKey[$key]];
+                }
+            }
+
+            if (empty($columns)) {
+                $hidden = $this->dataTable->getHiddenColumns();
+                foreach ($configured as $column => $label) {
+                    if (!in_array($column, $hidden) && !in_array($keyOf[$column], $hidden)) {
+                        $columns[$column] = $label;
+                    }
+                }
+            }
+
+            return $columns;
+        }
+
+        /**
+         * Build the exported values for one row
+         *
+         * @param  object $row     Result row
+         * @param  array  $columns Configured columns to export, in order
+         * @return array Plain-text cell values
+         * @since  1.3.0
+         */
+        private function getExportValues(object $row, array $columns): array
+        {
+            $tableSchema = $this->dataTable->getTableSchema();
+
+            $values = [];
+            foreach ($columns as $column) {
+                $key = stripos($column, ' AS ') !== false ? trim(explode(' AS ', $column)[1], '`\'" ') : $column;
+                $value = $row->$key ?? '';
+
+                $schemaKey = strpos($column, '.') !== false ? explode('.', $column)[1] : $column;
+                $fieldInfo = $tableSchema[$schemaKey] ?? [];
+                $type = $fieldInfo['override_type'] ?? $fieldInfo['type'] ?? 'text';
+
+                // Display labels instead of stored values
+                if ($type === 'select2' && !empty($row->{$schemaKey . '_label'})) {
+                    $value = $row->{$schemaKey . '_label'};
+                } elseif (in_array($type, ['select', 'boolean'], true) && isset($fieldInfo['form_options'])) {
+                    $options = (array) $fieldInfo['form_options'];
+                    if (array_key_exists((string) $value, $options)) {
+                        $value = $options[(string) $value];
+                    }
+                }
+                if (isset($fieldInfo['display_format']) && !in_array($type, ['select', 'select2', 'boolean', 'image'], true)) {
+                    $value = $this->dataTable->getFormatter()->format($value, $fieldInfo['display_format']);
+                }
+
+                $values[] = $this->sanitizeCsvCell($value);
+            }
+
+            return $values;
+        }
+
+        /**
+         * Neutralize spreadsheet formulas in an exported cell
+         *
+         * Text starting with =, +, -, @, tab or carriage return is prefixed
+         * with a quote so spreadsheet apps show it instead of evaluating it.
+         * Numbers such as -5 are left alone.
+         *
+         * @param  mixed $value Cell value
+         * @return string Safe cell text
+         * @since  1.3.0
+         */
+        private function sanitizeCsvCell(mixed $value): string
+        {
+            $text = (string) $value;
+            if ($text !== '' && strpos("=+-@\t\r", $text[0]) !== false && !is_numeric($text)) {
+                return "'" . $text;
+            }
+            return $text;
+        }
+
         /**
          * Execute data query with filtering, sorting, and pagination using fluent interface
          *
@@ -453,15 +781,15 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          *
          * @param  string $search        Global search term to filter results across searchable columns
          * @param  string $searchColumn  Specific column to search in (use 'all' for global search)
-         * @param  string $sortColumn    Column name to sort results by
-         * @param  string $sortDirection Sort direction - 'ASC' for ascending, 'DESC' for descending
+         * @param  array  $sort          Ordered sort keys from parseSortInput()
          * @param  int    $page          Page number for pagination (1-based)
          * @param  int    $perPage       Number of records per page (0 for all records)
          * @param  string $filtersJson   JSON string containing filter conditions (optional)
+         * @param  array  $seek          Cursor values to seek past, one per sort key (optional)
          * @return mixed                 Query result object or false on failure
          * @since  1.0.0
          */
-        private function executeDataQuery(string $search = '', string $searchColumn = '', string $sortColumn = '', string $sortDirection = 'ASC', int $page = 1, int $perPage = 25, string $filtersJson = '[]'): mixed
+        private function executeDataQuery(string $search = '', string $searchColumn = '', array $sort = [], int $page = 1, int $perPage = 25, string $filtersJson = '[]', array $seek = []): mixed
         {
             $selectFields = $this->getSelectFields();
             $tableName = $this->dataTable->getTableName();
@@ -528,47 +856,19 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 $sql .= $filterClause;
             }
 
+            // Keyset pagination: only rows sorting after the cursor
+            if (!empty($seek)) {
+                $sql .= ($hasWhere || !empty($searchConditions) || !empty($filterClause)) ? ' AND ' : ' WHERE ';
+                $sql .= $this->buildKeysetClause($sort, $seek, $params);
+            }
+
             // Add GROUP BY clause if configured
             $groupBy = $this->dataTable->getGroupBy();
             if (!empty($groupBy)) {
                 $sql .= strpos($groupBy, '.') !== false ? " GROUP BY {$groupBy}" : " GROUP BY `{$groupBy}`";
             }
 
-            // Check if sortColumn is sortable (handle both full expressions and aliases)
-            $isSortable = false;
-            if (!empty($sortColumn)) {
-                $sortableColumns = $this->dataTable->getSortableColumns();
-
-                if (in_array($sortColumn, $sortableColumns)) {
-                    $isSortable = true;
-                } else {
-                    // Check if this is a full expression that matches a sortable alias
-                    if (stripos($sortColumn, ' AS ') !== false) {
-                        $parts = explode(' AS ', $sortColumn);
-                        if (count($parts) === 2) {
-                            $aliasName = trim($parts[1], '`\'" ');
-                            if (in_array($aliasName, $sortableColumns)) {
-                                $isSortable = true;
-                            }
-                        }
-                    }
-                }
-            }
-
-            if ($isSortable) {
-                $direction = strtoupper($sortDirection) === 'DESC' ? 'DESC' : 'ASC';
-
-                // Handle aliases - if sorting by an alias, use just the alias name in ORDER BY
-                if (stripos($sortColumn, ' AS ') !== false) {
-                    $parts = explode(' AS ', $sortColumn);
-                    $aliasName = trim($parts[1], '`\'" ');
-                    $sql .= " ORDER BY `{$aliasName}` {$direction}";
-                } elseif (strpos($sortColumn, '.') !== false) {
-                    $sql .= " ORDER BY {$sortColumn} {$direction}";
-                } else {
-                    $sql .= " ORDER BY `{$sortColumn}` {$direction}";
-                }
-            }
+            $sql .= $this->buildOrderByClause($sort);
 
             if ($perPage > 0) {
                 $offset = ($page - 1) * $perPage;
@@ -793,6 +1093,21 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                     }
                 }
 
+                // Client-side mode filters in the browser, so filter fields must come with the rows
+                if ($this->dataTable->isClientSideEnabled()) {
+                    foreach (array_keys($this->dataTable->getFilterConfig()) as $field) {
+                        if (!isset($columns[$field])) {
+                            $selectFields[] = "{$field} AS `{$field}`";
+                        }
+                    }
+                }
+
+                // Cursor pagination reads the primary key of the first and last rows
+                $primaryKey = $this->dataTable->getPrimaryKey();
+                if ($this->dataTable->getCursorPaginationConfig()['enabled'] && !isset($columns[$primaryKey])) {
+                    $selectFields[] = "{$primaryKey} AS `{$primaryKey}`";
+                }
+
                 // Remove duplicates
                 $selectFields = array_unique($selectFields);
             }
@@ -830,7 +1145,29 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 throw new InvalidArgumentException('No valid data to insert');
             }
 
-            $fields = array_keys($validatedData);
+            $success = $this->insertRecord($validatedData);
+            $message = $success ? $this->dataTable->translate('record.added') : $this->dataTable->translate('record.add_failed');
+            $insertId = $success ? $this->dataTable->getDatabase()->getLastId() : null;
+
+            header('Content-Type: application/json');
+            echo json_encode([
+                'success' => $success,
+                'message' => $message,
+                'id' => $insertId
+            ]);
+            exit;
+        }
+
+        /**
+         * Insert one validated record into the base table
+         *
+         * @param  array $data Validated values keyed by column name
+         * @return bool  True if the insert succeeded
+         * @since  1.3.0
+         */
+        private function insertRecord(array $data): bool
+        {
+            $fields = array_keys($data);
             $placeholders = array_fill(0, count($fields), '?');
 
             // Use BASE table name for INSERT (no alias)
@@ -842,22 +1179,186 @@ if (! class_exists('KPT\AjaxHandler', false)) {
 
             $result = $this->dataTable->getDatabase()
                 ->query($query)
-                ->bind(array_values($validatedData))
+                ->bind(array_values($data))
                 ->execute();
 
-            $success = $result !== false;
-            $message = $success ? 'Record added successfully' : 'Failed to add record';
-            $insertId = $success ? $this->dataTable->getDatabase()->getLastId() : null;
+            return $result !== false;
+        }
+
+        /**
+         * Handle a chunk of rows from a CSV import
+         *
+         * Expects a `rows` JSON array of objects keyed by addForm() field name.
+         * Each row is validated like the add form; valid rows are inserted
+         * unless `dry_run` is 1, which only reports the errors. Errors are
+         * returned per row, indexed from 0 within the chunk, as field => message
+         * (`_row` for problems with the row as a whole).
+         *
+         * @return void                         Outputs JSON response and exits
+         * @throws InvalidArgumentException     If import is disabled or the chunk is empty or too large
+         * @since  1.3.0
+         */
+        private function handleImportRecords(): void
+        {
+            $importConfig = $this->dataTable->getImportConfig();
+            if (!$importConfig['enabled']) {
+                throw new InvalidArgumentException('Import is not enabled');
+            }
+
+            $rows = json_decode($this->input('rows', '[]'), true);
+            if (!is_array($rows) || empty($rows)) {
+                throw new InvalidArgumentException('At least one row is required');
+            }
+
+            if (count($rows) > $importConfig['chunkSize']) {
+                throw new InvalidArgumentException("Too many rows in one request. Maximum: {$importConfig['chunkSize']}");
+            }
+
+            $dryRun = $this->input('dry_run', '') === '1';
+            $fields = $this->dataTable->getImportFields();
+            $schema = $this->dataTable->getTableSchema();
+
+            $errors = [];
+            $imported = 0;
+            foreach (array_values($rows) as $index => $row) {
+                [$data, $rowErrors] = is_array($row)
+                    ? $this->validateImportRow($row, $fields, $schema)
+                    : [[], ['_row' => $this->dataTable->translate('import.row_invalid')]];
+
+                if (!empty($rowErrors)) {
+                    $errors[] = ['row' => $index, 'errors' => $rowErrors];
+                    continue;
+                }
+
+                if ($dryRun) {
+                    continue;
+                }
+
+                if ($this->insertRecord($data)) {
+                    $imported++;
+                } else {
+                    $errors[] = ['row' => $index, 'errors' => ['_row' => $this->dataTable->translate('record.add_failed')]];
+                }
+            }
+
+            if (!$dryRun) {
+                Logger::debug("DataTables import chunk processed", ['table' => $this->dataTable->getTableName(), 'imported' => $imported, 'failed' => count($errors)]);
+            }
 
             header('Content-Type: application/json');
             echo json_encode([
-                'success' => $success,
-                'message' => $message,
-                'id' => $insertId
+                'success' => true,
+                'imported' => $imported,
+                'errors' => $errors
             ]);
             exit;
         }
 
+        /**
+         * Validate one imported row against the import fields
+         *
+         * Select values may be given as option keys or labels, and boolean
+         * values as 1/0, yes/no, true/false or on/off. Every value then goes
+         * through validateFieldValue() like the add form. Fields missing from
+         * the row are left to their column defaults unless required.
+         *
+         * @param  array $row    Raw values keyed by field name
+         * @param  array $fields Import field configurations from getImportFields()
+         * @param  array $schema Table schema
+         * @return array         [validated data, errors keyed by field]
+         * @since  1.3.0
+         */
+        private function validateImportRow(array $row, array $fields, array $schema): array
+        {
+            $data = [];
+            $errors = [];
+
+            foreach ($fields as $field => $config) {
+                if (!array_key_exists($field, $row)) {
+                    if (!empty($config['required'])) {
+                        $errors[$field] = $this->dataTable->translate('validation.required', ['field' => $field]);
+                    }
+                    continue;
+                }
+
+                $value = is_scalar($row[$field]) ? trim((string) $row[$field]) : '';
+                $type = $config['type'] ?? 'text';
+
+                try {
+                    if ($value === '' && !empty($config['required'])) {
+                        throw new InvalidArgumentException($this->dataTable->translate('validation.required', ['field' => $field]));
+                    }
+
+                    if (in_array($type, ['select', 'radio'], true) && $value !== '' && !empty($config['options'])) {
+                        $value = $this->matchImportOption($field, $value, $config['options']);
+                    }
+
+                    if (in_array($type, ['boolean', 'checkbox'], true) || $schema[$field]['type'] === 'boolean') {
+                        $value = $this->parseImportBoolean($field, $value);
+                    }
+
+                    $data[$field] = $this->validateFieldValue($field, $value, $schema[$field]);
+                } catch (InvalidArgumentException $e) {
+                    $errors[$field] = $e->getMessage();
+                }
+            }
+
+            if (empty($data) && empty($errors)) {
+                $errors['_row'] = $this->dataTable->translate('import.row_empty');
+            }
+
+            return [$data, $errors];
+        }
+
+        /**
+         * Resolve an imported select value given as an option key or label
+         *
+         * @param  string $field   Field name
+         * @param  string $value   Imported value
+         * @param  array  $options Option labels keyed by value
+         * @return string          The option key
+         * @throws InvalidArgumentException If the value matches no option
+         * @since  1.3.0
+         */
+        private function matchImportOption(string $field, string $value, array $options): string
+        {
+            if (array_key_exists($value, $options)) {
+                return $value;
+            }
+
+            foreach ($options as $key => $label) {
+                if (strcasecmp((string) $label, $value) === 0) {
+                    return (string) $key;
+                }
+            }
+
+            throw new InvalidArgumentException($this->dataTable->translate('validation.one_of', ['field' => $field, 'options' => implode(', ', array_values($options))]));
+        }
+
+        /**
+         * Parse an imported boolean value
+         *
+         * @param  string $field Field name
+         * @param  string $value Imported value; empty counts as false
+         * @return string        '1' or '0'
+         * @throws InvalidArgumentException If the value isn't a recognised boolean
+         * @since  1.3.0
+         */
+        private function parseImportBoolean(string $field, string $value): string
+        {
+            $normalized = strtolower($value);
+
+            if (in_array($normalized, ['1', 'true', 'yes', 'y', 'on'], true)) {
+                return '1';
+            }
+
+            if (in_array($normalized, ['', '0', 'false', 'no', 'n', 'off'], true)) {
+                return '0';
+            }
+
+            throw new InvalidArgumentException($this->dataTable->translate('validation.boolean', ['field' => $field]));
+        }
+
         /**
          * Handle existing record updates with enhanced validation
          *
@@ -873,7 +1374,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
         private function handleEditRecord(): void
         {
             $unqualifiedPK = $this->getUnqualifiedPrimaryKey();
-            $id = $this->validateInteger($_POST[$unqualifiedPK] ?? null);
+            $id = $this->validateInteger($this->input($unqualifiedPK));
             if (!$id) {
                 throw new InvalidArgumentException('Valid record ID is required');
             }
@@ -923,7 +1424,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 ->execute();
 
             $success = $result !== false;
-            $message = $success ? 'Record updated successfully' : 'Failed to update record';
+            $message = $success ? $this->dataTable->translate('record.updated') : $this->dataTable->translate('record.update_failed');
 
             header('Content-Type: application/json');
             echo json_encode([
@@ -946,7 +1447,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleDeleteRecord(): void
         {
-            $id = $this->validateInteger($_POST['id'] ?? null);
+            $id = $this->validateInteger($this->input('id'));
             if (!$id) {
                 throw new InvalidArgumentException('Valid record ID is required');
             }
@@ -973,7 +1474,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 ->execute();
 
             $success = $result !== false && $result > 0;
-            $message = $success ? 'Record deleted successfully' : ($result === 0 ? 'Record not found' : 'Failed to delete record');
+            $message = $success ? $this->dataTable->translate('record.deleted') : ($result === 0 ? $this->dataTable->translate('record.not_found') : $this->dataTable->translate('record.delete_failed'));
 
             header('Content-Type: application/json');
             echo json_encode([
@@ -997,7 +1498,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleFetchRecord(): void
         {
-            $id = $this->validateInteger($_GET['id'] ?? $_POST['id'] ?? null);
+            $id = $this->validateInteger($this->input('id'));
             if (!$id) {
                 throw new InvalidArgumentException('Valid record ID is required');
             }
@@ -1111,8 +1612,8 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleBulkAction(): void
         {
-            $bulkAction = $this->sanitizeInput($_POST['bulk_action'] ?? '');
-            $selectedIds = $this->validateIdArray($_POST['selected_ids'] ?? '[]');
+            $bulkAction = $this->sanitizeInput($this->input('bulk_action', ''));
+            $selectedIds = $this->validateIdArray($this->input('selected_ids', '[]'));
 
             if (empty($bulkAction) || empty($selectedIds)) {
                 throw new InvalidArgumentException('Valid bulk action and selected IDs are required');
@@ -1153,7 +1654,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                         ->query($sql)
                         ->bind($params)
                         ->execute();
-                    $message = $result !== false ? 'Selected records deleted successfully' : 'Failed to delete selected records';
+                    $message = $result !== false ? $this->dataTable->translate('bulk.deleted') : $this->dataTable->translate('bulk.delete_failed');
                     break;
 
                 default:
@@ -1166,7 +1667,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                             $this->dataTable->getBaseTableName()  // Pass base table name
                         );
                         $message = $result ?
-                            ($actionConfig['success_message'] ?? 'Bulk action completed successfully') : ($actionConfig['error_message'] ?? 'Bulk action failed');
+                            ($actionConfig['success_message'] ?? $this->dataTable->translate('bulk.success')) : ($actionConfig['error_message'] ?? $this->dataTable->translate('bulk.failed'));
                     }
                     break;
             }
@@ -1196,12 +1697,120 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleInlineEdit(): void
         {
-            $id = $this->validateInteger($_POST['id'] ?? null);
-            $field = trim($_POST['field'] ?? '');
-            $value = $_POST['value'] ?? null;
+            $id = $this->requireRecordId($this->input('id'));
+            $field = trim($this->input('field', ''));
+            $value = $this->input('value');
+
+            [$sql, $params] = $this->buildInlineUpdate($id, $field, $value);
+
+            $result = $this->dataTable->getDatabase()
+                ->query($sql)
+                ->bind($params)
+                ->execute();
+
+            $success = $result !== false;
+            $message = $success ? $this->dataTable->translate('inline.updated') : $this->dataTable->translate('inline.update_failed');
+
+            header('Content-Type: application/json');
+            echo json_encode([
+                'success' => $success,
+                'message' => $message
+            ]);
+            exit;
+        }
+
+        /**
+         * Handle a batch of inline edits
+         *
+         * Applies several inline edits in one request, such as a block of cells
+         * pasted from a spreadsheet. Expects an `edits` JSON array of
+         * {id, field, value} objects. Every edit is validated exactly like
+         * inline_edit before any is written, so one invalid cell rejects the
+         * whole batch. The updates run in a transaction: if one fails, the
+         * ones before it are rolled back.
+         *
+         * @return void                         Outputs JSON response and exits
+         * @throws InvalidArgumentException     If the batch is empty, too large, or any edit is invalid
+         * @since  1.3.0
+         */
+        private function handleInlineEditBatch(): void
+        {
+            $maxEdits = 1000;
+            $edits = json_decode($this->input('edits', '[]'), true);
+
+            if (!is_array($edits) || empty($edits)) {
+                throw new InvalidArgumentException('At least one edit is required');
+            }
+
+            if (count($edits) > $maxEdits) {
+                throw new InvalidArgumentException("Too many edits in one batch. Maximum: {$maxEdits}");
+            }
+
+            $updates = [];
+            foreach ($edits as $edit) {
+                if (!is_array($edit)) {
+                    throw new InvalidArgumentException('Each edit must be an object with id, field and value');
+                }
+
+                $value = isset($edit['value']) && is_scalar($edit['value']) ? (string) $edit['value'] : null;
+                $updates[] = $this->buildInlineUpdate(
+                    $this->requireRecordId($edit['id'] ?? null),
+                    trim((string) ($edit['field'] ?? '')),
+                    $value
+                );
+            }
+
+            // All or nothing, so a failure partway doesn't leave a half-pasted block
+            $database = $this->dataTable->getDatabase();
+            $database->query('START TRANSACTION')->execute();
+            try {
+                foreach ($updates as [$sql, $params]) {
+                    if ($database->query($sql)->bind($params)->execute() === false) {
+                        throw new RuntimeException('Inline edit update failed');
+                    }
+                }
+                $database->query('COMMIT')->execute();
+                $updated = count($updates);
+            } catch (Exception $e) {
+                $database->query('ROLLBACK')->execute();
+                Logger::error("DataTables inline edit batch rolled back", ['table' => $this->dataTable->getTableName(), 'message' => $e->getMessage()]);
+                $updated = 0;
+            }
+
+            $success = $updated === count($updates);
+            $message = $success
+                ? $this->dataTable->translate('inline.batch_updated', ['count' => $updated])
+                : $this->dataTable->translate('inline.batch_failed');
+
+            Logger::debug("DataTables inline edit batch applied", ['table' => $this->dataTable->getTableName(), 'updated' => $updated, 'total' => count($updates)]);
 
-            if (!$id || !$field) {
-                throw new InvalidArgumentException('Record ID and field are required');
+            header('Content-Type: application/json');
+            echo json_encode([
+                'success' => $success,
+                'message' => $message,
+                'updated' => $updated
+            ]);
+            exit;
+        }
+
+        /**
+         * Build the UPDATE for one inline edit
+         *
+         * Validates that the field is configured as inline editable and that the
+         * value meets schema requirements, then scopes the update to the record
+         * and the configured WHERE conditions.
+         *
+         * @param  int    $id    Record ID, from requireRecordId()
+         * @param  string $field Field name, qualified or unqualified
+         * @param  mixed  $value New value
+         * @return array         [sql, params]
+         * @throws InvalidArgumentException If the ID or field is invalid, or the field is not inline editable
+         * @since  1.3.0
+         */
+        private function buildInlineUpdate(int $id, string $field, $value): array
+        {
+            if (!$field) {
+                throw new InvalidArgumentException('Field is required');
             }
 
             $columnName = strpos($field, '.') !== false ? explode('.', $field)[1] : $field;
@@ -1232,20 +1841,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 $sql .= " WHERE `{$unqualifiedPK}` = ?";
             }
 
-            $result = $this->dataTable->getDatabase()
-                ->query($sql)
-                ->bind($params)
-                ->execute();
-
-            $success = $result !== false;
-            $message = $success ? 'Field updated successfully' : 'Failed to update field';
-
-            header('Content-Type: application/json');
-            echo json_encode([
-                'success' => $success,
-                'message' => $message
-            ]);
-            exit;
+            return [$sql, $params];
         }
 
         /**
@@ -1262,9 +1858,9 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleActionCallback(): void
         {
-            $actionName = $this->sanitizeInput($_POST['action_name'] ?? '');
-            $rowId = $this->validateInteger($_POST['row_id'] ?? null);
-            $rowData = json_decode($_POST['row_data'] ?? '{}', true);
+            $actionName = $this->sanitizeInput($this->input('action_name', ''));
+            $rowId = $this->validateInteger($this->input('row_id'));
+            $rowData = json_decode($this->input('row_data', '{}'), true);
 
             if (empty($actionName) || !$rowId) {
                 throw new InvalidArgumentException('Valid action and row ID are required');
@@ -1303,7 +1899,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
 
             $success = $result !== false;
             $message = $success ?
-                ($callbackConfig['success_message'] ?? 'Action completed successfully') : ($callbackConfig['error_message'] ?? 'Action failed');
+                ($callbackConfig['success_message'] ?? $this->dataTable->translate('action.success')) : ($callbackConfig['error_message'] ?? $this->dataTable->translate('action.failed'));
 
             header('Content-Type: application/json');
             echo json_encode([
@@ -1323,9 +1919,9 @@ if (! class_exists('KPT\AjaxHandler', false)) {
          */
         private function handleFetchAggregations(): void
         {
-            $search = $this->sanitizeSearchInput($_GET['search'] ?? '');
-            $searchColumn = $this->sanitizeColumnName($_GET['search_column'] ?? '');
-            $filtersJson = $this->sanitizeJsonInput($_GET['filters'] ?? '[]');
+            $search = $this->sanitizeSearchInput($this->input('search', ''));
+            $searchColumn = $this->sanitizeColumnName($this->input('search_column', ''));
+            $filtersJson = $this->sanitizeJsonInput($this->input('filters', '[]'));
 
             $aggregations = $this->dataTable->getFooterAggregations();
             $calculatedColumns = $this->dataTable->getCalculatedColumns();
@@ -1579,6 +2175,265 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             return preg_replace('/[^a-zA-Z0-9_\.]/', '', $column);
         }
 
+        /**
+         * Parse and validate an ordered list of sort keys
+         *
+         * Accepts a JSON array (or decoded array) of {column, direction} keys. Each column must
+         * be configured in columns() (by name or alias) and listed in sortable();
+         * invalid and repeated columns are dropped. Aliased columns are returned
+         * as their full column expression.
+         *
+         * @param  mixed $input Raw JSON string or array of sort keys
+         * @return array Validated sort keys: [['column' => ..., 'direction' => 'ASC|DESC'], ...]
+         * @since  1.3.0
+         */
+        private function parseSortInput(mixed $input): array
+        {
+            if (is_string($input)) {
+                $input = strlen($input) > 2000 ? null : json_decode($input, true);
+            }
+
+            if (!is_array($input)) {
+                return [];
+            }
+
+            $sort = [];
+            foreach ($input as $key) {
+                if (!is_array($key) || !is_string($key['column'] ?? null)) {
+                    continue;
+                }
+
+                $column = $this->resolveSortColumn($this->sanitizeColumnName($key['column']));
+                if ($column === '' || in_array($column, array_column($sort, 'column'), true)) {
+                    continue;
+                }
+
+                $sort[] = [
+                    'column' => $column,
+                    'direction' => $this->sanitizeSortDirection((string) ($key['direction'] ?? 'ASC')),
+                ];
+            }
+
+            return $sort;
+        }
+
+        /**
+         * Resolve a requested sort column to its configured column
+         *
+         * @param  string $sortColumn Sanitized column name or alias from the request
+         * @return string Configured column (full expression for aliases), or '' if not sortable
+         * @since  1.3.0
+         */
+        private function resolveSortColumn(string $sortColumn): string
+        {
+            if ($sortColumn === '') {
+                return '';
+            }
+
+            $sortableColumns = $this->dataTable->getSortableColumns();
+
+            foreach (array_keys($this->dataTable->getColumns()) as $column) {
+                if ($column === $sortColumn && in_array($column, $sortableColumns)) {
+                    return $column;
+                }
+
+                // Match aliases, sortable by either the alias or the full expression
+                if (stripos($column, ' AS ') !== false) {
+                    $parts = explode(' AS ', $column);
+                    if (count($parts) === 2) {
+                        $aliasName = trim($parts[1], '`\'" ');
+                        if ($aliasName === $sortColumn && (in_array($aliasName, $sortableColumns) || in_array($column, $sortableColumns))) {
+                            return $column;
+                        }
+                    }
+                }
+            }
+
+            return '';
+        }
+
+        /**
+         * Build the ORDER BY clause for validated sort keys
+         *
+         * @param  array $sort Sort keys from parseSortInput()
+         * @return string ORDER BY clause with a leading space, or '' when unsorted
+         * @since  1.3.0
+         */
+        private function buildOrderByClause(array $sort): string
+        {
+            $parts = [];
+            foreach ($sort as $key) {
+                $column = $key['column'];
+                $direction = $key['direction'] === 'DESC' ? 'DESC' : 'ASC';
+
+                // Sort aliases by alias name; qualified names are left unquoted
+                if (stripos($column, ' AS ') !== false) {
+                    $aliasName = trim(explode(' AS ', $column)[1], '`\'" ');
+                    $parts[] = "`{$aliasName}` {$direction}";
+                } elseif (strpos($column, '.') !== false) {
+                    $parts[] = "{$column} {$direction}";
+                } else {
+                    $parts[] = "`{$column}` {$direction}";
+                }
+            }
+
+            return empty($parts) ? '' : ' ORDER BY ' . implode(', ', $parts);
+        }
+
+        /**
+         * Append the primary key to sort keys as a keyset tie-breaker
+         *
+         * @param  array $sort Sort keys from parseSortInput()
+         * @return array Sort keys that give every row a unique position
+         * @since  1.3.0
+         */
+        private function getKeysetSortKeys(array $sort): array
+        {
+            $primaryKey = $this->dataTable->getPrimaryKey();
+            if (!in_array($primaryKey, array_column($sort, 'column'), true)) {
+                $last = end($sort);
+                $sort[] = [
+                    'column' => $primaryKey,
+                    'direction' => $last ? $last['direction'] : 'ASC',
+                ];
+            }
+
+            return $sort;
+        }
+
+        /**
+         * Read the sort key values of a row for a cursor
+         *
+         * @param  object $row  Result row
+         * @param  array  $keys Sort keys from getKeysetSortKeys()
+         * @return array Values in sort key order
+         * @since  1.3.0
+         */
+        private function getKeysetValues(object $row, array $keys): array
+        {
+            $values = [];
+            foreach ($keys as $key) {
+                $column = $key['column'];
+
+                // Rows are keyed by alias, by the configured column, or by bare name for SELECT *
+                if (stripos($column, ' AS ') !== false) {
+                    $field = trim(explode(' AS ', $column)[1], '`\'" ');
+                } else {
+                    $field = isset($row->$column) ? $column : $this->getUnqualifiedFieldName($column);
+                }
+                $values[] = $row->$field ?? null;
+            }
+
+            return $values;
+        }
+
+        /**
+         * Build the WHERE condition selecting rows after a cursor
+         *
+         * Expands to (a > ?) OR (a = ? AND b > ?) ... following each key's
+         * direction. NULLs sort first ascending and last descending, as in MySQL.
+         *
+         * @param  array $keys   Sort keys the query is ordered by
+         * @param  array $values Cursor values, one per sort key
+         * @param  array $params Bound parameters, appended to
+         * @return string Parenthesized condition
+         * @since  1.3.0
+         */
+        private function buildKeysetClause(array $keys, array $values, array &$params): string
+        {
+            // WHERE can't see aliases, so compare on the underlying expression
+            $expressions = array_map(function ($key) {
+                $column = $key['column'];
+                if (stripos($column, ' AS ') !== false) {
+                    return trim(explode(' AS ', $column)[0]);
+                }
+                return strpos($column, '.') !== false ? $column : "`{$column}`";
+            }, $keys);
+
+            $branches = [];
+            foreach ($keys as $i => $key) {
+                $parts = [];
+                $branchParams = [];
+
+                for ($j = 0; $j < $i; $j++) {
+                    if ($values[$j] === null) {
+                        $parts[] = "{$expressions[$j]} IS NULL";
+                    } else {
+                        $parts[] = "{$expressions[$j]} = ?";
+                        $branchParams[] = $values[$j];
+                    }
+                }
+
+                $expression = $expressions[$i];
+                if ($key['direction'] === 'DESC') {
+                    if ($values[$i] === null) {
+                        // Nothing sorts after NULL descending
+                        continue;
+                    }
+                    $parts[] = "({$expression} < ? OR {$expression} IS NULL)";
+                } else {
+                    $parts[] = $values[$i] === null ? "{$expression} IS NOT NULL" : "{$expression} > ?";
+                }
+                if ($values[$i] !== null) {
+                    $branchParams[] = $values[$i];
+                }
+
+                $branches[] = '(' . implode(' AND ', $parts) . ')';
+                array_push($params, ...$branchParams);
+            }
+
+            return empty($branches) ? '(1 = 0)' : '(' . implode(' OR ', $branches) . ')';
+        }
+
+        /**
+         * Encode a pagination cursor
+         *
+         * @param  string $direction 'after' or 'before' the row
+         * @param  array  $values    Sort key values of the row
+         * @return string URL-safe cursor
+         * @since  1.3.0
+         */
+        private function encodeCursor(string $direction, array $values): string
+        {
+            $json = json_encode(['d' => $direction, 'v' => $values]);
+            return rtrim(strtr(base64_encode($json), '+/', '-_'), '=');
+        }
+
+        /**
+         * Decode and validate a pagination cursor
+         *
+         * @param  mixed $input    Raw cursor from the request
+         * @param  int   $keyCount Number of sort keys the cursor must hold values for
+         * @return array|null ['direction' => 'after|before', 'values' => [...]], or null for the first page
+         * @since  1.3.0
+         */
+        private function decodeCursor(mixed $input, int $keyCount): ?array
+        {
+            if (!is_string($input) || $input === '' || strlen($input) > 4000) {
+                return null;
+            }
+
+            $json = base64_decode(strtr($input, '-_', '+/'), true);
+            $cursor = $json === false ? null : json_decode($json, true);
+            if (
+                !is_array($cursor)
+                || !in_array($cursor['d'] ?? null, ['after', 'before'], true)
+                || !is_array($cursor['v'] ?? null)
+                || !array_is_list($cursor['v'])
+                || count($cursor['v']) !== $keyCount
+            ) {
+                return null;
+            }
+
+            foreach ($cursor['v'] as $value) {
+                if ($value !== null && !is_scalar($value)) {
+                    return null;
+                }
+            }
+
+            return ['direction' => $cursor['d'], 'values' => $cursor['v']];
+        }
+
         /**
          * Sanitize sort direction input
          *
@@ -1674,6 +2529,29 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             return $value;
         }
 
+        /**
+         * Validate a record ID strictly
+         *
+         * Unlike validateInteger(), which falls back to its minimum, a
+         * missing or invalid ID is an error, so a bad edit can't land on
+         * record 1.
+         *
+         * @param  mixed $input Raw ID
+         * @return int Positive record ID
+         * @throws InvalidArgumentException If the ID is not a positive integer
+         * @since  1.3.0
+         */
+        private function requireRecordId(mixed $input): int
+        {
+            $id = is_int($input) || is_string($input)
+                ? filter_var($input, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]])
+                : false;
+            if ($id === false) {
+                throw new InvalidArgumentException('Valid record ID is required');
+            }
+            return $id;
+        }
+
         /**
          * Validate array of IDs
          *
@@ -1705,7 +2583,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             // Handle NULL values
             if ($value === null || $value === '') {
                 if (!$fieldInfo['null']) {
-                    throw new InvalidArgumentException("Field {$fieldName} cannot be null");
+                    throw new InvalidArgumentException($this->dataTable->translate('validation.not_null', ['field' => $fieldName]));
                 }
                 return null;
             }
@@ -1716,25 +2594,25 @@ if (! class_exists('KPT\AjaxHandler', false)) {
             switch ($fieldType) {
                 case 'number':
                     if (!is_numeric($value)) {
-                        throw new InvalidArgumentException("Field {$fieldName} must be numeric");
+                        throw new InvalidArgumentException($this->dataTable->translate('validation.numeric', ['field' => $fieldName]));
                     }
                     return is_float($value) ? (float)$value : (int)$value;
 
                 case 'email':
                     if (!filter_var($value, FILTER_VALIDATE_EMAIL)) {
-                        throw new InvalidArgumentException("Field {$fieldName} must be a valid email");
+                        throw new InvalidArgumentException($this->dataTable->translate('validation.email', ['field' => $fieldName]));
                     }
                     return $value;
 
                 case 'date':
                     if (!$this->isValidDate($value, 'Y-m-d')) {
-                        throw new InvalidArgumentException("Field {$fieldName} must be a valid date (Y-m-d)");
+                        throw new InvalidArgumentException($this->dataTable->translate('validation.date', ['field' => $fieldName]));
                     }
                     return $value;
 
                 case 'datetime-local':
                     if (!$this->isValidDate($value, 'Y-m-d\TH:i')) {
-                        throw new InvalidArgumentException("Field {$fieldName} must be a valid datetime");
+                        throw new InvalidArgumentException($this->dataTable->translate('validation.datetime', ['field' => $fieldName]));
                     }
                     return $value;
 
@@ -2002,11 +2880,11 @@ if (! class_exists('KPT\AjaxHandler', false)) {
         private function handleFetchSelect2Options(): void
         {
 
-            $query = $_POST['query'] ?? '';
-            $search = $this->sanitizeSearchInput($_POST['search'] ?? '');
-            $maxResults = $this->validateInteger($_POST['max_results'] ?? 50, 0);
-            $valueFilter = $_POST['value_filter'] ?? '';
-            $recordDataJson = $_POST['record_data'] ?? '{}';
+            $query = $this->input('query', '');
+            $search = $this->sanitizeSearchInput($this->input('search', ''));
+            $maxResults = $this->validateInteger($this->input('max_results', 50), 0);
+            $valueFilter = $this->input('value_filter', '');
+            $recordDataJson = $this->input('record_data', '{}');
             Logger::debug("Select2 fetch options", [
                 'query' => $query,
                 'search' => $search,
@@ -2098,7 +2976,7 @@ if (! class_exists('KPT\AjaxHandler', false)) {
                 header('Content-Type: application/json');
                 echo json_encode([
                     'success' => false,
-                    'message' => 'Failed to fetch options',
+                    'message' => $this->dataTable->translate('select.load_failed'),
                     'results' => []
                 ]);
                 exit;
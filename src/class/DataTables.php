@@ -286,6 +286,29 @@ if (! class_exists('KPT\DataTables', false)) {
             $this->cssClasses['tfoot'] = $tm->getClass('tfoot');
         }
 
+        /**
+         * Set the locale for user-facing strings
+         *
+         * Loads src/lang/{locale}.json over the English catalog; a regional
+         * locale such as 'de-AT' loads 'de' first. $messages overrides or
+         * adds strings, with plural messages given as arrays keyed by plural
+         * category. Right-to-left locales render the table with dir="rtl".
+         *
+         * @param  string $locale   Locale code (e.g., 'de', 'fr', 'ar')
+         * @param  array  $messages Message overrides keyed by message key
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the locale code is malformed
+         * @since  1.3.0
+         */
+        public function locale(string $locale, array $messages = []): self
+        {
+            $this->translator = new Translator($locale, $messages);
+            $this->formatter = null;
+
+            Logger::debug("DataTables locale set", ['locale' => $this->translator->getLocale(), 'direction' => $this->translator->getDirection()]);
+            return $this;
+        }
+
         /**
          * Set database configuration and initialize connection
          *
@@ -352,9 +375,13 @@ if (! class_exists('KPT\DataTables', false)) {
          * - Simple: ['name' => 'Full Name', 'email' => 'Email Address']
          * - Enhanced: ['active' => ['label' => 'Status', 'type' => 'checkbox', 'class' => 'uk-checkbox']]
          * - With options: ['status' => ['label' => 'Status', 'type' => 'select', 'options' => ['active' => 'Active', 'inactive' => 'Inactive']]]
+         * - With a display format: ['price' => ['label' => 'Price', 'format' => ['type' => 'currency', 'currency' => 'EUR']]]
+         * - With a cell renderer: ['status' => ['label' => 'Status', 'renderer' => ['name' => 'badge', 'colors' => ['active' => 'success']]]]
+         * - With markup: ['bio' => ['label' => 'Bio', 'html' => true]] (sanitized in the browser; other cells are shown as text)
          *
          * @param  array $columns Array of column configurations
          * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If a column's display format or renderer is invalid
          */
         public function columns(array $columns): self
         {
@@ -400,6 +427,24 @@ if (! class_exists('KPT\DataTables', false)) {
                                 $this->tableSchema[$schemaKey]['select2_max_results'] = $config['max_results'];
                             }
                         }
+                        // display format for cells, footers and exports
+                        if (isset($config['format'])) {
+                            $this->tableSchema[$schemaKey]['display_format'] = Formatter::normalize($config['format']);
+                        }
+                        // JS cell renderer: a registered name, or ['name' => ..., option => value, ...]
+                        if (isset($config['renderer'])) {
+                            $renderer = is_string($config['renderer']) ? ['name' => $config['renderer']] : (array) $config['renderer'];
+                            $name = $renderer['name'] ?? '';
+                            if (!is_string($name) || !preg_match('/^[A-Za-z][\w-]*$/', $name)) {
+                                throw new \InvalidArgumentException("Invalid cell renderer for column {$column}");
+                            }
+                            unset($renderer['name']);
+                            $this->tableSchema[$schemaKey]['renderer'] = ['name' => $name, 'options' => (object) $renderer];
+                        }
+                        // cell values are escaped unless the column opts in to (sanitized) markup
+                        if (isset($config['html'])) {
+                            $this->tableSchema[$schemaKey]['html'] = (bool) $config['html'];
+                        }
                         // date formatter
                         if (isset($config['formatter'])) {
                             $this->tableSchema[$schemaKey]['formatter'] = $config['formatter'];
@@ -505,6 +550,56 @@ if (! class_exists('KPT\DataTables', false)) {
             return $this;
         }
 
+        /**
+         * Define which columns start hidden
+         *
+         * Hidden columns are still fetched but not displayed until the user
+         * shows them from the column picker (renderColumnPickerComponent()).
+         * Use column names as they appear in columns() keys, or alias names
+         * for aliased expressions.
+         *
+         * @param  array $columns Array of column names or aliases to hide
+         * @return self Returns self for method chaining
+         * @since  1.3.0
+         */
+        public function hiddenColumns(array $columns): self
+        {
+            $this->hiddenColumns = array_map([$this, 'sanitizeInput'], $columns);
+            Logger::debug("DataTables hidden columns set", ['columns' => $columns]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable drag-to-reorder column headers
+         *
+         * Cells follow the user's order. Read or restore the layout with the
+         * JavaScript getColumnLayout() / setColumnLayout() methods.
+         *
+         * @param  bool $enabled Whether columns can be reordered
+         * @return self Returns self for method chaining
+         * @since  1.3.0
+         */
+        public function reorderableColumns(bool $enabled = true): self
+        {
+            $this->columnReorderEnabled = $enabled;
+            Logger::debug("DataTables column reordering configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable or disable resizing columns by dragging header edges
+         *
+         * @param  bool $enabled Whether columns can be resized
+         * @return self Returns self for method chaining
+         * @since  1.3.0
+         */
+        public function resizableColumns(bool $enabled = true): self
+        {
+            $this->columnResizeEnabled = $enabled;
+            Logger::debug("DataTables column resizing configured", ['enabled' => $enabled]);
+            return $this;
+        }
+
         /**
          * Set the default number of records per page
          *
@@ -678,6 +773,192 @@ if (! class_exists('KPT\DataTables', false)) {
             return $this;
         }
 
+        /**
+         * Keep the header row visible while scrolling the table body
+         *
+         * The table scrolls inside its own area of at most the given height,
+         * with the header row pinned to the top of it.
+         *
+         * @param  bool   $enabled   Whether the header row should stick
+         * @param  string $maxHeight CSS length for the scroll area (e.g. '70vh', '500px')
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the height is not a valid CSS length
+         * @since  1.3.0
+         */
+        public function stickyHeader(bool $enabled = true, string $maxHeight = '70vh'): self
+        {
+            if (!preg_match('/^\d+(\.\d+)?(px|vh|rem|em|%)$/', $maxHeight)) {
+                throw new \InvalidArgumentException("Invalid sticky header height: {$maxHeight}. Use a CSS length in px, vh, rem, em or %");
+            }
+
+            $this->stickyHeaderConfig = [
+                'enabled' => $enabled,
+                'maxHeight' => $maxHeight,
+            ];
+
+            Logger::debug("DataTables sticky header configured", $this->stickyHeaderConfig);
+            return $this;
+        }
+
+        /**
+         * Freeze the first data columns while scrolling horizontally
+         *
+         * The bulk selection checkbox and a start-positioned action column
+         * are always frozen along with them; an end-positioned action column
+         * is pinned to the right edge. Follows the user's column order.
+         *
+         * @param  int $count Number of leading data columns to freeze (0 = none)
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the count is negative
+         * @since  1.3.0
+         */
+        public function frozenColumns(int $count): self
+        {
+            if ($count < 0) {
+                throw new \InvalidArgumentException("Frozen column count must be zero or greater");
+            }
+
+            $this->frozenColumns = $count;
+            Logger::debug("DataTables frozen columns set", ['count' => $count]);
+            return $this;
+        }
+
+        /**
+         * Load further pages as the user scrolls instead of paginating
+         *
+         * The table scrolls inside its own area of at most the given height
+         * with a sticky header. Each page of perPage rows is appended when the
+         * bottom is near, and only rows around the scroll position are kept
+         * in the DOM. The pagination controls stay empty in this mode.
+         *
+         * @param  bool   $enabled   Whether to use infinite scroll
+         * @param  string $maxHeight CSS length for the scroll area (e.g. '70vh', '500px')
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the height is not a valid CSS length
+         * @since  1.3.0
+         */
+        public function infiniteScroll(bool $enabled = true, string $maxHeight = '70vh'): self
+        {
+            if (!preg_match('/^\d+(\.\d+)?(px|vh|rem|em|%)$/', $maxHeight)) {
+                throw new \InvalidArgumentException("Invalid infinite scroll height: {$maxHeight}. Use a CSS length in px, vh, rem, em or %");
+            }
+
+            $this->infiniteScrollConfig = [
+                'enabled' => $enabled,
+                'maxHeight' => $maxHeight,
+            ];
+
+            Logger::debug("DataTables infinite scroll configured", $this->infiniteScrollConfig);
+            return $this;
+        }
+
+        /**
+         * Page with cursors instead of LIMIT/OFFSET
+         *
+         * Each page seeks past the last row of the previous one using the sort
+         * columns plus the primary key, so deep pages are as fast as the first.
+         * Pagination shows Previous / Next only. The COUNT query is skipped
+         * unless $withCount is set, in which case the info text keeps its total.
+         * Sort columns must be plain or computed columns, not aggregates.
+         *
+         * @param  bool $enabled   Whether to use cursor pagination
+         * @param  bool $withCount Whether to still count the matching records
+         * @return self Returns self for method chaining
+         * @since  1.3.0
+         */
+        public function cursorPagination(bool $enabled = true, bool $withCount = false): self
+        {
+            $this->cursorPaginationConfig = [
+                'enabled' => $enabled,
+                'count' => $withCount,
+            ];
+
+            Logger::debug("DataTables cursor pagination configured", $this->cursorPaginationConfig);
+            return $this;
+        }
+
+        /**
+         * Load the full dataset once and work on it in the browser
+         *
+         * Meant for small reference tables. Search, filters, sorting, paging
+         * and footer aggregations all run client-side after a single fetch,
+         * so only refreshes and edits go back to the server. where() conditions
+         * still apply on the server. Takes precedence over cursorPagination().
+         *
+         * @param  bool $enabled Whether to use client-side data mode
+         * @return self Returns self for method chaining
+         * @since  1.3.0
+         */
+        public function clientSide(bool $enabled = true): self
+        {
+            $this->clientSideEnabled = $enabled;
+            Logger::debug("DataTables client-side mode set", ['enabled' => $enabled]);
+            return $this;
+        }
+
+        /**
+         * Enable importing records from a CSV file
+         *
+         * Adds an Import button that uploads a CSV, maps its columns to the
+         * addForm() fields, previews rows with validation errors, then inserts
+         * the valid rows $chunkSize at a time. Rows are validated with the
+         * same rules as the add form.
+         *
+         * @param  bool $enabled   Whether to enable CSV import
+         * @param  int  $chunkSize Rows sent per request (1-1000)
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the chunk size is out of range
+         * @since  1.3.0
+         */
+        public function import(bool $enabled = true, int $chunkSize = 100): self
+        {
+            if ($chunkSize < 1 || $chunkSize > 1000) {
+                throw new \InvalidArgumentException("Import chunk size must be between 1 and 1000, got {$chunkSize}");
+            }
+
+            $this->importConfig = [
+                'enabled' => $enabled,
+                'chunkSize' => $chunkSize,
+            ];
+
+            Logger::debug("DataTables import configured", $this->importConfig);
+            return $this;
+        }
+
+        /**
+         * Configure the CSRF token required by mutating AJAX actions
+         *
+         * Protection is on by default, with a random token per session. Pass
+         * the host application's own token to require that one instead, or
+         * false when something else already verifies every POST. DataTablesJS
+         * sends the token in the $field POST field; an X-CSRF-Token header is
+         * accepted too.
+         *
+         * @param  bool|string $token true for the session token, a token, or false to disable
+         * @param  string      $field POST field the token is sent in
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the token is empty or the field name is invalid
+         * @since  1.3.0
+         */
+        public function csrf(bool|string $token = true, string $field = 'csrf_token'): self
+        {
+            if ($token === '') {
+                throw new \InvalidArgumentException("CSRF token must not be empty");
+            }
+            if (!preg_match('/^[A-Za-z_][\w-]*$/', $field)) {
+                throw new \InvalidArgumentException("Invalid CSRF field name: {$field}");
+            }
+
+            $this->csrfConfig = [
+                'enabled' => $token !== false,
+                'token' => is_string($token) ? $token : null,
+                'field' => $field,
+            ];
+
+            Logger::debug("DataTables CSRF protection configured", ['enabled' => $token !== false, 'field' => $field]);
+            return $this;
+        }
+
         /**
          * Set the primary key column name
          *
@@ -876,6 +1157,136 @@ if (! class_exists('KPT\DataTables', false)) {
             return $this;
         }
 
+        /**
+         * Configure how the JavaScript layer reaches the AJAX endpoint
+         *
+         * Supported keys: 'url' (default endpoint), 'endpoints' (per-action URLs),
+         * 'method' (GET or POST for every action), 'methods' (per-action methods),
+         * 'headers' (extra request headers) and 'credentials' (omit, same-origin
+         * or include). A custom request function can only be set in JavaScript,
+         * via DataTablesJS.transport.request. Read actions may use either
+         * method; actions that change data always POST, since they carry the
+         * CSRF token in the request body.
+         *
+         * @param  array $config Transport configuration
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If a key or value is not supported, or a mutating action is set to GET
+         * @since  1.3.0
+         */
+        public function transport(array $config): self
+        {
+            $validKeys = ['url', 'endpoints', 'method', 'methods', 'headers', 'credentials'];
+            $validMethods = ['GET', 'POST'];
+            $validCredentials = ['omit', 'same-origin', 'include'];
+
+            foreach ($config as $key => $value) {
+                if (!in_array($key, $validKeys, true)) {
+                    throw new \InvalidArgumentException("Invalid transport option: {$key}. Allowed: " . implode(', ', $validKeys));
+                }
+            }
+
+            // Normalise methods so the JavaScript side only ever sees GET or POST
+            if (isset($config['method'])) {
+                $config['method'] = strtoupper($config['method']);
+                if (!in_array($config['method'], $validMethods, true)) {
+                    throw new \InvalidArgumentException("Invalid transport method: {$config['method']}. Allowed: " . implode(', ', $validMethods));
+                }
+                if ($config['method'] === 'GET') {
+                    throw new \InvalidArgumentException("Transport method GET would apply to actions that change data; set read actions to GET with 'methods'");
+                }
+            }
+
+            foreach ($config['methods'] ?? [] as $action => $method) {
+                $config['methods'][$action] = strtoupper($method);
+                if (!in_array($config['methods'][$action], $validMethods, true)) {
+                    throw new \InvalidArgumentException("Invalid transport method for {$action}: {$method}. Allowed: " . implode(', ', $validMethods));
+                }
+                if ($config['methods'][$action] === 'GET' && in_array($action, AjaxHandler::MUTATING_ACTIONS, true)) {
+                    throw new \InvalidArgumentException("Transport method for {$action} must be POST, since it changes data");
+                }
+            }
+
+            if (isset($config['credentials']) && !in_array($config['credentials'], $validCredentials, true)) {
+                throw new \InvalidArgumentException("Invalid transport credentials: {$config['credentials']}. Allowed: " . implode(', ', $validCredentials));
+            }
+
+            $this->transportConfig = $config;
+
+            Logger::debug("DataTables transport configured", ['keys' => array_keys($config)]);
+            return $this;
+        }
+
+        /**
+         * Enable syncing table state to the URL
+         *
+         * Page, page size, sort, search and filters are written to the query
+         * string or hash through the History API, restored on load, and
+         * followed on back/forward navigation. Parameters are prefixed with
+         * the table name unless a custom prefix is given.
+         *
+         * @param  bool   $enabled Whether to sync state to the URL
+         * @param  string $mode    Where to store state: 'query' or 'hash'
+         * @param  string $param   Parameter prefix (defaults to the table name)
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the mode is not supported
+         * @since  1.3.0
+         */
+        public function urlState(bool $enabled = true, string $mode = 'query', string $param = ''): self
+        {
+            $validModes = ['query', 'hash'];
+
+            if (!in_array($mode, $validModes, true)) {
+                throw new \InvalidArgumentException("Invalid URL state mode: {$mode}. Allowed: " . implode(', ', $validModes));
+            }
+
+            $this->urlStateConfig = [
+                'enabled' => $enabled,
+                'mode' => $mode,
+                'param' => $this->sanitizeInput($param),
+            ];
+
+            Logger::debug("DataTables URL state configured", ['enabled' => $enabled, 'mode' => $mode]);
+            return $this;
+        }
+
+        /**
+         * Remember each user's page size, sort, search and filters
+         *
+         * Preferences are stored in the browser keyed by table name. Saved
+         * values only replace the configured defaults while they are still
+         * valid for the current pageSizeOptions(), sortable() and filter()
+         * settings. Render renderResetPreferencesComponent() to give users a
+         * way back to the defaults.
+         *
+         * @param  bool   $enabled Whether to persist preferences
+         * @param  string $storage Browser storage: 'local' or 'session'
+         * @param  int    $expiry  Lifetime in seconds (0 = never expires)
+         * @return self Returns self for method chaining
+         * @throws \InvalidArgumentException If the storage or expiry is invalid
+         * @since  1.3.0
+         */
+        public function persistPreferences(bool $enabled = true, string $storage = 'local', int $expiry = 0): self
+        {
+            $validStorage = ['local', 'session'];
+
+            if (!in_array($storage, $validStorage, true)) {
+                throw new \InvalidArgumentException("Invalid preferences storage: {$storage}. Allowed: " . implode(', ', $validStorage));
+            }
+
+            if ($expiry < 0) {
+                throw new \InvalidArgumentException("Preferences expiry must be zero or a positive number of seconds");
+            }
+
+            $this->preferencesConfig = [
+                'enabled' => $enabled,
+                'storage' => $storage,
+                'expiry' => $expiry,
+            ];
+
+            Logger::debug("DataTables preferences configured", $this->preferencesConfig);
+            return $this;
+        }
+
         /**
          * Handle incoming AJAX requests
          *
@@ -883,7 +1294,11 @@ if (! class_exists('KPT\DataTables', false)) {
          * CRUD operations, bulk actions, and file uploads. This method should be called
          * before any HTML output when AJAX requests are detected. Always handled internally.
          *
-         * @return void (method outputs JSON and exits)
+         * Requests carrying a `table` parameter for a different table are ignored and
+         * the method returns without output, so several instances on one page can each
+         * call handleAjax() in turn.
+         *
+         * @return void (method outputs JSON and exits, or returns if the request targets another table)
          */
         public function handleAjax(): void
         {
@@ -895,6 +1310,13 @@ if (! class_exists('KPT\DataTables', false)) {
                     throw new InvalidArgumentException('No action specified');
                 }
 
+                // Requests tagged for a different table belong to another instance on the page
+                $requestedTable = trim((string) ($_POST['table'] ?? $_GET['table'] ?? ''));
+                if ($requestedTable !== '' && $requestedTable !== $this->tableName) {
+                    Logger::debug("DataTables skipping AJAX request for another table", ['table' => $requestedTable]);
+                    return;
+                }
+
                 Logger::debug("DataTables handling AJAX request", ['action' => $action]);
 
                 // Delegate to the AJAX handler
@@ -980,12 +1402,13 @@ if (! class_exists('KPT\DataTables', false)) {
          * @param  string $theme        Theme identifier
          * @param  bool   $includeCdn   Whether to include CDN links (overrides instance setting)
          * @param  bool   $useMinified  Whether to use minified versions
+         * @param  bool   $rtl          Whether to use the right-to-left framework build (for RTL locales)
          * @return string HTML with CSS includes
          */
-        public static function getCssIncludes(string $theme = 'uikit', bool $includeCdn = true, bool $useMinified = false): string
+        public static function getCssIncludes(string $theme = 'uikit', bool $includeCdn = true, bool $useMinified = false, bool $rtl = false): string
         {
             $tm = new ThemeManager($theme);
-            return $tm->getCssIncludes($includeCdn, $useMinified);
+            return $tm->getCssIncludes($includeCdn, $useMinified, $rtl);
         }
 
         /**
@@ -1079,5 +1502,38 @@ if (! class_exists('KPT\DataTables', false)) {
         {
             return $this->renderPagination();
         }
+
+        /**
+         * Render the reset preferences button component
+         *
+         * @return string HTML reset button
+         * @since  1.3.0
+         */
+        public function renderResetPreferencesComponent(): string
+        {
+            return $this->renderResetPreferences();
+        }
+
+        /**
+         * Render the column picker component
+         *
+         * @return string HTML column visibility dropdown
+         * @since  1.3.0
+         */
+        public function renderColumnPickerComponent(): string
+        {
+            return $this->renderColumnPicker();
+        }
+
+        /**
+         * Render the export menu component
+         *
+         * @return string HTML export dropdown
+         * @since  1.3.0
+         */
+        public function renderExportComponent(): string
+        {
+            return $this->renderExportMenu();
+        }
     }
 }
@@ -284,6 +284,20 @@ if (! class_exists('KPT\DataTablesBase', false)) {
          */
         protected ?ThemeManager $themeManager = null;
 
+        /**
+         * Message catalog for the configured locale
+         *
+         * @var Translator|null
+         */
+        protected ?Translator $translator = null;
+
+        /**
+         * Display formatter for the configured locale
+         *
+         * @var Formatter|null
+         */
+        protected ?Formatter $formatter = null;
+
         /**
          * Whether to include CDN links for framework assets
          *
@@ -291,6 +305,149 @@ if (! class_exists('KPT\DataTablesBase', false)) {
          */
         protected bool $includeCdn = true;
 
+        /**
+         * Transport configuration passed to the JavaScript layer
+         *
+         * Format: ['url' => '/api/table', 'endpoints' => ['fetch_data' => '/api/rows'], 'headers' => [...]]
+         *
+         * @var array
+         */
+        protected array $transportConfig = [];
+
+        /**
+         * URL state sync configuration
+         *
+         * Format: ['enabled' => bool, 'mode' => 'query|hash', 'param' => 'prefix']
+         *
+         * @var array
+         */
+        protected array $urlStateConfig = [
+            'enabled' => false,
+            'mode' => 'query',
+            'param' => '',
+        ];
+
+        /**
+         * Persisted user preferences configuration
+         *
+         * Format: ['enabled' => bool, 'storage' => 'local|session', 'expiry' => seconds (0 = never)]
+         *
+         * @var array
+         */
+        protected array $preferencesConfig = [
+            'enabled' => false,
+            'storage' => 'local',
+            'expiry' => 0,
+        ];
+
+        /**
+         * Columns hidden until the user shows them from the column picker
+         *
+         * @var array
+         */
+        protected array $hiddenColumns = [];
+
+        /**
+         * Whether users can drag column headers to reorder columns
+         *
+         * @var bool
+         */
+        protected bool $columnReorderEnabled = false;
+
+        /**
+         * Whether users can drag header edges to resize columns
+         *
+         * @var bool
+         */
+        protected bool $columnResizeEnabled = false;
+
+        /**
+         * Sticky header configuration
+         *
+         * Format: ['enabled' => bool, 'maxHeight' => CSS length of the scroll area]
+         *
+         * @var array
+         */
+        protected array $stickyHeaderConfig = [
+            'enabled' => false,
+            'maxHeight' => '70vh',
+        ];
+
+        /**
+         * Number of leading data columns frozen while scrolling horizontally
+         *
+         * @var int
+         */
+        protected int $frozenColumns = 0;
+
+        /**
+         * Infinite scroll configuration
+         *
+         * Format: ['enabled' => bool, 'maxHeight' => CSS length of the scroll area]
+         *
+         * @var array
+         */
+        protected array $infiniteScrollConfig = [
+            'enabled' => false,
+            'maxHeight' => '70vh',
+        ];
+
+        /**
+         * Cursor (keyset) pagination configuration
+         *
+         * Format: ['enabled' => bool, 'count' => bool whether to still run the COUNT query]
+         *
+         * @var array
+         */
+        protected array $cursorPaginationConfig = [
+            'enabled' => false,
+            'count' => false,
+        ];
+
+        /**
+         * Whether the full dataset is loaded once and searched, filtered, sorted and paged in the browser
+         *
+         * @var bool
+         */
+        protected bool $clientSideEnabled = false;
+
+        /**
+         * CSV import configuration
+         *
+         * Format: ['enabled' => bool, 'chunkSize' => int rows per request]
+         *
+         * @var array
+         */
+        protected array $importConfig = [
+            'enabled' => false,
+            'chunkSize' => 100,
+        ];
+
+        /**
+         * Session key holding the per-session CSRF token
+         */
+        protected const CSRF_SESSION_KEY = 'kpt_datatables_csrf';
+
+        /**
+         * CSRF protection configuration
+         *
+         * Format: ['enabled' => bool, 'token' => host-supplied token or null for the session token, 'field' => POST field name]
+         *
+         * @var array
+         */
+        protected array $csrfConfig = [
+            'enabled' => true,
+            'token' => null,
+            'field' => 'csrf_token',
+        ];
+
+        /**
+         * Per-session CSRF token, once read from the session
+         *
+         * @var string|null
+         */
+        protected ?string $csrfSessionToken = null;
+
         // === GETTER METHODS FOR CONFIGURATION ACCESS ===
         // These methods provide read-only access to configuration for other classes
 
@@ -597,6 +754,46 @@ if (! class_exists('KPT\DataTablesBase', false)) {
             return $this->themeManager;
         }
 
+        /**
+         * Get the Translator instance
+         *
+         * @return Translator The translator for the configured locale (English by default)
+         */
+        public function getTranslator(): Translator
+        {
+            if ($this->translator === null) {
+                $this->translator = new Translator();
+            }
+            return $this->translator;
+        }
+
+        /**
+         * Translate a user-facing message
+         *
+         * @param  string $key    Message key (e.g., 'pagination.next')
+         * @param  array  $params Placeholder values; 'count' also selects the plural form
+         * @return string Translated message
+         * @since  1.3.0
+         */
+        public function translate(string $key, array $params = []): string
+        {
+            return $this->getTranslator()->get($key, $params);
+        }
+
+        /**
+         * Get the Formatter instance
+         *
+         * @return Formatter The formatter for the configured locale
+         * @since  1.3.0
+         */
+        public function getFormatter(): Formatter
+        {
+            if ($this->formatter === null) {
+                $this->formatter = new Formatter($this->getTranslator()->getLocale());
+            }
+            return $this->formatter;
+        }
+
         /**
          * Get whether to include CDN links
          *
@@ -606,5 +803,223 @@ if (! class_exists('KPT\DataTablesBase', false)) {
         {
             return $this->includeCdn;
         }
+
+        /**
+         * Get the transport configuration
+         *
+         * @return array Transport configuration array
+         */
+        public function getTransportConfig(): array
+        {
+            return $this->transportConfig;
+        }
+
+        /**
+         * Get the URL state sync configuration
+         *
+         * @return array URL state configuration array
+         */
+        public function getUrlStateConfig(): array
+        {
+            return $this->urlStateConfig;
+        }
+
+        /**
+         * Get the persisted preferences configuration
+         *
+         * @return array Preferences configuration array
+         */
+        public function getPreferencesConfig(): array
+        {
+            return $this->preferencesConfig;
+        }
+
+        /**
+         * Get the columns hidden by default
+         *
+         * @return array Array of column names or aliases
+         */
+        public function getHiddenColumns(): array
+        {
+            return $this->hiddenColumns;
+        }
+
+        /**
+         * Check if column reordering is enabled
+         *
+         * @return bool Whether headers can be dragged to reorder columns
+         */
+        public function isColumnReorderEnabled(): bool
+        {
+            return $this->columnReorderEnabled;
+        }
+
+        /**
+         * Check if column resizing is enabled
+         *
+         * @return bool Whether header edges can be dragged to resize columns
+         */
+        public function isColumnResizeEnabled(): bool
+        {
+            return $this->columnResizeEnabled;
+        }
+
+        /**
+         * Get the sticky header configuration
+         *
+         * @return array Sticky header configuration array
+         */
+        public function getStickyHeaderConfig(): array
+        {
+            return $this->stickyHeaderConfig;
+        }
+
+        /**
+         * Get the number of frozen leading data columns
+         *
+         * @return int Frozen column count (0 = none)
+         */
+        public function getFrozenColumns(): int
+        {
+            return $this->frozenColumns;
+        }
+
+        /**
+         * Get the infinite scroll configuration
+         *
+         * @return array Infinite scroll configuration array
+         */
+        public function getInfiniteScrollConfig(): array
+        {
+            return $this->infiniteScrollConfig;
+        }
+
+        /**
+         * Get the cursor pagination configuration
+         *
+         * @return array Cursor pagination configuration array
+         */
+        public function getCursorPaginationConfig(): array
+        {
+            return $this->cursorPaginationConfig;
+        }
+
+        /**
+         * Check if client-side data mode is enabled
+         *
+         * @return bool True if data is processed in the browser
+         */
+        public function isClientSideEnabled(): bool
+        {
+            return $this->clientSideEnabled;
+        }
+
+        /**
+         * Get the CSV import configuration
+         *
+         * @return array Import configuration array
+         */
+        public function getImportConfig(): array
+        {
+            return $this->importConfig;
+        }
+
+        /**
+         * Get the CSRF protection configuration
+         *
+         * @return array CSRF configuration array
+         * @since  1.3.0
+         */
+        public function getCsrfConfig(): array
+        {
+            return $this->csrfConfig;
+        }
+
+        /**
+         * Get the CSRF token mutating AJAX actions must send
+         *
+         * Returns the token given to csrf(), or the per-session token,
+         * created on first use. Without an active session, one is opened
+         * just long enough to read the token and then closed again, so
+         * concurrent AJAX requests aren't serialized by the session lock.
+         * A session the host started is left open. After output has started
+         * no session can be opened; the page then renders without the token
+         * and DataTablesJS fetches it with the csrf_token action instead.
+         *
+         * @return string|null Token, or null if protection is off or no session is available
+         * @since  1.3.0
+         */
+        public function getCsrfToken(): ?string
+        {
+            if (!$this->csrfConfig['enabled']) {
+                return null;
+            }
+            if ($this->csrfConfig['token'] !== null) {
+                return $this->csrfConfig['token'];
+            }
+
+            if ($this->csrfSessionToken !== null) {
+                return $this->csrfSessionToken;
+            }
+
+            $opened = false;
+            if (session_status() === PHP_SESSION_NONE && !headers_sent()) {
+                $opened = session_start();
+            }
+            if (session_status() !== PHP_SESSION_ACTIVE) {
+                Logger::debug("DataTables CSRF token unavailable without an active session");
+                return null;
+            }
+
+            if (!isset($_SESSION[self::CSRF_SESSION_KEY]) || !is_string($_SESSION[self::CSRF_SESSION_KEY])) {
+                $_SESSION[self::CSRF_SESSION_KEY] = bin2hex(random_bytes(32));
+            }
+            $this->csrfSessionToken = $_SESSION[self::CSRF_SESSION_KEY];
+
+            if ($opened) {
+                session_write_close();
+            }
+            return $this->csrfSessionToken;
+        }
+
+        /**
+         * Check a token sent with a request against the expected CSRF token
+         *
+         * @param  string $token Token from the request
+         * @return bool True if protection is off or the token matches
+         * @since  1.3.0
+         */
+        public function verifyCsrfToken(string $token): bool
+        {
+            if (!$this->csrfConfig['enabled']) {
+                return true;
+            }
+
+            $expected = $this->getCsrfToken();
+            return $expected !== null && $token !== '' && hash_equals($expected, $token);
+        }
+
+        /**
+         * Get the add form fields an import can fill
+         *
+         * Leaves out file and image uploads, hidden fields, the primary key
+         * and fields that aren't columns of the table.
+         *
+         * @return array Field configurations keyed by field name
+         * @since  1.3.0
+         */
+        public function getImportFields(): array
+        {
+            $primaryKey = $this->getPrimaryKey();
+            $unqualifiedPK = strpos($primaryKey, '.') !== false ? explode('.', $primaryKey)[1] : $primaryKey;
+
+            return array_filter(
+                $this->addFormConfig['fields'],
+                fn($config, $field) => isset($this->tableSchema[$field])
+                    && $field !== $unqualifiedPK
+                    && !in_array($config['type'] ?? 'text', ['file', 'image', 'hidden'], true),
+                ARRAY_FILTER_USE_BOTH
+            );
+        }
     }
 }
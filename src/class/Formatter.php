@@ -0,0 +1,297 @@
+<?php
+
+declare(strict_types=1);
+
+namespace KPT;
+
+// Check if class already exists before declaring it
+if (! class_exists('KPT\Formatter', false)) {
+
+    /**
+     * Formatter - Locale-Aware Display Formats
+     *
+     * Validates the 'format' option of a column and formats values with it
+     * on the server, for the streamed CSV export. DataTablesJS formats the
+     * same options with Intl in the browser. NumberFormatter and
+     * IntlDateFormatter are used when the intl extension is loaded; without
+     * it numbers and dates fall back to plain English-style output.
+     *
+     * @since   1.3.0
+     * @author  Kevin Pirnie <me@kpirnie.com>
+     * @package KPT\DataTables
+     */
+    class Formatter
+    {
+        /**
+         * Supported format types
+         */
+        public const TYPES = ['number', 'currency', 'percent', 'date', 'datetime', 'relative'];
+
+        /**
+         * Date styles, mapped to their IntlDateFormatter constants
+         */
+        private const DATE_STYLES = ['short' => 3, 'medium' => 2, 'long' => 1, 'full' => 0];
+
+        /**
+         * Pattern pieces: [bracketed literal text], a token (longest first, so
+         * 'MMMM' wins over 'MM') or any other single character
+         */
+        private const TOKEN_REGEX = '/\[([^\]]*)\]|(YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A)|(.)/su';
+
+        /**
+         * Pattern tokens as ICU date pattern letters
+         */
+        private const ICU_TOKENS = [
+            'YYYY' => 'yyyy', 'YY' => 'yy', 'MMMM' => 'MMMM', 'MMM' => 'MMM', 'MM' => 'MM', 'M' => 'M',
+            'DD' => 'dd', 'D' => 'd', 'dddd' => 'EEEE', 'ddd' => 'EEE', 'HH' => 'HH', 'H' => 'H',
+            'hh' => 'hh', 'h' => 'h', 'mm' => 'mm', 'ss' => 'ss', 'A' => 'a',
+        ];
+
+        /**
+         * Pattern tokens as date() format characters, for when intl is missing
+         */
+        private const DATE_TOKENS = [
+            'YYYY' => 'Y', 'YY' => 'y', 'MMMM' => 'F', 'MMM' => 'M', 'MM' => 'm', 'M' => 'n',
+            'DD' => 'd', 'D' => 'j', 'dddd' => 'l', 'ddd' => 'D', 'HH' => 'H', 'H' => 'G',
+            'hh' => 'h', 'h' => 'g', 'mm' => 'i', 'ss' => 's', 'A' => 'A',
+        ];
+
+        /**
+         * Locale code used when a format doesn't name its own
+         *
+         * @var string
+         */
+        private string $locale;
+
+        /**
+         * Set up a formatter for a locale
+         *
+         * @param string $locale Locale code (e.g., 'de-AT')
+         */
+        public function __construct(string $locale = Translator::DEFAULT_LOCALE)
+        {
+            $this->locale = $locale;
+        }
+
+        /**
+         * Validate a column format and fill in its defaults
+         *
+         * A string is shorthand for ['type' => $format]. Every type accepts
+         * 'locale'. number, currency and percent take 'decimals' (fixed
+         * fraction digits) and 'grouping' (thousands separators, default on);
+         * currency takes a 'currency' ISO code (default 'USD'). date and
+         * datetime take a 'style' (short, medium, long or full) or a 'pattern'
+         * of tokens such as 'DD.MM.YYYY HH:mm'. relative has no options.
+         *
+         * @param  string|array $format Format type or format options
+         * @return array Format with every option present
+         * @throws \InvalidArgumentException If the type or an option is invalid
+         */
+        public static function normalize(string|array $format): array
+        {
+            if (is_string($format)) {
+                $format = ['type' => $format];
+            }
+
+            $type = $format['type'] ?? '';
+            if (!in_array($type, self::TYPES, true)) {
+                throw new \InvalidArgumentException("Unknown format type: {$type}");
+            }
+
+            $locale = $format['locale'] ?? null;
+            if ($locale !== null && !preg_match(Translator::LOCALE_PATTERN, str_replace('_', '-', (string) $locale))) {
+                throw new \InvalidArgumentException("Invalid format locale: {$locale}");
+            }
+
+            $normalized = ['type' => $type, 'locale' => $locale === null ? null : str_replace('_', '-', $locale)];
+
+            if (in_array($type, ['number', 'currency', 'percent'], true)) {
+                $decimals = $format['decimals'] ?? null;
+                if ($decimals !== null && (!is_int($decimals) || $decimals < 0 || $decimals > 20)) {
+                    throw new \InvalidArgumentException("Format decimals must be an integer from 0 to 20");
+                }
+                $normalized['decimals'] = $decimals;
+                $normalized['grouping'] = (bool) ($format['grouping'] ?? true);
+
+                if ($type === 'currency') {
+                    $currency = strtoupper((string) ($format['currency'] ?? 'USD'));
+                    if (!preg_match('/^[A-Z]{3}$/', $currency)) {
+                        throw new \InvalidArgumentException("Invalid currency code: {$currency}");
+                    }
+                    $normalized['currency'] = $currency;
+                }
+            } elseif ($type === 'date' || $type === 'datetime') {
+                $style = $format['style'] ?? 'medium';
+                if (!isset(self::DATE_STYLES[$style])) {
+                    throw new \InvalidArgumentException("Unknown date style: {$style}");
+                }
+                $normalized['style'] = $style;
+                $normalized['pattern'] = isset($format['pattern']) ? (string) $format['pattern'] : null;
+            }
+
+            return $normalized;
+        }
+
+        /**
+         * Format a value for display
+         *
+         * Values that aren't numbers or dates come back unchanged. Relative
+         * times are written out as date and time, since an export outlives
+         * the moment it was made.
+         *
+         * @param  mixed $value  Raw value
+         * @param  array $format Format from normalize()
+         * @return string Formatted value
+         */
+        public function format(mixed $value, array $format): string
+        {
+            if ($value === null || $value === '') {
+                return '';
+            }
+
+            $locale = $format['locale'] ?? $this->locale;
+
+            if (in_array($format['type'], ['number', 'currency', 'percent'], true)) {
+                if (!is_numeric($value)) {
+                    return (string) $value;
+                }
+                return $this->formatNumber((float) $value, $format, $locale);
+            }
+
+            $date = self::parseDate((string) $value);
+            if ($date === null) {
+                return (string) $value;
+            }
+            if ($format['type'] === 'relative') {
+                $format = ['type' => 'datetime', 'style' => 'medium', 'pattern' => null];
+            }
+            return $this->formatDate($date, $format, $locale);
+        }
+
+        /**
+         * Format a number, currency amount or percentage
+         *
+         * @param  float  $number Value to format; percentages are fractions (0.25 is 25%)
+         * @param  array  $format Format from normalize()
+         * @param  string $locale Locale code
+         * @return string Formatted number
+         */
+        private function formatNumber(float $number, array $format, string $locale): string
+        {
+            $decimals = $format['decimals'];
+
+            if (class_exists('NumberFormatter')) {
+                $style = match ($format['type']) {
+                    'currency' => \NumberFormatter::CURRENCY,
+                    'percent' => \NumberFormatter::PERCENT,
+                    default => \NumberFormatter::DECIMAL,
+                };
+                $formatter = new \NumberFormatter($locale, $style);
+                if ($format['type'] === 'currency') {
+                    $formatter->setTextAttribute(\NumberFormatter::CURRENCY_CODE, $format['currency']);
+                }
+                if ($decimals !== null) {
+                    $formatter->setAttribute(\NumberFormatter::MIN_FRACTION_DIGITS, $decimals);
+                    $formatter->setAttribute(\NumberFormatter::MAX_FRACTION_DIGITS, $decimals);
+                }
+                $formatter->setAttribute(\NumberFormatter::GROUPING_USED, $format['grouping'] ? 1 : 0);
+
+                $result = $format['type'] === 'currency'
+                    ? $formatter->formatCurrency($number, $format['currency'])
+                    : $formatter->format($number);
+                if ($result !== false) {
+                    return $result;
+                }
+            }
+
+            $separator = $format['grouping'] ? ',' : '';
+            return match ($format['type']) {
+                'currency' => $format['currency'] . ' ' . number_format($number, $decimals ?? 2, '.', $separator),
+                'percent' => number_format($number * 100, $decimals ?? 0, '.', $separator) . '%',
+                default => number_format($number, $decimals ?? (floor($number) == $number ? 0 : 3), '.', $separator),
+            };
+        }
+
+        /**
+         * Format a date or date and time
+         *
+         * @param  \DateTimeImmutable $date   Parsed value
+         * @param  array              $format Format from normalize()
+         * @param  string             $locale Locale code
+         * @return string Formatted date
+         */
+        private function formatDate(\DateTimeImmutable $date, array $format, string $locale): string
+        {
+            $pattern = $format['pattern'];
+
+            if (class_exists('IntlDateFormatter')) {
+                if ($pattern !== null) {
+                    $formatter = new \IntlDateFormatter($locale, \IntlDateFormatter::NONE, \IntlDateFormatter::NONE, null, null, self::toIcuPattern($pattern));
+                } else {
+                    $timeStyle = $format['type'] === 'datetime' ? \IntlDateFormatter::SHORT : \IntlDateFormatter::NONE;
+                    $formatter = new \IntlDateFormatter($locale, self::DATE_STYLES[$format['style']], $timeStyle);
+                }
+
+                $result = $formatter->format($date);
+                if ($result !== false) {
+                    return $result;
+                }
+            }
+
+            if ($pattern === null) {
+                return $date->format($format['type'] === 'datetime' ? 'Y-m-d H:i' : 'Y-m-d');
+            }
+            return $date->format(self::convertPattern($pattern, self::DATE_TOKENS, fn($text) => addcslashes($text, 'A..Za..z\\')));
+        }
+
+        /**
+         * Translate a token pattern into another date pattern syntax
+         *
+         * @param  string   $pattern Token pattern (e.g., 'DD.MM.YYYY [at] HH:mm')
+         * @param  array    $tokens  Replacement for each token
+         * @param  callable $quote   Escapes literal text for the target syntax
+         * @return string Converted pattern
+         */
+        private static function convertPattern(string $pattern, array $tokens, callable $quote): string
+        {
+            return (string) preg_replace_callback(
+                self::TOKEN_REGEX,
+                fn($match) => $match[2] !== null ? $tokens[$match[2]] : $quote($match[1] ?? $match[3]),
+                $pattern,
+                -1,
+                $count,
+                PREG_UNMATCHED_AS_NULL
+            );
+        }
+
+        /**
+         * Convert a token pattern to an ICU date pattern
+         *
+         * @param  string $pattern Token pattern
+         * @return string ICU pattern with literal text quoted
+         */
+        private static function toIcuPattern(string $pattern): string
+        {
+            return self::convertPattern($pattern, self::ICU_TOKENS, fn($text) => $text === '' ? '' : "'" . str_replace("'", "''", $text) . "'");
+        }
+
+        /**
+         * Parse a stored date or date and time
+         *
+         * @param  string $value Value such as '2024-03-05' or '2024-03-05 14:30:00'
+         * @return \DateTimeImmutable|null Parsed date, or null if the value isn't one
+         */
+        private static function parseDate(string $value): ?\DateTimeImmutable
+        {
+            if (!preg_match('/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/', trim($value), $m) || $m[1] === '0000') {
+                return null;
+            }
+
+            $date = \DateTimeImmutable::createFromFormat(
+                'Y-m-d H:i:s',
+                sprintf('%s-%s-%s %s:%s:%s', $m[1], $m[2], $m[3], $m[4] ?? '00', $m[5] ?? '00', $m[6] ?? '00')
+            );
+            return $date === false ? null : $date;
+        }
+    }
+}
@@ -55,7 +55,8 @@ if (! class_exists('KPT\Renderer', false)) {
          * Render the main table container wrapper
          *
          * Creates the outer container div with theme-specific classes
-         * and data attributes, then renders the table inside it.
+         * and data attributes, then renders the table and a screen reader
+         * live region inside it.
          *
          * @return string HTML for the table container
          */
@@ -66,13 +67,95 @@ if (! class_exists('KPT\Renderer', false)) {
             $containerClass = "datatables-container-{$tableName}";
             $themeContainerClass = $tm->getClasses('container');
 
-            $html = "<div class=\"{$containerClass} datatables-container {$themeContainerClass}\" data-table=\"{$tableName}\">\n";
+            $html = "<div class=\"{$containerClass} datatables-container {$themeContainerClass}\" data-table=\"{$tableName}\"" . $this->getLangAttributes() . ">\n";
             $html .= $this->renderTable();
+
+            // Polite live region: JS announces result counts, sorting and save/delete outcomes here
+            $hiddenClass = $tm->getClass('text.hidden');
+            $html .= "<div class=\"{$hiddenClass} datatables-live\" id=\"" . $this->getDomId('datatables-live') . "\" role=\"status\" aria-live=\"polite\" aria-atomic=\"true\"></div>\n";
             $html .= "</div>\n";
 
             return $html;
         }
 
+        /**
+         * Build a DOM ID scoped to this table
+         *
+         * Suffixes the base ID with a slug of the table name so that several
+         * tables can render their modals, forms and pagination on one page
+         * without duplicate IDs. Mirrors DataTablesJS.domId() on the client.
+         *
+         * @param  string $base Base element ID (e.g., 'add-modal')
+         * @return string Table-scoped element ID
+         * @since  1.3.0
+         */
+        protected function getDomId(string $base): string
+        {
+            $slug = preg_replace('/[^A-Za-z0-9_-]+/', '-', $this->getTableName());
+            return "{$base}-{$slug}";
+        }
+
+        /**
+         * Get the JavaScript expression that resolves this table's DataTablesJS instance
+         *
+         * Used by inline event handlers so each rendered control targets its
+         * own table when several tables share a page. The table name is
+         * encoded as a JS string, then the expression is HTML-escaped for the
+         * attribute it is written into.
+         *
+         * @return string Attribute-safe JavaScript expression (e.g., "DataTablesJS.get(&quot;users&quot;)")
+         * @since  1.3.0
+         */
+        protected function getJsInstance(): string
+        {
+            $name = json_encode($this->getTableName(), JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_UNESCAPED_UNICODE);
+            return htmlspecialchars("DataTablesJS.get({$name})", ENT_QUOTES);
+        }
+
+        /**
+         * Get the lang and dir attributes for a root element
+         *
+         * Set on the table container and on each modal; modals render
+         * outside the container, so they need their own.
+         *
+         * @return string Attribute string with a leading space
+         * @since  1.3.0
+         */
+        protected function getLangAttributes(): string
+        {
+            $translator = $this->getTranslator();
+            return " lang=\"{$translator->getLocale()}\" dir=\"{$translator->getDirection()}\"";
+        }
+
+        /**
+         * Get the key a column is identified by in row data and on the client
+         *
+         * Aliased columns ("expr AS alias") are keyed by their alias name.
+         * Mirrors DataTablesJS.columnKey().
+         *
+         * @param  string $column Column as configured in columns()
+         * @return string Column key
+         * @since  1.3.0
+         */
+        protected function getColumnKey(string $column): string
+        {
+            $parts = preg_split('/\s+AS\s+/i', $column);
+            return count($parts) === 2 ? trim($parts[1], '`\'" ') : $column;
+        }
+
+        /**
+         * Check whether a column is hidden by default
+         *
+         * @param  string $column Column as configured in columns()
+         * @return bool True if hidden via hiddenColumns()
+         * @since  1.3.0
+         */
+        protected function isHiddenColumn(string $column): bool
+        {
+            $hidden = $this->getHiddenColumns();
+            return in_array($column, $hidden) || in_array($this->getColumnKey($column), $hidden);
+        }
+
         /**
          * Render the bulk actions toolbar
          *
@@ -89,20 +172,36 @@ if (! class_exists('KPT\Renderer', false)) {
         {
             $tm = $this->getThemeManager();
             $gridClass = $tm->getClass('grid.small');
+            $js = $this->getJsInstance();
 
-            $html = "<div class=\"{$gridClass}\"" . ($this->theme === 'uikit' ? ' uk-grid' : '') . ">\n";
+            $html = "<div class=\"{$gridClass}\" data-table=\"{$this->getTableName()}\"" . ($this->theme === 'uikit' ? ' uk-grid' : '') . ">\n";
 
             // Add new record button - always present
+            $addLabel = $this->translate('toolbar.add');
             $html .= "      <div>\n";
             $html .= "          <a href=\"#\" class=\"" . $tm->getClasses('icon.link') . "\" ";
-            $html .= "onclick=\"DataTables.showAddModal(event)\" ";
-            $html .= ($this->theme === 'uikit' ? 'uk-icon="plus" uk-tooltip="Add a New Record"' : 'title="Add a New Record"') . ">";
+            $html .= "onclick=\"{$js}.showAddModal(event)\" ";
+            $html .= ($this->theme === 'uikit' ? "uk-icon=\"plus\" uk-tooltip=\"{$addLabel}\"" : "title=\"{$addLabel}\"") . ">";
             if ($this->theme !== 'uikit') {
                 $html .= $tm->getIcon('plus');
             }
             $html .= "</a>\n";
             $html .= "      </div>\n";
 
+            // Import records from CSV
+            if ($this->getImportConfig()['enabled']) {
+                $html .= "      <div>\n";
+                $html .= "          <a href=\"#\" class=\"" . $tm->getClasses('icon.link') . "\" ";
+                $html .= "onclick=\"{$js}.showImportModal(event)\" ";
+                $importLabel = $this->translate('toolbar.import');
+                $html .= ($this->theme === 'uikit' ? "uk-icon=\"upload\" uk-tooltip=\"{$importLabel}\"" : "title=\"{$importLabel}\"") . ">";
+                if ($this->theme !== 'uikit') {
+                    $html .= $tm->getIcon('upload');
+                }
+                $html .= "</a>\n";
+                $html .= "      </div>\n";
+            }
+
             // Render bulk config level HTML with 'before' or 'both' location
             if (isset($bulkConfig['html'])) {
                 if (is_array($bulkConfig['html']) && isset($bulkConfig['html']['location']) && isset($bulkConfig['html']['content'])) {
@@ -133,8 +232,8 @@ if (! class_exists('KPT\Renderer', false)) {
                                 if (!isset($actionsToRender['delete'])) {
                                     $actionsToRender['delete'] = [
                                         'icon' => 'trash',
-                                        'label' => 'Delete Selected',
-                                        'confirm' => 'Are you sure you want to delete the selected records?'
+                                        'label' => $this->translate('bulk.delete'),
+                                        'confirm' => $this->translate('bulk.delete_confirm')
                                     ];
                                 }
                             }
@@ -187,7 +286,7 @@ if (! class_exists('KPT\Renderer', false)) {
                         $html .= "uk-icon=\"{$icon}\" ";
                     }
                     $html .= "data-action=\"{$action}\" data-confirm=\"{$confirm}\" ";
-                    $html .= "onclick=\"DataTables.executeBulkActionDirect('{$action}', event)\" ";
+                    $html .= "onclick=\"{$js}.executeBulkActionDirect('{$action}', event)\" ";
                     $html .= ($this->theme === 'uikit' ? "uk-tooltip=\"{$label}\"" : "title=\"{$label}\"") . " disabled>";
                     if ($this->theme !== 'uikit') {
                         $html .= $tm->getIcon($icon);
@@ -230,31 +329,32 @@ if (! class_exists('KPT\Renderer', false)) {
         protected function renderSearchForm(): string
         {
             $tm = $this->getThemeManager();
+            $tableAttr = "data-table=\"{$this->getTableName()}\"";
 
             // Search input container with icon
-            $html = "<div>\n";
+            $html = "<div {$tableAttr}>\n";
             $html .= "<div class=\"" . $tm->getClasses('inline') . " " . $tm->getClass('width.medium') . "\">\n";
 
             // Theme-specific search icon rendering
             if ($this->theme === 'uikit') {
                 $html .= "<span class=\"uk-form-icon\" uk-icon=\"search\"></span>\n";
             } elseif ($this->theme === 'bootstrap') {
-                $html .= "<span class=\"position-absolute\" style=\"left:12px;top:50%;transform:translateY(-50%);pointer-events:none;\"><i class=\"bi bi-search\"></i></span>\n";
+                $html .= "<span class=\"position-absolute\" style=\"inset-inline-start:12px;top:50%;transform:translateY(-50%);pointer-events:none;\"><i class=\"bi bi-search\"></i></span>\n";
             } else {
                 $html .= "<span class=\"" . $tm->getClass('form.icon') . "\">" . $tm->getIcon('search') . "</span>\n";
             }
 
             // Search text input
             $inputClass = $tm->getClasses('input');
-            $paddingStyle = ($this->theme === 'bootstrap') ? ' style="padding-left:38px;"' : '';
-            $html .= "<input class=\"{$inputClass} datatables-search\" type=\"text\" placeholder=\"Search...\"{$paddingStyle}>\n";
+            $paddingStyle = ($this->theme === 'bootstrap') ? ' style="padding-inline-start:38px;"' : '';
+            $html .= "<input class=\"{$inputClass} datatables-search\" type=\"text\" placeholder=\"" . $this->translate('search.placeholder') . "\"{$paddingStyle}>\n";
             $html .= "</div>\n</div>\n";
 
             // Reset search button with refresh icon
-            $html .= "<div>\n";
+            $html .= "<div {$tableAttr}>\n";
             $buttonClass = $tm->getClass('button.default');
-            $html .= "<button class=\"{$buttonClass} refreshbutton\" type=\"button\" onclick=\"DataTables.resetSearch()\" ";
-            $html .= ($this->theme === 'uikit' ? 'uk-tooltip="Reset Search"' : 'title="Reset Search"') . ">\n";
+            $html .= "<button class=\"{$buttonClass} refreshbutton\" type=\"button\" onclick=\"{$this->getJsInstance()}.resetSearch()\" ";
+            $html .= ($this->theme === 'uikit' ? 'uk-tooltip="' : 'title="') . $this->translate('search.reset') . "\">\n";
 
             // Theme-specific refresh icon
             if ($this->theme === 'uikit') {
@@ -270,6 +370,149 @@ if (! class_exists('KPT\Renderer', false)) {
             return $html;
         }
 
+        /**
+         * Render the reset preferences button
+         *
+         * Clears the saved page size, sort, search and filters for this
+         * table and reloads it with the configured defaults.
+         *
+         * @return string HTML for the reset button
+         * @since  1.3.0
+         */
+        protected function renderResetPreferences(): string
+        {
+            $tm = $this->getThemeManager();
+            $buttonClass = $tm->getClass('button.default');
+
+            $html = "<div data-table=\"{$this->getTableName()}\">\n";
+            $html .= "<button class=\"{$buttonClass} datatables-reset-preferences\" type=\"button\" onclick=\"{$this->getJsInstance()}.resetPreferences()\">" . $this->translate('preferences.reset') . "</button>\n";
+            $html .= "</div>\n";
+
+            return $html;
+        }
+
+        /**
+         * Render the column picker
+         *
+         * A dropdown of checkboxes, one per configured column, that shows or
+         * hides table columns at runtime. Columns listed in hiddenColumns()
+         * start unchecked; with persistPreferences() the user's layout is
+         * remembered per table.
+         *
+         * @return string HTML for the column picker
+         * @since  1.3.0
+         */
+        protected function renderColumnPicker(): string
+        {
+            $tm = $this->getThemeManager();
+            $js = $this->getJsInstance();
+            $table = $this->getTableName();
+            $checkboxClass = $tm->getClasses('checkbox');
+            $buttonClass = $tm->getClass('button.default');
+
+            // One checkbox per column, keyed like the table cells
+            $items = [];
+            foreach ($this->getColumns() as $column => $label) {
+                $key = $this->getColumnKey($column);
+                $displayLabel = is_array($label) ? ($label['label'] ?? $column) : $label;
+                $checked = $this->isHiddenColumn($column) ? '' : ' checked';
+                $id = $this->getDomId('datatables-column-' . $key);
+                $items[] = [
+                    'id' => $id,
+                    'input' => "<input type=\"checkbox\" id=\"{$id}\" class=\"{$checkboxClass} datatables-column-toggle\" value=\"{$key}\"{$checked} onchange=\"{$js}.toggleColumn(this.value, this.checked)\">",
+                    'label' => $displayLabel,
+                ];
+            }
+
+            if ($this->theme === 'uikit') {
+                $html = "<div data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass}\" type=\"button\"><span uk-icon=\"table\"></span> " . $this->translate('columns.toggle') . "</button>\n";
+                $html .= "<div uk-dropdown=\"mode: click\">\n<ul class=\"uk-nav uk-dropdown-nav\">\n";
+                foreach ($items as $item) {
+                    $html .= "<li><label>{$item['input']} {$item['label']}</label></li>\n";
+                }
+                $html .= "</ul>\n</div>\n</div>\n";
+            } elseif ($this->theme === 'bootstrap') {
+                $html = "<div class=\"dropdown\" data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass} dropdown-toggle\" type=\"button\" data-bs-toggle=\"dropdown\" data-bs-auto-close=\"outside\"><i class=\"bi bi-layout-three-columns\"></i> " . $this->translate('columns.toggle') . "</button>\n";
+                $html .= "<div class=\"dropdown-menu p-2\">\n";
+                foreach ($items as $item) {
+                    $html .= "<div class=\"form-check\">{$item['input']}<label class=\"form-check-label\" for=\"{$item['id']}\">{$item['label']}</label></div>\n";
+                }
+                $html .= "</div>\n</div>\n";
+            } else {
+                // Plain / Tailwind
+                $s = $this->theme === 'tailwind' ? '-tailwind' : '';
+                $html = "<div class=\"kp-dt-column-picker{$s}\" data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass}\" type=\"button\" onclick=\"this.closest('.kp-dt-column-picker{$s}').classList.toggle('kp-dt-column-picker-open{$s}')\">" . $this->translate('columns.toggle') . "</button>\n";
+                $html .= "<div class=\"kp-dt-column-picker-menu{$s}\">\n";
+                foreach ($items as $item) {
+                    $html .= "<label class=\"kp-dt-column-picker-item{$s}\">{$item['input']} {$item['label']}</label>\n";
+                }
+                $html .= "</div>\n</div>\n";
+            }
+
+            return $html;
+        }
+
+        /**
+         * Render the export menu
+         *
+         * A dropdown that downloads the current page, the selected rows or
+         * every row matching the search and filters, or prints a report of
+         * them. Exports follow the visible columns in their current order.
+         *
+         * @return string HTML for the export menu
+         * @since  1.3.0
+         */
+        protected function renderExportMenu(): string
+        {
+            $tm = $this->getThemeManager();
+            $js = $this->getJsInstance();
+            $table = $this->getTableName();
+            $buttonClass = $tm->getClass('button.default');
+
+            $items = [
+                ['call' => "exportCsv('page')", 'label' => $this->translate('export.page_csv')],
+                ['call' => "exportCsv('selected')", 'label' => $this->translate('export.selected_csv')],
+                ['call' => "exportCsv('all')", 'label' => $this->translate('export.all_csv')],
+                ['call' => "exportXlsx('page')", 'label' => $this->translate('export.page_xlsx')],
+                ['call' => "exportXlsx('selected')", 'label' => $this->translate('export.selected_xlsx')],
+                ['call' => "exportXlsx('all')", 'label' => $this->translate('export.all_xlsx')],
+                ['call' => "printReport()", 'label' => $this->translate('export.print')],
+            ];
+
+            if ($this->theme === 'uikit') {
+                $html = "<div data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass}\" type=\"button\"><span uk-icon=\"download\"></span> " . $this->translate('export.button') . "</button>\n";
+                $html .= "<div uk-dropdown=\"mode: click\">\n<ul class=\"uk-nav uk-dropdown-nav\">\n";
+                foreach ($items as $item) {
+                    $html .= "<li><a href=\"#\" onclick=\"{$js}.{$item['call']}; return false;\">{$item['label']}</a></li>\n";
+                }
+                $html .= "</ul>\n</div>\n</div>\n";
+            } elseif ($this->theme === 'bootstrap') {
+                $html = "<div class=\"dropdown\" data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass} dropdown-toggle\" type=\"button\" data-bs-toggle=\"dropdown\"><i class=\"bi bi-download\"></i> " . $this->translate('export.button') . "</button>\n";
+                $html .= "<ul class=\"dropdown-menu\">\n";
+                foreach ($items as $item) {
+                    $html .= "<li><a class=\"dropdown-item\" href=\"#\" onclick=\"{$js}.{$item['call']}; return false;\">{$item['label']}</a></li>\n";
+                }
+                $html .= "</ul>\n</div>\n";
+            } else {
+                // Plain / Tailwind
+                $s = $this->theme === 'tailwind' ? '-tailwind' : '';
+                $html = "<div class=\"kp-dt-export{$s}\" data-table=\"{$table}\">\n";
+                $html .= "<button class=\"{$buttonClass}\" type=\"button\" onclick=\"this.closest('.kp-dt-export{$s}').classList.toggle('kp-dt-export-open{$s}')\">" . $this->translate('export.button') . "</button>\n";
+                $html .= "<div class=\"kp-dt-export-menu{$s}\">\n";
+                foreach ($items as $item) {
+                    $html .= "<a href=\"#\" class=\"kp-dt-export-item{$s}\" onclick=\"this.closest('.kp-dt-export{$s}').classList.remove('kp-dt-export-open{$s}'); {$js}.{$item['call']}; return false;\">{$item['label']}</a>\n";
+                }
+                $html .= "</div>\n</div>\n";
+            }
+
+            return $html;
+        }
+
         /**
          * Render the collapsible filter accordion panel
          *
@@ -288,40 +531,43 @@ if (! class_exists('KPT\Renderer', false)) {
             $tm      = $this->getThemeManager();
             $columns = $this->getColumns();
             $schema  = $this->getTableSchema();
+            $js      = $this->getJsInstance();
+            $table   = $this->getTableName();
+            $panelId = $this->getDomId('datatables-filter-panel');
 
             // Build accordion wrapper based on theme
             if ($this->theme === 'uikit') {
-                $html = "<ul uk-accordion>\n<li>\n";
+                $html = "<ul uk-accordion data-table=\"{$table}\">\n<li>\n";
                 $html .= "<div class=\"uk-accordion-title uk-flex uk-flex-middle uk-flex-between\">\n";
-                $html .= "<div><span>Filters</span><span class=\"datatables-filter-count uk-badge uk-margin-small-left\" style=\"display:none;\"></span></div>\n";
+                $html .= "<div><span>" . $this->translate('filters.title') . "</span><span class=\"datatables-filter-count uk-badge uk-margin-small-left\" style=\"display:none;\"></span></div>\n";
                 $html .= "<div class=\"uk-flex uk-flex-middle\">\n";
-                $html .= "<a href=\"#\" class=\"uk-icon-link\" onclick=\"DataTables.resetFilters(); event.stopPropagation(); return false;\" uk-icon=\"refresh\" uk-tooltip=\"Reset Filters\"></a>\n";
+                $html .= "<a href=\"#\" class=\"uk-icon-link\" onclick=\"{$js}.resetFilters(); event.stopPropagation(); return false;\" uk-icon=\"refresh\" uk-tooltip=\"Reset Filters\"></a>\n";
                 $html .= "<span class=\"uk-icon-link uk-margin-small-left datatables-filter-chevron\" uk-icon=\"chevron-down\"></span>\n";
                 $html .= "</div>\n";
                 $html .= "</div>\n<div class=\"uk-accordion-content\">\n";
-                $html .= "<div style=\"padding-left: 10px;\">\n";
+                $html .= "<div style=\"padding-inline-start: 10px;\">\n";
                 $html .= "<div class=\"uk-grid-small uk-child-width-1-2@s uk-child-width-1-3@m\" uk-grid>\n";
             } elseif ($this->theme === 'bootstrap') {
-                $html = "<div class=\"accordion mb-3\">\n<div class=\"accordion-item\">\n";
+                $html = "<div class=\"accordion mb-3\" data-table=\"{$table}\">\n<div class=\"accordion-item\">\n";
                 $html .= "<h2 class=\"accordion-header\">\n";
-                $html .= "<button class=\"accordion-button collapsed d-flex align-items-center\" type=\"button\" data-bs-toggle=\"collapse\" data-bs-target=\"#datatables-filter-panel\">\n";
-                $html .= "<span>Filters</span>\n";
+                $html .= "<button class=\"accordion-button collapsed d-flex align-items-center\" type=\"button\" data-bs-toggle=\"collapse\" data-bs-target=\"#{$panelId}\">\n";
+                $html .= "<span>" . $this->translate('filters.title') . "</span>\n";
                 $html .= "<span class=\"datatables-filter-count badge bg-primary ms-2\" style=\"display:none;\"></span>\n";
-                $html .= "<button type=\"button\" class=\"btn btn-sm btn-link ms-auto\" onclick=\"DataTables.resetFilters(); return false;\"><i class=\"bi bi-arrow-clockwise\"></i></button>\n";
+                $html .= "<button type=\"button\" class=\"btn btn-sm btn-link ms-auto\" onclick=\"{$js}.resetFilters(); return false;\"><i class=\"bi bi-arrow-clockwise\"></i></button>\n";
                 $html .= "</button>\n</h2>\n";
-                $html .= "<div id=\"datatables-filter-panel\" class=\"accordion-collapse collapse\">\n";
+                $html .= "<div id=\"{$panelId}\" class=\"accordion-collapse collapse\">\n";
                 $html .= "<div class=\"accordion-body\">\n<div class=\"row g-2\">\n";
             } else {
                 // Plain / Tailwind
                 $s    = $this->theme === 'tailwind' ? '-tailwind' : '';
-                $html = "<div class=\"kp-dt-filter-accordion{$s}\">\n";
+                $html = "<div class=\"kp-dt-filter-accordion{$s}\" data-table=\"{$table}\">\n";
                 $html .= "<div class=\"kp-dt-filter-header{$s}\">\n";
                 $html .= "<button type=\"button\" class=\"kp-dt-filter-toggle{$s}\" onclick=\"this.closest('.kp-dt-filter-accordion{$s}').classList.toggle('kp-dt-filter-open{$s}')\">\n";
-                $html .= "<span>Filters</span>\n";
+                $html .= "<span>" . $this->translate('filters.title') . "</span>\n";
                 $html .= "<span class=\"datatables-filter-count kp-dt-badge{$s}\" style=\"display:none;\"></span>\n";
                 $html .= "<span class=\"kp-dt-filter-chevron{$s}\">&#8964;</span>\n";
                 $html .= "</button>\n";
-                $html .= "<button type=\"button\" class=\"kp-dt-filter-reset{$s}\" onclick=\"DataTables.resetFilters()\">" . $tm->getIcon('refresh') . "</button>\n";
+                $html .= "<button type=\"button\" class=\"kp-dt-filter-reset{$s}\" onclick=\"{$js}.resetFilters()\">" . $tm->getIcon('refresh') . "</button>\n";
                 $html .= "</div>\n<div class=\"kp-dt-filter-panel{$s}\">\n";
                 $html .= "<div class=\"kp-dt-grid kp-dt-grid-small\">\n";
             }
@@ -387,12 +633,12 @@ if (! class_exists('KPT\Renderer', false)) {
                 $labelClass = $tm->getClass('form.label');
                 $html  = "<div class=\"datatables-filter-between\">\n";
                 $html .= "<div class=\"datatables-filter-between-item\">\n";
-                $html .= "<label class=\"{$labelClass}\">From</label>\n";
-                $html .= "<input type=\"" . $this->filterInputType($type) . "\" class=\"{$inputClass} datatables-filter-input datatables-filter-between-from\" data-filter-field=\"{$field}\" data-filter-operator=\"BETWEEN\" placeholder=\"From\">\n";
+                $html .= "<label class=\"{$labelClass}\">" . $this->translate('filters.from') . "</label>\n";
+                $html .= "<input type=\"" . $this->filterInputType($type) . "\" class=\"{$inputClass} datatables-filter-input datatables-filter-between-from\" data-filter-field=\"{$field}\" data-filter-operator=\"BETWEEN\" placeholder=\"" . $this->translate('filters.from') . "\">\n";
                 $html .= "</div>\n";
                 $html .= "<div class=\"datatables-filter-between-item\">\n";
-                $html .= "<label class=\"{$labelClass}\">To</label>\n";
-                $html .= "<input type=\"" . $this->filterInputType($type) . "\" class=\"{$inputClass} datatables-filter-input datatables-filter-between-to\" data-filter-field=\"{$field}\" data-filter-operator=\"BETWEEN\" placeholder=\"To\">\n";
+                $html .= "<label class=\"{$labelClass}\">" . $this->translate('filters.to') . "</label>\n";
+                $html .= "<input type=\"" . $this->filterInputType($type) . "\" class=\"{$inputClass} datatables-filter-input datatables-filter-between-to\" data-filter-field=\"{$field}\" data-filter-operator=\"BETWEEN\" placeholder=\"" . $this->translate('filters.to') . "\">\n";
                 $html .= "</div>\n";
                 $html .= "</div>\n";
                 return $html;
@@ -405,8 +651,8 @@ if (! class_exists('KPT\Renderer', false)) {
             if ($type === 'boolean') {
                 $html  = "<select class=\"{$selectClass}\" {$dataAttrs}>\n";
                 $html .= "<option value=\"\">-- All --</option>\n";
-                $html .= "<option value=\"1\">Active</option>\n";
-                $html .= "<option value=\"0\">Inactive</option>\n";
+                $html .= "<option value=\"1\">" . $this->translate('boolean.active') . "</option>\n";
+                $html .= "<option value=\"0\">" . $this->translate('boolean.inactive') . "</option>\n";
                 $html .= "</select>\n";
                 return $html;
             }
@@ -492,31 +738,33 @@ if (! class_exists('KPT\Renderer', false)) {
             $options = $this->getPageSizeOptions();
             $includeAll = $this->getIncludeAllOption();
             $current = $this->getRecordsPerPage();
+            $js = $this->getJsInstance();
+            $tableAttr = "data-table=\"{$this->getTableName()}\"";
 
             if ($asButtonGroup) {
                 // Render as a group of toggle buttons
-                $html = "<div>\nPer Page: <div class=\"" . $tm->getKpDtClass('button-group') . "\">\n";
+                $html = "<div {$tableAttr}>\nPer Page: <div class=\"" . $tm->getKpDtClass('button-group') . "\">\n";
                 foreach ($options as $option) {
                     $activeClass = $option === $current ? $tm->getClass('button.primary') : $tm->getClass('button.default');
                     $activeClass .= ' ' . $tm->getClass('button.small');
-                    $html .= "<a class=\"{$activeClass} datatables-page-size-btn\" href=\"#\" data-size=\"{$option}\" onclick=\"DataTables.changePageSize({$option}, event)\">{$option}</a>\n";
+                    $html .= "<a class=\"{$activeClass} datatables-page-size-btn\" href=\"#\" data-size=\"{$option}\" onclick=\"{$js}.changePageSize({$option}, event)\">{$option}</a>\n";
                 }
                 if ($includeAll) {
                     $activeClass = $current === 0 ? $tm->getClass('button.primary') : $tm->getClass('button.default');
                     $activeClass .= ' ' . $tm->getClass('button.small');
-                    $html .= "<a class=\"{$activeClass} datatables-page-size-btn\" href=\"#\" data-size=\"0\" onclick=\"DataTables.changePageSize(0, event)\">All</a>\n";
+                    $html .= "<a class=\"{$activeClass} datatables-page-size-btn\" href=\"#\" data-size=\"0\" onclick=\"{$js}.changePageSize(0, event)\">" . $this->translate('pagination.all') . "</a>\n";
                 }
                 $html .= "</div>\n</div>\n";
             } else {
                 // Render as a select dropdown
                 $selectClass = $tm->getClasses('select') . ' ' . $tm->getClass('width.auto');
-                $html = "<div>\nPer Page: <select class=\"{$selectClass} datatables-page-size\">\n";
+                $html = "<div {$tableAttr}>\nPer Page: <select class=\"{$selectClass} datatables-page-size\">\n";
                 foreach ($options as $option) {
                     $selected = $option === $current ? ' selected' : '';
                     $html .= "<option value=\"{$option}\"{$selected}>{$option} records</option>\n";
                 }
                 if ($includeAll) {
-                    $html .= "<option value=\"0\">All records</option>\n";
+                    $html .= "<option value=\"0\">" . $this->translate('pagination.all_records') . "</option>\n";
                 }
                 $html .= "</select>\n</div>\n";
             }
@@ -539,11 +787,11 @@ if (! class_exists('KPT\Renderer', false)) {
             $paginationClass = $tm->getClasses('pagination');
 
             // Record info text (e.g., "Showing 1 to 25 of 100 records")
-            $html = "<div>\n";
-            $html .= "<div class=\"datatables-info\" id=\"datatables-info\">Showing 0 to 0 of 0 records</div>\n";
+            $html = "<div data-table=\"{$this->getTableName()}\">\n";
+            $html .= "<div class=\"datatables-info\" id=\"" . $this->getDomId('datatables-info') . "\">" . $this->translate('info.empty') . "</div>\n";
 
             // Pagination navigation list - populated by JavaScript
-            $html .= "<ul class=\"{$paginationClass} datatables-pagination\" id=\"datatables-pagination\">\n";
+            $html .= "<ul class=\"{$paginationClass} datatables-pagination\" id=\"" . $this->getDomId('datatables-pagination') . "\">\n";
 
             // Render initial disabled placeholder controls
             if ($this->theme === 'bootstrap') {
@@ -564,7 +812,8 @@ if (! class_exists('KPT\Renderer', false)) {
          *
          * Generates <tr> with <th> elements for each configured column,
          * including optional bulk selection checkbox, action column placement,
-         * and sortable header spans with sort direction icons.
+         * sortable header spans with sort direction icons, and drag/resize
+         * hooks when column reordering or resizing is enabled.
          * Handles aliased columns for proper sort attribute generation.
          *
          * @return string HTML for the table header row
@@ -585,14 +834,14 @@ if (! class_exists('KPT\Renderer', false)) {
                 $shrinkClass = $tm->getClass('th.shrink');
                 $checkboxClass = $tm->getClasses('checkbox');
                 $html .= "<th" . ($shrinkClass ? " class=\"{$shrinkClass}\"" : "") . ">\n";
-                $html .= "<label><input type=\"checkbox\" class=\"{$checkboxClass} datatables-select-all\" onchange=\"DataTables.toggleSelectAll(this)\"></label>\n";
+                $html .= "<label><input type=\"checkbox\" class=\"{$checkboxClass} datatables-select-all\" onchange=\"{$this->getJsInstance()}.toggleSelectAll(this)\"></label>\n";
                 $html .= "</th>\n";
             }
 
             // Action column at start position
             if ($actionConfig['position'] === 'start') {
                 $shrinkClass = $tm->getClass('th.shrink');
-                $html .= "<th" . ($shrinkClass ? " class=\"{$shrinkClass}\"" : "") . ">Actions</th>\n";
+                $html .= "<th" . ($shrinkClass ? " class=\"{$shrinkClass}\"" : "") . ">" . $this->translate('table.actions') . "</th>\n";
             }
 
             // Render each column header with optional sort functionality
@@ -610,10 +859,13 @@ if (! class_exists('KPT\Renderer', false)) {
                 // Build column header classes
                 $columnClass = $cssClasses['columns'][$column] ?? '';
                 $thClass = $columnClass . ($sortable ? ' sortable' : '');
+                $columnKey = $this->getColumnKey($column);
 
                 // Generate the data-sort attribute using alias name if applicable
-                $html .= "<th" . (!empty($thClass) ? " class=\"{$thClass}\"" : "") .
-                    ($sortable ? " data-sort=\"" . (stripos($column, ' AS ') !== false ? trim(explode(' AS ', $column)[1], '`\'" ') : $column) . "\"" : "") . ">";
+                $html .= "<th data-column=\"{$columnKey}\"" . (!empty($thClass) ? " class=\"{$thClass}\"" : "") .
+                    ($sortable ? " data-sort=\"" . (stripos($column, ' AS ') !== false ? trim(explode(' AS ', $column)[1], '`\'" ') : $column) . "\"" : "") .
+                    ($this->isColumnReorderEnabled() ? " draggable=\"true\"" : "") .
+                    ($this->isHiddenColumn($column) ? " hidden" : "") . ">";
 
                 if ($sortable) {
                     // Sortable header with clickable span and sort direction icon
@@ -621,9 +873,9 @@ if (! class_exists('KPT\Renderer', false)) {
                     $sortableHeaderClass = $tm->getKpDtClass('sortable-header');
                     $html .= "<span class=\"sortable-header {$sortableHeaderClass}\">{$displayLabel} ";
                     if ($this->theme === 'uikit') {
-                        $html .= "<span class=\"sort-icon\" uk-icon=\"triangle-up\"></span>";
+                        $html .= "<span class=\"sort-icon\" uk-icon=\"triangle-up\" aria-hidden=\"true\"></span>";
                     } else {
-                        $html .= "<span class=\"sort-icon\">" . $tm->getIcon('triangle-up') . "</span>";
+                        $html .= "<span class=\"sort-icon\" aria-hidden=\"true\">" . $tm->getIcon('triangle-up') . "</span>";
                     }
                     $html .= "</span>";
                 } else {
@@ -632,13 +884,18 @@ if (! class_exists('KPT\Renderer', false)) {
                     $html .= $displayLabel;
                 }
 
+                // Resize grip on the header's trailing edge
+                if ($this->isColumnResizeEnabled()) {
+                    $html .= "<span class=\"datatables-resize-handle\"></span>";
+                }
+
                 $html .= "</th>\n";
             }
 
             // Action column at end position
             if ($actionConfig['position'] === 'end') {
                 $shrinkClass = $tm->getClass('th.shrink');
-                $html .= "<th" . ($shrinkClass ? " class=\"{$shrinkClass}\"" : "") . " style=\"text-align: right\">Actions</th>\n";
+                $html .= "<th" . ($shrinkClass ? " class=\"{$shrinkClass}\"" : "") . " style=\"text-align: end\">" . $this->translate('table.actions') . "</th>\n";
             }
 
             $html .= "</tr>\n";
@@ -670,11 +927,38 @@ if (! class_exists('KPT\Renderer', false)) {
             $themeTableClass = $tm->getKpDtClass('table');
             $overflowClass = $tm->getClasses('overflow.auto');
 
+            // Sticky header and frozen columns are positioned against the overflow wrapper,
+            // which is also the scroll area infinite scroll watches
+            $stickyHeader = $this->getStickyHeaderConfig();
+            $infiniteScroll = $this->getInfiniteScrollConfig();
+            $layoutClass = '';
+            $wrapperStyle = '';
+            if ($infiniteScroll['enabled']) {
+                $layoutClass .= ' datatables-sticky-header';
+                $wrapperStyle = " style=\"max-height: {$infiniteScroll['maxHeight']};\"";
+            } elseif ($stickyHeader['enabled']) {
+                $layoutClass .= ' datatables-sticky-header';
+                $wrapperStyle = " style=\"max-height: {$stickyHeader['maxHeight']};\"";
+            }
+            if ($this->getFrozenColumns() > 0) {
+                $layoutClass .= ' datatables-frozen-columns';
+            }
+
             // Overflow wrapper for responsive horizontal scrolling
-            $html = "<div class=\"{$overflowClass}\">\n";
+            $html = "<div class=\"{$overflowClass}\"{$wrapperStyle}>\n";
+
+            // ARIA grid: JS moves focus between cells with the arrow keys
+            $gridLabel = htmlspecialchars(ucwords(str_replace('_', ' ', $this->getTableName())), ENT_QUOTES);
+            $gridAttrs = " role=\"grid\" aria-label=\"{$gridLabel}\"";
+            if ($bulkActions['enabled']) {
+                $gridAttrs .= " aria-multiselectable=\"true\"";
+            }
+            if (empty($this->getInlineEditableColumns())) {
+                $gridAttrs .= " aria-readonly=\"true\"";
+            }
 
             // Table element with schema data attribute for JS field type detection
-            $html .= "<table class=\"{$tableClass} {$themeTableClass} datatables-table\" data-columns='" . json_encode($tableSchema) . "'>\n";
+            $html .= "<table class=\"{$tableClass} {$themeTableClass} datatables-table{$layoutClass}\"{$gridAttrs} data-columns='" . htmlspecialchars(json_encode($tableSchema), ENT_QUOTES) . "'>\n";
 
             // Table header
             $html .= "<thead" . (!empty($theadClass) ? " class=\"{$theadClass}\"" : "") . ">\n";
@@ -682,17 +966,18 @@ if (! class_exists('KPT\Renderer', false)) {
             $html .= "</thead>\n";
 
             // Table body - populated dynamically via JavaScript AJAX calls
-            $html .= "<tbody class=\"datatables-tbody" . (!empty($tbodyClass) ? " {$tbodyClass}" : "") . "\" id=\"datatables-tbody\">\n";
+            $html .= "<tbody class=\"datatables-tbody" . (!empty($tbodyClass) ? " {$tbodyClass}" : "") . "\" id=\"" . $this->getDomId('datatables-tbody') . "\">\n";
 
-            // Calculate total column count for loading placeholder colspan
-            $totalColumns = count($columns) + 1;
+            // Calculate visible column count for loading placeholder colspan
+            $visibleColumns = array_filter(array_keys($columns), fn($column) => !$this->isHiddenColumn($column));
+            $totalColumns = max(1, count($visibleColumns)) + 1;
             if ($bulkActions['enabled']) {
                 $totalColumns++;
             }
 
             // Initial loading placeholder row
             $centerClass = $tm->getClass('text.center');
-            $html .= "<tr><td colspan=\"{$totalColumns}\" class=\"{$centerClass}\">Loading...</td></tr>\n";
+            $html .= "<tr><td colspan=\"{$totalColumns}\" class=\"{$centerClass}\">" . $this->translate('table.loading') . "</td></tr>\n";
             $html .= "</tbody>\n";
 
             // Table footer with column headers and optional aggregation rows
@@ -724,6 +1009,49 @@ if (! class_exists('KPT\Renderer', false)) {
             $html = $this->renderAddModal();
             $html .= $this->renderEditModal();
             $html .= $this->renderDeleteModal();
+            if ($this->getImportConfig()['enabled']) {
+                $html .= $this->renderImportModal();
+            }
+            return $html;
+        }
+
+        /**
+         * Render the CSV import modal dialog
+         *
+         * An empty, wide modal; the JavaScript import wizard renders each
+         * step (file, column mapping, preview, progress) into its body.
+         *
+         * @return string HTML for the import modal
+         * @since  1.3.0
+         */
+        protected function renderImportModal(): string
+        {
+            $tm = $this->getThemeManager();
+            $modalId = $this->getDomId('import-modal');
+            $bodyId = $this->getDomId('import-body');
+            $tableAttr = "data-table=\"{$this->getTableName()}\"";
+
+            if ($this->theme === 'bootstrap') {
+                $html = "<div class=\"modal fade\" id=\"{$modalId}\"" . $this->getLangAttributes() . " {$tableAttr} tabindex=\"-1\">\n";
+                $html .= "<div class=\"modal-dialog modal-lg\">\n<div class=\"modal-content\">\n";
+                $html .= "<div class=\"modal-header\">\n<h5 class=\"modal-title\">" . $this->translate('import.title') . "</h5>\n";
+                $html .= "<button type=\"button\" class=\"btn-close\" data-bs-dismiss=\"modal\"></button>\n</div>\n";
+                $html .= "<div class=\"modal-body\" id=\"{$bodyId}\"></div>\n";
+                $html .= "</div>\n</div>\n</div>\n";
+            } else {
+                $modalClass = $tm->getClass('modal');
+                $dialogClass = $tm->getClass('modal.dialog');
+                $bodyClass = $tm->getClass('modal.body');
+                $titleClass = $tm->getClass('modal.title');
+                $containerClass = $this->theme === 'uikit' ? ' uk-modal-container' : '';
+
+                $html = "<div id=\"{$modalId}\"" . $this->getLangAttributes() . " {$tableAttr} class=\"{$modalClass}{$containerClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
+                $html .= "<div class=\"{$dialogClass}\">\n<div class=\"{$bodyClass}\">\n";
+                $html .= "<h2 class=\"{$titleClass}\">" . $this->translate('import.title') . "</h2>\n";
+                $html .= "<div id=\"{$bodyId}\"></div>\n";
+                $html .= "</div>\n</div>\n</div>\n";
+            }
+
             return $html;
         }
 
@@ -744,10 +1072,11 @@ if (! class_exists('KPT\Renderer', false)) {
             $formFields = $formConfig['fields'];
             $title = $formConfig['title'];
             $formClass = $formConfig['class'] ?? '';
+            $modalId = $this->getDomId('add-modal');
 
             // Theme-specific modal structure
             if ($this->theme === 'bootstrap') {
-                $html = "<div class=\"modal fade\" id=\"add-modal\" tabindex=\"-1\">\n<div class=\"modal-dialog\">\n<div class=\"modal-content\">\n";
+                $html = "<div class=\"modal fade\" id=\"{$modalId}\"" . $this->getLangAttributes() . " data-table=\"{$this->getTableName()}\" tabindex=\"-1\">\n<div class=\"modal-dialog\">\n<div class=\"modal-content\">\n";
                 $html .= "<div class=\"modal-header\">\n<h5 class=\"modal-title\">{$title}</h5>\n";
                 $html .= "<button type=\"button\" class=\"btn-close\" data-bs-dismiss=\"modal\"></button>\n</div>\n";
                 $html .= "<div class=\"modal-body\">\n";
@@ -756,17 +1085,17 @@ if (! class_exists('KPT\Renderer', false)) {
                 $dialogClass = $tm->getClass('modal.dialog');
                 $bodyClass = $tm->getClass('modal.body');
                 $titleClass = $tm->getClass('modal.title');
-                $html = "<div id=\"add-modal\" class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
+                $html = "<div id=\"{$modalId}\"" . $this->getLangAttributes() . " data-table=\"{$this->getTableName()}\" class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
                 $html .= "<div class=\"{$dialogClass}\">\n<div class=\"{$bodyClass}\">\n";
                 $html .= "<h2 class=\"{$titleClass}\">{$title}</h2>\n";
             }
 
             // Form element with AJAX submit handler
             $formStackedClass = $tm->getClass('form.stacked');
-            $html .= "<form class=\"{$formStackedClass} {$formClass}\" id=\"add-form\" onsubmit=\"return DataTables.submitAddForm(event)\">\n";
+            $html .= "<form class=\"{$formStackedClass} {$formClass}\" id=\"" . $this->getDomId('add-form') . "\" onsubmit=\"return {$this->getJsInstance()}.submitAddForm(event)\">\n";
 
             // Render each configured form field
-            $html .= $this->renderTabbedFormFields($formFields, 'add');
+            $html .= $this->renderTabbedFormFields($formFields, $this->getDomId('add'));
 
             // Form action buttons (Cancel and Submit)
             $marginTopClass = $tm->getClass('margin.top');
@@ -779,14 +1108,14 @@ if (! class_exists('KPT\Renderer', false)) {
 
             // Cancel button with theme-appropriate modal close behavior
             if ($this->theme === 'bootstrap') {
-                $html .= "<button class=\"{$buttonDefaultClass}\" type=\"button\" data-bs-dismiss=\"modal\">Cancel</button>\n";
+                $html .= "<button class=\"{$buttonDefaultClass}\" type=\"button\" data-bs-dismiss=\"modal\">" . $this->translate('modal.cancel') . "</button>\n";
             } else {
                 $closeClass = $this->theme === 'uikit' ? ' uk-modal-close' : '';
-                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('add-modal')\"" : "";
-                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>Cancel</button>\n";
+                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('{$modalId}')\"" : "";
+                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>" . $this->translate('modal.cancel') . "</button>\n";
             }
 
-            $html .= "<button class=\"{$buttonPrimaryClass} {$marginSmallLeftClass}\" type=\"submit\">Add Record</button>\n";
+            $html .= "<button class=\"{$buttonPrimaryClass} {$marginSmallLeftClass}\" type=\"submit\">" . $this->translate('form.add_submit') . "</button>\n";
             $html .= "</div>\n</form>\n";
 
             // Close modal structure
@@ -820,10 +1149,11 @@ if (! class_exists('KPT\Renderer', false)) {
 
             // Extract unqualified primary key for form field naming
             $unqualifiedPK = strpos($primaryKey, '.') !== false ? explode('.', $primaryKey)[1] : $primaryKey;
+            $modalId = $this->getDomId('edit-modal');
 
             // Theme-specific modal structure
             if ($this->theme === 'bootstrap') {
-                $html = "<div class=\"modal fade\" id=\"edit-modal\" tabindex=\"-1\">\n<div class=\"modal-dialog\">\n<div class=\"modal-content\">\n";
+                $html = "<div class=\"modal fade\" id=\"{$modalId}\"" . $this->getLangAttributes() . " data-table=\"{$this->getTableName()}\" tabindex=\"-1\">\n<div class=\"modal-dialog\">\n<div class=\"modal-content\">\n";
                 $html .= "<div class=\"modal-header\">\n<h5 class=\"modal-title\">{$title}</h5>\n";
                 $html .= "<button type=\"button\" class=\"btn-close\" data-bs-dismiss=\"modal\"></button>\n</div>\n";
                 $html .= "<div class=\"modal-body\">\n";
@@ -832,20 +1162,20 @@ if (! class_exists('KPT\Renderer', false)) {
                 $dialogClass = $tm->getClass('modal.dialog');
                 $bodyClass = $tm->getClass('modal.body');
                 $titleClass = $tm->getClass('modal.title');
-                $html = "<div id=\"edit-modal\" class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
+                $html = "<div id=\"{$modalId}\"" . $this->getLangAttributes() . " data-table=\"{$this->getTableName()}\" class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
                 $html .= "<div class=\"{$dialogClass}\">\n<div class=\"{$bodyClass}\">\n";
                 $html .= "<h2 class=\"{$titleClass}\">{$title}</h2>\n";
             }
 
             // Form element with AJAX submit handler
             $formStackedClass = $tm->getClass('form.stacked');
-            $html .= "<form class=\"{$formStackedClass} {$formClass}\" id=\"edit-form\" onsubmit=\"return DataTables.submitEditForm(event)\">\n";
+            $html .= "<form class=\"{$formStackedClass} {$formClass}\" id=\"" . $this->getDomId('edit-form') . "\" onsubmit=\"return {$this->getJsInstance()}.submitEditForm(event)\">\n";
 
             // Hidden primary key field - populated by JavaScript when loading record
-            $html .= "<input type=\"hidden\" name=\"{$unqualifiedPK}\" id=\"edit-{$unqualifiedPK}\">\n";
+            $html .= "<input type=\"hidden\" name=\"{$unqualifiedPK}\" id=\"" . $this->getDomId('edit') . "-{$unqualifiedPK}\">\n";
 
             // Render each configured form field
-            $html .= $this->renderTabbedFormFields($formFields, 'edit');
+            $html .= $this->renderTabbedFormFields($formFields, $this->getDomId('edit'));
 
             // Form action buttons (Cancel and Submit)
             $marginTopClass = $tm->getClass('margin.top');
@@ -858,14 +1188,14 @@ if (! class_exists('KPT\Renderer', false)) {
 
             // Cancel button with theme-appropriate modal close behavior
             if ($this->theme === 'bootstrap') {
-                $html .= "<button class=\"{$buttonDefaultClass}\" type=\"button\" data-bs-dismiss=\"modal\">Cancel</button>\n";
+                $html .= "<button class=\"{$buttonDefaultClass}\" type=\"button\" data-bs-dismiss=\"modal\">" . $this->translate('modal.cancel') . "</button>\n";
             } else {
                 $closeClass = $this->theme === 'uikit' ? ' uk-modal-close' : '';
-                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('edit-modal')\"" : "";
-                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>Cancel</button>\n";
+                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('{$modalId}')\"" : "";
+                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>" . $this->translate('modal.cancel') . "</button>\n";
             }
 
-            $html .= "<button class=\"{$buttonPrimaryClass} {$marginSmallLeftClass}\" type=\"submit\">Update Record</button>\n";
+            $html .= "<button class=\"{$buttonPrimaryClass} {$marginSmallLeftClass}\" type=\"submit\">" . $this->translate('form.edit_submit') . "</button>\n";
             $html .= "</div>\n</form>\n";
 
             // Close modal structure
@@ -890,17 +1220,20 @@ if (! class_exists('KPT\Renderer', false)) {
         protected function renderDeleteModal(): string
         {
             $tm = $this->getThemeManager();
+            $modalId = $this->getDomId('delete-modal');
+            $tableAttr = "data-table=\"{$this->getTableName()}\"";
+            $js = $this->getJsInstance();
 
             if ($this->theme === 'bootstrap') {
                 // Bootstrap modal structure with header, body, and footer
-                $html = "<div class=\"modal fade\" id=\"delete-modal\" tabindex=\"-1\">\n";
+                $html = "<div class=\"modal fade\" id=\"{$modalId}\"" . $this->getLangAttributes() . " {$tableAttr} tabindex=\"-1\">\n";
                 $html .= "<div class=\"modal-dialog modal-dialog-centered\">\n<div class=\"modal-content\">\n";
-                $html .= "<div class=\"modal-header\">\n<h5 class=\"modal-title\">Confirm Delete</h5>\n";
+                $html .= "<div class=\"modal-header\">\n<h5 class=\"modal-title\">" . $this->translate('delete.title') . "</h5>\n";
                 $html .= "<button type=\"button\" class=\"btn-close\" data-bs-dismiss=\"modal\"></button>\n</div>\n";
-                $html .= "<div class=\"modal-body\">\n<p>Are you sure you want to delete this record? This action cannot be undone.</p>\n</div>\n";
+                $html .= "<div class=\"modal-body\">\n<p>" . $this->translate('delete.confirm') . "</p>\n</div>\n";
                 $html .= "<div class=\"modal-footer\">\n";
-                $html .= "<button class=\"btn btn-secondary\" type=\"button\" data-bs-dismiss=\"modal\">Cancel</button>\n";
-                $html .= "<button class=\"btn btn-danger\" type=\"button\" onclick=\"DataTables.confirmDelete()\">Delete</button>\n";
+                $html .= "<button class=\"btn btn-secondary\" type=\"button\" data-bs-dismiss=\"modal\">" . $this->translate('modal.cancel') . "</button>\n";
+                $html .= "<button class=\"btn btn-danger\" type=\"button\" onclick=\"{$js}.confirmDelete()\">" . $this->translate('delete.submit') . "</button>\n";
                 $html .= "</div>\n</div>\n</div>\n</div>\n";
             } else {
                 // UIKit / Plain / Tailwind modal structure
@@ -914,17 +1247,17 @@ if (! class_exists('KPT\Renderer', false)) {
                 $buttonDangerClass = $tm->getClass('button.danger');
                 $marginSmallLeftClass = $tm->getClass('margin.small.left');
 
-                $html = "<div id=\"delete-modal\" class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
+                $html = "<div id=\"{$modalId}\"" . $this->getLangAttributes() . " {$tableAttr} class=\"{$modalClass}\"" . ($this->theme === 'uikit' ? ' uk-modal' : '') . ">\n";
                 $html .= "<div class=\"{$dialogClass}\">\n<div class=\"{$bodyClass}\">\n";
-                $html .= "<h2 class=\"{$titleClass}\">Confirm Delete</h2>\n";
-                $html .= "<p>Are you sure you want to delete this record? This action cannot be undone.</p>\n";
+                $html .= "<h2 class=\"{$titleClass}\">" . $this->translate('delete.title') . "</h2>\n";
+                $html .= "<p>" . $this->translate('delete.confirm') . "</p>\n";
 
                 // Action buttons
                 $html .= "<div class=\"{$marginTopClass} {$textRightClass}\">\n";
                 $closeClass = $this->theme === 'uikit' ? ' uk-modal-close' : '';
-                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('delete-modal')\"" : "";
-                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>Cancel</button>\n";
-                $html .= "<button class=\"{$buttonDangerClass} {$marginSmallLeftClass}\" type=\"button\" onclick=\"DataTables.confirmDelete()\">Delete</button>\n";
+                $onclick = $this->theme !== 'uikit' ? " onclick=\"KPDataTablesPlain.hideModal('{$modalId}')\"" : "";
+                $html .= "<button class=\"{$buttonDefaultClass}{$closeClass}\" type=\"button\"{$onclick}>" . $this->translate('modal.cancel') . "</button>\n";
+                $html .= "<button class=\"{$buttonDangerClass} {$marginSmallLeftClass}\" type=\"button\" onclick=\"{$js}.confirmDelete()\">" . $this->translate('delete.submit') . "</button>\n";
                 $html .= "</div>\n</div>\n</div>\n</div>\n";
             }
 
@@ -1001,7 +1334,7 @@ if (! class_exists('KPT\Renderer', false)) {
                     $html .= "<select class=\"{$selectClass}\" id=\"{$fieldId}\" name=\"{$fieldName}\" {$attrString} " . ($required ? "required" : "") . ($disabled ? " disabled" : "") . ">\n";
                     $selected0 = ($value == '0' || $value === false) ? ' selected' : '';
                     $selected1 = ($value == '1' || $value === true) ? ' selected' : '';
-                    $html .= "<option value=\"0\"{$selected0}>Inactive</option>\n<option value=\"1\"{$selected1}>Active</option>\n</select>\n";
+                    $html .= "<option value=\"0\"{$selected0}>" . $this->translate('boolean.inactive') . "</option>\n<option value=\"1\"{$selected1}>" . $this->translate('boolean.active') . "</option>\n</select>\n";
                     break;
 
                 case 'checkbox':
@@ -1127,11 +1460,11 @@ if (! class_exists('KPT\Renderer', false)) {
                     $html .= "<label class=\"{$formLabelClass}\" for=\"{$fieldId}\">{$label}" . ($required ? " <span class=\"{$dangerClass}\">*</span>" : "") . "</label>\n";
                     if (!empty($value)) {
                         $imageSrc = (strpos($value, 'http') === 0) ? $value : "/uploads/{$value}";
-                        $html .= "<div class=\"mb-2\"><img src=\"{$imageSrc}\" alt=\"Current image\" style=\"max-width: 150px; max-height: 150px; object-fit: cover;\" class=\"rounded\"></div>\n";
+                        $html .= "<div class=\"mb-2\"><img src=\"{$imageSrc}\" alt=\"" . $this->translate('image.current') . "\" style=\"max-width: 150px; max-height: 150px; object-fit: cover;\" class=\"rounded\"></div>\n";
                     }
-                    $html .= "<input type=\"url\" class=\"{$inputClass} mb-2\" id=\"{$fieldId}\" name=\"{$fieldName}\" placeholder=\"Enter image URL or upload file below\" value=\"{$value}\" {$attrString} " . ($disabled ? " disabled" : "") . ">\n";
+                    $html .= "<input type=\"url\" class=\"{$inputClass} mb-2\" id=\"{$fieldId}\" name=\"{$fieldName}\" placeholder=\"" . $this->translate('image.url_placeholder') . "\" value=\"{$value}\" {$attrString} " . ($disabled ? " disabled" : "") . ">\n";
                     $html .= "<div class=\"mt-2\">\n<input type=\"file\" class=\"{$inputClass}\" id=\"{$fieldId}-file\" name=\"{$fieldName}-file\" accept=\"image/*\" {$attrString} " . ($disabled ? " disabled" : "") . ">\n";
-                    $html .= "<small class=\"" . $tm->getClass('text.muted') . "\">Upload an image file or enter URL above</small>\n</div>\n";
+                    $html .= "<small class=\"" . $tm->getClass('text.muted') . "\">" . $this->translate('image.upload_hint') . "</small>\n</div>\n";
                     break;
 
                 case 'datepicker':
@@ -1296,27 +1629,27 @@ if (! class_exists('KPT\Renderer', false)) {
 
             $rows = [];
             if ($needsPageSum) {
-                $rows[] = ['label' => $customLabel ?: 'Page Sum', 'agg' => 'sum', 'scope' => 'page'];
+                $rows[] = ['label' => $customLabel ?: $this->translate('footer.page_sum'), 'agg' => 'sum', 'scope' => 'page'];
             }
             if ($needsAllSum) {
-                $rows[] = ['label' => $customLabel ?: 'Total Sum', 'agg' => 'sum', 'scope' => 'all'];
+                $rows[] = ['label' => $customLabel ?: $this->translate('footer.total_sum'), 'agg' => 'sum', 'scope' => 'all'];
             }
             if ($needsPageAvg) {
-                $rows[] = ['label' => $customLabel ?: 'Page Avg', 'agg' => 'avg', 'scope' => 'page'];
+                $rows[] = ['label' => $customLabel ?: $this->translate('footer.page_avg'), 'agg' => 'avg', 'scope' => 'page'];
             }
             if ($needsAllAvg) {
-                $rows[] = ['label' => $customLabel ?: 'Total Avg', 'agg' => 'avg', 'scope' => 'all'];
+                $rows[] = ['label' => $customLabel ?: $this->translate('footer.total_avg'), 'agg' => 'avg', 'scope' => 'all'];
             }
 
             // Build ordered list of column keys, resolving aliases
             $colKeys = [];
+            $hiddenKeys = [];
             foreach ($columns as $column => $label) {
-                $colKey = $column;
-                if (stripos($column, ' AS ') !== false) {
-                    $parts = preg_split('/\s+AS\s+/i', $column);
-                    $colKey = trim($parts[1] ?? $column, '`\'" ');
-                }
+                $colKey = $this->getColumnKey($column);
                 $colKeys[] = $colKey;
+                if ($this->isHiddenColumn($column)) {
+                    $hiddenKeys[] = $colKey;
+                }
             }
 
             // Count leading non-aggregated data columns
@@ -1328,19 +1661,26 @@ if (! class_exists('KPT\Renderer', false)) {
                 $dataLeading++;
             }
 
-            // Total colspan = extra columns (bulk, action-start) + non-aggregated data columns
-            $leadingCols = $dataLeading;
+            // Total colspan = extra columns (bulk, action-start) + visible non-aggregated data columns
+            $leadingFixed = 0;
             if ($bulkActions['enabled']) {
-                $leadingCols++;
+                $leadingFixed++;
             }
             if ($actionConfig['position'] === 'start') {
-                $leadingCols++;
+                $leadingFixed++;
+            }
+            $leadingColKeys = array_slice($colKeys, 0, $dataLeading);
+            $visibleLeading = $leadingFixed + count(array_diff($leadingColKeys, $hiddenKeys));
+            $leadingCols = max(1, $visibleLeading);
+
+            // Hidden columns are tracked client-side, so the label cell carries what it spans
+            $labelAttrs = "class=\"datatables-agg-label\" data-leading-fixed=\"{$leadingFixed}\" data-leading-columns='" . htmlspecialchars(json_encode($leadingColKeys), ENT_QUOTES) . "'";
+            if ($leadingFixed + $dataLeading > 0 && $visibleLeading === 0) {
+                $labelAttrs .= " hidden";
             }
-            $leadingCols = max(1, $leadingCols);
 
             // Trailing columns use only the data column offset
             $trailingColKeys = array_slice($colKeys, $dataLeading);
-            ;
 
             $html = '';
 
@@ -1348,24 +1688,25 @@ if (! class_exists('KPT\Renderer', false)) {
                 $html .= "<tr class=\"datatables-agg-row\" data-agg-type=\"{$row['agg']}\" data-agg-scope=\"{$row['scope']}\">\n";
 
                 // Label cell with colspan
-                $html .= "<td colspan=\"{$leadingCols}\" style=\"{$boldStyle} text-align: right;\">{$row['label']}</td>\n";
+                $html .= "<td colspan=\"{$leadingCols}\" {$labelAttrs} style=\"{$boldStyle} text-align: end;\">{$row['label']}</td>\n";
 
                 // Individual cells for remaining columns
                 foreach ($trailingColKeys as $colKey) {
+                    $hiddenAttr = in_array($colKey, $hiddenKeys) ? ' hidden' : '';
                     if (isset($aggregations[$colKey])) {
                         $aggConfig = $aggregations[$colKey];
                         $showThis = ($aggConfig['type'] === $row['agg'] || $aggConfig['type'] === 'both')
                             && ($aggConfig['scope'] === $row['scope'] || $aggConfig['scope'] === 'both');
 
                         if ($showThis) {
-                            $html .= "<td class=\"datatables-agg-cell\" data-agg-column=\"{$colKey}\" "
-                                . "data-agg-type=\"{$row['agg']}\" data-agg-scope=\"{$row['scope']}\" "
+                            $html .= "<td class=\"datatables-agg-cell\" data-column=\"{$colKey}\" data-agg-column=\"{$colKey}\" "
+                                . "data-agg-type=\"{$row['agg']}\" data-agg-scope=\"{$row['scope']}\"{$hiddenAttr}"
                                 . ">—</td>\n";
                         } else {
-                            $html .= "<td></td>\n";
+                            $html .= "<td data-column=\"{$colKey}\"{$hiddenAttr}></td>\n";
                         }
                     } else {
-                        $html .= "<td></td>\n";
+                        $html .= "<td data-column=\"{$colKey}\"{$hiddenAttr}></td>\n";
                     }
                 }
 
@@ -1384,6 +1725,8 @@ if (! class_exists('KPT\Renderer', false)) {
          * and aggregation settings to JSON for the JavaScript constructor.
          * Callbacks are stripped from action configs (not JSON-serializable)
          * but flagged with hasCallback for server-side execution routing.
+         * Each instance registers itself by table name, so several tables
+         * can be initialized on the same page (see DataTablesJS.get()).
          *
          * @return string HTML script block with DataTables initialization
          */
@@ -1420,9 +1763,8 @@ if (! class_exists('KPT\Renderer', false)) {
 
             // Build JavaScript initialization block
             $html = "<script>\n";
-            $html .= "var DataTables;\n";
             $html .= "document.addEventListener('DOMContentLoaded', function() {\n";
-            $html .= "    DataTables = new DataTablesJS({\n";
+            $html .= "    new DataTablesJS({\n";
             $html .= "        tableName: '{$tableName}',\n";
             $html .= "        primaryKey: '{$jsPrimaryKey}',\n";
             $html .= "        inlineEditableColumns: {$inlineEditableColumns},\n";
@@ -1435,7 +1777,9 @@ if (! class_exists('KPT\Renderer', false)) {
             $html .= "        defaultSortColumn: '{$defaultSortColumn}',\n";
             $html .= "        defaultSortDirection: '{$defaultSortDirection}',\n";
             $html .= "        theme: '{$this->theme}',\n";
-            $html .= "        footerAggregations: " . json_encode($this->getFooterAggregations()) . "\n";
+            $html .= "        locale: '{$this->getTranslator()->getLocale()}',\n";
+            $html .= "        messages: " . json_encode($this->getTranslator()->getMessages(), JSON_HEX_TAG | JSON_UNESCAPED_UNICODE) . ",\n";
+            $html .= "        footerAggregations: " . json_encode($this->getFooterAggregations()) . ",\n";
             $datepickerFormatters = [];
             foreach ($this->getTableSchema() as $colName => $info) {
                 $type = $info['override_type'] ?? $info['type'] ?? 'text';
@@ -1446,6 +1790,59 @@ if (! class_exists('KPT\Renderer', false)) {
             if (!empty($datepickerFormatters)) {
                 $html .= "        datepickerFormatters: " . json_encode($datepickerFormatters) . ",\n";
             }
+            $html .= "        pageSizeOptions: " . json_encode(array_values($this->getPageSizeOptions())) . ",\n";
+            $html .= "        includeAllOption: " . ($this->getIncludeAllOption() ? 'true' : 'false') . ",\n";
+            $html .= "        filterFields: " . json_encode(array_keys($this->getFilterConfig())) . ",\n";
+            $html .= "        reorderableColumns: " . ($this->isColumnReorderEnabled() ? 'true' : 'false') . ",\n";
+            $html .= "        resizableColumns: " . ($this->isColumnResizeEnabled() ? 'true' : 'false') . ",\n";
+            if ($this->getFrozenColumns() > 0) {
+                $html .= "        frozenColumns: " . $this->getFrozenColumns() . ",\n";
+            }
+            if ($this->getInfiniteScrollConfig()['enabled']) {
+                $html .= "        infiniteScroll: true,\n";
+            }
+            if ($this->isClientSideEnabled()) {
+                $html .= "        clientSide: true,\n";
+            } elseif ($this->getCursorPaginationConfig()['enabled']) {
+                $html .= "        cursorPagination: true,\n";
+            }
+            $hiddenColumns = [];
+            foreach (array_keys($columns) as $column) {
+                if ($this->isHiddenColumn($column)) {
+                    $hiddenColumns[] = $this->getColumnKey($column);
+                }
+            }
+            if (!empty($hiddenColumns)) {
+                $html .= "        hiddenColumns: " . json_encode($hiddenColumns) . ",\n";
+            }
+            $preferences = $this->getPreferencesConfig();
+            if ($preferences['enabled']) {
+                $html .= "        preferences: " . json_encode(['storage' => $preferences['storage'], 'expiry' => $preferences['expiry']]) . ",\n";
+            }
+            $urlState = $this->getUrlStateConfig();
+            if ($urlState['enabled']) {
+                $html .= "        urlState: " . json_encode(['mode' => $urlState['mode'], 'param' => $urlState['param']]) . ",\n";
+            }
+            $importConfig = $this->getImportConfig();
+            if ($importConfig['enabled']) {
+                $importFields = [];
+                foreach ($this->getImportFields() as $field => $config) {
+                    $importFields[] = [
+                        'name' => $field,
+                        'label' => $config['label'] ?? $field,
+                        'required' => !empty($config['required']),
+                    ];
+                }
+                $html .= "        importConfig: " . json_encode(['chunkSize' => $importConfig['chunkSize'], 'fields' => $importFields]) . ",\n";
+            }
+            if (!empty($this->getTransportConfig())) {
+                $html .= "        transport: " . json_encode($this->getTransportConfig()) . ",\n";
+            }
+            // A null token is fetched by the JS before its first mutation (see AjaxHandler csrf_token)
+            $csrfConfig = $this->getCsrfConfig();
+            if ($csrfConfig['enabled']) {
+                $html .= "        csrf: " . json_encode(['field' => $csrfConfig['field'], 'token' => $this->getCsrfToken()], JSON_HEX_TAG) . ",\n";
+            }
             $html .= "    });\n";
             $html .= "});\n";
             $html .= "</script>\n";
@@ -1485,7 +1882,7 @@ if (! class_exists('KPT\Renderer', false)) {
             $tabId = "{$prefix}-tabs-" . uniqid();
             $orderedTabs = [];
             if (isset($tabs['__default__'])) {
-                $orderedTabs['General'] = $tabs['__default__'];
+                $orderedTabs[$this->translate('form.general_tab')] = $tabs['__default__'];
                 unset($tabs['__default__']);
             }
             foreach ($tabs as $tabName => $tabFields) {
@@ -37,6 +37,8 @@ if (! class_exists('KPT\ThemeManager', false)) {
         private const CDN_UIKIT_MINCSS = 'https://cdn.jsdelivr.net/npm/uikit@latest/dist/css/uikit.min.css';
         private const CDN_UIKIT_MINJS = 'https://cdn.jsdelivr.net/npm/uikit@latest/dist/js/uikit.min.js';
         private const CDN_UIKIT_MINICONS = 'https://cdn.jsdelivr.net/npm/uikit@latest/dist/js/uikit-icons.min.js';
+        private const CDN_UIKIT_RTLCSS = 'https://cdn.jsdelivr.net/npm/uikit@latest/dist/css/uikit-rtl.css';
+        private const CDN_UIKIT_MINRTLCSS = 'https://cdn.jsdelivr.net/npm/uikit@latest/dist/css/uikit-rtl.min.css';
 
         // BOOSTRAP
         private const CDN_BOOTSTRAP_CSS = 'https://cdn.jsdelivr.net/npm/bootstrap@latest/dist/css/bootstrap.css';
@@ -45,6 +47,8 @@ if (! class_exists('KPT\ThemeManager', false)) {
         private const CDN_BOOTSTRAP_MINCSS = 'https://cdn.jsdelivr.net/npm/bootstrap@latest/dist/css/bootstrap.min.css';
         private const CDN_BOOTSTRAP_MINJS = 'https://cdn.jsdelivr.net/npm/bootstrap@latest/dist/js/bootstrap.bundle.min.js';
         private const CDN_BOOTSTRAP_MINICONS = 'https://cdn.jsdelivr.net/npm/bootstrap-icons@latest/font/bootstrap-icons.min.css';
+        private const CDN_BOOTSTRAP_RTLCSS = 'https://cdn.jsdelivr.net/npm/bootstrap@latest/dist/css/bootstrap.rtl.css';
+        private const CDN_BOOTSTRAP_MINRTLCSS = 'https://cdn.jsdelivr.net/npm/bootstrap@latest/dist/css/bootstrap.rtl.min.css';
 
         /**
          * Current theme
@@ -155,9 +159,10 @@ if (! class_exists('KPT\ThemeManager', false)) {
          *
          * @param  bool $includeCdn Whether to include CDN links for framework
          * @param  bool $useMinified Whether to include the minified versions for framework
+         * @param  bool $rtl Whether to include the right-to-left build of the framework
          * @return string HTML link tags
          */
-        public function getCssIncludes(bool $includeCdn = true, bool $useMinified = false): string
+        public function getCssIncludes(bool $includeCdn = true, bool $useMinified = false, bool $rtl = false): string
         {
             $html = '';
 
@@ -165,11 +170,19 @@ if (! class_exists('KPT\ThemeManager', false)) {
             if ($includeCdn) {
                 switch ($this->theme) {
                     case self::THEME_UIKIT:
-                        $css = ($useMinified) ? self::CDN_UIKIT_MINCSS : self::CDN_UIKIT_CSS;
+                        if ($rtl) {
+                            $css = ($useMinified) ? self::CDN_UIKIT_MINRTLCSS : self::CDN_UIKIT_RTLCSS;
+                        } else {
+                            $css = ($useMinified) ? self::CDN_UIKIT_MINCSS : self::CDN_UIKIT_CSS;
+                        }
                         $html .= "<link rel=\"stylesheet\" href=\"" . $css . "\">\n";
                         break;
                     case self::THEME_BOOTSTRAP:
-                        $css = ($useMinified) ? self::CDN_BOOTSTRAP_MINCSS : self::CDN_BOOTSTRAP_CSS;
+                        if ($rtl) {
+                            $css = ($useMinified) ? self::CDN_BOOTSTRAP_MINRTLCSS : self::CDN_BOOTSTRAP_RTLCSS;
+                        } else {
+                            $css = ($useMinified) ? self::CDN_BOOTSTRAP_MINCSS : self::CDN_BOOTSTRAP_CSS;
+                        }
                         $cssIcons = ($useMinified) ? self::CDN_BOOTSTRAP_MINICONS : self::CDN_BOOTSTRAP_ICONS;
                         $html .= "<link rel=\"stylesheet\" href=\"" . $css . "\">\n";
                         $html .= "<link rel=\"stylesheet\" href=\"" . $cssIcons . "\">\n";
@@ -273,6 +286,7 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'triangle-down' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polygon points="5 7 10 12 15 7"/></svg>',
                 'chevron-double-left' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="10 14 6 10 10 6"/><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="14 14 10 10 14 6"/></svg>',
                 'chevron-double-right' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="10 6 14 10 10 14"/><polyline fill="none" stroke="currentColor" stroke-width="1.03" points="6 6 10 10 6 14"/></svg>',
+                'upload' => '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 20 20"><polyline fill="none" stroke="currentColor" points="5 8 9.5 3.5 14 8"/><rect x="3" y="17" width="13" height="1"/><line fill="none" stroke="currentColor" x1="9.5" y1="15" x2="9.5" y2="4"/></svg>',
             ];
 
             $svg = $icons[$icon] ?? $icons['close'];
@@ -331,6 +345,7 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'text.muted' => 'kp-dt-text-muted',
                 'text.success' => 'kp-dt-text-success',
                 'text.danger' => 'kp-dt-text-danger',
+                'text.hidden' => 'kp-dt-visually-hidden',
                 'margin.top' => 'kp-dt-margin-top',
                 'margin.bottom' => 'kp-dt-margin-bottom',
                 'margin.small.right' => 'kp-dt-margin-small-right',
@@ -385,6 +400,7 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'text.muted' => 'uk-text-muted',
                 'text.success' => 'uk-text-success',
                 'text.danger' => 'uk-text-danger',
+                'text.hidden' => 'uk-hidden-visually',
                 'margin.top' => 'uk-margin-top',
                 'margin.bottom' => 'uk-margin-bottom',
                 'margin.small.right' => 'uk-margin-small-right',
@@ -439,6 +455,7 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'text.muted' => 'text-muted',
                 'text.success' => 'text-success',
                 'text.danger' => 'text-danger',
+                'text.hidden' => 'visually-hidden',
                 'margin.top' => 'mt-4',
                 'margin.bottom' => 'mb-4',
                 'margin.small.right' => 'me-2',
@@ -489,14 +506,15 @@ if (! class_exists('KPT\ThemeManager', false)) {
                 'grid.small' => 'flex flex-wrap gap-4',
                 'overflow.auto' => 'overflow-auto',
                 'text.center' => 'text-center',
-                'text.right' => 'text-right',
+                'text.right' => 'text-end',
                 'text.muted' => 'text-gray-400',
                 'text.success' => 'text-green-500',
                 'text.danger' => 'text-red-500',
+                'text.hidden' => 'sr-only',
                 'margin.top' => 'mt-5',
                 'margin.bottom' => 'mb-5',
-                'margin.small.right' => 'mr-2',
-                'margin.small.left' => 'ml-2',
+                'margin.small.right' => 'me-2',
+                'margin.small.left' => 'ms-2',
                 'width.auto' => 'w-auto',
                 'width.medium' => 'w-72',
                 'width.1-1' => 'w-full',
@@ -0,0 +1,213 @@
+<?php
+
+declare(strict_types=1);
+
+namespace KPT;
+
+// Check if class already exists before declaring it
+if (! class_exists('KPT\Translator', false)) {
+
+    /**
+     * Translator - Message Catalog and Locale Support
+     *
+     * Loads user-facing strings from the JSON locale packs in src/lang, on
+     * top of the English pack so a missing key still reads in English.
+     * Messages take {name} placeholders. A plural message is an object with
+     * one form per CLDR plural category (zero, one, two, few, many, other),
+     * picked by the "count" parameter. The merged catalog is handed to
+     * DataTablesJS, so the server and the browser share one set of strings.
+     *
+     * @since   1.3.0
+     * @author  Kevin Pirnie <me@kpirnie.com>
+     * @package KPT\DataTables
+     */
+    class Translator
+    {
+        /**
+         * Locale used when none is configured, and the fallback for missing keys
+         */
+        public const DEFAULT_LOCALE = 'en';
+
+        /**
+         * Languages written right to left
+         */
+        private const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+        /**
+         * Shape of a locale code: a language plus optional region or script subtags
+         */
+        public const LOCALE_PATTERN = '/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/';
+
+        /**
+         * Locale code (e.g., 'de', 'fr-CA')
+         *
+         * @var string
+         */
+        private string $locale;
+
+        /**
+         * Merged messages keyed by message key
+         *
+         * @var array
+         */
+        private array $messages;
+
+        /**
+         * Load the catalog for a locale
+         *
+         * A regional locale loads its language pack first, so 'de-AT' reads
+         * en.json, de.json and then de-AT.json if it exists.
+         *
+         * @param  string $locale   Locale code
+         * @param  array  $messages Overrides and additions keyed by message key
+         * @throws \InvalidArgumentException If the locale code is malformed
+         */
+        public function __construct(string $locale = self::DEFAULT_LOCALE, array $messages = [])
+        {
+            $locale = str_replace('_', '-', $locale);
+            if (!preg_match(self::LOCALE_PATTERN, $locale)) {
+                throw new \InvalidArgumentException("Invalid locale: {$locale}");
+            }
+            $this->locale = $locale;
+
+            $this->messages = self::loadPack(self::DEFAULT_LOCALE);
+            $language = $this->getLanguage();
+            if ($language !== self::DEFAULT_LOCALE) {
+                $this->messages = array_replace($this->messages, self::loadPack($language));
+            }
+            if ($locale !== $language) {
+                $this->messages = array_replace($this->messages, self::loadPack($locale));
+            }
+            $this->messages = array_replace($this->messages, $messages);
+        }
+
+        /**
+         * Get the directory holding the locale packs
+         *
+         * @return string Absolute path to src/lang
+         */
+        public static function getLangPath(): string
+        {
+            return dirname(__DIR__) . '/lang';
+        }
+
+        /**
+         * Read one locale pack
+         *
+         * @param  string $locale Locale code
+         * @return array Messages from the pack, or an empty array if there is none
+         */
+        private static function loadPack(string $locale): array
+        {
+            $file = self::getLangPath() . "/{$locale}.json";
+            if (!is_file($file)) {
+                return [];
+            }
+
+            $pack = json_decode((string) file_get_contents($file), true);
+            return is_array($pack) ? $pack : [];
+        }
+
+        /**
+         * Translate a message key
+         *
+         * Unknown keys come back unchanged. Placeholders without a matching
+         * parameter are left as they are.
+         *
+         * @param  string $key    Message key (e.g., 'pagination.next')
+         * @param  array  $params Placeholder values; 'count' also selects the plural form
+         * @return string Translated message
+         */
+        public function get(string $key, array $params = []): string
+        {
+            $message = $this->messages[$key] ?? $key;
+            if (is_array($message)) {
+                $category = $this->pluralCategory($params['count'] ?? 0);
+                $message = $message[$category] ?? $message['other'] ?? $key;
+            }
+
+            return preg_replace_callback(
+                '/\{(\w+)\}/',
+                fn($match) => array_key_exists($match[1], $params) ? (string) $params[$match[1]] : $match[0],
+                (string) $message
+            );
+        }
+
+        /**
+         * Get the CLDR plural category of a number for this locale
+         *
+         * Covers the rules of the bundled languages; other languages use the
+         * English rule. DataTablesJS uses Intl.PluralRules, which agrees on these.
+         *
+         * @param  int|float $count Number to categorize
+         * @return string Plural category (zero, one, two, few, many or other)
+         */
+        public function pluralCategory(int|float $count): string
+        {
+            $n = abs($count);
+            $isInteger = floor($n) == $n;
+
+            switch ($this->getLanguage()) {
+                case 'ar':
+                    $mod100 = $isInteger ? (int) $n % 100 : -1;
+                    return match (true) {
+                        $n == 0 => 'zero',
+                        $n == 1 => 'one',
+                        $n == 2 => 'two',
+                        $mod100 >= 3 && $mod100 <= 10 => 'few',
+                        $mod100 >= 11 && $mod100 <= 99 => 'many',
+                        default => 'other',
+                    };
+
+                case 'fr':
+                    if ($n < 2) {
+                        return 'one';
+                    }
+                    return $isInteger && (int) $n % 1000000 === 0 ? 'many' : 'other';
+
+                default:
+                    return $n == 1 && $isInteger ? 'one' : 'other';
+            }
+        }
+
+        /**
+         * Get the locale code
+         *
+         * @return string Locale code (e.g., 'de-AT')
+         */
+        public function getLocale(): string
+        {
+            return $this->locale;
+        }
+
+        /**
+         * Get the language part of the locale
+         *
+         * @return string Lowercase language code (e.g., 'de')
+         */
+        public function getLanguage(): string
+        {
+            return strtolower(explode('-', $this->locale)[0]);
+        }
+
+        /**
+         * Get the text direction of the locale
+         *
+         * @return string 'rtl' or 'ltr'
+         */
+        public function getDirection(): string
+        {
+            return in_array($this->getLanguage(), self::RTL_LANGUAGES, true) ? 'rtl' : 'ltr';
+        }
+
+        /**
+         * Get every message in the merged catalog
+         *
+         * @return array Messages keyed by message key
+         */
+        public function getMessages(): array
+        {
+            return $this->messages;
+        }
+    }
+}
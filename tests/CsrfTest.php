@@ -0,0 +1,86 @@
+<?php
+
+namespace KPT\Tests;
+
+use InvalidArgumentException;
+use KPT\AjaxHandler;
+use KPT\DataTables;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class CsrfTest extends TestCase
+{
+    protected function tearDown(): void
+    {
+        $_POST = [];
+        unset($_SERVER['HTTP_X_CSRF_TOKEN'], $_SERVER['REQUEST_METHOD']);
+    }
+
+    /**
+     * Check the token sent with the current request the way handle() does
+     */
+    private function accepts(DataTables $dataTable): bool
+    {
+        $token = (new ReflectionMethod(AjaxHandler::class, 'getRequestCsrfToken'))->invoke(new AjaxHandler($dataTable));
+        return $dataTable->verifyCsrfToken($token);
+    }
+
+    public function testRejectsAMissingToken(): void
+    {
+        $this->assertFalse($this->accepts((new DataTables())->csrf('s3cret')));
+    }
+
+    public function testRejectsAWrongToken(): void
+    {
+        $_POST['csrf_token'] = 's3cre';
+        $this->assertFalse($this->accepts((new DataTables())->csrf('s3cret')));
+
+        $_POST['csrf_token'] = ['s3cret'];
+        $this->assertFalse($this->accepts((new DataTables())->csrf('s3cret')));
+    }
+
+    public function testAcceptsTheTokenFromTheConfiguredField(): void
+    {
+        $_POST['csrf_token'] = 's3cret';
+        $this->assertTrue($this->accepts((new DataTables())->csrf('s3cret')));
+        $this->assertFalse($this->accepts((new DataTables())->csrf('s3cret', '_token')));
+
+        $_POST['_token'] = 's3cret';
+        $this->assertTrue($this->accepts((new DataTables())->csrf('s3cret', '_token')));
+    }
+
+    public function testAcceptsTheTokenFromTheHeader(): void
+    {
+        $_SERVER['HTTP_X_CSRF_TOKEN'] = 's3cret';
+        $this->assertTrue($this->accepts((new DataTables())->csrf('s3cret')));
+    }
+
+    public function testAcceptsAnythingWhenDisabled(): void
+    {
+        $this->assertTrue($this->accepts((new DataTables())->csrf(false)));
+    }
+
+    public function testCoversEveryMutatingAction(): void
+    {
+        $this->assertEqualsCanonicalizing([
+            'add_record',
+            'edit_record',
+            'delete_record',
+            'bulk_action',
+            'inline_edit',
+            'inline_edit_batch',
+            'upload_file',
+            'action_callback',
+            'import_records',
+        ], AjaxHandler::MUTATING_ACTIONS);
+    }
+
+    public function testRejectsMutatingActionsSentAsGet(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'GET';
+        $_POST['csrf_token'] = 's3cret';
+
+        $this->expectException(InvalidArgumentException::class);
+        (new AjaxHandler((new DataTables())->csrf('s3cret')))->handle('delete_record');
+    }
+}
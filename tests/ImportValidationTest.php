@@ -0,0 +1,112 @@
+<?php
+
+namespace KPT\Tests;
+
+use KPT\AjaxHandler;
+use KPT\DataTables;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class ImportValidationTest extends TestCase
+{
+    private const FIELDS = [
+        'name' => ['type' => 'text', 'required' => true],
+        'email' => ['type' => 'email'],
+        'role' => ['type' => 'select', 'options' => ['admin' => 'Administrator', 'user' => 'Member']],
+        'active' => ['type' => 'boolean'],
+        'joined' => ['type' => 'date'],
+    ];
+
+    private const SCHEMA = [
+        'name' => ['type' => 'text', 'null' => false],
+        'email' => ['type' => 'email', 'null' => true],
+        'role' => ['type' => 'select', 'null' => true],
+        'active' => ['type' => 'boolean', 'null' => false],
+        'joined' => ['type' => 'date', 'null' => true],
+    ];
+
+    /**
+     * Validate a row and return [data, errors]
+     */
+    private function validate(array $row): array
+    {
+        $handler = new AjaxHandler((new DataTables())->table('users'));
+        return (new ReflectionMethod(AjaxHandler::class, 'validateImportRow'))->invoke($handler, $row, self::FIELDS, self::SCHEMA);
+    }
+
+    public function testAcceptsAValidRow(): void
+    {
+        [$data, $errors] = $this->validate([
+            'name' => '  Ada  ',
+            'email' => 'ada@example.com',
+            'role' => 'admin',
+            'active' => '1',
+            'joined' => '1843-07-10',
+        ]);
+
+        $this->assertSame([], $errors);
+        $this->assertSame(['name' => 'Ada', 'email' => 'ada@example.com', 'role' => 'admin', 'active' => 1, 'joined' => '1843-07-10'], $data);
+    }
+
+    public function testMatchesSelectOptionsByLabel(): void
+    {
+        [$data, $errors] = $this->validate(['name' => 'Ada', 'role' => 'member']);
+
+        $this->assertSame([], $errors);
+        $this->assertSame('user', $data['role']);
+    }
+
+    public function testRejectsUnknownSelectOptions(): void
+    {
+        [, $errors] = $this->validate(['name' => 'Ada', 'role' => 'owner']);
+
+        $this->assertSame(['role' => 'Field role must be one of: Administrator, Member'], $errors);
+    }
+
+    public function testParsesBooleanWords(): void
+    {
+        foreach (['yes' => 1, 'TRUE' => 1, 'on' => 1, 'no' => 0, 'false' => 0, '' => 0] as $value => $expected) {
+            [$data, $errors] = $this->validate(['name' => 'Ada', 'active' => (string) $value]);
+            $this->assertSame([], $errors, "Value '{$value}'");
+            $this->assertSame($expected, $data['active'], "Value '{$value}'");
+        }
+
+        [, $errors] = $this->validate(['name' => 'Ada', 'active' => 'maybe']);
+        $this->assertSame(['active'], array_keys($errors));
+    }
+
+    public function testReportsEachInvalidField(): void
+    {
+        [$data, $errors] = $this->validate(['name' => '', 'email' => 'not an email', 'joined' => '10/07/1843']);
+
+        $this->assertSame(['name', 'email', 'joined'], array_keys($errors));
+        $this->assertSame('Field name is required', $errors['name']);
+        $this->assertSame([], $data);
+    }
+
+    public function testRequiresRequiredFieldsThatAreNotMapped(): void
+    {
+        [, $errors] = $this->validate(['email' => 'ada@example.com']);
+
+        $this->assertSame(['name' => 'Field name is required'], $errors);
+    }
+
+    public function testRejectsRowsWithNothingToImport(): void
+    {
+        $handler = new AjaxHandler((new DataTables())->table('users'));
+        $fields = ['email' => self::FIELDS['email']];
+
+        [$data, $errors] = (new ReflectionMethod(AjaxHandler::class, 'validateImportRow'))->invoke($handler, ['other' => 'x'], $fields, self::SCHEMA);
+
+        $this->assertSame([], $data);
+        $this->assertSame(['_row'], array_keys($errors));
+    }
+
+    public function testIgnoresNonScalarValues(): void
+    {
+        [$data, $errors] = $this->validate(['name' => ['Ada'], 'email' => 'ada@example.com']);
+
+        $this->assertSame(['name'], array_keys($errors));
+        $this->assertArrayNotHasKey('name', $data);
+    }
+}
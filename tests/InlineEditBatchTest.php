@@ -0,0 +1,82 @@
+<?php
+
+namespace KPT\Tests;
+
+use InvalidArgumentException;
+use KPT\AjaxHandler;
+use KPT\DataTables;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class InlineEditBatchTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+    }
+
+    protected function tearDown(): void
+    {
+        $_POST = [];
+        unset($_SERVER['REQUEST_METHOD']);
+    }
+
+    /**
+     * Send a batch to a table without a database, so only rejected batches return
+     */
+    private function sendBatch(array $edits): void
+    {
+        $dataTable = (new DataTables())->table('users')->inlineEditable(['name'])->csrf(false);
+        $_POST['edits'] = json_encode($edits);
+        (new AjaxHandler($dataTable))->handle('inline_edit_batch');
+    }
+
+    public static function invalidIds(): array
+    {
+        return [
+            'missing' => [null],
+            'zero' => [0],
+            'negative' => ['-3'],
+            'decimal' => ['1.5'],
+            'text' => ['abc'],
+            'trailing text' => ['12abc'],
+            'boolean' => [true],
+            'list' => [[4]],
+        ];
+    }
+
+    #[DataProvider('invalidIds')]
+    public function testRejectsTheBatchForAnInvalidId(mixed $id): void
+    {
+        $edit = ['field' => 'name', 'value' => 'Ada'];
+        if ($id !== null) {
+            $edit['id'] = $id;
+        }
+
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Valid record ID is required');
+        $this->sendBatch([['id' => 1, 'field' => 'name', 'value' => 'Grace'], $edit]);
+    }
+
+    public function testRejectsTheBatchForAFieldThatIsNotEditable(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->sendBatch([['id' => 1, 'field' => 'name', 'value' => 'Ada'], ['id' => 2, 'field' => 'email', 'value' => 'x']]);
+    }
+
+    public function testRejectsAnEmptyBatch(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->sendBatch([]);
+    }
+
+    public function testAcceptsPositiveIntegerIds(): void
+    {
+        $handler = new AjaxHandler(new DataTables());
+        $requireRecordId = new ReflectionMethod(AjaxHandler::class, 'requireRecordId');
+
+        $this->assertSame(42, $requireRecordId->invoke($handler, 42));
+        $this->assertSame(42, $requireRecordId->invoke($handler, '42'));
+    }
+}
@@ -0,0 +1,145 @@
+<?php
+
+namespace KPT\Tests;
+
+use KPT\AjaxHandler;
+use KPT\DataTables;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class KeysetCursorTest extends TestCase
+{
+    private AjaxHandler $handler;
+
+    protected function setUp(): void
+    {
+        $this->handler = new AjaxHandler((new DataTables())->table('users')->primaryKey('id'));
+    }
+
+    private function call(string $method, array $args): mixed
+    {
+        return (new ReflectionMethod(AjaxHandler::class, $method))->invokeArgs($this->handler, $args);
+    }
+
+    /**
+     * Build the keyset condition and return it with its bound parameters
+     */
+    private function keyset(array $keys, array $values): array
+    {
+        $params = [];
+        $sql = $this->call('buildKeysetClause', [$keys, $values, &$params]);
+        return [$sql, $params];
+    }
+
+    public function testCursorRoundTrips(): void
+    {
+        $cursor = $this->call('encodeCursor', ['after', [null, 'Ada Lovelace', 42, 1.5, true]]);
+
+        $this->assertMatchesRegularExpression('/^[A-Za-z0-9_-]+$/', $cursor);
+        $this->assertSame(
+            ['direction' => 'after', 'values' => [null, 'Ada Lovelace', 42, 1.5, true]],
+            $this->call('decodeCursor', [$cursor, 5])
+        );
+    }
+
+    public function testCursorUsesUrlSafeAlphabet(): void
+    {
+        // Encodes to '+' and '/' in standard base64
+        $cursor = $this->call('encodeCursor', ['before', ['>>>???']]);
+
+        $this->assertStringNotContainsString('+', $cursor);
+        $this->assertStringNotContainsString('/', $cursor);
+        $this->assertSame(['direction' => 'before', 'values' => ['>>>???']], $this->call('decodeCursor', [$cursor, 1]));
+    }
+
+    public function testRejectsInvalidCursors(): void
+    {
+        $encode = fn(array $cursor) => rtrim(strtr(base64_encode(json_encode($cursor)), '+/', '-_'), '=');
+
+        $this->assertNull($this->call('decodeCursor', ['', 1]));
+        $this->assertNull($this->call('decodeCursor', [['d' => 'after'], 1]));
+        $this->assertNull($this->call('decodeCursor', ['not a cursor!', 1]));
+        $this->assertNull($this->call('decodeCursor', [$this->call('encodeCursor', ['after', [1, 2]]), 1]));
+        $this->assertNull($this->call('decodeCursor', [$encode(['d' => 'sideways', 'v' => [1]]), 1]));
+        $this->assertNull($this->call('decodeCursor', [$encode(['d' => 'after', 'v' => [['nested']]]), 1]));
+        $this->assertNull($this->call('decodeCursor', [$encode(['d' => 'after', 'v' => ['a' => 1]]), 1]));
+        $this->assertNull($this->call('decodeCursor', [str_repeat('A', 4001), 1]));
+    }
+
+    public function testAddsThePrimaryKeyAsTieBreaker(): void
+    {
+        $this->assertSame(
+            [['column' => 'name', 'direction' => 'DESC'], ['column' => 'id', 'direction' => 'DESC']],
+            $this->call('getKeysetSortKeys', [[['column' => 'name', 'direction' => 'DESC']]])
+        );
+        $this->assertSame(
+            [['column' => 'id', 'direction' => 'ASC']],
+            $this->call('getKeysetSortKeys', [[]])
+        );
+        $this->assertSame(
+            [['column' => 'id', 'direction' => 'DESC'], ['column' => 'name', 'direction' => 'ASC']],
+            $this->call('getKeysetSortKeys', [[['column' => 'id', 'direction' => 'DESC'], ['column' => 'name', 'direction' => 'ASC']]])
+        );
+    }
+
+    public function testSeeksPastAValueAscending(): void
+    {
+        [$sql, $params] = $this->keyset(
+            [['column' => 'name', 'direction' => 'ASC'], ['column' => 'id', 'direction' => 'ASC']],
+            ['Ada', 5]
+        );
+
+        $this->assertSame('((`name` > ?) OR (`name` = ? AND `id` > ?))', $sql);
+        $this->assertSame(['Ada', 'Ada', 5], $params);
+    }
+
+    public function testNullsSortFirstAscending(): void
+    {
+        [$sql, $params] = $this->keyset(
+            [['column' => 'name', 'direction' => 'ASC'], ['column' => 'id', 'direction' => 'ASC']],
+            [null, 5]
+        );
+
+        // Every non-NULL name follows, then NULL names with a higher id
+        $this->assertSame('((`name` IS NOT NULL) OR (`name` IS NULL AND `id` > ?))', $sql);
+        $this->assertSame([5], $params);
+    }
+
+    public function testNullsSortLastDescending(): void
+    {
+        [$sql, $params] = $this->keyset(
+            [['column' => 'name', 'direction' => 'DESC'], ['column' => 'id', 'direction' => 'DESC']],
+            ['Ada', 5]
+        );
+
+        $this->assertSame('(((`name` < ? OR `name` IS NULL)) OR (`name` = ? AND (`id` < ? OR `id` IS NULL)))', $sql);
+        $this->assertSame(['Ada', 'Ada', 5], $params);
+
+        // Past a NULL name, only NULL names with a lower id remain
+        [$sql, $params] = $this->keyset(
+            [['column' => 'name', 'direction' => 'DESC'], ['column' => 'id', 'direction' => 'DESC']],
+            [null, 5]
+        );
+
+        $this->assertSame('((`name` IS NULL AND (`id` < ? OR `id` IS NULL)))', $sql);
+        $this->assertSame([5], $params);
+    }
+
+    public function testNothingFollowsTheLastNullDescending(): void
+    {
+        [$sql, $params] = $this->keyset([['column' => 'name', 'direction' => 'DESC']], [null]);
+
+        $this->assertSame('(1 = 0)', $sql);
+        $this->assertSame([], $params);
+    }
+
+    public function testComparesAliasesOnTheirExpression(): void
+    {
+        [$sql] = $this->keyset(
+            [['column' => "CONCAT(first, ' ', last) AS full_name", 'direction' => 'ASC'], ['column' => 'u.id', 'direction' => 'ASC']],
+            ['Ada', 5]
+        );
+
+        $this->assertSame("((CONCAT(first, ' ', last) > ?) OR (CONCAT(first, ' ', last) = ? AND u.id > ?))", $sql);
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+
+namespace KPT\Tests;
+
+use KPT\AjaxHandler;
+use KPT\DataTables;
+use PHPUnit\Framework\TestCase;
+use ReflectionMethod;
+
+class SortInputTest extends TestCase
+{
+    private function parse(mixed $input): array
+    {
+        $dataTable = (new DataTables())
+            ->table('users')
+            ->columns([
+                'id' => 'ID',
+                'name' => 'Name',
+                'email' => 'Email',
+                "CONCAT(first, ' ', last) AS full_name" => 'Full Name',
+            ])
+            ->sortable(['id', 'name', 'full_name']);
+
+        return (new ReflectionMethod(AjaxHandler::class, 'parseSortInput'))->invoke(new AjaxHandler($dataTable), $input);
+    }
+
+    public function testKeepsKeysInPriorityOrder(): void
+    {
+        $this->assertSame([
+            ['column' => 'name', 'direction' => 'DESC'],
+            ['column' => 'id', 'direction' => 'ASC'],
+        ], $this->parse('[{"column":"name","direction":"desc"},{"column":"id","direction":"ASC"}]'));
+    }
+
+    public function testDropsColumnsThatAreNotSortable(): void
+    {
+        $this->assertSame(
+            [['column' => 'id', 'direction' => 'ASC']],
+            $this->parse('[{"column":"email"},{"column":"password"},{"column":"name`; DROP TABLE users"},{"column":"id"}]')
+        );
+    }
+
+    public function testDropsRepeatedColumns(): void
+    {
+        $this->assertSame(
+            [['column' => 'name', 'direction' => 'ASC']],
+            $this->parse([['column' => 'name', 'direction' => 'ASC'], ['column' => 'name', 'direction' => 'DESC']])
+        );
+    }
+
+    public function testResolvesAliasesToTheirExpression(): void
+    {
+        $this->assertSame(
+            [['column' => "CONCAT(first, ' ', last) AS full_name", 'direction' => 'DESC']],
+            $this->parse('[{"column":"full_name","direction":"DESC"}]')
+        );
+    }
+
+    public function testDefaultsUnknownDirectionsToAscending(): void
+    {
+        $this->assertSame(
+            [['column' => 'id', 'direction' => 'ASC']],
+            $this->parse([['column' => 'id', 'direction' => 'sideways']])
+        );
+    }
+
+    public function testIgnoresMalformedInput(): void
+    {
+        $this->assertSame([], $this->parse('not json'));
+        $this->assertSame([], $this->parse('{"column":"name"}'));
+        $this->assertSame([], $this->parse([['column' => ['name']], 'id']));
+        $this->assertSame([], $this->parse(str_repeat(' ', 2001) . '[{"column":"id"}]'));
+    }
+}
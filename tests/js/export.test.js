@@ -0,0 +1,83 @@
+/**
+ * Export tests for DataTablesJS
+ *
+ * Checks which rows a 'selected' export collects, with fetch answering
+ * fetch_data from a fixed set of records.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+const sources = ['theme-helpers.js', 'datatables.js'].map(file => fs.readFileSync(path.join(root, 'src/assets/js', file), 'utf8'));
+
+const records = [
+    { id: 1, name: 'Ada' },
+    { id: 2, name: 'Grace' },
+    { id: 3, name: 'Edsger' },
+    { id: 4, name: 'Barbara' },
+];
+
+/**
+ * Render the first page of two records and resolve with the table and the fetch_data filters it was sent
+ */
+function renderFirstPage(config = {}) {
+    const { window } = new JSDOM(`<!DOCTYPE html><body>
+        <div data-table="users">
+            <table class="datatables-table" data-columns='{"id":{"type":"int"},"name":{"type":"text"}}'>
+                <thead><tr><th data-sort="name">Name</th></tr></thead>
+                <tbody class="datatables-tbody"></tbody>
+            </table>
+        </div>
+    </body>`, { runScripts: 'outside-only', url: 'http://localhost/users' });
+
+    const filters = [];
+    window.fetch = url => {
+        const params = new URLSearchParams(url.split('?')[1] || '');
+        const filter = JSON.parse(params.get('filters') || '[]')[0];
+        filters.push(filter || null);
+        const ids = filter ? filter.value.split(',').map(Number) : [1, 2];
+        const rows = records.filter(row => ids.includes(row.id));
+        return Promise.resolve({ json: () => ({ success: true, data: rows, total: records.length }) });
+    };
+    sources.forEach(source => window.eval(source));
+
+    return new Promise((resolve, reject) => {
+        window.console.error = (...args) => reject(args.find(arg => arg instanceof Error) || new Error(args.join(' ')));
+        const table = new window.DataTablesJS({
+            tableName: 'users',
+            primaryKey: 'id',
+            columns: { id: 'ID', name: 'Name' },
+            theme: 'plain',
+            perPage: 2,
+            on: { afterRender: () => resolve({ table, filters }) },
+            ...config,
+        });
+    });
+}
+
+test('exports selected rows from other pages', async () => {
+    const { table, filters } = await renderFirstPage();
+    ['2', '4', '3'].forEach(id => table.selectedIds.add(id));
+
+    const rows = await table.getExportRows('selected');
+
+    assert.deepStrictEqual(Array.from(rows, row => row.name), ['Grace', 'Barbara', 'Edsger']);
+    assert.deepStrictEqual(filters.at(-1), { field: 'id', operator: 'IN', value: '4,3' });
+});
+
+test('exports selected rows on the page without fetching', async () => {
+    const { table, filters } = await renderFirstPage();
+    table.selectedIds.add('1');
+    const fetches = filters.length;
+
+    const rows = await table.getExportRows('selected');
+
+    assert.deepStrictEqual(Array.from(rows, row => row.name), ['Ada']);
+    assert.strictEqual(filters.length, fetches);
+});
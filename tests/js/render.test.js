@@ -0,0 +1,118 @@
+/**
+ * Render smoke tests for DataTablesJS
+ *
+ * Loads the browser bundle sources into jsdom, answers fetch_data with a
+ * fixed page and checks the rows that end up in the table body.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..', '..');
+const sources = ['theme-helpers.js', 'datatables.js'].map(file => fs.readFileSync(path.join(root, 'src/assets/js', file), 'utf8'));
+
+const schema = {
+    id: { type: 'int' },
+    name: { type: 'text' },
+    bio: { type: 'text', html: true },
+    active: { type: 'boolean' },
+};
+
+/**
+ * Render one page of rows and resolve with the table body
+ */
+function renderPage(rows, config = {}) {
+    const tableName = config.tableName || 'users';
+    const dom = new JSDOM(`<!DOCTYPE html><body>
+        <div data-table="${tableName.replace(/"/g, '&quot;')}">
+            <table class="datatables-table" data-columns='${JSON.stringify(schema).replace(/'/g, '&#39;')}'>
+                <thead><tr><th data-sort="name">Name</th></tr></thead>
+                <tbody class="datatables-tbody"></tbody>
+            </table>
+        </div>
+    </body>`, { runScripts: 'outside-only', url: 'http://localhost/users' });
+    const { window } = dom;
+
+    window.fetch = () => Promise.resolve({ json: () => ({ success: true, data: rows, total: rows.length }) });
+    sources.forEach(source => window.eval(source));
+
+    return new Promise((resolve, reject) => {
+        // Load and render failures are caught and logged by the table
+        window.console.error = (...args) => reject(args.find(arg => arg instanceof Error) || new Error(args.join(' ')));
+        window.addEventListener('error', event => reject(event.error));
+        new window.DataTablesJS({
+            tableName,
+            primaryKey: 'id',
+            columns: { id: 'ID', name: 'Name', bio: 'Bio', active: 'Active' },
+            theme: 'plain',
+            on: { afterRender: detail => resolve({ window, tbody: detail.tbody }) },
+            ...config,
+        });
+    });
+}
+
+test('renders a row per record', async () => {
+    const { tbody } = await renderPage([
+        { id: 1, name: 'Ada', bio: '', active: 1 },
+        { id: 2, name: 'Grace', bio: '', active: 0 },
+    ]);
+
+    const rows = tbody.querySelectorAll('tr[data-id]');
+    assert.strictEqual(rows.length, 2);
+    assert.strictEqual(rows[0].getAttribute('data-id'), '1');
+    assert.strictEqual(rows[1].querySelector('td[data-column="name"]').textContent, 'Grace');
+});
+
+test('renders inline editable cells', async () => {
+    const { tbody } = await renderPage([{ id: 7, name: 'Ada', bio: '', active: 1 }], { inlineEditableColumns: ['name', 'active'] });
+
+    const name = tbody.querySelector('td[data-column="name"] .inline-editable');
+    assert.ok(name);
+    assert.strictEqual(name.getAttribute('data-type'), 'text');
+    assert.strictEqual(name.getAttribute('data-id'), '7');
+    assert.ok(tbody.querySelector('td[data-column="active"] .boolean-toggle'));
+});
+
+test('shows cell values as text', async () => {
+    const payload = '<img src=x onerror="alert(1)">';
+    const { tbody } = await renderPage([{ id: '1" onclick="x', name: payload, bio: '', active: 1 }]);
+
+    const cell = tbody.querySelector('td[data-column="name"]');
+    assert.strictEqual(cell.textContent, payload);
+    assert.strictEqual(cell.querySelector('img'), null);
+    assert.strictEqual(tbody.querySelector('tr').getAttribute('data-id'), '1" onclick="x');
+    assert.strictEqual(tbody.querySelector('tr').hasAttribute('onclick'), false);
+});
+
+test('sanitizes html columns', async () => {
+    const { tbody } = await renderPage([{
+        id: 1,
+        name: 'Ada',
+        bio: '<b>Bold</b><script>alert(1)</script><a href="javascript:alert(1)" onclick="x">link</a>',
+        active: 1,
+    }]);
+
+    const cell = tbody.querySelector('td[data-column="bio"]');
+    assert.strictEqual(cell.querySelector('b').textContent, 'Bold');
+    assert.strictEqual(cell.querySelector('script'), null);
+    assert.strictEqual(cell.querySelector('a').hasAttribute('href'), false);
+    assert.strictEqual(cell.querySelector('a').hasAttribute('onclick'), false);
+});
+
+test('inline handlers reach a table whose name has quotes', async () => {
+    const tableName = `o'brien "x"`;
+    const { window, tbody } = await renderPage([{ id: 1, name: 'Ada', bio: '', active: 1 }], { tableName, bulkActionsEnabled: true });
+
+    const checkbox = tbody.querySelector('.row-checkbox');
+    assert.strictEqual(checkbox.getAttribute('onchange'), `DataTablesJS.get(${JSON.stringify(tableName)}).toggleRowSelection(this)`);
+
+    checkbox.checked = true;
+    // jsdom doesn't run inline handlers here, so call it the way the browser would
+    new window.Function(checkbox.getAttribute('onchange')).call(checkbox);
+    assert.ok(window.DataTablesJS.get(tableName).selectedIds.has('1'));
+});
@@ -0,0 +1,71 @@
+/**
+ * Transport tests for DataTablesJS
+ *
+ * Checks how DataTablesJS.send() attaches the CSRF token, with fetch
+ * replaced by a recorder.
+ *
+ * Run with: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', '..', 'src/assets/js/datatables.js'), 'utf8');
+
+/**
+ * Load DataTablesJS with a fetch that records requests and answers from handlers
+ */
+function load(handlers) {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only', url: 'http://localhost/users' });
+    const requests = [];
+    window.fetch = (url, options) => {
+        const params = new URLSearchParams(url.split('?')[1] || '');
+        const body = options.body ? Object.fromEntries(options.body.entries()) : {};
+        const action = params.get('action') || body.action;
+        requests.push({ method: options.method, action, body });
+        return Promise.resolve({ json: () => (handlers[action] || (() => ({ success: true })))() });
+    };
+    window.console.error = () => {};
+    window.eval(source);
+    return { DataTablesJS: window.DataTablesJS, requests };
+}
+
+test('posts carry the embedded token and gets do not', async () => {
+    const { DataTablesJS, requests } = load({});
+    const transport = { csrf: { field: 'csrf_token', token: 'abc', table: 'users' } };
+
+    await DataTablesJS.send({ action: 'delete_record', id: 1 }, 'POST', transport);
+    await DataTablesJS.send({ action: 'fetch_data' }, 'GET', transport);
+
+    assert.strictEqual(requests[0].body.csrf_token, 'abc');
+    assert.strictEqual(requests[1].method, 'GET');
+    assert.deepStrictEqual(requests[1].body, {});
+});
+
+test('fetches a missing token once before the first mutation', async () => {
+    const { DataTablesJS, requests } = load({ csrf_token: () => ({ success: true, field: 'csrf_token', token: 'fresh' }) });
+    const transport = { csrf: { field: 'csrf_token', token: null, table: 'users' } };
+
+    await Promise.all([
+        DataTablesJS.send({ action: 'delete_record', id: 1 }, 'POST', transport),
+        DataTablesJS.send({ action: 'edit_record', id: 2 }, 'POST', transport),
+    ]);
+
+    assert.deepStrictEqual(requests.map(request => request.action), ['csrf_token', 'delete_record', 'edit_record']);
+    assert.strictEqual(requests[1].body.csrf_token, 'fresh');
+    assert.strictEqual(requests[2].body.csrf_token, 'fresh');
+});
+
+test('sends without a token when it cannot be fetched', async () => {
+    const { DataTablesJS, requests } = load({ csrf_token: () => ({ success: false, message: 'No session' }) });
+    const transport = { csrf: { field: 'csrf_token', token: null, table: 'users' } };
+
+    await DataTablesJS.send({ action: 'delete_record', id: 1 }, 'POST', transport);
+    await DataTablesJS.send({ action: 'delete_record', id: 1 }, 'POST', transport);
+
+    assert.deepStrictEqual(requests.map(request => request.action), ['csrf_token', 'delete_record', 'delete_record']);
+    assert.strictEqual(requests[1].body.csrf_token, undefined);
+});